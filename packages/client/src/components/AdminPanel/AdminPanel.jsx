@@ -0,0 +1,584 @@
+// Reactの機能をインポート
+import { useCallback, useState } from 'react';
+// Ethereumブロックチェーンとの通信ライブラリをインポート（ETH⇔weiの変換・アドレス検証）
+import { ethers } from 'ethers';
+// Material-UIのコンポーネントをインポート
+import { Alert, Button, CircularProgress, FormControlLabel, MenuItem, Switch, TextField } from '@mui/material';
+// 管理操作（トランザクション送信）用のカスタムフック
+import useAdminActions from '../../hooks/useAdminActions';
+// 売上の分配情報を取得するカスタムフック
+import usePaymentSplits from '../../hooks/usePaymentSplits';
+// 管理画面の部品
+import AdminStats from './components/AdminStats';
+import AirdropForm from './components/AirdropForm';
+import ConfirmDialog from './components/ConfirmDialog';
+import DutchAuctionForm from './components/DutchAuctionForm';
+import PayeesForm from './components/PayeesForm';
+import PaymentSplits from './components/PaymentSplits';
+import PaymentTokensForm from './components/PaymentTokensForm';
+import SaleWindowForm from './components/SaleWindowForm';
+import TransactionHistory from './components/TransactionHistory';
+// 販売フェーズの定数と表示名
+import { SALE_PHASE, SALE_PHASE_LABELS } from '../../utils/allowlist';
+// 役割（ロール）の一覧
+import { ROLE_BY_KEY, ROLES } from '../../utils/roles';
+// 売上の分配（PaymentSplitter）の ABI
+import { PAYMENT_SPLITTER_ABI } from '../../utils/paymentSplitter';
+
+// 🎨 各セクションの共通スタイル
+const sectionStyle = {
+  marginBottom: '15px',
+  padding: '15px',
+  border: '1px solid #dee2e6',
+  borderRadius: '8px',
+  backgroundColor: '#fff',
+  textAlign: 'left'
+};
+
+/**
+ * 🧩 管理画面の1セクション（必要な役割がなければ操作を無効化する）
+ * @param {string} title - セクションのタイトル
+ * @param {string} roleKey - 操作に必要な役割のキー
+ * @param {Object} roles - 接続中のウォレットが持っている役割
+ * @param {React.ReactNode} children - セクションの中身（操作フォーム）
+ */
+const AdminSection = ({ title, roleKey, roles, children }) => {
+  const role = ROLE_BY_KEY[roleKey];
+  const enabled = Boolean(roles[roleKey]);
+
+  return (
+    <div style={{ ...sectionStyle, opacity: enabled ? 1 : 0.6 }}>
+      <div style={{ fontWeight: 'bold', marginBottom: '10px' }}>{title}</div>
+      {!enabled && (
+        <div style={{ fontSize: '0.8em', color: '#666', marginBottom: '10px' }}>
+          🔒 「{role.label}」（{role.name}）の役割が必要です
+        </div>
+      )}
+      {/* fieldset の disabled で、中の入力欄とボタンをまとめて無効化する */}
+      <fieldset disabled={!enabled} style={{ border: 'none', margin: 0, padding: 0 }}>
+        {children}
+      </fieldset>
+    </div>
+  );
+};
+
+/**
+ * 🛠️ 管理画面コンポーネント
+ *
+ * 【このコンポーネントの役割】
+ * このコンポーネントは「コントラクトの操作盤」のような役割を果たします。
+ * 売上（コントラクト残高）と発行状況を表示し、接続中のウォレットが持っている
+ * 役割（ロール）で実行できる操作だけを有効にします。
+ * 操作は確認ダイアログを経てから送信し、トランザクションの進み具合を履歴に表示します。
+ *
+ * 【役割ごとの操作】
+ * - 一時停止（PAUSER_ROLE）: ミント受付のON/OFF、販売フェーズの切り替え、販売期間（開始・終了日時）
+ * - 価格管理（PRICE_ADMIN_ROLE）: ミント料金・プレセール料金の変更、払いすぎた場合の扱い、ダッチオークション、支払いトークンの設定
+ * - ミント担当（MINTER_ROLE）: 無料ミント、画像をアップロードしてのエアドロップ
+ * - 資金管理（TREASURER_ROLE）: 売上の引き出し（ETHは分配先が設定されていれば分配先へ、トークンは接続中のウォレットへ）
+ * - 管理者（DEFAULT_ADMIN_ROLE）: 役割の付与・取り消し、売上の受取人と持ち分の設定（PaymentSplitter）
+ * - 役割なし: 受取人ごとの受け取れる額の確認と送金（PaymentSplitter の release）
+ *
+ * 【初心者向け解説】
+ * - ボタンを無効にしているのは使いやすさのためで、実際の権限チェックはコントラクトが行う
+ *
+ * @param {string} currentAccount - 現在接続中のウォレットアドレス
+ * @param {Object|null} network - 接続中のネットワーク（useWallet の network）
+ * @param {Object} roles - 接続中のウォレットが持っている役割（useRoles の roles）
+ * @param {boolean} rolesLoading - 役割を取得中かどうか
+ * @param {Object} contractInfo - コントラクト情報（useContract の contractInfo）
+ * @param {Object} contractStats - 発行状況の統計（useContract の contractStats）
+ * @param {function} onUpdated - 操作が完了した後に呼ぶ関数（情報の再取得）
+ */
+const AdminPanel = ({ currentAccount, network, roles, rolesLoading, contractInfo, contractStats, onUpdated }) => {
+  // 💸 売上の分配（受取人・持ち分・受け取れる額）
+  const {
+    splitterAddress,
+    payees,
+    totalShares,
+    isSplitting,
+    loading: paymentsLoading,
+    refetchPayments
+  } = usePaymentSplits(currentAccount, network);
+
+  // 🔄 操作の完了後は、コントラクト情報・役割に加えて分配情報も再取得する
+  const handleUpdated = useCallback(() => {
+    onUpdated();
+    refetchPayments();
+  }, [onUpdated, refetchPayments]);
+
+  const { runAction, pendingAction, transactions, error } = useAdminActions(handleUpdated);
+
+  // ✋ 確認ダイアログの内容（nullなら非表示）
+  const [confirmRequest, setConfirmRequest] = useState(null);
+
+  // 📝 入力フォームの状態
+  const [newPrice, setNewPrice] = useState('');
+  const [newPresalePrice, setNewPresalePrice] = useState('');
+  const [mintTo, setMintTo] = useState('');
+  const [mintURI, setMintURI] = useState('');
+  const [roleAccount, setRoleAccount] = useState('');
+  const [roleKey, setRoleKey] = useState('minter');
+
+  const busy = Boolean(pendingAction);
+  const isValidRoleAccount = ethers.isAddress(roleAccount);
+
+  /**
+   * ✋ 確認ダイアログを出してから管理関数を呼び出す
+   * @param {string} label - 操作の表示名
+   * @param {string} method - コントラクトの関数名
+   * @param {Array} args - 関数の引数
+   * @param {string} message - 確認ダイアログに表示する内容
+   * @param {function} [onDone] - 成功した後に呼ぶ関数（入力欄のクリアなど）
+   * @param {{address: string, abi: Array}} [target] - 送り先のコントラクト（省略すると Web3Mint）
+   */
+  const confirmAction = (label, method, args, message, onDone, target) => {
+    setConfirmRequest({
+      title: `✋ ${label}の確認`,
+      message,
+      onConfirm: async () => {
+        if (await runAction(label, method, args, target) && onDone) onDone();
+      }
+    });
+  };
+
+  // 💰 料金の変更（ETHで入力 → weiに変換して送る）
+  const handleUpdatePrice = (label, method, value, current, onDone) => {
+    let priceWei;
+    try {
+      priceWei = ethers.parseEther(value);
+    } catch {
+      return;
+    }
+    confirmAction(label, method, [priceWei], `${current} ETH → ${ethers.formatEther(priceWei)} ETH に変更します。`, onDone);
+  };
+
+  // ⏯️ ミント受付のON/OFF（toggleMinting は販売フェーズを一般販売 / 停止中に切り替える）
+  const handleToggleMinting = () => {
+    const enabled = !contractInfo.mintingEnabled;
+    confirmAction(
+      enabled ? 'ミント受付の再開' : 'ミント受付の停止',
+      'toggleMinting',
+      [enabled],
+      enabled
+        ? '販売フェーズを「一般販売」にして、誰でもミントできるようにします。'
+        : '販売フェーズを「停止中」にして、全てのミントを止めます。'
+    );
+  };
+
+  // 💸 払いすぎた場合の扱い（返金する / 料金ちょうど以外は受け付けない）
+  const handleToggleExactPayment = () => {
+    const required = !contractInfo.exactPaymentRequired;
+    confirmAction(
+      required ? '料金ちょうどの支払いを必須にする' : '払いすぎた分の返金に戻す',
+      'setExactPaymentRequired',
+      [required],
+      required
+        ? 'ミント料金と違う金額が支払われた場合、ミントを失敗させます。'
+        : 'ミント料金より多く支払われた分を、ミントした人に返金します。'
+    );
+  };
+
+  // ⏰ 販売期間の設定（0 = 制限なし）
+  const handleSetSaleWindow = (start, end) => {
+    const format = (timestamp, none) => (timestamp ? new Date(timestamp * 1000).toLocaleString() : none);
+    confirmAction(
+      '販売期間の設定',
+      'setSaleWindow',
+      [start, end],
+      `販売開始: ${format(start, 'すぐに開始')}\n販売終了: ${format(end, '終了なし')}`
+    );
+  };
+
+  // 📉 ダッチオークションの設定（全て0で無効化）
+  const handleSetDutchAuction = (args, message) => {
+    confirmAction(args[0] === 0 ? 'ダッチオークションの停止' : 'ダッチオークションの設定', 'setDutchAuction', args, message);
+  };
+
+  // 🎁 無料ミント
+  const handleOwnerMint = () => {
+    confirmAction('無料ミント', 'ownerMint', [mintTo, mintURI], `次のアドレスにNFTを無料でミントします。\n${mintTo}`, () => {
+      setMintTo('');
+      setMintURI('');
+    });
+  };
+
+  // 🏦 売上の引き出し
+  const handleWithdraw = () => {
+    confirmAction(
+      '売上の引き出し',
+      'withdraw',
+      [],
+      isSplitting
+        ? `コントラクトの残高 ${contractInfo?.contractBalance ?? '-'} ETH を、分配先（PaymentSplitter）に送金します。\n${splitterAddress}`
+        : `コントラクトの残高 ${contractInfo?.contractBalance ?? '-'} ETH を、接続中のウォレットに送金します。`
+    );
+  };
+
+  // 🪙 支払いトークンの追加・料金変更・削除（料金 0 で削除）
+  const handleSetPaymentToken = (token, priceUnits, message, onDone) => {
+    confirmAction(priceUnits === 0n ? '支払いトークンの削除' : '支払いトークンの設定', 'setPaymentToken', [token, priceUnits], message, onDone);
+  };
+
+  // 🏦 トークン売上の引き出し
+  const handleWithdrawToken = (token) => {
+    confirmAction(
+      `${token.symbol}の引き出し`,
+      'withdrawToken',
+      [token.address],
+      `コントラクトの ${token.contractBalance} ${token.symbol} を、接続中のウォレットに送金します。`
+    );
+  };
+
+  // 💸 分配先（PaymentSplitter）に送る操作の送り先
+  const splitterTarget = { address: splitterAddress, abi: PAYMENT_SPLITTER_ABI };
+
+  // 💸 受取人への送金（release は誰が呼んでも送金先は受取人本人）
+  const handleRelease = (payee) => {
+    confirmAction(
+      '売上の送金',
+      'release',
+      [payee.address],
+      `${payee.releasable} ETH を受取人に送金します。\n${payee.address}`,
+      undefined,
+      splitterTarget
+    );
+  };
+
+  // 👥 受取人と持ち分の設定
+  const handleSetPayees = (accounts, shares) => {
+    const message = accounts.length === 0
+      ? '受取人を全て削除します（分配先に届いた売上は、次に受取人を設定するまで送金できません）。'
+      : `売上の受取人を次のように設定します。\n${accounts.map((account, i) => `${account}：${shares[i]}`).join('\n')}`;
+    confirmAction('受取人の設定', 'setPayees', [accounts, shares], message, undefined, splitterTarget);
+  };
+
+  // 👑 役割の付与・取り消し
+  const handleRoleChange = (method) => {
+    const role = ROLE_BY_KEY[roleKey];
+    const granting = method === 'grantRole';
+    const label = granting ? `「${role.label}」の付与` : `「${role.label}」の取り消し`;
+    confirmAction(
+      label,
+      method,
+      [role.id, roleAccount],
+      `${roleAccount} ${granting ? 'に' : 'から'}「${role.label}」（${role.name}）を${granting ? '付与' : '取り消し'}します。`
+    );
+  };
+
+  // 🔢 料金の入力欄が送信できる値かどうか
+  const isValidPrice = (value) => value !== '' && !Number.isNaN(Number(value)) && Number(value) >= 0;
+
+  if (rolesLoading) {
+    return (
+      <div style={{ textAlign: 'center', padding: '20px' }}>
+        <CircularProgress size={32} />
+      </div>
+    );
+  }
+
+  return (
+    <div style={{ margin: '20px 0' }}>
+      <h3 style={{ marginTop: 0 }}>🛠️ 管理</h3>
+
+      {/* 📊 売上・発行状況 */}
+      <div style={sectionStyle}>
+        <div style={{ fontWeight: 'bold', marginBottom: '10px' }}>📊 ダッシュボード</div>
+        <AdminStats contractInfo={contractInfo} contractStats={contractStats} />
+      </div>
+
+      {/* 🔑 接続中のウォレットが持っている役割 */}
+      <div style={sectionStyle}>
+        <div style={{ fontWeight: 'bold', marginBottom: '10px' }}>🔑 あなたの役割</div>
+        {ROLES.map((role) => (
+          <div key={role.key} style={{ fontSize: '0.9em', marginBottom: '4px' }}>
+            {roles[role.key] ? '✅' : '➖'} <strong>{role.label}</strong>
+            <span style={{ color: '#666' }}>：{role.description}</span>
+          </div>
+        ))}
+      </div>
+
+      {/* ⏳ 送信中・エラー・トランザクション履歴 */}
+      {pendingAction && (
+        <Alert severity="info" style={{ marginBottom: '15px' }}>
+          ⏳ {pendingAction}を送信中です。MetaMaskで確認してください...
+        </Alert>
+      )}
+      {error && (
+        <Alert severity="error" style={{ marginBottom: '15px' }}>
+          {error}
+        </Alert>
+      )}
+      <TransactionHistory transactions={transactions} />
+
+      {/* ⏸️ 販売フェーズ（PAUSER_ROLE） */}
+      <AdminSection title="⏸️ 販売フェーズ" roleKey="pauser" roles={roles}>
+        <FormControlLabel
+          control={(
+            <Switch
+              checked={Boolean(contractInfo?.mintingEnabled)}
+              onChange={handleToggleMinting}
+              disabled={busy || !roles.pauser || !contractInfo}
+            />
+          )}
+          label="ミント受付（一般販売）"
+        />
+        <div style={{ fontSize: '0.9em', margin: '10px 0' }}>
+          現在: {contractInfo ? SALE_PHASE_LABELS[contractInfo.salePhase] : '-'}
+        </div>
+        <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap' }}>
+          {Object.values(SALE_PHASE).map((phase) => (
+            <Button
+              key={phase}
+              size="small"
+              variant={contractInfo?.salePhase === phase ? 'contained' : 'outlined'}
+              disabled={busy || !roles.pauser || contractInfo?.salePhase === phase}
+              onClick={() => confirmAction(
+                '販売フェーズの変更',
+                'setSalePhase',
+                [phase],
+                `販売フェーズを「${SALE_PHASE_LABELS[contractInfo?.salePhase] ?? '-'}」から「${SALE_PHASE_LABELS[phase]}」に変更します。`
+              )}
+            >
+              {SALE_PHASE_LABELS[phase]}
+            </Button>
+          ))}
+        </div>
+        <div style={{ fontSize: '0.9em', margin: '15px 0 10px' }}>
+          ⏰ 販売期間（期間外は販売フェーズに関係なく、料金を受け取るミントができません）
+        </div>
+        <SaleWindowForm
+          key={`${contractInfo?.saleStart}-${contractInfo?.saleEnd}`}
+          saleStart={contractInfo?.saleStart ?? 0}
+          saleEnd={contractInfo?.saleEnd ?? 0}
+          enabled={Boolean(roles.pauser)}
+          busy={busy}
+          onSubmit={handleSetSaleWindow}
+        />
+      </AdminSection>
+
+      {/* 💰 ミント料金（PRICE_ADMIN_ROLE） */}
+      <AdminSection title="💰 ミント料金" roleKey="priceAdmin" roles={roles}>
+        <div style={{ fontSize: '0.9em', marginBottom: '10px' }}>
+          現在: 一般販売 {contractInfo ? `${contractInfo.mintPrice} ETH` : '-'}
+          {' '}／ プレセール {contractInfo ? `${contractInfo.presalePrice} ETH` : '-'}
+        </div>
+        <div style={{ display: 'flex', gap: '8px', alignItems: 'center', marginBottom: '8px' }}>
+          <TextField
+            size="small"
+            label="新しい料金（ETH）"
+            value={newPrice}
+            onChange={(event) => setNewPrice(event.target.value)}
+            disabled={!roles.priceAdmin}
+          />
+          <Button
+            variant="contained"
+            size="small"
+            disabled={busy || !roles.priceAdmin || !isValidPrice(newPrice)}
+            onClick={() => handleUpdatePrice('ミント料金の変更', 'updateMintPrice', newPrice, contractInfo?.mintPrice ?? '-', () => setNewPrice(''))}
+          >
+            変更
+          </Button>
+        </div>
+        <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+          <TextField
+            size="small"
+            label="新しいプレセール料金（ETH）"
+            value={newPresalePrice}
+            onChange={(event) => setNewPresalePrice(event.target.value)}
+            disabled={!roles.priceAdmin}
+          />
+          <Button
+            variant="contained"
+            size="small"
+            disabled={busy || !roles.priceAdmin || !isValidPrice(newPresalePrice)}
+            onClick={() => handleUpdatePrice('プレセール料金の変更', 'updatePresalePrice', newPresalePrice, contractInfo?.presalePrice ?? '-', () => setNewPresalePrice(''))}
+          >
+            変更
+          </Button>
+        </div>
+        <FormControlLabel
+          style={{ marginTop: '8px' }}
+          control={(
+            <Switch
+              checked={Boolean(contractInfo?.exactPaymentRequired)}
+              onChange={handleToggleExactPayment}
+              disabled={busy || !roles.priceAdmin || !contractInfo}
+            />
+          )}
+          label="料金ちょうどの支払いのみ受け付ける（OFF = 払いすぎた分は返金）"
+        />
+      </AdminSection>
+
+      {/* 📉 ダッチオークション（PRICE_ADMIN_ROLE） */}
+      <AdminSection title="📉 ダッチオークション" roleKey="priceAdmin" roles={roles}>
+        <div style={{ fontSize: '0.9em', marginBottom: '10px' }}>
+          {contractInfo?.dutchAuction
+            ? `開催中：現在 ${contractInfo.currentPrice} ETH（一般販売のETH払いのみ。設定中はミント料金より優先されます）`
+            : '開催していません（ミント料金で販売中）'}
+        </div>
+        <DutchAuctionForm
+          key={Object.values(contractInfo?.dutchAuction ?? {}).join('-')}
+          dutchAuction={contractInfo?.dutchAuction ?? null}
+          enabled={Boolean(roles.priceAdmin)}
+          busy={busy}
+          onSubmit={handleSetDutchAuction}
+        />
+      </AdminSection>
+
+      {/* 🪙 支払いトークン（PRICE_ADMIN_ROLE） */}
+      <AdminSection title="🪙 支払いトークン（ERC-20）" roleKey="priceAdmin" roles={roles}>
+        <PaymentTokensForm
+          paymentTokens={contractInfo?.paymentTokens ?? []}
+          enabled={Boolean(roles.priceAdmin)}
+          busy={busy}
+          onSubmit={handleSetPaymentToken}
+        />
+      </AdminSection>
+
+      {/* 🎁 無料ミント（MINTER_ROLE） */}
+      <AdminSection title="🎁 無料ミント" roleKey="minter" roles={roles}>
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+          <TextField
+            size="small"
+            label="ミント先のアドレス"
+            value={mintTo}
+            onChange={(event) => setMintTo(event.target.value)}
+            disabled={!roles.minter}
+          />
+          <TextField
+            size="small"
+            label="メタデータURI（例：ipfs://...）"
+            value={mintURI}
+            onChange={(event) => setMintURI(event.target.value)}
+            disabled={!roles.minter}
+          />
+          <Button
+            variant="contained"
+            size="small"
+            disabled={busy || !roles.minter || !ethers.isAddress(mintTo) || mintURI === ''}
+            onClick={handleOwnerMint}
+          >
+            ミント
+          </Button>
+        </div>
+      </AdminSection>
+
+      {/* 🪂 エアドロップ（MINTER_ROLE） */}
+      <AdminSection title="🪂 エアドロップ（画像をアップロードして無料ミント）" roleKey="minter" roles={roles}>
+        <AirdropForm
+          enabled={Boolean(roles.minter)}
+          busy={busy}
+          runAction={runAction}
+          requestConfirm={setConfirmRequest}
+        />
+      </AdminSection>
+
+      {/* 🏦 売上の引き出し（TREASURER_ROLE） */}
+      <AdminSection title="🏦 売上の引き出し" roleKey="treasurer" roles={roles}>
+        <div style={{ fontSize: '0.9em', marginBottom: '10px' }}>
+          {isSplitting
+            ? `コントラクトの残高（${contractInfo ? `${contractInfo.contractBalance} ETH` : '-'}）を分配先（PaymentSplitter）に送金します。受取人は下の「売上の分配」から受け取ります`
+            : `コントラクトの残高（${contractInfo ? `${contractInfo.contractBalance} ETH` : '-'}）を、接続中のウォレットに送金します`}
+        </div>
+        <Button
+          variant="contained"
+          size="small"
+          disabled={busy || !roles.treasurer || contractInfo?.contractBalance === '0.0'}
+          onClick={handleWithdraw}
+        >
+          引き出す
+        </Button>
+        {/* 🪙 トークンの売上（受取人の分配はETHのみのため、いつでも引き出せる） */}
+        {(contractInfo?.paymentTokens ?? []).map((token) => (
+          <div key={token.address} style={{ display: 'flex', gap: '8px', alignItems: 'center', marginTop: '8px', fontSize: '0.9em' }}>
+            <span style={{ flex: 1 }}>{token.contractBalance} {token.symbol}</span>
+            <Button
+              variant="outlined"
+              size="small"
+              disabled={busy || !roles.treasurer || Number(token.contractBalance) === 0}
+              onClick={() => handleWithdrawToken(token)}
+            >
+              {token.symbol}を引き出す
+            </Button>
+          </div>
+        ))}
+      </AdminSection>
+
+      {/* 💸 売上の分配（送金は役割なしで誰でも実行できる） */}
+      <div style={sectionStyle}>
+        <div style={{ fontWeight: 'bold', marginBottom: '10px' }}>💸 売上の分配</div>
+        <PaymentSplits
+          isSplitting={isSplitting}
+          payees={payees}
+          totalShares={totalShares}
+          loading={paymentsLoading}
+          busy={busy}
+          onRelease={handleRelease}
+        />
+      </div>
+
+      {/* 👥 受取人と持ち分（DEFAULT_ADMIN_ROLE） */}
+      <AdminSection title="👥 受取人と持ち分" roleKey="admin" roles={roles}>
+        <PayeesForm
+          key={payees.map((payee) => `${payee.address}:${payee.shares}`).join(',')}
+          payees={payees}
+          enabled={Boolean(roles.admin) && isSplitting}
+          busy={busy}
+          onSubmit={handleSetPayees}
+        />
+      </AdminSection>
+
+      {/* 👑 役割の管理（DEFAULT_ADMIN_ROLE） */}
+      <AdminSection title="👑 役割の管理" roleKey="admin" roles={roles}>
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+          <TextField
+            size="small"
+            label="対象のアドレス"
+            value={roleAccount}
+            onChange={(event) => setRoleAccount(event.target.value)}
+            disabled={!roles.admin}
+          />
+          <TextField
+            select
+            size="small"
+            label="役割"
+            value={roleKey}
+            onChange={(event) => setRoleKey(event.target.value)}
+            disabled={!roles.admin}
+          >
+            {ROLES.map((role) => (
+              <MenuItem key={role.key} value={role.key}>
+                {role.label}（{role.name}）
+              </MenuItem>
+            ))}
+          </TextField>
+          <div style={{ display: 'flex', gap: '8px' }}>
+            <Button
+              variant="contained"
+              size="small"
+              disabled={busy || !roles.admin || !isValidRoleAccount}
+              onClick={() => handleRoleChange('grantRole')}
+            >
+              付与
+            </Button>
+            <Button
+              variant="outlined"
+              color="error"
+              size="small"
+              disabled={busy || !roles.admin || !isValidRoleAccount}
+              onClick={() => handleRoleChange('revokeRole')}
+            >
+              取り消し
+            </Button>
+          </div>
+        </div>
+      </AdminSection>
+
+      {/* ✋ 確認ダイアログ */}
+      <ConfirmDialog request={confirmRequest} onClose={() => setConfirmRequest(null)} />
+    </div>
+  );
+};
+
+export default AdminPanel;
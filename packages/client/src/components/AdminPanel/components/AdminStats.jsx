@@ -0,0 +1,68 @@
+// Material-UIの進捗バーをインポート
+import { LinearProgress } from '@mui/material';
+// 販売フェーズの表示名
+import { SALE_PHASE_LABELS } from '../../../utils/allowlist';
+
+// 🎨 数値カードのスタイル
+const cardStyle = {
+  flex: '1 1 140px',
+  padding: '10px',
+  borderRadius: '6px',
+  backgroundColor: '#f8f9fa'
+};
+
+/**
+ * 📊 管理画面のダッシュボード（売上・発行状況）
+ *
+ * 【このコンポーネントの役割】
+ * コントラクトの残高（引き出し前の売上）・発行数・価格・販売フェーズを
+ * まとめて表示し、管理者が現在の状況を一目で把握できるようにします。
+ *
+ * @param {Object} contractInfo - コントラクト情報（useContract の contractInfo）
+ * @param {Object} contractStats - 発行状況の統計（useContract の contractStats）
+ */
+const AdminStats = ({ contractInfo, contractStats }) => {
+  if (!contractInfo) {
+    return <div style={{ fontSize: '0.9em', color: '#666' }}>📡 コントラクト情報を取得中...</div>;
+  }
+
+  const stats = [
+    { label: '💰 コントラクト残高', value: `${contractInfo.contractBalance} ETH` },
+    {
+      label: '🏷️ ミント料金',
+      value: contractInfo.dutchAuction
+        ? `${contractInfo.currentPrice} ETH（ダッチオークション）`
+        : `${contractInfo.mintPrice} ETH`
+    },
+    { label: '🌳 プレセール料金', value: `${contractInfo.presalePrice} ETH` },
+    { label: '🚦 販売フェーズ', value: SALE_PHASE_LABELS[contractInfo.salePhase] },
+    { label: '👛 1ウォレットの上限', value: contractInfo.maxPerWallet === '0' ? '無制限' : `${contractInfo.maxPerWallet} 枚` }
+  ];
+
+  return (
+    <div>
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', marginBottom: '12px' }}>
+        {stats.map((stat) => (
+          <div key={stat.label} style={cardStyle}>
+            <div style={{ fontSize: '0.75em', color: '#666' }}>{stat.label}</div>
+            <div style={{ fontWeight: 'bold' }}>{stat.value}</div>
+          </div>
+        ))}
+      </div>
+
+      {/* 📈 発行状況 */}
+      <div style={{ fontSize: '0.85em', marginBottom: '4px' }}>
+        発行数: {contractInfo.totalMinted} / {contractInfo.maxSupply}
+        {contractStats && `（残り ${contractStats.remainingSupply} 枚・${contractStats.supplyPercentage}%）`}
+        {contractInfo.totalBurned !== '0' && ` ・流通 ${contractInfo.currentSupply} 枚（🔥 バーン済み ${contractInfo.totalBurned} 枚）`}
+      </div>
+      <LinearProgress
+        variant="determinate"
+        value={Math.min(contractStats?.supplyPercentage || 0, 100)}
+        style={{ height: '8px', borderRadius: '4px' }}
+      />
+    </div>
+  );
+};
+
+export default AdminStats;
@@ -0,0 +1,120 @@
+// Reactの機能をインポート
+import { useState } from 'react';
+// Ethereumブロックチェーンとの通信ライブラリをインポート（アドレス検証）
+import { ethers } from 'ethers';
+// Material-UIのコンポーネントをインポート
+import { Alert, Button, TextField } from '@mui/material';
+// ファイル選択と検証（NFT作成画面と同じルール）
+import useFileUpload from '../../NftUploader/hooks/useFileUpload';
+// IPFS（分散ストレージ）サービス
+import { getIPFSUploader } from '../../../utils/ipfsService';
+
+/**
+ * 🪂 エアドロップ（指定アドレスへの無料ミント）フォーム
+ *
+ * 【このコンポーネントの役割】
+ * 画像をIPFSにアップロードしてから、ownerMintIpfs で
+ * 指定したアドレスにNFTを無料でミントします（MINTER_ROLE が必要）。
+ *
+ * 【処理の流れ】
+ * 1. 受取人・名前・説明・画像を入力
+ * 2. 確認ダイアログで内容を確認
+ * 3. 画像をIPFSにアップロード（画像のCIDを取得）
+ * 4. ownerMintIpfs(受取人, 名前, 説明, 画像のCID) を送信
+ *
+ * @param {boolean} enabled - MINTER_ROLE を持っているか
+ * @param {boolean} busy - 他の管理操作を送信中かどうか
+ * @param {function} runAction - 管理関数を呼び出す関数（useAdminActions の runAction）
+ * @param {function} requestConfirm - 確認ダイアログを開く関数（{ title, message, onConfirm }）
+ */
+const AirdropForm = ({ enabled, busy, runAction, requestConfirm }) => {
+  // 📝 入力フォームの状態
+  const [recipient, setRecipient] = useState('');
+  const [name, setName] = useState('');
+  const [description, setDescription] = useState('');
+  const [uploading, setUploading] = useState(false);
+  const [uploadError, setUploadError] = useState('');
+  const [fileInputKey, setFileInputKey] = useState(0);  // 送信後にファイル選択欄を空に戻すためのキー
+
+  // 📁 画像ファイルの選択（形式・サイズの検証込み）
+  const { selectedFile, error: fileError, handleFileSelect, clearFile } = useFileUpload();
+
+  const canSubmit = enabled && !busy && !uploading
+    && ethers.isAddress(recipient) && name.trim() !== '' && selectedFile;
+
+  // 🚀 アップロード → ミント
+  const airdrop = async () => {
+    setUploadError('');
+    setUploading(true);
+
+    let cid;
+    try {
+      // 🌐 画像だけをアップロードする（メタデータはコントラクトが tokenURI で組み立てる）
+      const result = await getIPFSUploader().uploadToIPFS(selectedFile);
+      cid = result.cid;
+    } catch (error) {
+      console.error('❌ エアドロップ画像のアップロードに失敗:', error);
+      setUploadError(`画像のアップロードに失敗しました: ${error.message}`);
+      return;
+    } finally {
+      setUploading(false);
+    }
+
+    if (await runAction('エアドロップ', 'ownerMintIpfs', [recipient, name.trim(), description.trim(), cid])) {
+      setRecipient('');
+      setName('');
+      setDescription('');
+      clearFile();
+      setFileInputKey((key) => key + 1);
+    }
+  };
+
+  // ✋ 送信前に内容を確認してもらう
+  const handleSubmit = () => {
+    requestConfirm({
+      title: '🪂 エアドロップの確認',
+      message: `「${name.trim()}」を次のアドレスに無料でミントします。\n${recipient}\n\n画像（${selectedFile.name}）をIPFSにアップロードしてから送信します。`,
+      onConfirm: airdrop
+    });
+  };
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+      <TextField
+        size="small"
+        label="受取人のアドレス"
+        value={recipient}
+        onChange={(event) => setRecipient(event.target.value)}
+        error={recipient !== '' && !ethers.isAddress(recipient)}
+        disabled={!enabled}
+      />
+      <TextField
+        size="small"
+        label="NFTの名前"
+        value={name}
+        onChange={(event) => setName(event.target.value)}
+        disabled={!enabled}
+      />
+      <TextField
+        size="small"
+        label="説明（任意）"
+        value={description}
+        onChange={(event) => setDescription(event.target.value)}
+        multiline
+        minRows={2}
+        disabled={!enabled}
+      />
+      <div style={{ fontSize: '0.85em' }}>
+        <input key={fileInputKey} type="file" accept="image/*" onChange={handleFileSelect} disabled={!enabled} />
+      </div>
+      {(fileError || uploadError) && (
+        <Alert severity="error">{fileError || uploadError}</Alert>
+      )}
+      <Button variant="contained" size="small" disabled={!canSubmit} onClick={handleSubmit}>
+        {uploading ? '📤 画像をアップロード中...' : 'エアドロップ'}
+      </Button>
+    </div>
+  );
+};
+
+export default AirdropForm;
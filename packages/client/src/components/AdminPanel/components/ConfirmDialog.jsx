@@ -0,0 +1,44 @@
+// Material-UIのダイアログ関連コンポーネントをインポート
+import { Button, Dialog, DialogActions, DialogContent, DialogContentText, DialogTitle } from '@mui/material';
+
+/**
+ * ✋ 管理操作の確認ダイアログ
+ *
+ * 【このコンポーネントの役割】
+ * 料金変更や引き出しなど、取り消せない操作を送信する前に
+ * 「本当に実行しますか？」と内容を確認してもらいます。
+ *
+ * 【初心者向け解説】
+ * - トランザクションは一度ブロックに取り込まれると取り消せない
+ * - MetaMaskの確認画面では関数の引数が読みにくいため、ここで分かりやすく表示する
+ *
+ * @param {Object|null} request - 確認内容（{ title, message, onConfirm }）。nullなら非表示
+ * @param {function} onClose - ダイアログを閉じる関数
+ */
+const ConfirmDialog = ({ request, onClose }) => {
+  // ✅ 「実行する」が押されたら、ダイアログを閉じてから操作を始める
+  const handleConfirm = () => {
+    const { onConfirm } = request;
+    onClose();
+    onConfirm();
+  };
+
+  return (
+    <Dialog open={Boolean(request)} onClose={onClose}>
+      <DialogTitle>{request?.title}</DialogTitle>
+      <DialogContent>
+        <DialogContentText style={{ whiteSpace: 'pre-line' }}>
+          {request?.message}
+        </DialogContentText>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>キャンセル</Button>
+        <Button variant="contained" onClick={handleConfirm} autoFocus>
+          実行する
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ConfirmDialog;
@@ -0,0 +1,98 @@
+// Reactの機能をインポート
+import { useState } from 'react';
+// Ethereumブロックチェーンとの通信ライブラリをインポート（ETH⇔weiの変換）
+import { ethers } from 'ethers';
+// Material-UIのコンポーネントをインポート
+import { Button, TextField } from '@mui/material';
+// 日時の変換
+import { fromDateTimeLocal, nowInSeconds, toDateTimeLocal } from '../../../utils/saleSchedule';
+
+/**
+ * 🔢 ETHの入力欄をweiに変換する（変換できなければ null）
+ * @param {string} value - 入力値（例：'0.01'）
+ * @returns {bigint|null} wei単位の値
+ */
+const parseEth = (value) => {
+  try {
+    return value === '' ? null : ethers.parseEther(value);
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * 📉 ダッチオークションの設定フォーム（PRICE_ADMIN_ROLE が必要）
+ *
+ * 【このコンポーネントの役割】
+ * 開始料金・最低料金・値下げ額・値下げ間隔（分）・値下げを始める日時を入力し、
+ * setDutchAuction で設定します。「オークションをやめる」は全て0で送り、mintPrice の販売に戻します。
+ *
+ * 【料金の決まり方】
+ * 開始料金 - (経過時間 ÷ 値下げ間隔の切り捨て) × 値下げ額（最低料金より下がらない）
+ *
+ * @param {Object|null} dutchAuction - 今の設定（useContract の contractInfo.dutchAuction、入力欄の初期値に使う）
+ * @param {boolean} enabled - PRICE_ADMIN_ROLE を持っているか
+ * @param {boolean} busy - 他の管理操作を送信中かどうか
+ * @param {function} onSubmit - 送信する関数（引数は setDutchAuction の引数の配列と確認用の表示文）
+ */
+const DutchAuctionForm = ({ dutchAuction, enabled, busy, onSubmit }) => {
+  const [startPrice, setStartPrice] = useState(dutchAuction?.startPrice ?? '');
+  const [floorPrice, setFloorPrice] = useState(dutchAuction?.floorPrice ?? '');
+  const [priceDrop, setPriceDrop] = useState(dutchAuction?.priceDrop ?? '');
+  const [intervalMinutes, setIntervalMinutes] = useState(dutchAuction ? String(dutchAuction.dropInterval / 60) : '10');
+  const [startTime, setStartTime] = useState(() => toDateTimeLocal(dutchAuction?.startTime ?? 0));
+
+  const startWei = parseEth(startPrice);
+  const floorWei = parseEth(floorPrice);
+  const dropWei = parseEth(priceDrop);
+  const intervalSeconds = Math.round(Number(intervalMinutes) * 60);
+
+  // 最低料金は開始料金以下、値下げ間隔は1秒以上（コントラクトも InvalidAuctionConfig で拒否する）
+  const isValid = startWei !== null && startWei > 0n
+    && floorWei !== null && floorWei <= startWei
+    && dropWei !== null
+    && Number.isInteger(intervalSeconds) && intervalSeconds > 0;
+
+  const handleSubmit = () => {
+    // 値下げ開始の日時が空欄なら、今からすぐに値下げを始める
+    const auctionStart = fromDateTimeLocal(startTime) || nowInSeconds();
+    onSubmit(
+      [startWei, floorWei, dropWei, intervalSeconds, auctionStart],
+      `${startPrice} ETH から ${intervalMinutes}分ごとに ${priceDrop} ETH ずつ値下げし、${floorPrice} ETH で止めます。\n値下げ開始: ${new Date(auctionStart * 1000).toLocaleString()}`
+    );
+  };
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+      <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap' }}>
+        <TextField size="small" label="開始料金（ETH）" value={startPrice} onChange={(event) => setStartPrice(event.target.value)} disabled={!enabled} />
+        <TextField size="small" label="最低料金（ETH）" value={floorPrice} onChange={(event) => setFloorPrice(event.target.value)} disabled={!enabled} />
+        <TextField size="small" label="値下げ額（ETH）" value={priceDrop} onChange={(event) => setPriceDrop(event.target.value)} disabled={!enabled} />
+        <TextField size="small" label="値下げ間隔（分）" value={intervalMinutes} onChange={(event) => setIntervalMinutes(event.target.value)} disabled={!enabled} />
+        <TextField
+          size="small"
+          type="datetime-local"
+          label="値下げ開始（空欄 = 今すぐ）"
+          value={startTime}
+          onChange={(event) => setStartTime(event.target.value)}
+          InputLabelProps={{ shrink: true }}
+          disabled={!enabled}
+        />
+      </div>
+      <div style={{ display: 'flex', gap: '8px' }}>
+        <Button variant="contained" size="small" disabled={busy || !enabled || !isValid} onClick={handleSubmit}>
+          オークションを設定
+        </Button>
+        <Button
+          size="small"
+          disabled={busy || !enabled || !dutchAuction}
+          onClick={() => onSubmit([0, 0, 0, 0, 0], 'ダッチオークションをやめて、ミント料金（mintPrice）での販売に戻します。')}
+        >
+          オークションをやめる
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default DutchAuctionForm;
@@ -0,0 +1,91 @@
+// Reactの機能をインポート
+import { useState } from 'react';
+// Ethereumブロックチェーンとの通信ライブラリをインポート（アドレス検証）
+import { ethers } from 'ethers';
+// Material-UIのコンポーネントをインポート
+import { Button, TextField } from '@mui/material';
+
+// 📝 入力欄1行分の初期値
+const EMPTY_ROW = { address: '', shares: '' };
+
+/**
+ * 👥 受取人と持ち分の設定フォーム（DEFAULT_ADMIN_ROLE が必要）
+ *
+ * 【このコンポーネントの役割】
+ * 受取人のアドレスと持ち分（例：アーティスト 70・プラットフォーム 30）を入力し、
+ * 分配先（PaymentSplitter コントラクト）の setPayees で入れ替えます。
+ * 分配先が設定されていない場合は使えません（contract の scripts/deployPaymentSplitter.js でデプロイ・設定します）。
+ *
+ * 【まだ受け取っていない額】
+ * 今の受取人に受け取り残しがあっても変更できます。受け取り残しは受取人ごとに取り置かれ（owed）、
+ * 受取人から外れた後も release で受け取れます（新しい受取人への分配には含まれません）。
+ *
+ * @param {Array} payees - 今の受取人（usePaymentSplits の payees、入力欄の初期値に使う）
+ * @param {boolean} enabled - DEFAULT_ADMIN_ROLE を持ち、分配先が設定されているか
+ * @param {boolean} busy - 他の管理操作を送信中かどうか
+ * @param {function} onSubmit - 送信する関数（引数は受取人の配列と持ち分の配列）
+ */
+const PayeesForm = ({ payees, enabled, busy, onSubmit }) => {
+  // 📝 入力中の行（最初は今の受取人を表示）
+  const [rows, setRows] = useState(() => (
+    payees.length > 0
+      ? payees.map((payee) => ({ address: payee.address, shares: String(payee.shares) }))
+      : [EMPTY_ROW]
+  ));
+
+  // ✏️ 1行分の入力を更新
+  const updateRow = (index, changes) => {
+    setRows((prev) => prev.map((row, i) => (i === index ? { ...row, ...changes } : row)));
+  };
+
+  // 空の行は送らない（全て空なら受取人を全て削除する）
+  const filledRows = rows.filter((row) => row.address !== '' || row.shares !== '');
+  const isValid = filledRows.every((row) => ethers.isAddress(row.address) && /^[1-9]\d*$/.test(row.shares));
+
+  const handleSubmit = () => {
+    onSubmit(filledRows.map((row) => row.address), filledRows.map((row) => row.shares));
+  };
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+      {rows.map((row, index) => (
+        <div key={index} style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+          <TextField
+            size="small"
+            label="受取人のアドレス"
+            value={row.address}
+            onChange={(event) => updateRow(index, { address: event.target.value })}
+            error={row.address !== '' && !ethers.isAddress(row.address)}
+            disabled={!enabled}
+            style={{ flex: 1 }}
+          />
+          <TextField
+            size="small"
+            label="持ち分"
+            value={row.shares}
+            onChange={(event) => updateRow(index, { shares: event.target.value })}
+            disabled={!enabled}
+            style={{ width: '90px' }}
+          />
+          <Button
+            size="small"
+            disabled={!enabled}
+            onClick={() => setRows((prev) => prev.filter((_, i) => i !== index))}
+          >
+            削除
+          </Button>
+        </div>
+      ))}
+      <div style={{ display: 'flex', gap: '8px' }}>
+        <Button size="small" disabled={!enabled} onClick={() => setRows((prev) => [...prev, EMPTY_ROW])}>
+          ＋ 受取人を追加
+        </Button>
+        <Button variant="contained" size="small" disabled={busy || !enabled || !isValid} onClick={handleSubmit}>
+          {filledRows.length === 0 ? '受取人を全て削除' : '受取人を設定'}
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default PayeesForm;
@@ -0,0 +1,82 @@
+// Material-UIのコンポーネントをインポート
+import { Button, CircularProgress } from '@mui/material';
+
+// 🎨 表のセルのスタイル
+const cellStyle = { padding: '6px 8px', borderBottom: '1px solid #eee', textAlign: 'left' };
+
+/**
+ * 💸 売上の分配状況（受取人ごとの持ち分・受け取り済み・受け取れる額）
+ *
+ * 【このコンポーネントの役割】
+ * 分配先（PaymentSplitter コントラクト）の受取人ごとに「今いくら受け取れるか」を表示し、
+ * release で送金するボタンを出します。
+ * release は誰が呼び出しても送金先は受取人本人なので、役割は必要ありません。
+ *
+ * @param {boolean} isSplitting - 分配先が設定されているか
+ * @param {Array} payees - 受取人ごとの分配情報（usePaymentSplits の payees）
+ * @param {number} totalShares - 持ち分の合計
+ * @param {boolean} loading - 取得中かどうか
+ * @param {boolean} busy - 他の管理操作を送信中かどうか
+ * @param {function} onRelease - 受取人への送金を始める関数（引数は受取人の情報）
+ */
+const PaymentSplits = ({ isSplitting, payees, totalShares, loading, busy, onRelease }) => {
+  if (loading) {
+    return <CircularProgress size={24} />;
+  }
+
+  if (!isSplitting) {
+    return (
+      <div style={{ fontSize: '0.9em', color: '#666' }}>
+        分配先（PaymentSplitter）は設定されていません。売上は資金管理担当が「売上の引き出し」で受け取ります。
+      </div>
+    );
+  }
+
+  if (payees.length === 0) {
+    return (
+      <div style={{ fontSize: '0.9em', color: '#666' }}>
+        受取人は設定されていません。分配先に届いた売上は、受取人を設定すると持ち分どおりに分配されます。
+      </div>
+    );
+  }
+
+  return (
+    <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.85em' }}>
+      <thead>
+        <tr>
+          <th style={cellStyle}>受取人</th>
+          <th style={cellStyle}>持ち分</th>
+          <th style={cellStyle}>受け取り済み</th>
+          <th style={cellStyle}>受け取れる額</th>
+          <th style={cellStyle} />
+        </tr>
+      </thead>
+      <tbody>
+        {payees.map((payee) => (
+          <tr key={payee.address}>
+            <td style={{ ...cellStyle, fontFamily: 'monospace' }}>
+              {payee.address.slice(0, 6)}...{payee.address.slice(-4)}
+            </td>
+            <td style={cellStyle}>
+              {payee.shares}（{Math.round((payee.shares / totalShares) * 10000) / 100}%）
+            </td>
+            <td style={cellStyle}>{payee.released} ETH</td>
+            <td style={{ ...cellStyle, fontWeight: 'bold' }}>{payee.releasable} ETH</td>
+            <td style={cellStyle}>
+              <Button
+                size="small"
+                variant="outlined"
+                disabled={busy || !payee.hasPaymentDue}
+                onClick={() => onRelease(payee)}
+              >
+                送金
+              </Button>
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+};
+
+export default PaymentSplits;
@@ -0,0 +1,101 @@
+// Reactの機能をインポート
+import { useState } from 'react';
+// Ethereumブロックチェーンとの通信ライブラリをインポート（アドレス検証・単位変換）
+import { ethers } from 'ethers';
+// Material-UIのコンポーネントをインポート
+import { Button, TextField } from '@mui/material';
+// ERC-20トークンの読み取り用ABI
+import { ERC20_ABI } from '../../../utils/erc20';
+
+/**
+ * 🪙 支払いトークンの設定フォーム（PRICE_ADMIN_ROLE が必要）
+ *
+ * 【このコンポーネントの役割】
+ * ミント料金の支払いに使えるERC-20トークンと、トークンごとの料金を設定します。
+ * 料金は「1 USDC」のように入力し、トークンの decimals を読み出して最小単位に変換してから送ります。
+ *
+ * 【注意】
+ * 一覧から削除したトークンの売上も withdrawToken で引き出せますが、この画面には表示されなくなります。
+ * 削除する前に「売上の引き出し」から引き出しておくと確実です。
+ *
+ * @param {Array} paymentTokens - 今の支払いトークン（useContract の contractInfo.paymentTokens）
+ * @param {boolean} enabled - PRICE_ADMIN_ROLE を持っているか
+ * @param {boolean} busy - 他の管理操作を送信中かどうか
+ * @param {function} onSubmit - 送信する関数（引数はトークンのアドレス・最小単位の料金・確認用の表示文）
+ */
+const PaymentTokensForm = ({ paymentTokens, enabled, busy, onSubmit }) => {
+  const [address, setAddress] = useState('');
+  const [price, setPrice] = useState('');
+  const [formError, setFormError] = useState(null);
+
+  const isValid = ethers.isAddress(address) && price !== '' && Number(price) > 0;
+
+  // ➕ トークンの追加・料金の変更（decimals を読み出して最小単位に変換）
+  const handleSubmit = async () => {
+    setFormError(null);
+    try {
+      const provider = new ethers.BrowserProvider(window.ethereum);
+      const token = new ethers.Contract(address, ERC20_ABI, provider);
+      const [symbol, decimals] = await Promise.all([token.symbol(), token.decimals()]);
+      onSubmit(address, ethers.parseUnits(price, decimals), `${symbol} の料金を ${price} ${symbol} に設定します。\n${address}`, () => {
+        setAddress('');
+        setPrice('');
+      });
+    } catch (readError) {
+      console.error('❌ トークン情報の取得エラー:', readError);
+      setFormError('ERC-20トークンの情報を読み取れませんでした。アドレスとネットワークを確認してください');
+    }
+  };
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+      {paymentTokens.length === 0 && (
+        <div style={{ fontSize: '0.9em', color: '#666' }}>
+          支払いに使えるトークンはありません（ETHのみ）
+        </div>
+      )}
+      {paymentTokens.map((token) => (
+        <div key={token.address} style={{ display: 'flex', gap: '8px', alignItems: 'center', fontSize: '0.9em' }}>
+          <span style={{ flex: 1, wordBreak: 'break-all' }}>
+            <strong>{token.symbol}</strong>：{token.price} {token.symbol}
+            <span style={{ color: '#666' }}>（{token.address}）</span>
+          </span>
+          <Button
+            size="small"
+            disabled={busy || !enabled}
+            onClick={() => onSubmit(token.address, 0n, `${token.symbol} を支払いトークンから削除します。\n${token.address}`)}
+          >
+            削除
+          </Button>
+        </div>
+      ))}
+      <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+        <TextField
+          size="small"
+          label="トークンのアドレス"
+          value={address}
+          onChange={(event) => setAddress(event.target.value)}
+          error={address !== '' && !ethers.isAddress(address)}
+          disabled={!enabled}
+          style={{ flex: 1 }}
+        />
+        <TextField
+          size="small"
+          label="料金（トークン単位）"
+          value={price}
+          onChange={(event) => setPrice(event.target.value)}
+          disabled={!enabled}
+          style={{ width: '150px' }}
+        />
+        <Button variant="contained" size="small" disabled={busy || !enabled || !isValid} onClick={handleSubmit}>
+          設定
+        </Button>
+      </div>
+      {formError && (
+        <div style={{ fontSize: '0.8em', color: '#d32f2f' }}>{formError}</div>
+      )}
+    </div>
+  );
+};
+
+export default PaymentTokensForm;
@@ -0,0 +1,66 @@
+// Reactの機能をインポート
+import { useState } from 'react';
+// Material-UIのコンポーネントをインポート
+import { Button, TextField } from '@mui/material';
+// 日時の変換
+import { fromDateTimeLocal, toDateTimeLocal } from '../../../utils/saleSchedule';
+
+/**
+ * ⏰ 販売期間の設定フォーム（PAUSER_ROLE が必要）
+ *
+ * 【このコンポーネントの役割】
+ * 販売開始・終了の日時を入力し、setSaleWindow で設定します。
+ * 日時はブラウザのタイムゾーンで入力し、Unixタイムスタンプ（秒）に変換して送ります。
+ * 空欄は「制限なし」（開始 = すぐに開始、終了 = 終了なし）です。
+ *
+ * @param {number} saleStart - 今の販売開始日時（秒、入力欄の初期値に使う）
+ * @param {number} saleEnd - 今の販売終了日時（秒）
+ * @param {boolean} enabled - PAUSER_ROLE を持っているか
+ * @param {boolean} busy - 他の管理操作を送信中かどうか
+ * @param {function} onSubmit - 送信する関数（引数は開始・終了のUnixタイムスタンプ）
+ */
+const SaleWindowForm = ({ saleStart, saleEnd, enabled, busy, onSubmit }) => {
+  const [start, setStart] = useState(() => toDateTimeLocal(saleStart));
+  const [end, setEnd] = useState(() => toDateTimeLocal(saleEnd));
+
+  // 終了日時は開始日時より後でなければならない（コントラクトも InvalidSaleWindow で拒否する）
+  const startTime = fromDateTimeLocal(start);
+  const endTime = fromDateTimeLocal(end);
+  const isValid = endTime === 0 || endTime > startTime;
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+      <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap' }}>
+        <TextField
+          size="small"
+          type="datetime-local"
+          label="販売開始（空欄 = すぐに開始）"
+          value={start}
+          onChange={(event) => setStart(event.target.value)}
+          InputLabelProps={{ shrink: true }}
+          disabled={!enabled}
+        />
+        <TextField
+          size="small"
+          type="datetime-local"
+          label="販売終了（空欄 = 終了なし）"
+          value={end}
+          onChange={(event) => setEnd(event.target.value)}
+          error={!isValid}
+          InputLabelProps={{ shrink: true }}
+          disabled={!enabled}
+        />
+      </div>
+      <div style={{ display: 'flex', gap: '8px' }}>
+        <Button variant="contained" size="small" disabled={busy || !enabled || !isValid} onClick={() => onSubmit(startTime, endTime)}>
+          販売期間を設定
+        </Button>
+        <Button size="small" disabled={busy || !enabled} onClick={() => onSubmit(0, 0)}>
+          制限をなくす
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default SaleWindowForm;
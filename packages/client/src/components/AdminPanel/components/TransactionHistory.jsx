@@ -0,0 +1,51 @@
+// Material-UIのコンポーネントをインポート
+import { Chip } from '@mui/material';
+
+// 🏷️ トランザクションの状態ごとの表示名と色
+const STATUS_LABELS = {
+  signing: { label: '署名待ち', color: 'default' },
+  pending: { label: '承認待ち', color: 'info' },
+  confirmed: { label: '完了', color: 'success' },
+  failed: { label: '失敗', color: 'error' }
+};
+
+/**
+ * 📜 管理操作のトランザクション履歴
+ *
+ * 【このコンポーネントの役割】
+ * 送信した管理操作が「署名待ち → 承認待ち → 完了/失敗」のどこにいるかを表示し、
+ * ハッシュが分かった時点でエクスプローラーへのリンクを出します。
+ *
+ * @param {Array} transactions - トランザクションの履歴（useAdminActions の transactions）
+ */
+const TransactionHistory = ({ transactions }) => {
+  if (transactions.length === 0) return null;
+
+  return (
+    <div style={{ marginBottom: '15px', textAlign: 'left' }}>
+      {transactions.map((tx) => {
+        const status = STATUS_LABELS[tx.status];
+        return (
+          <div
+            key={tx.id}
+            style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '0.85em', marginBottom: '6px' }}
+          >
+            <Chip size="small" label={status.label} color={status.color} />
+            <span>{tx.label}</span>
+            {tx.explorerUrl && (
+              <a href={tx.explorerUrl} target="_blank" rel="noopener noreferrer" style={{ fontFamily: 'monospace' }}>
+                {tx.hash.slice(0, 10)}...
+              </a>
+            )}
+            {!tx.explorerUrl && tx.hash && (
+              <span style={{ fontFamily: 'monospace', color: '#666' }}>{tx.hash.slice(0, 10)}...</span>
+            )}
+            {tx.blockNumber && <span style={{ color: '#666' }}>（ブロック {tx.blockNumber}）</span>}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default TransactionHistory;
@@ -4,6 +4,8 @@ import { Collections as CollectionsIcon, OpenInNew as OpenInNewIcon } from '@mui
 import { Box, Button, Typography } from '@mui/material';
 // NFTマーケットプレイスのURL生成ユーティリティをインポート
 import { getNFTMarketplaceUrls } from '../../utils/ipfsService';
+// 対応ネットワークの一覧（マーケットプレイスの対応状況の確認用）
+import { DEFAULT_NETWORK, NETWORKS } from '../../utils/networks';
 
 /**
  * 🎨 NFTマーケットプレイス連携ボタン群コンポーネント
@@ -30,9 +32,10 @@ import { getNFTMarketplaceUrls } from '../../utils/ipfsService';
  * - props = 親コンポーネントから受け取る設定値
  * - contractAddress = NFTコントラクトのアドレス（住所のようなもの）
  * - networkName = ブロックチェーンネットワークの名前
+ * - 対応していないマーケットプレイス（例：HoleskyのOpenSea）のボタンは表示しない
  *
  * @param {string} contractAddress - NFTコントラクトのアドレス
- * @param {string} networkName - ネットワーク名（デフォルト: 'sepolia'）
+ * @param {string} networkName - ネットワークのキー（packages/networks、デフォルト: REACT_APP_NETWORK_NAME）
  * @param {string} variant - ボタンのスタイル
  * @param {string} size - ボタンのサイズ
  * @param {boolean} fullWidth - 全幅表示するかどうか
@@ -40,13 +43,16 @@ import { getNFTMarketplaceUrls } from '../../utils/ipfsService';
  */
 const MarketplaceButtons = ({
   contractAddress,
-  networkName = 'sepolia',
+  networkName = DEFAULT_NETWORK.key,
   variant = 'contained',
   size = 'medium',
   fullWidth = false,
   sx = {}
 }) => {
 
+  // 🌐 ネットワーク設定（マーケットプレイスの対応状況）
+  const network = NETWORKS[networkName] || DEFAULT_NETWORK;
+
   // 🎯 マーケットプレイスボタンクリック時の処理関数
   const handleMarketplaceClick = (platform) => {
     // 🖥️ デバッグ情報をコンソールに出力
@@ -99,7 +105,9 @@ const MarketplaceButtons = ({
 
       case 'search':
         // 🔍 検索機能（複数のマーケットプレイスで検索）
-        const searchUrl = urls.search.opensea_testnet_search;
+        const searchUrl = network.testnet
+          ? urls.search.opensea_testnet_search
+          : urls.search.opensea_search;
         targetUrl = searchUrl;
         console.log('🔍 Opening marketplace search:', targetUrl);
         console.log('💡 Other search options:', urls.search);
@@ -149,7 +157,7 @@ const MarketplaceButtons = ({
 
       <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', justifyContent: 'center' }}>
         {/* OpenSea ボタン */}
-        <Button
+        {network.marketplaces.opensea && <Button
           variant="contained"
           size={size}
           onClick={() => handleMarketplaceClick('opensea')}
@@ -171,10 +179,10 @@ const MarketplaceButtons = ({
           }}
         >
           OpenSea
-        </Button>
+        </Button>}
 
         {/* Gemcase ボタン */}
-        <Button
+        {network.marketplaces.gemcase && <Button
           variant="contained"
           size={size}
           onClick={() => handleMarketplaceClick('gemcase')}
@@ -196,7 +204,7 @@ const MarketplaceButtons = ({
           }}
         >
           Gemcase
-        </Button>
+        </Button>}
 
         {/* 検索ボタン */}
         <Button
@@ -224,8 +232,8 @@ const MarketplaceButtons = ({
           検索
         </Button>
 
-        {/* Etherscan ボタン */}
-        <Button
+        {/* Etherscan ボタン（ブロックエクスプローラーがあるネットワークのみ） */}
+        {network.explorerUrl && <Button
           variant="outlined"
           size={size}
           onClick={() => handleMarketplaceClick('etherscan')}
@@ -248,7 +256,7 @@ const MarketplaceButtons = ({
           }}
         >
           Etherscan
-        </Button>
+        </Button>}
       </Box>
 
       <Typography
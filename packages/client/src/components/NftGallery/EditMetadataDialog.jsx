@@ -0,0 +1,90 @@
+// Reactの機能をインポート
+import { useEffect, useState } from 'react';
+// Material-UIのダイアログ関連コンポーネントをインポート
+import { Button, Dialog, DialogActions, DialogContent, DialogContentText, DialogTitle, TextField } from '@mui/material';
+// 名前・説明の文字数の上限
+import { MAX_DESCRIPTION_LENGTH, MAX_NAME_LENGTH } from '../../utils/nftMetadata';
+
+/**
+ * ✏️ NFTメタデータの編集ダイアログ
+ *
+ * 【このコンポーネントの役割】
+ * 自分が作成したNFTの名前と説明を修正するフォームです。
+ * 画像・外部リンク・属性は元のメタデータをそのまま引き継ぎます。
+ *
+ * 【初心者向け解説】
+ * - 保存すると新しいメタデータがIPFSにアップロードされ、トークンURIが差し替わる
+ * - マーケットプレイスの表示が変わるまで少し時間がかかることがある
+ *
+ * @param {Object|null} nft - 編集するNFT（useOwnedNfts の一覧の1件）。nullなら非表示
+ * @param {boolean} saving - 送信中かどうか
+ * @param {function} onSave - 保存ボタンの処理（引数は { name, description }）
+ * @param {function} onClose - ダイアログを閉じる関数
+ */
+const EditMetadataDialog = ({ nft, saving, onSave, onClose }) => {
+  const [name, setName] = useState('');
+  const [description, setDescription] = useState('');
+
+  // 📝 開いた時に今の名前と説明を入れておく
+  useEffect(() => {
+    if (nft) {
+      setName(nft.name);
+      setDescription(nft.description);
+    }
+  }, [nft]);
+
+  // ✅ 入力値のチェック（ミント時のフォームと同じ上限）
+  const nameError = name.trim().length === 0
+    ? 'NFT名を入力してください'
+    : name.trim().length > MAX_NAME_LENGTH ? `NFT名は${MAX_NAME_LENGTH}文字以内で入力してください` : null;
+  const descriptionError = description.trim().length === 0
+    ? '説明を入力してください'
+    : description.trim().length > MAX_DESCRIPTION_LENGTH ? `説明は${MAX_DESCRIPTION_LENGTH}文字以内で入力してください` : null;
+  const unchanged = nft && name.trim() === nft.name && description.trim() === nft.description;
+
+  return (
+    <Dialog open={Boolean(nft)} onClose={saving ? undefined : onClose} fullWidth maxWidth="sm">
+      <DialogTitle>✏️ メタデータを編集（Token ID: {nft?.tokenId}）</DialogTitle>
+      <DialogContent>
+        <DialogContentText style={{ fontSize: '0.9em', marginBottom: '10px' }}>
+          新しいメタデータをIPFSにアップロードし、トークンURIを差し替えます（ガス代がかかります）。
+          画像・外部リンク・属性はそのまま引き継ぎます。
+        </DialogContentText>
+        <TextField
+          label="NFT名"
+          value={name}
+          onChange={(event) => setName(event.target.value)}
+          error={Boolean(nameError)}
+          helperText={nameError || ' '}
+          disabled={saving}
+          fullWidth
+          margin="dense"
+        />
+        <TextField
+          label="説明"
+          value={description}
+          onChange={(event) => setDescription(event.target.value)}
+          error={Boolean(descriptionError)}
+          helperText={descriptionError || ' '}
+          disabled={saving}
+          fullWidth
+          multiline
+          minRows={3}
+          margin="dense"
+        />
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={saving}>キャンセル</Button>
+        <Button
+          variant="contained"
+          onClick={() => onSave({ name, description })}
+          disabled={saving || Boolean(nameError) || Boolean(descriptionError) || unchanged}
+        >
+          {saving ? '保存中...' : '保存する'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default EditMetadataDialog;
@@ -0,0 +1,251 @@
+// Reactの機能をインポート
+import { useCallback, useMemo, useState } from 'react';
+// Material-UIのコンポーネントをインポート
+import { Alert, Button, CircularProgress } from '@mui/material';
+// 所有NFTの一覧を取得するカスタムフック
+import useOwnedNfts from '../../hooks/useOwnedNfts';
+// NFTをバーン（焼却）するカスタムフック
+import useBurnNft from '../../hooks/useBurnNft';
+// NFTのメタデータを編集・確定するカスタムフック
+import useEditNftMetadata from '../../hooks/useEditNftMetadata';
+// メタデータの編集ダイアログ
+import EditMetadataDialog from './EditMetadataDialog';
+// マーケットプレイスのURLを生成する関数
+import { getNFTMarketplaceUrls } from '../../utils/ipfsService';
+
+/**
+ * 🖼️ マイNFTギャラリーコンポーネント
+ *
+ * 【このコンポーネントの役割】
+ * このコンポーネントは「自分専用の美術館」のような役割を果たします。
+ * 接続中のウォレットが所有しているNFTと、自分が作成したNFT（引換券で売った・配ったものなど）を一覧で表示し、
+ * それぞれの画像・名前・トークンIDとマーケットプレイスへのリンクを提供します。
+ *
+ * 【主な機能】
+ * 1. 所有NFTの一覧表示 - カード形式のグリッドレイアウト
+ * 2. 画像の表示 - ipfs:// の画像もHTTPSゲートウェイ経由で表示
+ * 3. マーケットプレイスリンク - OpenSea / Gemcase / Etherscan
+ * 4. 再読み込み - ミント後や転送後に最新の状態を取得
+ * 5. バーン - 不要になったNFTを焼却（確認ダイアログあり・取り消し不可）
+ * 6. メタデータの編集 - 自分が作成したNFTの名前・説明を修正し、確定（凍結）する
+ *    （所有していなくても作成者なら一覧に表示され、編集できる。バーンは所有者のみ）
+ *
+ * 【初心者向け解説】
+ * - グリッド = 縦横に整列したレイアウト
+ * - loading="lazy" = 画面に表示されるまで画像の読み込みを遅らせる設定
+ *
+ * @param {string} currentAccount - 現在接続中のウォレットアドレス
+ * @param {*} refreshKey - 値が変わると一覧を再取得する（ミント完了時など）
+ * @param {Object|null} network - 接続中のネットワーク（useWallet の network）
+ * @param {function} [onBurned] - バーンが完了した後に呼ぶ関数（発行数の表示の更新など）
+ */
+const NftGallery = ({ currentAccount, refreshKey, network, onBurned }) => {
+  const { nfts, loading, error, refresh, contractAddress } = useOwnedNfts(currentAccount, refreshKey, network);
+  const networkName = network?.key;
+  const ownedCount = nfts.filter((nft) => nft.owned).length;
+
+  // 🔥 バーンが完了したら一覧を取り直す
+  const handleBurned = useCallback(() => {
+    refresh();
+    if (onBurned) onBurned();
+  }, [refresh, onBurned]);
+  const { burnNft, burningTokenId, error: burnError, clearError: clearBurnError } = useBurnNft(handleBurned);
+
+  // ✏️ メタデータの編集・確定（完了したら一覧を取り直す）
+  const [editingNft, setEditingNft] = useState(null);
+  const {
+    updateMetadata,
+    freezeMetadata,
+    savingTokenId,
+    error: editError,
+    clearError: clearEditError
+  } = useEditNftMetadata(refresh);
+  const handleSaveMetadata = useCallback(async (changes) => {
+    if (await updateMetadata(editingNft, changes)) {
+      setEditingNft(null);
+    }
+  }, [editingNft, updateMetadata]);
+  const busy = burningTokenId !== null || savingTokenId !== null;
+
+  // 🔗 トークンごとのマーケットプレイスURL（一覧が変わった時だけ再生成）
+  const marketplaceUrls = useMemo(() => Object.fromEntries(
+    nfts.map((nft) => [nft.tokenId, getNFTMarketplaceUrls(contractAddress, networkName, nft.tokenId)?.token])
+  ), [nfts, contractAddress, networkName]);
+
+  // 📋 表示条件チェック：ウォレット未接続なら何も表示しない
+  if (!currentAccount) {
+    return null;
+  }
+
+  return (
+    <div style={{ margin: '20px 0' }}>
+      {/* 🏷️ ヘッダー（件数と再読み込みボタン） */}
+      <div style={{
+        display: 'flex',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        marginBottom: '15px'
+      }}>
+        <h3 style={{ margin: 0 }}>
+          🖼️ マイNFT（{ownedCount}件{nfts.length > ownedCount && `・作成者として編集できるNFT ${nfts.length - ownedCount}件`}）
+        </h3>
+        <Button size="small" variant="outlined" onClick={refresh} disabled={loading}>
+          🔄 再読み込み
+        </Button>
+      </div>
+
+      {/* ❌ エラー表示 */}
+      {error && (
+        <Alert severity="warning" style={{ marginBottom: '15px' }}>
+          {error}
+        </Alert>
+      )}
+
+      {burnError && (
+        <Alert severity="error" onClose={clearBurnError} style={{ marginBottom: '15px' }}>
+          {burnError}
+        </Alert>
+      )}
+
+      {editError && (
+        <Alert severity="error" onClose={clearEditError} style={{ marginBottom: '15px' }}>
+          {editError}
+        </Alert>
+      )}
+
+      {/* ⏳ 読み込み中 */}
+      {loading && (
+        <div style={{ textAlign: 'center', padding: '20px' }}>
+          <CircularProgress size={32} />
+        </div>
+      )}
+
+      {/* 📭 NFTが1つもない場合 */}
+      {!loading && nfts.length === 0 && !error && (
+        <div style={{ textAlign: 'center', color: '#666', padding: '20px' }}>
+          まだNFTを所有していません。「NFTを作成」タブから作成してみましょう！
+        </div>
+      )}
+
+      {/* 🗂️ NFTカードのグリッド */}
+      {!loading && nfts.length > 0 && (
+        <div style={{
+          display: 'grid',
+          gridTemplateColumns: 'repeat(auto-fill, minmax(180px, 1fr))',
+          gap: '15px'
+        }}>
+          {nfts.map((nft) => {
+            const tokenUrls = marketplaceUrls[nft.tokenId];
+
+            return (
+              <div
+                key={nft.tokenId}
+                style={{
+                  border: '1px solid #dee2e6',
+                  borderRadius: '8px',
+                  overflow: 'hidden',
+                  backgroundColor: '#fff',
+                  textAlign: 'left'
+                }}
+              >
+                {/* 🖼️ NFT画像 */}
+                {nft.image ? (
+                  <img
+                    src={nft.image}
+                    alt={nft.name}
+                    loading="lazy"
+                    style={{
+                      width: '100%',
+                      aspectRatio: '1 / 1',
+                      objectFit: 'cover',
+                      backgroundColor: '#f5f5f5'
+                    }}
+                  />
+                ) : (
+                  <div style={{
+                    width: '100%',
+                    aspectRatio: '1 / 1',
+                    display: 'flex',
+                    alignItems: 'center',
+                    justifyContent: 'center',
+                    backgroundColor: '#f5f5f5',
+                    color: '#999'
+                  }}>
+                    画像なし
+                  </div>
+                )}
+
+                {/* 📝 名前とトークンID */}
+                <div style={{ padding: '10px' }}>
+                  <div style={{
+                    fontWeight: 'bold',
+                    overflow: 'hidden',
+                    textOverflow: 'ellipsis',
+                    whiteSpace: 'nowrap'
+                  }}>
+                    {nft.name}
+                  </div>
+                  <div style={{ fontSize: '0.8em', color: '#666', marginBottom: '8px' }}>
+                    Token ID: {nft.tokenId}
+                    {nft.frozen && <span title="メタデータは確定済みで、今後変更されません">（🧊 確定済み）</span>}
+                    {!nft.owned && <span title="所有者は他の人ですが、作成者としてメタデータを編集できます">（✍️ 作成者）</span>}
+                  </div>
+
+                  {/* 🔗 マーケットプレイスリンク */}
+                  {tokenUrls && (
+                    <div style={{ display: 'flex', gap: '8px', fontSize: '0.8em', flexWrap: 'wrap' }}>
+                      {/* 対応していないネットワークのリンクは表示しない */}
+                      {tokenUrls.opensea && (
+                        <a href={tokenUrls.opensea} target="_blank" rel="noopener noreferrer">OpenSea</a>
+                      )}
+                      {tokenUrls.gemcase && (
+                        <a href={tokenUrls.gemcase} target="_blank" rel="noopener noreferrer">Gemcase</a>
+                      )}
+                      {tokenUrls.etherscan && (
+                        <a href={tokenUrls.etherscan} target="_blank" rel="noopener noreferrer">Etherscan</a>
+                      )}
+                    </div>
+                  )}
+
+                  {/* 🔥 バーンボタン（所有者のみ・取り消せないので確認ダイアログを出す） */}
+                  {nft.owned && (
+                    <Button
+                      size="small"
+                      color="error"
+                      onClick={() => burnNft(nft.tokenId, nft.name)}
+                      disabled={busy}
+                      style={{ marginTop: '8px' }}
+                    >
+                      {burningTokenId === nft.tokenId ? 'バーン中...' : '🔥 バーン'}
+                    </Button>
+                  )}
+
+                  {/* ✏️ メタデータの編集・確定（作成者で、まだ確定していない場合のみ） */}
+                  {nft.editable && (
+                    <div style={{ display: 'flex', gap: '4px', flexWrap: 'wrap', marginTop: nft.owned ? 0 : '8px' }}>
+                      <Button size="small" onClick={() => setEditingNft(nft)} disabled={busy}>
+                        ✏️ 編集
+                      </Button>
+                      <Button size="small" onClick={() => freezeMetadata(nft.tokenId, nft.name)} disabled={busy}>
+                        {savingTokenId === nft.tokenId && !editingNft ? '確定中...' : '🧊 確定'}
+                      </Button>
+                    </div>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      <EditMetadataDialog
+        nft={editingNft}
+        saving={editingNft !== null && savingTokenId === editingNft.tokenId}
+        onSave={handleSaveMetadata}
+        onClose={() => setEditingNft(null)}
+      />
+    </div>
+  );
+};
+
+export default NftGallery;
@@ -1,16 +1,25 @@
 // Reactの機能をインポート（useCallbackは関数を最適化するために使用）
-import { useCallback } from 'react';
+import { useCallback, useState } from 'react';
+// Ethereumブロックチェーンとの通信ライブラリ（料金の単位変換に使用）
+import { ethers } from 'ethers';
 
 // 自作のカスタムフック（独自に作った便利な機能）をインポート
 import useContract from '../../hooks/useContract'; // スマートコントラクトとの通信を管理
+import useFiatRates from '../../hooks/useFiatRates'; // ETHの法定通貨レート（価格の目安表示用）
+import useRelayer from '../../hooks/useRelayer'; // ガスレスミントのリレイヤー
+import useRoles from '../../hooks/useRoles'; // 接続中のウォレットが持つ役割（管理画面用）
 import useWallet from '../../hooks/useWallet'; // MetaMaskウォレットとの接続を管理
-import { isPinataAvailable } from '../../utils/ipfsService'; // IPFS（分散ストレージ）の利用可能性をチェック
+import { SALE_PHASE } from '../../utils/allowlist'; // 販売フェーズの定数
+import { getIPFSProvider, IPFS_PROVIDERS } from '../../utils/ipfsService'; // IPFS（分散ストレージ）のプロバイダー判定
+import { isSvgFile } from '../../utils/svg'; // オンチェーン保存できるSVGかの判定
+import { DEFAULT_EDITION_SIZE, validateEditionSize } from '../../utils/nftMetadata'; // エディションの発行枚数
 
 // UIコンポーネント（画面の見た目を担当）をインポート
 import NftUploaderLayout from './components/NftUploaderLayout';
 
 // ファイルアップロードとNFTミント（作成）の機能をインポート
 import useFileUpload from './hooks/useFileUpload'; // ファイルのアップロード処理を管理
+import useMetadataForm from './hooks/useMetadataForm'; // NFTの名前・説明・属性の入力フォームを管理
 import useNftMinting from './hooks/useNftMinting'; // NFTの作成処理を管理
 
 // CSSスタイルファイルをインポート（見た目の装飾）
@@ -45,7 +54,9 @@ const NftUploader = () => {
     error: walletError,  // ウォレット関連のエラーメッセージ
     networkError,        // ネットワーク（Ethereum、Sepoliaなど）関連のエラー
     connectWallet,       // ウォレットに接続する関数
-    switchToSepolia,     // Sepoliaテストネットに切り替える関数
+    network,             // 接続中のネットワーク（packages/networks の1件、対応外ならnull）
+    supportedNetworks,   // コントラクトがデプロイされたネットワークの一覧
+    switchNetwork,       // ネットワークを切り替える関数
     setError: setWalletError,  // ウォレットエラーを設定する関数
     isPending: walletPending   // ウォレット処理が進行中かどうか
   } = useWallet();
@@ -54,42 +65,125 @@ const NftUploader = () => {
   // useContract()は、ブロックチェーン上のスマートコントラクトとの通信を管理
   const {
     contractInfo,        // コントラクトの情報（価格、供給量など）
+    contractStats,       // 発行状況の統計（残り発行数、進捗率など）
     loading: contractLoading,    // コントラクト情報を読み込み中かどうか
     error: contractError,        // コントラクト関連のエラーメッセージ
     refetchContractInfo,         // コントラクト情報を再取得する関数
     isPending: contractPending   // コントラクト処理が進行中かどうか
-  } = useContract(currentAccount);
+  } = useContract(currentAccount, network);
+
+  // 💱 ミント価格の目安（円・ドル）を表示するためのETHレート
+  const fiatRates = useFiatRates();
+
+  // 🔑 接続中のウォレットが持っている役割（ロール）を取得
+  // 何か役割を持っている場合だけ「管理」タブを表示する
+  const {
+    roles,                       // 役割のキー → 持っているかどうか
+    hasAnyRole,                  // 何か1つでも役割を持っているか
+    loading: rolesLoading,       // 役割を取得中かどうか
+    refetchRoles                 // 役割を再取得する関数
+  } = useRoles(currentAccount, network);
+
+  // 🛠️ 管理操作の完了後に、コントラクト情報と役割を再取得する
+  const handleAdminUpdated = useCallback(() => {
+    refetchContractInfo();
+    refetchRoles();
+  }, [refetchContractInfo, refetchRoles]);
 
   // 📁 ファイルアップロード関連の機能を取得
   // useFileUpload()は、ユーザーが選択した画像ファイルの管理を行う
   const {
-    selectedFile,        // ユーザーが選択した画像ファイル
+    selectedFile,        // ユーザーが選択した画像ファイル（先頭の1件）
+    selectedFiles,       // ユーザーが選択した全ての画像ファイル
+    rejectedFiles,       // 検証で除外されたファイルと理由
+    maxFiles,            // 一度に選択できるファイル数の上限
     error: fileError,    // ファイル関連のエラーメッセージ
     handleFileSelect,    // ファイル選択時の処理関数
     handleDragOver,      // ファイルをドラッグしている時の処理関数
     handleDrop,          // ファイルをドロップした時の処理関数
+    removeFile,          // 選択したファイルを1件取り除く関数
     clearFile           // 選択したファイルをクリアする関数
   } = useFileUpload();
 
+  // 📝 メタデータ（名前・説明・外部URL・属性）の入力フォーム
+  // ファイルが選ばれると、ファイル名から初期値が自動入力されます
+  const metadataForm = useMetadataForm(selectedFiles);
+  const { metadata, isValid: isMetadataValid, resetForm } = metadataForm;
+
+  // 🖋️ オンチェーン保存モード（SVGを1件だけ選んだ時のみ選択可能）
+  // ONにすると、IPFSを使わずSVGそのものをブロックチェーンに保存します
+  const [onChainRequested, setOnChainRequested] = useState(false);
+  const canMintOnChain = selectedFiles.length === 1 && isSvgFile(selectedFiles[0]);
+  const onChain = canMintOnChain && onChainRequested;
+
+  // 🪙 支払い方法（空文字 = ETH、アドレス = そのERC-20トークン）
+  // トークン払いは一般販売中に画像を1件だけIPFSでミントする時のみ選択可能
+  const [paymentTokenRequested, setPaymentTokenRequested] = useState('');
+  const paymentTokens = contractInfo?.paymentTokens ?? [];
+  const canPayWithToken = paymentTokens.length > 0
+    && selectedFiles.length === 1
+    && !onChain
+    && contractInfo?.salePhase === SALE_PHASE.PUBLIC;
+  const paymentToken = canPayWithToken && paymentTokenRequested ? paymentTokenRequested : null;
+
+  // 🔒 転送できないNFT（ソウルバウンド、一般販売中に画像を1件だけIPFS・ETH払いでミントする時のみ選択可能）
+  // 修了証・参加証明など、受け取った本人が持ち続けることに意味があるNFT向け
+  const [soulboundRequested, setSoulboundRequested] = useState(false);
+  const canMintSoulbound = selectedFiles.length === 1
+    && !onChain
+    && !paymentToken
+    && contractInfo?.salePhase === SALE_PHASE.PUBLIC;
+  const soulbound = canMintSoulbound && soulboundRequested;
+
+  // 🔢 番号付きエディション（一般販売中に画像を1件だけIPFS・ETH払いでミントする時のみ選択可能）
+  // 同じ作品を決まった枚数だけまとめて発行し、各NFTのメタデータに「#k/N」を入れます
+  const [editionRequested, setEditionRequested] = useState(false);
+  const [editionSizeInput, setEditionSizeInput] = useState(String(DEFAULT_EDITION_SIZE));
+  const canMintEdition = selectedFiles.length === 1
+    && !onChain
+    && !paymentToken
+    && !soulbound
+    && contractInfo?.salePhase === SALE_PHASE.PUBLIC;
+  const edition = canMintEdition && editionRequested;
+  const editionSizeError = edition ? validateEditionSize(editionSizeInput) : null;
+  const editionSize = edition && !editionSizeError ? Number(editionSizeInput) : null;
+
+  // ⛽ ガスレスミント（リレイヤーが使え、画像を1件だけETH払いでミントする時のみ選択可能）
+  // ONにすると、署名だけでミントでき、ガス代（とリレイヤーの上限までのミント料金）はリレイヤーが払います
+  const { relayerInfo } = useRelayer(network);
+  const [gaslessRequested, setGaslessRequested] = useState(false);
+  const gaslessPrice = contractInfo?.salePhase === SALE_PHASE.PRESALE
+    ? contractInfo?.presalePrice
+    : contractInfo?.currentPrice;
+  const canMintGasless = Boolean(relayerInfo)
+    && selectedFiles.length === 1
+    && !paymentToken
+    && gaslessPrice !== undefined
+    && ethers.parseEther(gaslessPrice) * ethers.toBigInt(editionSize || 1) <= relayerInfo.maxSponsoredValue;
+  const gasless = canMintGasless && gaslessRequested;
+
   // 🎨 NFTミント（作成）関連の機能を取得
   // useNftMinting()は、実際にNFTを作成する処理を管理
   const {
     uploading,           // NFT作成処理中かどうかの状態
     loadingStep,         // 現在の処理ステップ（「アップロード中」「ミント中」など）
     loadingProgress,     // 処理の進捗状況（0-100%）
+    batchItems,          // バッチミント時の各ファイルの進捗
     mintedNftInfo,       // 作成完了したNFTの情報
     error: mintError,    // NFT作成時のエラーメッセージ
     success,             // 成功メッセージ
     isPending: mintPending,      // NFT作成処理が進行中かどうか
     mintNFT,             // NFTを作成する関数
+    mintNFTBatch,        // 複数のNFTをまとめて作成する関数
     clearMintedInfo,     // 作成済みNFT情報をクリアする関数
     clearError: clearMintError   // NFT作成エラーをクリアする関数
   } = useNftMinting();
 
   // 🌐 IPFS（分散ストレージ）の利用状況をチェック
   // IPFSは画像ファイルを分散型ネットワークに保存するサービス
-  // true = 実際のIPFSサービス（Pinata）を使用、false = テスト用のモック使用
-  const isUsingRealIPFS = isPinataAvailable();
+  // true = 実際のIPFSサービス（Pinata / ローカルのKubo）を使用、false = テスト用のモック使用
+  const ipfsProvider = getIPFSProvider();
+  const isUsingRealIPFS = ipfsProvider !== IPFS_PROVIDERS.MOCK;
 
   // ⏳ 全体の処理状況を統合
   // いずれかの処理が進行中の場合、全体として「処理中」とみなす
@@ -100,7 +194,7 @@ const NftUploader = () => {
   // useCallbackは関数を最適化して、不要な再レンダリングを防ぐReactの機能
   const handleMintClick = useCallback(async () => {
     // 📋 事前チェック：ファイルが選択されていて、ウォレットが接続されているか確認
-    if (!selectedFile || !currentAccount) return;
+    if (selectedFiles.length === 0 || !currentAccount || !isMetadataValid || editionSizeError) return;
 
     try {
       // 🧹 エラーメッセージをクリア（前回のエラーを消去）
@@ -112,17 +206,32 @@ const NftUploader = () => {
       // 1. 画像ファイルをIPFS（分散ストレージ）にアップロード
       // 2. スマートコントラクトを呼び出してNFTを作成
       // 3. ブロックチェーンに記録されるまで待機
-      await mintNFT(selectedFile, currentAccount);
+      // フォームで入力した名前・説明・属性がメタデータとして保存されます
+      // 複数ファイルが選択されている場合は、1回のトランザクションでまとめて作成
+      if (selectedFiles.length > 1) {
+        await mintNFTBatch(selectedFiles, currentAccount, metadata);
+      } else {
+        await mintNFT(selectedFiles[0], currentAccount, metadata, { onChain, paymentToken, gasless, soulbound, editionSize });
+      }
 
-      // ✅ 成功時：選択したファイルをクリアして次の作業に備える
+      // ✅ 成功時：選択したファイルと入力内容をクリアして次の作業に備える
       clearFile();
+      resetForm();
+      setOnChainRequested(false);
+      setPaymentTokenRequested('');
+      setGaslessRequested(false);
+      setSoulboundRequested(false);
+      setEditionRequested(false);
+
+      // 🔄 発行数・ウォレットのミント数を最新の状態に更新
+      refetchContractInfo();
     } catch (error) {
       // ❌ エラーが発生した場合の処理
       console.error('ミント処理エラー:', error);
       // 注意：エラーの詳細な処理はuseNftMintingフック内で行われます
       // ここではエラーをログに記録するだけです
     }
-  }, [selectedFile, currentAccount, mintNFT, clearFile, clearMintError, setWalletError]);
+  }, [selectedFiles, currentAccount, metadata, isMetadataValid, onChain, paymentToken, gasless, soulbound, editionSize, editionSizeError, mintNFT, mintNFTBatch, clearFile, resetForm, clearMintError, setWalletError, refetchContractInfo]);
   // 依存配列：これらの値が変更された時のみ、この関数を再作成します
 
   // 🗂️ 作成済みNFT情報ダイアログを閉じる処理
@@ -153,31 +262,66 @@ const NftUploader = () => {
       networkError={networkError}
       walletError={walletError || mintError}
       success={success}
-      switchToSepolia={switchToSepolia}
+      network={network}
+      supportedNetworks={supportedNetworks}
+      switchNetwork={switchNetwork}
 
       // ファイルアップロード関連
       selectedFile={selectedFile}
+      selectedFiles={selectedFiles}
+      rejectedFiles={rejectedFiles}
+      maxFiles={maxFiles}
       fileError={fileError}
       onFileSelect={handleFileSelect}
       onDragOver={handleDragOver}
       onDrop={handleDrop}
+      onRemoveFile={removeFile}
+      metadataForm={metadataForm}
+      canMintOnChain={canMintOnChain}
+      onChain={onChain}
+      onOnChainChange={setOnChainRequested}
+      paymentTokens={canPayWithToken ? paymentTokens : []}
+      paymentToken={paymentToken}
+      onPaymentTokenChange={setPaymentTokenRequested}
+      canMintGasless={canMintGasless}
+      gasless={gasless}
+      onGaslessChange={setGaslessRequested}
+      canMintSoulbound={canMintSoulbound}
+      soulbound={soulbound}
+      onSoulboundChange={setSoulboundRequested}
+      canMintEdition={canMintEdition}
+      edition={edition}
+      onEditionChange={setEditionRequested}
+      editionSize={editionSizeInput}
+      editionSizeError={editionSizeError}
+      onEditionSizeChange={setEditionSizeInput}
 
       // ミント関連
       uploading={uploading}
       loadingStep={loadingStep}
       loadingProgress={loadingProgress}
+      batchItems={batchItems}
       mintedNftInfo={mintedNftInfo}
       onMintClick={handleMintClick}
       onCloseMintedInfo={handleCloseMintedInfo}
 
       // コントラクト関連
       contractInfo={contractInfo}
+      contractStats={contractStats}
       contractLoading={contractLoading}
       contractError={contractError}
       onRefreshContract={refetchContractInfo}
+      fiatRates={fiatRates}
+
+      // 管理画面関連
+      roles={roles}
+      hasAnyRole={hasAnyRole}
+      rolesLoading={rolesLoading}
+      onAdminUpdated={handleAdminUpdated}
 
       // IPFS関連
       isUsingRealIPFS={isUsingRealIPFS}
+      ipfsProvider={ipfsProvider}
     />
   );
 };
@@ -1,6 +1,14 @@
 // Reactライブラリをインポート
 // Material-UIのボタンコンポーネントをインポート
 import { Button } from '@mui/material';
+// Ethereumブロックチェーンとの通信ライブラリをインポート（ETH⇔weiの変換）
+import { ethers } from 'ethers';
+// 販売フェーズの定数と表示名
+import { SALE_PHASE, SALE_PHASE_LABELS } from '../../../utils/allowlist';
+// 販売期間の判定
+import { getSaleWindowStatus } from '../../../utils/saleSchedule';
+// 販売開始・終了・次の値下げまでのカウントダウン
+import SaleCountdown from './SaleCountdown';
 
 /**
  * 📋 スマートコントラクト状態表示コンポーネント
@@ -11,11 +19,15 @@ import { Button } from '@mui/material';
  * ユーザーがNFTを作成できるかどうかを一目で判断できるようにします。
  *
  * 【表示する情報】
- * 1. ミント機能の有効性 - NFT作成が可能かどうか
- * 2. ミント価格 - NFT作成にかかる費用（ETH）
- * 3. 発行状況 - 現在の発行数と最大発行数
- * 4. 進捗バー - 発行状況の視覚的表示
- * 5. 警告メッセージ - 問題がある場合の通知
+ * 1. 販売フェーズ - 停止中 / プレセール（許可リストのみ） / 一般販売
+ * 2. ミント価格 - NFT作成にかかる費用（ETH、プレセール中はプレセール価格）と円・ドルの目安
+ *    支払いに使えるERC-20トークンがあれば、トークンごとの価格も表示
+ *    ダッチオークション中は現在の料金（定期的に更新）と開始・最低料金を表示
+ * 3. カウントダウン - 販売開始・販売終了・次の値下げまでの残り時間
+ * 4. 発行状況 - 現在の発行数と最大発行数
+ * 5. 進捗バー - 発行状況の視覚的表示
+ * 6. ウォレットのミント数 - 接続中のウォレットが「何枚中何枚」ミントしたか
+ * 7. 警告メッセージ - 問題がある場合の通知
  *
  * 【状態管理】
  * - ローディング状態 - 情報取得中の表示
@@ -32,12 +44,14 @@ import { Button } from '@mui/material';
  * @param {boolean} loading - 情報取得中かどうか
  * @param {string} error - エラーメッセージ
  * @param {function} onRefresh - 情報更新関数
+ * @param {Object|null} fiatRates - 1 ETH あたりの円・ドル（取得できなければ null）
  */
 const ContractStatus = ({
   contractInfo,
   loading,
   error,
-  onRefresh
+  onRefresh,
+  fiatRates = null
 }) => {
 
   // ⏳ ローディング状態の表示
@@ -107,13 +121,38 @@ const ContractStatus = ({
   }
 
   const {
-    mintingEnabled,
-    mintPrice,
-    currentSupply,
+    salePhase,
+    currentPrice: publicPrice,
+    presalePrice,
+    saleStart = 0,
+    saleEnd = 0,
+    dutchAuction = null,
+    totalMinted,
+    totalBurned = '0',
     maxSupply,
-    isMaxReached
+    isMaxReached,
+    maxPerWallet,
+    mintedByAccount,
+    isWalletLimitReached,
+    paymentTokens = []
   } = contractInfo;
 
+  // 🚦 販売フェーズの判定
+  const isPresale = salePhase === SALE_PHASE.PRESALE;
+
+  // ⏰ 販売期間の判定（期間外は販売フェーズに関係なくミントできない）
+  const saleWindowStatus = getSaleWindowStatus(saleStart, saleEnd);
+  const isClosed = salePhase === SALE_PHASE.CLOSED || saleWindowStatus !== 'open';
+
+  // 💱 現在のミント価格と、その円・ドルでの目安（レート未取得なら表示しない）
+  const currentPrice = isPresale ? presalePrice : publicPrice;
+  const fiatQuote = fiatRates
+    ? `≈ ¥${Math.round(Number(currentPrice) * fiatRates.jpy).toLocaleString()} / $${(Number(currentPrice) * fiatRates.usd).toFixed(2)}`
+    : null;
+
+  // 👛 ウォレットごとの上限（"0" = 無制限）
+  const hasWalletLimit = maxPerWallet !== "0";
+
   return (
     <div style={{
       marginTop: "20px",
@@ -156,12 +195,12 @@ const ContractStatus = ({
           alignItems: "center",
           gap: "8px"
         }}>
-          <span style={{ fontWeight: "bold" }}>ミント機能:</span>
+          <span style={{ fontWeight: "bold" }}>販売フェーズ:</span>
           <span style={{
-            color: mintingEnabled ? "#4caf50" : "#f44336",
+            color: isClosed ? "#f44336" : isPresale ? "#ff9800" : "#4caf50",
             fontWeight: "bold"
           }}>
-            {mintingEnabled ? "✅ 有効" : "❌ 無効"}
+            {isClosed ? "❌" : isPresale ? "🌳" : "✅"} {SALE_PHASE_LABELS[salePhase]}
           </span>
         </div>
 
@@ -179,11 +218,57 @@ const ContractStatus = ({
             padding: "2px 6px",
             borderRadius: "4px"
           }}>
-            {mintPrice} ETH
+            {currentPrice} ETH
           </span>
+          {fiatQuote && (
+            <span style={{ color: "#666", fontSize: "0.9em" }}>{fiatQuote}</span>
+          )}
         </div>
 
-        {/* 発行数 */}
+        {/* 📉 ダッチオークションの設定（一般販売のみ） */}
+        {dutchAuction && !isPresale && (
+          <div style={{ marginBottom: "8px", fontSize: "0.9em", color: "#666" }}>
+            📉 ダッチオークション: {dutchAuction.startPrice} ETH から {Math.round(dutchAuction.dropInterval / 60)}分ごとに
+            {' '}{dutchAuction.priceDrop} ETH 値下げ（最低 {dutchAuction.floorPrice} ETH）
+          </div>
+        )}
+
+        {/* ⏰ 販売開始・販売終了・次の値下げまでのカウントダウン */}
+        <SaleCountdown
+          saleStart={saleStart}
+          saleEnd={saleEnd}
+          dutchAuction={isPresale ? null : dutchAuction}
+          currentPriceWei={ethers.parseEther(publicPrice)}
+          onElapsed={onRefresh}
+        />
+
+        {/* 🪙 ERC-20トークンでの価格（一般販売のみ） */}
+        {paymentTokens.length > 0 && (
+          <div style={{
+            marginBottom: "8px",
+            display: "flex",
+            alignItems: "center",
+            flexWrap: "wrap",
+            gap: "8px"
+          }}>
+            <span style={{ fontWeight: "bold" }}>トークン払い:</span>
+            {paymentTokens.map((token) => (
+              <span
+                key={token.address}
+                style={{
+                  fontFamily: "monospace",
+                  backgroundColor: "#e9ecef",
+                  padding: "2px 6px",
+                  borderRadius: "4px"
+                }}
+              >
+                {token.price} {token.symbol}
+              </span>
+            ))}
+          </div>
+        )}
+
+        {/* 発行数（ミントした累計。バーンしても枠は戻らない） */}
         <div style={{
           marginBottom: "8px",
           display: "flex",
@@ -192,7 +277,7 @@ const ContractStatus = ({
         }}>
           <span style={{ fontWeight: "bold" }}>発行数:</span>
           <span>
-            {currentSupply} / {maxSupply}
+            {totalMinted} / {maxSupply}
           </span>
           <div style={{
             width: "100px",
@@ -202,17 +287,37 @@ const ContractStatus = ({
             overflow: "hidden"
           }}>
             <div style={{
-              width: `${(currentSupply / maxSupply) * 100}%`,
+              width: `${(totalMinted / maxSupply) * 100}%`,
               height: "100%",
               backgroundColor: isMaxReached ? "#f44336" : "#4caf50",
               transition: "width 0.3s ease"
             }} />
           </div>
+          {totalBurned !== '0' && (
+            <span style={{ fontSize: "0.85em", color: "#666" }}>
+              （🔥 バーン済み {totalBurned}）
+            </span>
+          )}
+        </div>
+
+        {/* 接続中のウォレットのミント数 */}
+        <div style={{
+          marginBottom: "8px",
+          display: "flex",
+          alignItems: "center",
+          gap: "8px"
+        }}>
+          <span style={{ fontWeight: "bold" }}>あなたのミント数:</span>
+          <span style={{ color: isWalletLimitReached ? "#f44336" : "inherit" }}>
+            {hasWalletLimit
+              ? `${mintedByAccount} / ${maxPerWallet}`
+              : `${mintedByAccount}（上限なし）`}
+          </span>
         </div>
       </div>
 
       {/* 警告メッセージ */}
-      {(isMaxReached || !mintingEnabled) && (
+      {(isMaxReached || isClosed || isWalletLimitReached) && (
         <div style={{
           marginTop: "15px",
           padding: "10px",
@@ -225,16 +330,25 @@ const ContractStatus = ({
               ⚠️ 最大発行数に達しています
             </div>
           )}
-          {!mintingEnabled && (
+          {isClosed && (
+            <div style={{ color: "#d32f2f" }}>
+              {saleWindowStatus === 'upcoming'
+                ? "⚠️ 販売開始前です"
+                : saleWindowStatus === 'ended'
+                  ? "⚠️ 販売期間は終了しました"
+                  : "⚠️ ミント機能が無効です"}
+            </div>
+          )}
+          {isWalletLimitReached && (
             <div style={{ color: "#d32f2f" }}>
-              ⚠️ ミント機能が無効です
+              ⚠️ このウォレットのミント上限に達しています
             </div>
           )}
         </div>
       )}
 
       {/* 正常状態のメッセージ */}
-      {mintingEnabled && !isMaxReached && (
+      {!isClosed && !isMaxReached && !isWalletLimitReached && (
         <div style={{
           marginTop: "15px",
           padding: "10px",
@@ -244,7 +358,9 @@ const ContractStatus = ({
           color: "#2e7d32",
           fontSize: "0.8em"
         }}>
-          ✅ NFTの作成が可能です
+          {isPresale
+            ? "🌳 プレセール中です（許可リストに登録されたウォレットのみ作成できます）"
+            : "✅ NFTの作成が可能です"}
         </div>
       )}
     </div>
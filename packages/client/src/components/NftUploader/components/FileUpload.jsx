@@ -1,8 +1,12 @@
 // Reactライブラリをインポート
 // Material-UIのコンポーネントをインポート
-import { Alert, Button } from '@mui/material';
+import { Alert, Button, Checkbox, FormControlLabel, MenuItem, TextField } from '@mui/material';
 // 画像アイコンをインポート
 import ImageLogo from '../image.svg';
+// メタデータ編集フォームをインポート
+import MetadataEditor from './MetadataEditor';
+// エディションの発行枚数の上限
+import { EDITION_BATCH_SIZE, MAX_EDITION_SIZE, MIN_EDITION_SIZE } from '../../../utils/nftMetadata';
 
 /**
  * 📁 ファイルアップロードコンポーネント
@@ -19,6 +23,11 @@ import ImageLogo from '../image.svg';
  * 4. バリデーション - ファイル形式・サイズのチェック
  * 5. エラー表示 - 問題がある場合の分かりやすい通知
  * 6. NFT作成ボタン - 選択後の次のステップへの導線
+ * 7. 一括選択 - 複数ファイルやフォルダをまとめて選択（バッチミント）
+ * 8. メタデータ編集 - 名前・説明・外部URL・属性をミント前に入力
+ * 9. オンチェーン保存 - SVGを1件選んだ時、IPFSを使わずブロックチェーンに直接保存
+ * 10. 支払い方法の選択 - ETHの代わりに許可されたERC-20トークンで支払う
+ * 11. 番号付きエディション - 同じ作品に「#k/N」を付けて決まった枚数だけ発行
  *
  * 【ユーザビリティの配慮】
  * - 複数の操作方法を提供（ドラッグ&ドロップ + ボタン）
@@ -31,29 +40,78 @@ import ImageLogo from '../image.svg';
  * - onDragOver/onDrop = ドラッグ&ドロップ時のイベント処理
  * - disabled = ボタンやフィールドを無効化する属性
  *
- * @param {File} selectedFile - 選択されたファイル
+ * @param {File} selectedFile - 選択されたファイル（先頭の1件）
+ * @param {File[]} selectedFiles - 選択された全ファイル
+ * @param {Array} rejectedFiles - 検証で除外されたファイルと理由
+ * @param {number} maxFiles - 一度に選択できるファイル数の上限
  * @param {string} error - エラーメッセージ
  * @param {boolean} uploading - アップロード中かどうか
  * @param {boolean} isPending - 処理中かどうか
  * @param {function} onFileSelect - ファイル選択時の処理関数
  * @param {function} onDragOver - ドラッグオーバー時の処理関数
  * @param {function} onDrop - ファイルドロップ時の処理関数
+ * @param {function} onRemoveFile - 選択済みファイルを1件取り除く関数
+ * @param {Object} metadataForm - メタデータ編集フォームの状態（useMetadataFormの戻り値）
+ * @param {boolean} canMintOnChain - オンチェーン保存を選べるか（SVGを1件選択中）
+ * @param {boolean} onChain - オンチェーン保存モードがONかどうか
+ * @param {function} onOnChainChange - オンチェーン保存モードの切り替え関数
+ * @param {Array} paymentTokens - 選べる支払いトークン（選べない時は空配列）
+ * @param {string|null} paymentToken - 選択中の支払いトークンのアドレス（null = ETH）
+ * @param {function} onPaymentTokenChange - 支払い方法の切り替え関数
+ * @param {boolean} canMintGasless - ガスレスミントを選べるか（リレイヤーが使え、画像を1件ETH払いで選択中）
+ * @param {boolean} gasless - ガスレスミントがONかどうか
+ * @param {function} onGaslessChange - ガスレスミントの切り替え関数
+ * @param {boolean} canMintSoulbound - 転送できないNFTを選べるか（一般販売中に画像を1件IPFS・ETH払いで選択中）
+ * @param {boolean} soulbound - 転送できないNFT（ソウルバウンド）にするかどうか
+ * @param {function} onSoulboundChange - ソウルバウンドの切り替え関数
+ * @param {boolean} canMintEdition - 番号付きエディションを選べるか（一般販売中に画像を1件IPFS・ETH払いで選択中）
+ * @param {boolean} edition - 番号付きエディションにするかどうか
+ * @param {function} onEditionChange - エディションの切り替え関数
+ * @param {string} editionSize - 入力中の発行枚数
+ * @param {string|null} editionSizeError - 発行枚数の入力エラー（問題なければ null）
+ * @param {function} onEditionSizeChange - 発行枚数の変更関数
  * @param {function} onMintClick - NFT作成ボタンクリック時の処理関数
  * @param {string} currentAccount - 現在接続中のウォレットアドレス
  * @param {string} networkError - ネットワーク関連のエラーメッセージ
  */
 const FileUpload = ({
   selectedFile,
+  selectedFiles = [],
+  rejectedFiles = [],
+  maxFiles,
   error,
   uploading,
   isPending,
   onFileSelect,
   onDragOver,
   onDrop,
+  onRemoveFile,
+  metadataForm,
+  canMintOnChain = false,
+  onChain = false,
+  onOnChainChange,
+  paymentTokens = [],
+  paymentToken = null,
+  onPaymentTokenChange,
+  canMintGasless = false,
+  gasless = false,
+  onGaslessChange,
+  canMintSoulbound = false,
+  soulbound = false,
+  onSoulboundChange,
+  canMintEdition = false,
+  edition = false,
+  onEditionChange,
+  editionSize = '',
+  editionSizeError = null,
+  onEditionSizeChange,
   onMintClick,
   currentAccount,
   networkError
 }) => {
+  // 🔢 複数ファイルが選択されているか（バッチミント）
+  const isBatch = selectedFiles.length > 1;
+
   return (
     <div style={{ textAlign: 'center' }}>
       {/* ❌ ファイル選択エラーの表示 */}
@@ -103,6 +161,7 @@ const FileUpload = ({
           name="imageURL"
           type="file"
           accept=".jpg,.jpeg,.png,.gif,.svg"
+          multiple
           onChange={onFileSelect}
           disabled={uploading || isPending}
           style={{
@@ -138,12 +197,46 @@ const FileUpload = ({
         <input
           type="file"
           accept=".jpg,.jpeg,.png,.gif,.svg"
+          multiple
           onChange={onFileSelect}
           hidden
           disabled={uploading || isPending}
         />
       </Button>
 
+      {/* 📂 フォルダ選択ボタン（フォルダ内の画像をまとめて選択） */}
+      <Button
+        variant="outlined"
+        component="label"
+        disabled={uploading || isPending}
+        style={{ marginBottom: '20px', marginLeft: '10px' }}
+      >
+        フォルダを選択
+        {/* 👻 webkitdirectory属性でフォルダ単位の選択を有効にする */}
+        <input
+          type="file"
+          onChange={onFileSelect}
+          hidden
+          disabled={uploading || isPending}
+          webkitdirectory=""
+          directory=""
+        />
+      </Button>
+
+      {/* ⚠️ 除外されたファイルの一覧（理由つき） */}
+      {rejectedFiles.length > 0 && (
+        <Alert severity="warning" style={{ margin: "10px 0", textAlign: 'left' }}>
+          <strong>除外されたファイル:</strong>
+          <ul style={{ margin: '5px 0 0 0', paddingLeft: '20px' }}>
+            {rejectedFiles.map((file, index) => (
+              <li key={`${file.name}-${index}`} style={{ fontSize: '0.9em' }}>
+                {file.name}: {file.reason}
+              </li>
+            ))}
+          </ul>
+        </Alert>
+      )}
+
       {/* 📋 選択されたファイル情報表示エリア */}
       {selectedFile && (
         <div style={{
@@ -158,26 +251,210 @@ const FileUpload = ({
             <strong>📁 選択されたファイル:</strong>
           </div>
 
-          {/* 📝 ファイル名表示 */}
-          <div style={{ marginBottom: '5px' }}>
-            <span style={{ fontWeight: 'bold' }}>{selectedFile.name}</span>
-          </div>
+          {isBatch ? (
+            <>
+              {/* 📚 複数ファイルの一覧表示（個別に取り除ける） */}
+              <div style={{
+                maxHeight: '200px',
+                overflowY: 'auto',
+                marginBottom: '10px',
+                textAlign: 'left'
+              }}>
+                {selectedFiles.map((file, index) => (
+                  <div
+                    key={`${file.name}-${index}`}
+                    style={{
+                      display: 'flex',
+                      justifyContent: 'space-between',
+                      alignItems: 'center',
+                      padding: '4px 0',
+                      borderBottom: '1px solid #eee',
+                      fontSize: '0.9em'
+                    }}
+                  >
+                    <span>
+                      {index + 1}. <span style={{ fontWeight: 'bold' }}>{file.name}</span>
+                      <span style={{ color: '#666' }}> ({Math.round(file.size / 1024)} KB)</span>
+                    </span>
+                    <Button
+                      size="small"
+                      color="error"
+                      onClick={() => onRemoveFile(index)}
+                      disabled={uploading || isPending}
+                    >
+                      削除
+                    </Button>
+                  </div>
+                ))}
+              </div>
 
-          {/* 📊 ファイルサイズ表示 */}
-          <div style={{
-            fontSize: '0.9em',
-            color: '#666',
-            marginBottom: '15px'
-          }}>
-            サイズ: {Math.round(selectedFile.size / 1024)} KB
-          </div>
+              {/* 📊 合計件数・サイズ表示 */}
+              <div style={{
+                fontSize: '0.9em',
+                color: '#666',
+                marginBottom: '15px'
+              }}>
+                合計: {selectedFiles.length}件 / {Math.round(selectedFiles.reduce((sum, file) => sum + file.size, 0) / 1024)} KB
+              </div>
+            </>
+          ) : (
+            <>
+              {/* 📝 ファイル名表示 */}
+              <div style={{ marginBottom: '5px' }}>
+                <span style={{ fontWeight: 'bold' }}>{selectedFile.name}</span>
+              </div>
+
+              {/* 📊 ファイルサイズ表示 */}
+              <div style={{
+                fontSize: '0.9em',
+                color: '#666',
+                marginBottom: '15px'
+              }}>
+                サイズ: {Math.round(selectedFile.size / 1024)} KB
+              </div>
+            </>
+          )}
+
+          {/* 📝 メタデータ編集フォーム */}
+          <MetadataEditor form={metadataForm} disabled={uploading || isPending} />
+
+          {/* 🖋️ オンチェーン保存の切り替え（SVGを1件選んだ時のみ表示） */}
+          {canMintOnChain && (
+            <div style={{ marginBottom: '15px', textAlign: 'left' }}>
+              <FormControlLabel
+                control={
+                  <Checkbox
+                    checked={onChain}
+                    onChange={(event) => onOnChainChange(event.target.checked)}
+                    disabled={uploading || isPending}
+                  />
+                }
+                label="オンチェーンに保存（SVGのみ）"
+              />
+              {onChain && (
+                <div style={{ fontSize: '0.8em', color: '#666', marginLeft: '32px' }}>
+                  SVGとメタデータをすべてブロックチェーンに保存します（IPFS不要）。
+                  サイズに応じてガス代が高くなります（上限48KB）。
+                  外部URL・属性・ロイヤリティ率は保存されません。
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* 🪙 支払い方法の選択（支払いに使えるトークンがある時のみ表示） */}
+          {paymentTokens.length > 0 && (
+            <div style={{ marginBottom: '15px', textAlign: 'left' }}>
+              <TextField
+                select
+                size="small"
+                fullWidth
+                label="支払い方法"
+                value={paymentToken ?? ''}
+                onChange={(event) => onPaymentTokenChange(event.target.value)}
+                disabled={uploading || isPending}
+              >
+                <MenuItem value="">ETH</MenuItem>
+                {paymentTokens.map((token) => (
+                  <MenuItem key={token.address} value={token.address}>
+                    {token.symbol}（{token.price} {token.symbol}）
+                  </MenuItem>
+                ))}
+              </TextField>
+              {paymentToken && (
+                <div style={{ fontSize: '0.8em', color: '#666', marginTop: '4px' }}>
+                  初回はトークンの利用許可（approve）の確認が表示され、その後にミントの確認が表示されます。
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* 🔒 転送できないNFT（ソウルバウンド）の切り替え（一般販売のIPFS・ETH払いの時のみ表示） */}
+          {canMintSoulbound && (
+            <div style={{ marginBottom: '15px', textAlign: 'left' }}>
+              <FormControlLabel
+                control={
+                  <Checkbox
+                    checked={soulbound}
+                    onChange={(event) => onSoulboundChange(event.target.checked)}
+                    disabled={uploading || isPending}
+                  />
+                }
+                label="🔒 転送できないNFTにする（ソウルバウンド）"
+              />
+              {soulbound && (
+                <div style={{ fontSize: '0.8em', color: '#666', marginLeft: '32px' }}>
+                  修了証・参加証明などの証明書向けです。ミントした後は誰にも転送・販売できません（バーンはできます）。
+                  ロイヤリティ率は設定されません。
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* 🔢 番号付きエディションの切り替え（一般販売のIPFS・ETH払いの時のみ表示） */}
+          {canMintEdition && (
+            <div style={{ marginBottom: '15px', textAlign: 'left' }}>
+              <FormControlLabel
+                control={
+                  <Checkbox
+                    checked={edition}
+                    onChange={(event) => onEditionChange(event.target.checked)}
+                    disabled={uploading || isPending}
+                  />
+                }
+                label="🔢 番号付きエディションにする（同じ作品を複数枚発行）"
+              />
+              {edition && (
+                <div style={{ marginLeft: '32px' }}>
+                  <TextField
+                    type="number"
+                    size="small"
+                    label="発行枚数"
+                    value={editionSize}
+                    onChange={(event) => onEditionSizeChange(event.target.value)}
+                    error={Boolean(editionSizeError)}
+                    helperText={editionSizeError || ' '}
+                    inputProps={{ min: MIN_EDITION_SIZE, max: MAX_EDITION_SIZE, step: 1 }}
+                    disabled={uploading || isPending}
+                    style={{ marginTop: '8px' }}
+                  />
+                  <div style={{ fontSize: '0.8em', color: '#666' }}>
+                    {EDITION_BATCH_SIZE}枚ずつのトランザクションでミントします（ミント料金 × 枚数、{EDITION_BATCH_SIZE}枚を超えると複数回の承認が必要です）。
+                    各NFTの名前に「#1/{editionSize || 'N'}」のような番号が付き、メタデータに Edition 属性が追加されます。
+                    ロイヤリティはデフォルトの率になります。
+                  </div>
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* ⛽ ガスレスミントの切り替え（リレイヤーが使える時のみ表示） */}
+          {canMintGasless && (
+            <div style={{ marginBottom: '15px', textAlign: 'left' }}>
+              <FormControlLabel
+                control={
+                  <Checkbox
+                    checked={gasless}
+                    onChange={(event) => onGaslessChange(event.target.checked)}
+                    disabled={uploading || isPending}
+                  />
+                }
+                label="⛽ ガスレスでミント（ガス代はリレイヤーが負担）"
+              />
+              {gasless && (
+                <div style={{ fontSize: '0.8em', color: '#666', marginLeft: '32px' }}>
+                  MetaMaskではトランザクションの代わりに署名の確認が表示されます。
+                  ETHを持っていなくてもミントでき、NFTは署名したウォレットに届きます。
+                </div>
+              )}
+            </div>
+          )}
 
           {/* 🎨 NFT作成ボタン（メインアクション） */}
           <Button
             variant="contained"
             color="primary"
             onClick={onMintClick}
-            disabled={uploading || !currentAccount || !!networkError || isPending}
+            disabled={uploading || !currentAccount || !!networkError || isPending || !metadataForm.isValid || !!editionSizeError}
             size="large"
             style={{
               padding: '10px 20px',
@@ -187,13 +464,19 @@ const FileUpload = ({
           >
             {(uploading || isPending) ? (
               "NFT作成中..."
+            ) : isBatch ? (
+              `🎨 ${selectedFiles.length}件のNFTを一括作成`
+            ) : onChain ? (
+              "🖋️ オンチェーンNFTを作成"
+            ) : edition && !editionSizeError ? (
+              `🔢 ${editionSize}枚のエディションを作成`
             ) : (
               "🎨 NFTを作成"
             )}
           </Button>
 
           {/* ⚠️ 前提条件エラーメッセージ */}
-          {(!currentAccount || networkError) && (
+          {(!currentAccount || networkError || !metadataForm.isValid) && (
             <div style={{
               marginTop: '10px',
               fontSize: '0.8em',
@@ -201,6 +484,7 @@ const FileUpload = ({
             }}>
               {!currentAccount && '⚠️ ウォレットを接続してください'}
               {networkError && '⚠️ 正しいネットワークに接続してください'}
+              {currentAccount && !networkError && !metadataForm.isValid && '⚠️ NFTの情報の入力内容を確認してください'}
             </div>
           )}
         </div>
@@ -214,7 +498,8 @@ const FileUpload = ({
         lineHeight: '1.4'
       }}>
         対応ファイル形式: JPG, PNG, GIF, SVG<br />
-        最大ファイルサイズ: 10MB
+        最大ファイルサイズ: 10MB<br />
+        一括作成: 最大{maxFiles}件まで（1回のトランザクションでまとめてミント）
       </div>
     </div>
   );
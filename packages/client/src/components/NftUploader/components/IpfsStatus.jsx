@@ -1,4 +1,6 @@
 // Reactライブラリをインポート
+// IPFSプロバイダーの表示名
+import { IPFS_PROVIDER_LABELS, IPFS_PROVIDERS } from '../../../utils/ipfsService';
 
 /**
  * 🌐 IPFS状態表示コンポーネント
@@ -28,8 +30,9 @@
  * - NFTマーケットプレイス = NFTを売買・展示するサイト
  *
  * @param {boolean} isUsingRealIPFS - 実際のIPFSサービスを使用中かどうか
+ * @param {string} provider - 使用中のIPFSプロバイダー（pinata / kubo / mock）
  */
-const IpfsStatus = ({ isUsingRealIPFS }) => {
+const IpfsStatus = ({ isUsingRealIPFS, provider = IPFS_PROVIDERS.PINATA }) => {
   return (
     <div style={{
       marginTop: "20px",
@@ -66,7 +69,7 @@ const IpfsStatus = ({ isUsingRealIPFS }) => {
 
             <div style={{ marginLeft: "10px" }}>
               <div style={{ marginBottom: "5px" }}>
-                ✅ <strong>Storacha (w3up)</strong>を使用中（実際IPFS）
+                ✅ <strong>{IPFS_PROVIDER_LABELS[provider]}</strong>を使用中（実際IPFS）
               </div>
               <div style={{ marginBottom: "5px" }}>
                 ✅ 画像が正常に表示されます
@@ -89,6 +92,10 @@ const IpfsStatus = ({ isUsingRealIPFS }) => {
             }}>
               <strong>💡 ヒント:</strong> 実際のIPFSを使用しているため、作成したNFTは
               Etherscan、OpenSea、その他のNFTマーケットプレイスで正常に表示されます。
+              {provider === IPFS_PROVIDERS.KUBO && (
+                <> ただしローカルノードの場合、公開ゲートウェイで表示されるのはノードが
+                IPFSネットワークに接続している間だけです。</>
+              )}
             </div>
           </div>
         ) : (
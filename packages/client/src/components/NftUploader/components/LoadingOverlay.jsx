@@ -2,6 +2,16 @@
 // Material-UIの円形プログレスバーをインポート
 import { CircularProgress } from '@mui/material';
 
+// 🏷️ バッチミント時の各ファイルの状態と表示ラベル
+const BATCH_STATUS_LABELS = {
+  pending: '⏸️ 待機中',
+  uploading: '⬆️ アップロード中',
+  uploaded: '📦 アップロード完了',
+  minting: '⛏️ ミント中',
+  minted: '✅ 完了',
+  error: '❌ エラー'
+};
+
 /**
  * ⏳ ローディングオーバーレイコンポーネント
  *
@@ -17,6 +27,7 @@ import { CircularProgress } from '@mui/material';
  * 4. ステップメッセージ - 現在何をしているかの説明
  * 5. 処理段階の説明 - 全体の流れの案内
  * 6. 注意事項 - ユーザーへの重要な案内
+ * 7. バッチ進捗 - 一括作成時のファイルごとの状態表示
  *
  * 【UXの配慮】
  * - 処理が長時間かかることをユーザーに事前に伝える
@@ -34,12 +45,14 @@ import { CircularProgress } from '@mui/material';
  * @param {boolean} isPending - React 19のpending状態かどうか
  * @param {string} loadingStep - 現在の処理ステップメッセージ
  * @param {number} loadingProgress - 進捗パーセンテージ（0-100）
+ * @param {Array} batchItems - バッチミント時の各ファイルの進捗（{ name, status, tokenId }）
  */
 const LoadingOverlay = ({
   uploading,
   isPending,
   loadingStep,
-  loadingProgress
+  loadingProgress,
+  batchItems = []
 }) => {
 
   // 📋 表示条件チェック：処理中でない場合は何も表示しない
@@ -128,6 +141,45 @@ const LoadingOverlay = ({
           {loadingProgress}% 完了
         </div>
 
+        {/* 📚 バッチミント時のファイルごとの進捗 */}
+        {batchItems.length > 0 && (
+          <div style={{
+            maxHeight: "150px",
+            overflowY: "auto",
+            marginBottom: "20px",
+            fontSize: "0.8em",
+            textAlign: "left",
+            border: "1px solid #eee",
+            borderRadius: "8px",
+            padding: "8px"
+          }}>
+            {batchItems.map((item, index) => (
+              <div
+                key={`${item.name}-${index}`}
+                style={{
+                  display: "flex",
+                  justifyContent: "space-between",
+                  padding: "2px 0",
+                  color: item.status === 'error' ? "#d32f2f" : "#333"
+                }}
+              >
+                <span style={{
+                  overflow: "hidden",
+                  textOverflow: "ellipsis",
+                  whiteSpace: "nowrap",
+                  marginRight: "8px"
+                }}>
+                  {index + 1}. {item.name}
+                </span>
+                <span style={{ whiteSpace: "nowrap" }}>
+                  {BATCH_STATUS_LABELS[item.status] || item.status}
+                  {item.tokenId && ` #${item.tokenId}`}
+                </span>
+              </div>
+            ))}
+          </div>
+        )}
+
         {/* ⚠️ 重要な注意メッセージ */}
         <div style={{
           fontSize: "0.8em",
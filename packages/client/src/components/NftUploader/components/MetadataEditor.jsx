@@ -0,0 +1,193 @@
+// Material-UIのコンポーネントをインポート
+import { Button, IconButton, MenuItem, TextField } from '@mui/material';
+// 表示形式（display_type）の選択肢をインポート
+import {
+  DISPLAY_TYPES,
+  MAX_DESCRIPTION_LENGTH,
+  MAX_NAME_LENGTH,
+  MAX_ROYALTY_PERCENT
+} from '../../../utils/nftMetadata';
+
+/**
+ * 📝 メタデータ編集フォームコンポーネント
+ *
+ * 【このコンポーネントの役割】
+ * このコンポーネントは「NFTの名札を書く用紙」のような役割を果たします。
+ * ミント前に、NFTの名前・説明・外部リンク・属性（trait）を入力できます。
+ * 入力した内容はそのままIPFSのメタデータJSONに保存されます。
+ *
+ * 【主な機能】
+ * 1. 名前・説明の入力 - 文字数の上限つき
+ * 2. 外部URLの入力 - 作品ページなどへのリンク（任意）
+ * 3. 属性の編集 - trait_type / value / display_type を自由に追加・削除
+ * 4. ロイヤリティ率 - 転売時に作成者が受け取る割合（ERC-2981）
+ * 5. エラー表示 - 入力に問題がある項目の下にメッセージを表示
+ *
+ * 【初心者向け解説】
+ * - TextField = Material-UIの入力欄
+ * - select = TextFieldをプルダウン（選択式）にする設定
+ * - helperText = 入力欄の下に表示される補足・エラーメッセージ
+ *
+ * @param {Object} form - useMetadataFormフックの戻り値
+ * @param {boolean} disabled - 入力を無効化するかどうか（処理中など）
+ */
+const MetadataEditor = ({ form, disabled }) => {
+  const {
+    name,
+    description,
+    externalUrl,
+    attributes,
+    royaltyPercent,
+    errors,
+    maxAttributes,
+    isBatch,
+    setName,
+    setDescription,
+    setExternalUrl,
+    setRoyaltyPercent,
+    addAttribute,
+    updateAttribute,
+    removeAttribute
+  } = form;
+
+  return (
+    <div style={{ textAlign: 'left', marginBottom: '15px' }}>
+      {/* 🏷️ フォームの見出し */}
+      <div style={{ marginBottom: '10px' }}>
+        <strong>📝 NFTの情報</strong>
+      </div>
+
+      {/* 📝 NFT名 */}
+      <TextField
+        label={isBatch ? 'NFT名（任意）' : 'NFT名'}
+        value={name}
+        onChange={(event) => setName(event.target.value)}
+        error={!!errors.name}
+        helperText={errors.name || (isBatch
+          ? '入力すると「名前 #番号」、空欄の場合は各ファイル名が使われます'
+          : `${name.length}/${MAX_NAME_LENGTH}`)}
+        disabled={disabled}
+        required={!isBatch}
+        fullWidth
+        size="small"
+        margin="dense"
+      />
+
+      {/* 📄 説明文 */}
+      <TextField
+        label="説明"
+        value={description}
+        onChange={(event) => setDescription(event.target.value)}
+        error={!!errors.description}
+        helperText={errors.description || `${description.length}/${MAX_DESCRIPTION_LENGTH}`}
+        disabled={disabled}
+        required
+        fullWidth
+        multiline
+        minRows={2}
+        size="small"
+        margin="dense"
+      />
+
+      {/* 🔗 外部URL（任意） */}
+      <TextField
+        label="外部URL（任意）"
+        placeholder="https://example.com/my-art"
+        value={externalUrl}
+        onChange={(event) => setExternalUrl(event.target.value)}
+        error={!!errors.externalUrl}
+        helperText={errors.externalUrl || '空欄の場合は画像のURLが使われます'}
+        disabled={disabled}
+        fullWidth
+        size="small"
+        margin="dense"
+      />
+
+      {/* 💎 ロイヤリティ率（転売時に作成者＝自分が受け取る割合） */}
+      <TextField
+        label="ロイヤリティ (%)"
+        type="number"
+        value={royaltyPercent}
+        onChange={(event) => setRoyaltyPercent(event.target.value)}
+        error={!!errors.royaltyPercent}
+        helperText={errors.royaltyPercent || `マーケットプレイスで転売された時に受け取る割合（0〜${MAX_ROYALTY_PERCENT}%）`}
+        disabled={disabled}
+        inputProps={{ min: 0, max: MAX_ROYALTY_PERCENT, step: 0.5 }}
+        fullWidth
+        size="small"
+        margin="dense"
+      />
+
+      {/* 🎯 属性（trait）の一覧 */}
+      <div style={{ margin: '10px 0 5px 0', fontSize: '0.9em' }}>
+        <strong>属性</strong>（{attributes.length}/{maxAttributes}）
+      </div>
+
+      {attributes.map((attribute, index) => (
+        <div
+          key={index}
+          style={{ display: 'flex', gap: '8px', alignItems: 'flex-start' }}
+        >
+          <TextField
+            label="属性名"
+            placeholder="Background"
+            value={attribute.trait_type}
+            onChange={(event) => updateAttribute(index, { trait_type: event.target.value })}
+            error={!!errors.attributes?.[index]}
+            helperText={errors.attributes?.[index] || ' '}
+            disabled={disabled}
+            size="small"
+            margin="dense"
+            style={{ flex: 2 }}
+          />
+          <TextField
+            label="値"
+            placeholder="Blue"
+            value={attribute.value}
+            onChange={(event) => updateAttribute(index, { value: event.target.value })}
+            disabled={disabled}
+            size="small"
+            margin="dense"
+            style={{ flex: 2 }}
+          />
+          <TextField
+            select
+            label="表示形式"
+            value={attribute.display_type}
+            onChange={(event) => updateAttribute(index, { display_type: event.target.value })}
+            disabled={disabled}
+            size="small"
+            margin="dense"
+            style={{ flex: 2 }}
+          >
+            {DISPLAY_TYPES.map((type) => (
+              <MenuItem key={type.value} value={type.value}>
+                {type.label}
+              </MenuItem>
+            ))}
+          </TextField>
+          <IconButton
+            aria-label="属性を削除"
+            onClick={() => removeAttribute(index)}
+            disabled={disabled}
+            style={{ marginTop: '10px' }}
+          >
+            🗑️
+          </IconButton>
+        </div>
+      ))}
+
+      {/* ➕ 属性の追加ボタン */}
+      <Button
+        size="small"
+        variant="outlined"
+        onClick={addAttribute}
+        disabled={disabled || attributes.length >= maxAttributes}
+      >
+        ＋ 属性を追加
+      </Button>
+    </div>
+  );
+};
+
+export default MetadataEditor;
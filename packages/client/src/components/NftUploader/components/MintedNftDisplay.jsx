@@ -4,8 +4,10 @@ import { Button } from '@mui/material';
 import { ethers } from 'ethers';
 // Reactの機能をインポート
 import { useCallback, useState } from 'react';
-// スマートコントラクトの設計図（ABI）をインポート
-import Web3Mint from '../../../utils/Web3Mint.json';
+// ブロックエクスプローラーのURL・ネットワークごとのABIを取得する関数をインポート
+import { getContractAbi, getExplorerUrl, NETWORKS } from '../../../utils/networks';
+// NFTをバーン（焼却）するカスタムフック
+import useBurnNft from '../../../hooks/useBurnNft';
 
 /**
  * 🎉 作成済みNFT表示コンポーネント
@@ -22,10 +24,14 @@ import Web3Mint from '../../../utils/Web3Mint.json';
  * 4. Etherscan検証機能 - 表示状況の簡易チェック
  * 5. 詳細調査機能 - 高度なデバッグ・診断ツール
  * 6. 使用方法の案内 - 初心者向けの操作説明
+ * 7. バーン - 作成したNFTをその場で焼却（1件ずつ作成した場合のみ、一括作成分はマイNFTから）
  *
  * 【表示される情報】
  * - コントラクトアドレス（NFTが保存されている場所）
  * - トークンID（NFTの識別番号）
+ * - 返金額（ミント料金より多く支払っていた場合のみ）
+ * - トークンでの支払額（ERC-20トークンで支払った場合のみ）
+ * - 転送不可のバッジ（ソウルバウンドとして作成した場合のみ）
  * - トランザクションハッシュ（ブロックチェーン上の記録ID）
  * - 各種確認リンク（Etherscan、Gemcase等）
  * - 注意事項とヒント
@@ -38,15 +44,25 @@ import Web3Mint from '../../../utils/Web3Mint.json';
  *
  * @param {object} mintedNftInfo - 作成されたNFTの詳細情報
  * @param {function} onClose - ダイアログを閉じる関数
+ * @param {function} [onBurned] - バーンが完了した後に呼ぶ関数（発行数の表示の更新など）
  */
 const MintedNftDisplay = ({
   mintedNftInfo,
-  onClose
+  onClose,
+  onBurned
 }) => {
 
   // 📊 検証処理中の状態管理
   const [validating, setValidating] = useState(false);
 
+  // 🔥 バーン済みのトークンID（別のNFTを作成したら表示が切り替わる）
+  const [burnedTokenId, setBurnedTokenId] = useState(null);
+  const handleBurned = useCallback((tokenId) => {
+    setBurnedTokenId(tokenId);
+    if (onBurned) onBurned();
+  }, [onBurned]);
+  const { burnNft, burningTokenId, error: burnError } = useBurnNft(handleBurned);
+
   // 📄 メタデータ確認機能
   // NFTのメタデータURI（詳細情報の保存場所）を取得して表示
   const handleMetadataCheck = useCallback(async () => {
@@ -59,7 +75,7 @@ const MintedNftDisplay = ({
       const provider = new ethers.BrowserProvider(ethereum);
       const contract = new ethers.Contract(
         mintedNftInfo.contractAddress,  // NFTコントラクトのアドレス
-        Web3Mint.abi,                  // コントラクトとの通信方法
+        getContractAbi(NETWORKS[mintedNftInfo.networkName]), // コントラクトとの通信方法（ミントしたネットワークのABI）
         provider                       // ネットワーク接続
       );
 
@@ -167,6 +183,11 @@ const MintedNftDisplay = ({
     return null;
   }
 
+  // 🔗 ミントしたネットワークのブロックエクスプローラーでのトランザクションURL
+  const explorerTxUrl = getExplorerUrl(NETWORKS[mintedNftInfo.networkName], 'tx', mintedNftInfo.txHash);
+  const isBatch = mintedNftInfo.tokenIds?.length > 1;
+  const isBurned = burnedTokenId === mintedNftInfo.tokenId;
+
   return (
     <div style={{
       marginTop: "20px",
@@ -184,6 +205,21 @@ const MintedNftDisplay = ({
         gap: "8px"
       }}>
         🎉 NFT作成成功！
+        {/* 🔒 ソウルバウンドのバッジ（転送できないNFT） */}
+        {mintedNftInfo.soulbound && (
+          <span
+            title="ソウルバウンド（ERC-5192）：他のウォレットに転送できません。バーンはできます"
+            style={{
+              fontSize: "0.6em",
+              padding: "2px 8px",
+              borderRadius: "12px",
+              backgroundColor: "#5e35b1",
+              color: "white"
+            }}
+          >
+            🔒 転送不可
+          </span>
+        )}
       </h3>
 
       {/* コントラクトアドレス */}
@@ -207,8 +243,43 @@ const MintedNftDisplay = ({
       {/* トークンIDとトランザクション */}
       <div style={{ marginBottom: "15px" }}>
         <div style={{ marginBottom: "8px" }}>
-          <strong>🏷️ Token ID:</strong> {mintedNftInfo.tokenId}
+          <strong>🏷️ Token ID:</strong>{' '}
+          {isBatch
+            ? `${mintedNftInfo.tokenIds.join(', ')}（${mintedNftInfo.tokenIds.length}件を一括作成）`
+            : mintedNftInfo.tokenId}
         </div>
+        {isBurned && (
+          <div style={{ marginBottom: "8px", color: "#d32f2f" }}>
+            <strong>🔥 バーン済み:</strong> このNFTは焼却されました（トークンIDは再利用されません）
+          </div>
+        )}
+        {mintedNftInfo.edition && (
+          <div style={{ marginBottom: "8px" }}>
+            <strong>🔢 エディション:</strong>{' '}
+            #{mintedNftInfo.edition.editionId}（{mintedNftInfo.edition.size}枚）
+            {' '}— Token ID {mintedNftInfo.edition.tokenIds.map((tokenId, index) => `${tokenId}（#${index + 1}）`).join(', ')}
+          </div>
+        )}
+        {mintedNftInfo.onChain && (
+          <div style={{ marginBottom: "8px" }}>
+            <strong>🖋️ 保存先:</strong> オンチェーン（SVGとメタデータをコントラクトに保存）
+          </div>
+        )}
+        {mintedNftInfo.gasless && (
+          <div style={{ marginBottom: "8px" }}>
+            <strong>⛽ ガス代:</strong> リレイヤーが負担しました（ガスレスミント）
+          </div>
+        )}
+        {mintedNftInfo.paidWithToken && (
+          <div style={{ marginBottom: "8px" }}>
+            <strong>🪙 支払い:</strong> {mintedNftInfo.paidWithToken}（ERC-20トークンで支払いました）
+          </div>
+        )}
+        {mintedNftInfo.refundedAmount && (
+          <div style={{ marginBottom: "8px" }}>
+            <strong>💸 返金:</strong> {mintedNftInfo.refundedAmount} ETH（ミント料金より多く支払った分をウォレットに返金しました）
+          </div>
+        )}
         <div style={{ marginBottom: "5px" }}>
           <strong>📄 Transaction:</strong>
         </div>
@@ -235,22 +306,25 @@ const MintedNftDisplay = ({
           marginBottom: "15px",
           flexWrap: "wrap"
         }}>
-          <a
-            href={`https://${mintedNftInfo.networkName}.etherscan.io/tx/${mintedNftInfo.txHash}`}
-            target="_blank"
-            rel="noopener noreferrer"
-            style={{
-              display: "inline-block",
-              padding: "8px 16px",
-              backgroundColor: "#1976d2",
-              color: "white",
-              textDecoration: "none",
-              borderRadius: "4px",
-              fontSize: "0.9em"
-            }}
-          >
-            🔍 Etherscanで確認
-          </a>
+          {/* ローカルのHardhatなど、エクスプローラーがないネットワークでは表示しない */}
+          {explorerTxUrl && (
+            <a
+              href={explorerTxUrl}
+              target="_blank"
+              rel="noopener noreferrer"
+              style={{
+                display: "inline-block",
+                padding: "8px 16px",
+                backgroundColor: "#1976d2",
+                color: "white",
+                textDecoration: "none",
+                borderRadius: "4px",
+                fontSize: "0.9em"
+              }}
+            >
+              🔍 Etherscanで確認
+            </a>
+          )}
 
           <a
             href="https://gemcase.vercel.app/"
@@ -311,7 +385,25 @@ const MintedNftDisplay = ({
           >
             🔍 詳細調査
           </Button>
+
+          {/* 🔥 バーン（一括作成したNFTは「マイNFT」から1件ずつバーンする） */}
+          {!isBatch && !isBurned && (
+            <Button
+              onClick={() => burnNft(mintedNftInfo.tokenId)}
+              disabled={burningTokenId !== null}
+              size="small"
+              color="error"
+              variant="outlined"
+            >
+              {burningTokenId !== null ? 'バーン中...' : '🔥 バーン'}
+            </Button>
+          )}
         </div>
+        {burnError && (
+          <div style={{ marginBottom: "15px", fontSize: "0.9em", color: "#d32f2f" }}>
+            ❌ {burnError}
+          </div>
+        )}
       </div>
 
       {/* 使用方法の説明 */}
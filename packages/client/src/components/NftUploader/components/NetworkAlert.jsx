@@ -16,8 +16,8 @@ import { Alert, Button } from '@mui/material';
  * 3. 成功メッセージ（成功） - 操作が正常に完了した場合
  *
  * 【ネットワークエラーの対応】
- * - Sepoliaテストネットワーク以外に接続している場合に警告表示
- * - ワンクリックでSepoliaに切り替えられるボタンを提供
+ * - コントラクトがデプロイされていないネットワークに接続している場合に警告表示
+ * - 対応ネットワーク（Sepolia、Base Sepoliaなど）ごとに、ワンクリックで切り替えられるボタンを提供
  * - 分かりやすいエラーメッセージで状況を説明
  *
  * 【初心者向け解説】
@@ -29,13 +29,15 @@ import { Alert, Button } from '@mui/material';
  * @param {string} networkError - ネットワーク関連のエラーメッセージ
  * @param {string} walletError - ウォレット関連のエラーメッセージ
  * @param {string} success - 成功メッセージ
- * @param {function} switchToSepolia - Sepoliaネットワークに切り替える関数
+ * @param {Object[]} supportedNetworks - 切り替え先の候補（コントラクトがデプロイされたネットワーク）
+ * @param {function} switchNetwork - ネットワークを切り替える関数（引数はネットワークのキー）
  */
 const NetworkAlert = ({
   networkError,
   walletError,
   success,
-  switchToSepolia
+  supportedNetworks = [],
+  switchNetwork
 }) => {
   return (
     <div style={{ margin: '10px 0' }}>
@@ -48,20 +50,25 @@ const NetworkAlert = ({
             whiteSpace: "pre-line"     // 改行文字を実際の改行として表示
           }}
           action={
-            // 🔄 Sepoliaネットワーク切り替えボタン
-            <Button
-              onClick={switchToSepolia}
-              size="small"
-              style={{
-                backgroundColor: "#ff9800",  // オレンジ色
-                color: "white",
-                '&:hover': {
-                  backgroundColor: "#f57c00"  // ホバー時の濃いオレンジ
-                }
-              }}
-            >
-              Sepoliaに切り替え
-            </Button>
+            // 🔄 対応ネットワークへの切り替えボタン（ネットワークごとに1つ）
+            <div style={{ display: 'flex', flexDirection: 'column', gap: '5px' }}>
+              {supportedNetworks.map((network) => (
+                <Button
+                  key={network.key}
+                  onClick={() => switchNetwork(network.key)}
+                  size="small"
+                  style={{
+                    backgroundColor: "#ff9800",  // オレンジ色
+                    color: "white",
+                    '&:hover': {
+                      backgroundColor: "#f57c00"  // ホバー時の濃いオレンジ
+                    }
+                  }}
+                >
+                  {network.name}に切り替え
+                </Button>
+              ))}
+            </div>
           }
         >
           {networkError}
@@ -1,4 +1,12 @@
+// Reactの機能をインポート
+import { useState } from 'react';
+// Material-UIのタブコンポーネントをインポート
+import { Tab, Tabs } from '@mui/material';
 // 各種コンポーネントをインポート
+import AdminPanel from '../../AdminPanel/AdminPanel'; // 役割ごとの管理画面
+import NftGallery from '../../NftGallery/NftGallery'; // 所有NFTのギャラリー
+import VoucherPanel from '../../VoucherPanel/VoucherPanel'; // ミント引換券（レイジーミント）
+import { DEFAULT_NETWORK, getContractAddress } from '../../../utils/networks'; // 対応ネットワークの一覧
 import MarketplaceButtons from '../../GemcaseButton/GemcaseButton'; // NFTマーケットプレイスボタン群
 import ContractStatus from './ContractStatus'; // スマートコントラクト状態表示
 import FileUpload from './FileUpload'; // ファイルアップロード機能
@@ -27,7 +35,7 @@ import WalletConnection from './WalletConnection'; // ウォレット接続機
  * 1. タイトル表示
  * 2. ウォレット接続（最初に必要）
  * 3. ネットワーク状態確認
- * 4. ファイルアップロード（ウォレット接続後）
+ * 4. ファイルアップロード（ウォレット接続後）／マイNFT／引換券／管理（役割を持つ場合）のタブ
  * 5. NFT作成結果表示
  * 6. 各種状態表示（IPFS、コントラクト等）
  * 7. マーケットプレイスリンク
@@ -45,23 +53,56 @@ import WalletConnection from './WalletConnection'; // ウォレット接続機
  * @param {string} networkError - ネットワーク関連エラー
  * @param {string} walletError - ウォレット関連エラー
  * @param {string} success - 成功メッセージ
- * @param {function} switchToSepolia - Sepoliaネットワーク切り替え関数
- * @param {File} selectedFile - 選択されたファイル
+ * @param {Object} network - 接続中のネットワーク（一覧にないチェーンならnull）
+ * @param {Object[]} supportedNetworks - コントラクトがデプロイされたネットワークの一覧
+ * @param {function} switchNetwork - ネットワーク切り替え関数（引数はネットワークのキー）
+ * @param {File} selectedFile - 選択されたファイル（先頭の1件）
+ * @param {File[]} selectedFiles - 選択された全ファイル
+ * @param {Array} rejectedFiles - 検証で除外されたファイルと理由
+ * @param {number} maxFiles - 一度に選択できるファイル数の上限
  * @param {string} fileError - ファイル関連エラー
  * @param {function} onFileSelect - ファイル選択処理関数
  * @param {function} onDragOver - ドラッグオーバー処理関数
  * @param {function} onDrop - ドロップ処理関数
+ * @param {function} onRemoveFile - 選択済みファイルを1件取り除く関数
+ * @param {Object} metadataForm - メタデータ編集フォームの状態
+ * @param {boolean} canMintOnChain - オンチェーン保存を選べるか（SVGを1件選択中）
+ * @param {boolean} onChain - オンチェーン保存モードがONかどうか
+ * @param {function} onOnChainChange - オンチェーン保存モードの切り替え関数
+ * @param {Array} paymentTokens - 選べる支払いトークン（選べない時は空配列）
+ * @param {string|null} paymentToken - 選択中の支払いトークンのアドレス（null = ETH）
+ * @param {function} onPaymentTokenChange - 支払い方法の切り替え関数
+ * @param {boolean} canMintGasless - ガスレスミントを選べるか（リレイヤーが使え、画像を1件ETH払いで選択中）
+ * @param {boolean} gasless - ガスレスミントがONかどうか
+ * @param {function} onGaslessChange - ガスレスミントの切り替え関数
+ * @param {boolean} canMintSoulbound - 転送できないNFTを選べるか（一般販売中に画像を1件IPFS・ETH払いで選択中）
+ * @param {boolean} soulbound - 転送できないNFT（ソウルバウンド）にするかどうか
+ * @param {function} onSoulboundChange - ソウルバウンドの切り替え関数
+ * @param {boolean} canMintEdition - 番号付きエディションを選べるか（一般販売中に画像を1件IPFS・ETH払いで選択中）
+ * @param {boolean} edition - 番号付きエディションにするかどうか
+ * @param {function} onEditionChange - エディションの切り替え関数
+ * @param {string} editionSize - 入力中の発行枚数
+ * @param {string|null} editionSizeError - 発行枚数の入力エラー（問題なければ null）
+ * @param {function} onEditionSizeChange - 発行枚数の変更関数
  * @param {boolean} uploading - アップロード中かどうか
  * @param {string} loadingStep - 現在の処理ステップ
  * @param {number} loadingProgress - 処理進捗（0-100）
+ * @param {Array} batchItems - バッチミント時の各ファイルの進捗
  * @param {object} mintedNftInfo - 作成済みNFT情報
  * @param {function} onMintClick - NFT作成ボタンクリック処理
  * @param {function} onCloseMintedInfo - NFT情報ダイアログクローズ処理
  * @param {object} contractInfo - コントラクト情報
+ * @param {object} contractStats - 発行状況の統計（管理画面のダッシュボード用）
  * @param {boolean} contractLoading - コントラクト情報読み込み中かどうか
  * @param {string} contractError - コントラクト関連エラー
  * @param {function} onRefreshContract - コントラクト情報更新関数
+ * @param {Object|null} fiatRates - 1 ETH あたりの円・ドル（価格の目安表示用）
+ * @param {Object} roles - 接続中のウォレットが持っている役割（useRoles の roles）
+ * @param {boolean} hasAnyRole - 何か1つでも役割を持っているか（管理タブの表示条件）
+ * @param {boolean} rolesLoading - 役割を取得中かどうか
+ * @param {function} onAdminUpdated - 管理操作の完了後に呼ぶ関数
  * @param {boolean} isUsingRealIPFS - 実際のIPFSサービス使用中かどうか
+ * @param {string} ipfsProvider - 使用中のIPFSプロバイダー（pinata / kubo / mock）
  */
 const NftUploaderLayout = ({
   // 🔐 ウォレット関連のプロップス
@@ -74,33 +115,73 @@ const NftUploaderLayout = ({
   networkError,
   walletError,
   success,
-  switchToSepolia,
+  network,
+  supportedNetworks,
+  switchNetwork,
 
   // 📁 ファイルアップロード関連のプロップス
   selectedFile,
+  selectedFiles,
+  rejectedFiles,
+  maxFiles,
   fileError,
   onFileSelect,
   onDragOver,
   onDrop,
+  onRemoveFile,
+  metadataForm,
+  canMintOnChain,
+  onChain,
+  onOnChainChange,
+  paymentTokens,
+  paymentToken,
+  onPaymentTokenChange,
+  canMintGasless,
+  gasless,
+  onGaslessChange,
+  canMintSoulbound,
+  soulbound,
+  onSoulboundChange,
+  canMintEdition,
+  edition,
+  onEditionChange,
+  editionSize,
+  editionSizeError,
+  onEditionSizeChange,
 
   // 🎨 NFTミント関連のプロップス
   uploading,
   loadingStep,
   loadingProgress,
+  batchItems,
   mintedNftInfo,
   onMintClick,
   onCloseMintedInfo,
 
   // 📄 スマートコントラクト関連のプロップス
   contractInfo,
+  contractStats,
   contractLoading,
   contractError,
   onRefreshContract,
+  fiatRates,
+
+  // 🛠️ 管理画面関連のプロップス
+  roles,
+  hasAnyRole,
+  rolesLoading,
+  onAdminUpdated,
 
   // 🌐 IPFS関連のプロップス
-  isUsingRealIPFS
+  isUsingRealIPFS,
+  ipfsProvider
 }) => {
   // 🎨 実際の画面レイアウトを構築
+  // 🗂️ 表示中のタブ（'create' = NFTを作成、'gallery' = マイNFT、'voucher' = 引換券、'admin' = 管理）
+  const [selectedTab, setSelectedTab] = useState('create');
+  // 役割がなくなった（アカウント切り替えなど）場合、管理タブから作成タブに戻す
+  const activeTab = selectedTab === 'admin' && !hasAnyRole ? 'create' : selectedTab;
+
   return (
     <div className="outerBox">
       {/* 🏷️ アプリケーションタイトル */}
@@ -121,19 +202,89 @@ const NftUploaderLayout = ({
         networkError={networkError}
         walletError={walletError}
         success={success}
-        switchToSepolia={switchToSepolia}
+        supportedNetworks={supportedNetworks}
+        switchNetwork={switchNetwork}
       />
 
-      {/* 📁 ステップ2：ファイルアップロード（ウォレット接続後のみ表示） */}
+      {/* 🗂️ タブ切り替え（ウォレット接続後のみ表示） */}
       {currentAccount && (
+        <Tabs
+          value={activeTab}
+          onChange={(_, value) => setSelectedTab(value)}
+          centered
+          style={{ marginBottom: '10px' }}
+        >
+          <Tab label="🎨 NFTを作成" value="create" />
+          <Tab label="🖼️ マイNFT" value="gallery" />
+          <Tab label="🎫 引換券" value="voucher" />
+          {hasAnyRole && <Tab label="🛠️ 管理" value="admin" />}
+        </Tabs>
+      )}
+
+      {/* 🛠️ 管理画面（役割を持つウォレットのみ） */}
+      {currentAccount && activeTab === 'admin' && (
+        <AdminPanel
+          currentAccount={currentAccount}
+          network={network}
+          roles={roles}
+          rolesLoading={rolesLoading}
+          contractInfo={contractInfo}
+          contractStats={contractStats}
+          onUpdated={onAdminUpdated}
+        />
+      )}
+
+      {/* 🖼️ マイNFTギャラリー（ミント完了時に自動で再読み込み） */}
+      {currentAccount && activeTab === 'gallery' && (
+        <NftGallery
+          currentAccount={currentAccount}
+          network={network}
+          refreshKey={mintedNftInfo?.txHash}
+          onBurned={onRefreshContract}
+        />
+      )}
+
+      {/* 🎫 ミント引換券（作成者は署名だけ、買う人がミント） */}
+      {currentAccount && activeTab === 'voucher' && (
+        <VoucherPanel
+          currentAccount={currentAccount}
+          onRedeemed={onRefreshContract}
+        />
+      )}
+
+      {/* 📁 ステップ2：ファイルアップロード（ウォレット接続後のみ表示） */}
+      {currentAccount && activeTab === 'create' && (
         <FileUpload
           selectedFile={selectedFile}
+          selectedFiles={selectedFiles}
+          rejectedFiles={rejectedFiles}
+          maxFiles={maxFiles}
           error={fileError}
           uploading={uploading}
           isPending={isPending}
           onFileSelect={onFileSelect}
           onDragOver={onDragOver}
           onDrop={onDrop}
+          onRemoveFile={onRemoveFile}
+          metadataForm={metadataForm}
+          canMintOnChain={canMintOnChain}
+          onChain={onChain}
+          onOnChainChange={onOnChainChange}
+          paymentTokens={paymentTokens}
+          paymentToken={paymentToken}
+          onPaymentTokenChange={onPaymentTokenChange}
+          canMintGasless={canMintGasless}
+          gasless={gasless}
+          onGaslessChange={onGaslessChange}
+          canMintSoulbound={canMintSoulbound}
+          soulbound={soulbound}
+          onSoulboundChange={onSoulboundChange}
+          canMintEdition={canMintEdition}
+          edition={edition}
+          onEditionChange={onEditionChange}
+          editionSize={editionSize}
+          editionSizeError={editionSizeError}
+          onEditionSizeChange={onEditionSizeChange}
           onMintClick={onMintClick}
           currentAccount={currentAccount}
           networkError={networkError}
@@ -144,17 +295,18 @@ const NftUploaderLayout = ({
       <MintedNftDisplay
         mintedNftInfo={mintedNftInfo}
         onClose={onCloseMintedInfo}
+        onBurned={onRefreshContract}
       />
 
       {/* 🌐 IPFS接続状態表示（技術的な情報） */}
-      <IpfsStatus isUsingRealIPFS={isUsingRealIPFS} />
+      <IpfsStatus isUsingRealIPFS={isUsingRealIPFS} provider={ipfsProvider} />
 
       {/* 🎨 NFTマーケットプレイスボタン（ウォレット接続後のみ表示） */}
       {/* 作成したNFTを各種マーケットプレイスで確認できるリンク */}
       {currentAccount && (
         <MarketplaceButtons
-          contractAddress={process.env.REACT_APP_CONTRACT_ADDRESS}
-          networkName={process.env.REACT_APP_NETWORK_NAME}
+          contractAddress={getContractAddress(network || DEFAULT_NETWORK)}
+          networkName={(network || DEFAULT_NETWORK).key}
           sx={{ margin: '20px 0' }}
         />
       )}
@@ -167,6 +319,7 @@ const NftUploaderLayout = ({
           loading={contractLoading}
           error={contractError}
           onRefresh={onRefreshContract}
+          fiatRates={fiatRates}
         />
       )}
 
@@ -177,6 +330,7 @@ const NftUploaderLayout = ({
         isPending={isPending}
         loadingStep={loadingStep}
         loadingProgress={loadingProgress}
+        batchItems={batchItems}
       />
     </div>
   );
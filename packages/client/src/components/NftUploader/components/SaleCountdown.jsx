@@ -0,0 +1,78 @@
+// Reactの機能をインポート
+import { useEffect, useRef, useState } from 'react';
+// 販売期間・ダッチオークションの計算
+import { formatCountdown, getNextPriceDrop, getSaleWindowStatus, nowInSeconds } from '../../../utils/saleSchedule';
+
+/**
+ * ⏰ 販売期間とダッチオークションのカウントダウン表示コンポーネント
+ *
+ * 【このコンポーネントの役割】
+ * このコンポーネントは「駅の発車案内板」のような役割を果たします。
+ * 1秒ごとに時刻を進め、次のできごとまでの残り時間を表示します。
+ * - 販売開始前 → 販売開始まで
+ * - 販売中で終了日時あり → 販売終了まで
+ * - ダッチオークション中 → 次の値下げまで
+ *
+ * 残り時間が0になったら onElapsed を呼び、コントラクト情報を取り直してもらいます。
+ *
+ * @param {number} saleStart - 販売開始日時（秒、0 = すぐに開始）
+ * @param {number} saleEnd - 販売終了日時（秒、0 = 終了なし）
+ * @param {Object|null} dutchAuction - ダッチオークションの設定（useContract の contractInfo.dutchAuction）
+ * @param {bigint} currentPriceWei - 現在の料金（wei）
+ * @param {function} onElapsed - 残り時間が0になった時に呼ぶ関数
+ */
+const SaleCountdown = ({ saleStart, saleEnd, dutchAuction, currentPriceWei, onElapsed }) => {
+  const [now, setNow] = useState(nowInSeconds);
+
+  // ⏱️ 1秒ごとに現在時刻を更新
+  useEffect(() => {
+    const intervalId = setInterval(() => setNow(nowInSeconds()), 1000);
+    return () => clearInterval(intervalId);
+  }, []);
+
+  const status = getSaleWindowStatus(saleStart, saleEnd, now);
+  const nextDrop = status === 'open' ? getNextPriceDrop(dutchAuction, currentPriceWei, now) : null;
+
+  // 🎯 表示するできごと（近いものを1つ）
+  let target = null;
+  if (status === 'upcoming') {
+    target = { label: '⏰ 販売開始まで', at: saleStart };
+  } else if (nextDrop && (saleEnd === 0 || nextDrop < saleEnd)) {
+    target = { label: '📉 次の値下げまで', at: nextDrop };
+  } else if (status === 'open' && saleEnd !== 0) {
+    target = { label: '⏳ 販売終了まで', at: saleEnd };
+  }
+
+  // 🔄 残り時間が0になったら1回だけ情報を取り直す
+  const elapsedRef = useRef(null);
+  useEffect(() => {
+    if (target && target.at <= now && elapsedRef.current !== target.at) {
+      elapsedRef.current = target.at;
+      onElapsed();
+    }
+  }, [target, now, onElapsed]);
+
+  if (status === 'ended') {
+    return (
+      <div style={{ marginBottom: "8px", color: "#f44336", fontWeight: "bold" }}>
+        ⌛ 販売期間は終了しました
+      </div>
+    );
+  }
+
+  if (!target) return null;
+
+  return (
+    <div style={{
+      marginBottom: "8px",
+      display: "flex",
+      alignItems: "center",
+      gap: "8px"
+    }}>
+      <span style={{ fontWeight: "bold" }}>{target.label}:</span>
+      <span style={{ fontFamily: "monospace" }}>{formatCountdown(target.at - now)}</span>
+    </div>
+  );
+};
+
+export default SaleCountdown;
@@ -1,6 +1,66 @@
 // Reactの機能をインポート
 import { useCallback, useState } from 'react';
 
+/**
+ * 📂 フォルダ内のエントリを再帰的に読み取ってFileの配列にする関数
+ *
+ * 【なぜ必要？】
+ * フォルダをドロップすると、dataTransfer.filesにはフォルダ自体しか入らないため、
+ * FileSystemEntry APIを使って中身のファイルを1つずつ取り出す必要がある
+ *
+ * @param {FileSystemEntry} entry - ドロップされたファイルまたはフォルダ
+ * @returns {Promise<File[]>} フォルダ内の全ファイル
+ */
+const readEntry = async (entry) => {
+  if (entry.isFile) {
+    const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+    return [file];
+  }
+
+  if (entry.isDirectory) {
+    const reader = entry.createReader();
+    const entries = [];
+
+    // readEntriesは一度に全件を返さないことがあるため、空になるまで繰り返す
+    let batch;
+    do {
+      batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+      entries.push(...batch);
+    } while (batch.length > 0);
+
+    const nested = await Promise.all(entries.map(readEntry));
+    return nested.flat();
+  }
+
+  return [];
+};
+
+/**
+ * 📦 ドロップされたファイルを取り出す関数（フォルダにも対応）
+ * @param {DataTransfer} dataTransfer - ドロップイベントのデータ
+ * @returns {Promise<File[]>} ドロップされた全ファイル（隠しファイルを除く）
+ */
+const collectDroppedFiles = async (dataTransfer) => {
+  const items = Array.from(dataTransfer.items || []);
+  const entries = items
+    .map((item) => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null))
+    .filter(Boolean);
+
+  // FileSystemEntry APIが使えないブラウザではファイルのみを扱う
+  const files = entries.length > 0
+    ? (await Promise.all(entries.map(readEntry))).flat()
+    : Array.from(dataTransfer.files || []);
+
+  return files.filter((file) => !file.name.startsWith('.'));
+};
+
+/**
+ * 🔤 ファイル名順（数字は数値として比較）に並べ替える関数
+ * 例：image2.png が image10.png より前に来る
+ */
+const sortByName = (files) =>
+  [...files].sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+
 /**
  * 📁 ファイルアップロード管理用カスタムフック
  *
@@ -19,6 +79,11 @@ import { useCallback, useState } from 'react';
  * - ファイル形式：JPG、PNG、GIF、SVGのみ許可
  * - ファイルサイズ：10MB以下に制限
  * - ファイル存在：実際にファイルが選択されているか
+ * - ファイル数：一度に20件まで（バッチミントの上限）
+ *
+ * 【複数ファイル・フォルダ対応】
+ * - 複数選択やフォルダのドロップで、まとめてNFTを作成できる
+ * - 1件ずつ検証し、条件を満たさないファイルだけを理由付きで除外する
  *
  * 【初心者向け解説】
  * - useState = 状態（データ）を管理するReactの機能
@@ -29,13 +94,21 @@ import { useCallback, useState } from 'react';
 const useFileUpload = () => {
 
   // 📊 状態管理：現在の状況を記録する変数たち
-  const [selectedFile, setSelectedFile] = useState(null);  // 選択されたファイル
+  const [selectedFiles, setSelectedFiles] = useState([]);  // 選択されたファイル（複数可）
+  const [rejectedFiles, setRejectedFiles] = useState([]);  // 検証で除外されたファイルと理由
   const [error, setError] = useState('');                  // エラーメッセージ
 
+  // 📄 先頭のファイル（1件だけ扱う既存の処理との互換用）
+  const selectedFile = selectedFiles[0] || null;
+
   // 📏 ファイルサイズ制限（10MB = 10 × 1024 × 1024 バイト）
   // NFTの画像は適度なサイズに抑えることで、アップロード時間を短縮
   const MAX_FILE_SIZE = 10 * 1024 * 1024;
 
+  // 📦 一度に選択できるファイル数の上限
+  // コントラクトのMAX_BATCH_SIZE（1回のバッチミントの上限）と揃える
+  const MAX_BATCH_FILES = 20;
+
   // 🎨 サポートされるファイル形式（MIME type形式）
   // MIME type = ファイルの種類を表す標準的な識別子
   const SUPPORTED_FORMATS = [
@@ -68,31 +141,59 @@ const useFileUpload = () => {
     return null;
   }, [MAX_FILE_SIZE, SUPPORTED_FORMATS]);
 
-  // 📁 ファイル選択処理関数（ボタンクリックやファイル選択ダイアログ用）
-  const handleFileSelect = useCallback((event) => {
-    // 📂 選択されたファイルを取得（最初の1つのみ）
-    const file = event.target.files[0];
-
+  // 📋 複数ファイルをまとめて検証し、選択状態に反映する関数
+  // 条件を満たすファイルだけを選択し、除外したファイルは理由と一緒に記録
+  const applyFiles = useCallback((files) => {
     // 📋 ファイルが選択されていない場合の処理
-    if (!file) {
-      setSelectedFile(null);  // 選択ファイルをクリア
+    if (files.length === 0) {
+      setSelectedFiles([]);   // 選択ファイルをクリア
+      setRejectedFiles([]);   // 除外ファイルをクリア
       setError('');           // エラーメッセージをクリア
       return;
     }
 
-    // 🔍 ファイルのバリデーション（品質チェック）を実行
-    const validationError = validateFile(file);
-    if (validationError) {
-      setError(validationError);  // エラーメッセージを設定
-      setSelectedFile(null);      // 不正なファイルは選択状態にしない
-      return;
+    const accepted = [];
+    const rejected = [];
+
+    // 🔍 1件ずつバリデーション（品質チェック）を実行
+    files.forEach((file) => {
+      const validationError = validateFile(file);
+      if (validationError) {
+        rejected.push({ name: file.name, reason: validationError });
+      } else if (accepted.length >= MAX_BATCH_FILES) {
+        rejected.push({ name: file.name, reason: `一度に作成できるのは${MAX_BATCH_FILES}件までです` });
+      } else {
+        accepted.push(file);
+      }
+    });
+
+    setSelectedFiles(accepted);
+    setRejectedFiles(rejected);
+
+    // ❌ エラーメッセージの設定
+    if (accepted.length === 0) {
+      setError(rejected[0].reason);  // 有効なファイルがない場合は最初の理由を表示
+    } else if (rejected.length > 0) {
+      setError(`${rejected.length}件のファイルを除外しました`);
+    } else {
+      setError('');
     }
 
-    // ✅ バリデーション成功：ファイルを正式に選択状態にする
-    setError('');           // エラーメッセージをクリア
-    setSelectedFile(file);  // ファイルを選択状態に設定
-    console.log('📁 ファイル選択:', file.name, `(${Math.round(file.size / 1024)} KB)`);
-  }, [validateFile]);
+    accepted.forEach((file) => {
+      console.log('📁 ファイル選択:', file.name, `(${Math.round(file.size / 1024)} KB)`);
+    });
+  }, [MAX_BATCH_FILES, validateFile]);
+
+  // 📁 ファイル選択処理関数（ボタンクリックやファイル選択ダイアログ用）
+  // 複数選択やフォルダ選択（webkitdirectory）で選ばれた全ファイルを処理
+  const handleFileSelect = useCallback((event) => {
+    // 📂 選択されたファイルを全て取得（隠しファイルは除外）
+    const files = Array.from(event.target.files || []).filter((file) => !file.name.startsWith('.'));
+    applyFiles(sortByName(files));
+
+    // 同じファイルを選び直した場合もonChangeが発火するようにリセット
+    event.target.value = '';
+  }, [applyFiles]);
 
   // 🖱️ ドラッグオーバー処理関数（ファイルをドラッグしている時）
   // ブラウザのデフォルト動作を無効化して、カスタムドロップ処理を有効にする
@@ -101,37 +202,30 @@ const useFileUpload = () => {
     event.stopPropagation();   // イベントの伝播を停止
   }, []);
 
-  // 📦 ドロップ処理関数（ファイルがドロップされた時）
-  const handleDrop = useCallback((event) => {
+  // 📦 ドロップ処理関数（ファイルやフォルダがドロップされた時）
+  const handleDrop = useCallback(async (event) => {
     event.preventDefault();    // ブラウザのデフォルト動作を防ぐ
     event.stopPropagation();   // イベントの伝播を停止
 
-    // 📂 ドロップされたファイルリストを取得
-    const files = event.dataTransfer.files;
+    // 📂 ドロップされたファイルを取得（フォルダの場合は中身を展開）
+    // ※ dataTransferはイベント処理後に空になるため、collectDroppedFiles内で最初に同期的に取り出す
+    const files = await collectDroppedFiles(event.dataTransfer);
     if (files.length === 0) return;  // ファイルがない場合は何もしない
 
-    // 📁 最初のファイルのみを処理（複数ファイルは対応しない）
-    const file = files[0];
-
-    // 🔍 ファイルのバリデーション（品質チェック）を実行
-    const validationError = validateFile(file);
+    applyFiles(sortByName(files));
+  }, [applyFiles]);
 
-    if (validationError) {
-      setError(validationError);  // エラーメッセージを設定
-      setSelectedFile(null);      // 不正なファイルは選択状態にしない
-      return;
-    }
-
-    // ✅ バリデーション成功：ファイルを正式に選択状態にする
-    setError('');           // エラーメッセージをクリア
-    setSelectedFile(file);  // ファイルを選択状態に設定
-    console.log('📁 ファイルドロップ:', file.name, `(${Math.round(file.size / 1024)} KB)`);
-  }, [validateFile]);
+  // 🗑️ 選択済みファイルから1件だけ取り除く関数
+  const removeFile = useCallback((index) => {
+    setSelectedFiles((files) => files.filter((_, i) => i !== index));
+    setError('');
+  }, []);
 
   // 🧹 ファイルクリア関数（選択状態をリセット）
   // NFT作成完了後や、新しいファイルを選択し直したい時に使用
   const clearFile = useCallback(() => {
-    setSelectedFile(null);  // 選択ファイルをクリア
+    setSelectedFiles([]);   // 選択ファイルをクリア
+    setRejectedFiles([]);   // 除外ファイルをクリア
     setError('');           // エラーメッセージもクリア
   }, []);
 
@@ -155,18 +249,23 @@ const useFileUpload = () => {
   // 他のコンポーネントがこのフックを使用する時に受け取れる値と関数
   return {
     // 📊 状態値
-    selectedFile,                    // 現在選択されているファイル
+    selectedFile,                    // 現在選択されているファイル（先頭の1件）
+    selectedFiles,                   // 選択されている全ファイル
+    rejectedFiles,                   // 検証で除外されたファイルと理由
     error,                          // 現在のエラーメッセージ
+    maxFiles: MAX_BATCH_FILES,       // 一度に選択できるファイル数の上限
 
     // 🔧 操作関数
     handleFileSelect,               // ファイル選択処理関数
     handleDragOver,                 // ドラッグオーバー処理関数
     handleDrop,                     // ドロップ処理関数
+    removeFile,                     // 選択済みファイルを1件取り除く関数
     clearFile,                      // ファイルクリア関数
     getFileInfo,                    // ファイル情報取得関数
 
     // 🔍 便利な判定値（boolean）
     isFileSelected: !!selectedFile, // ファイルが選択されているかどうか
+    isBatch: selectedFiles.length > 1, // 複数ファイル（バッチミント）かどうか
     hasError: !!error               // エラーが発生しているかどうか
   };
 };
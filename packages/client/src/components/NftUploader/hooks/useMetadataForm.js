@@ -0,0 +1,135 @@
+// 必要なライブラリをインポート
+import { useCallback, useEffect, useMemo, useState } from 'react'; // Reactの機能（フック）
+import {
+  createEmptyAttribute,
+  DEFAULT_ROYALTY_PERCENT,
+  MAX_ATTRIBUTES,
+  royaltyPercentToBps,
+  validateNftMetadata
+} from '../../../utils/nftMetadata'; // メタデータの検証ユーティリティ
+
+// ファイル名から拡張子を除去する関数（例：「cat.jpg」→「cat」）
+const stripExtension = (fileName) => fileName.replace(/\.[^/.]+$/, "");
+
+/**
+ * 📝 NFTメタデータ編集フォーム用カスタムフック
+ *
+ * 【このフックの役割】
+ * このフックは「NFTの名札を書く係」のような役割を果たします。
+ * ミントする前に、ユーザーが名前・説明・外部リンク・属性（trait）を
+ * 自由に入力できるようにし、入力内容をリアルタイムで検証します。
+ *
+ * 【主な責務（やること）】
+ * - フォームの入力値を管理 - 名前・説明・外部URL・属性一覧・ロイヤリティ率
+ * - 初期値の設定 - ファイルが選ばれたらファイル名から名前と説明を自動入力
+ * - 属性の追加・更新・削除
+ * - 入力値の検証 - エラーがあればミントボタンを押せないようにする
+ *
+ * 【初心者向け解説】
+ * - 属性（attributes）= マーケットプレイスで表示されるNFTの特徴（例：背景=青）
+ * - useMemo = 計算結果を記憶して、入力が変わった時だけ再計算する機能
+ *
+ * @param {File[]} selectedFiles - 選択されている画像ファイル
+ */
+const useMetadataForm = (selectedFiles = []) => {
+
+  // 📊 状態管理：フォームの入力値
+  const [name, setName] = useState('');                  // NFT名
+  const [description, setDescription] = useState('');    // 説明文
+  const [externalUrl, setExternalUrl] = useState('');    // 外部リンク（任意）
+  const [attributes, setAttributes] = useState([]);      // 属性の一覧
+  const [royaltyPercent, setRoyaltyPercent] = useState(String(DEFAULT_ROYALTY_PERCENT)); // ロイヤリティ率（%）
+
+  // 📦 複数ファイル（バッチミント）かどうか
+  const isBatch = selectedFiles.length > 1;
+  const firstFile = selectedFiles[0] || null;
+
+  // 🔄 ファイルが選び直されたら、ファイル名から初期値を入力し直す
+  // バッチミントでは名前は空（＝各ファイル名を使用）にしておく
+  useEffect(() => {
+    if (!firstFile) {
+      setName('');
+      setDescription('');
+    } else if (isBatch) {
+      setName('');
+      setDescription('Created with NFT Maker');
+    } else {
+      const fileName = stripExtension(firstFile.name);
+      setName(fileName);
+      setDescription(`${fileName} - Created with NFT Maker`);
+    }
+  }, [firstFile, isBatch]);
+
+  // ➕ 属性を1行追加する関数
+  const addAttribute = useCallback(() => {
+    setAttributes((current) => (
+      current.length >= MAX_ATTRIBUTES ? current : [...current, createEmptyAttribute()]
+    ));
+  }, []);
+
+  // ✏️ 属性を1行更新する関数（changes = 変更したい項目だけ）
+  const updateAttribute = useCallback((index, changes) => {
+    setAttributes((current) => current.map((attribute, i) => (
+      i === index ? { ...attribute, ...changes } : attribute
+    )));
+  }, []);
+
+  // 🗑️ 属性を1行削除する関数
+  const removeAttribute = useCallback((index) => {
+    setAttributes((current) => current.filter((_, i) => i !== index));
+  }, []);
+
+  // 🧹 フォームを空にする関数（ミント完了後などに使用）
+  const resetForm = useCallback(() => {
+    setName('');
+    setDescription('');
+    setExternalUrl('');
+    setAttributes([]);
+    setRoyaltyPercent(String(DEFAULT_ROYALTY_PERCENT));
+  }, []);
+
+  // 🔍 入力値の検証（入力が変わった時だけ再計算）
+  const errors = useMemo(() => validateNftMetadata(
+    { name, description, externalUrl, attributes, royaltyPercent },
+    { requireName: !isBatch }
+  ), [name, description, externalUrl, attributes, royaltyPercent, isBatch]);
+
+  // 📤 ミント処理に渡すメタデータ（前後の空白を除去）
+  // royaltyBps はコントラクトに渡すベーシスポイント（5% → 500）
+  const metadata = useMemo(() => ({
+    name: name.trim(),
+    description: description.trim(),
+    externalUrl: externalUrl.trim(),
+    attributes,
+    royaltyBps: royaltyPercentToBps(royaltyPercent)
+  }), [name, description, externalUrl, attributes, royaltyPercent]);
+
+  // 🎁 このフックが提供する機能一覧を返す
+  return {
+    // 📊 状態値
+    name,
+    description,
+    externalUrl,
+    attributes,
+    royaltyPercent,
+    metadata,                        // ミント処理に渡す整形済みの入力値
+    errors,                          // 項目ごとのエラーメッセージ
+    maxAttributes: MAX_ATTRIBUTES,   // 属性の最大件数
+
+    // 🔧 操作関数
+    setName,
+    setDescription,
+    setExternalUrl,
+    setRoyaltyPercent,
+    addAttribute,
+    updateAttribute,
+    removeAttribute,
+    resetForm,
+
+    // 🔍 便利な判定値（boolean）
+    isValid: Object.keys(errors).length === 0,  // ミントできる入力内容かどうか
+    isBatch                                      // 名前を「名前 #番号」で付けるかどうか
+  };
+};
+
+export default useMetadataForm;
@@ -1,8 +1,317 @@
 // 必要なライブラリをインポート
 import { ethers } from 'ethers'; // Ethereumブロックチェーンとの通信ライブラリ
 import { useCallback, useState, useTransition } from 'react'; // Reactの機能（フック）
-import Web3Mint from '../../../utils/Web3Mint.json'; // スマートコントラクトの設計図（ABI）
 import { getIPFSUploader } from '../../../utils/ipfsService'; // IPFS（分散ストレージ）サービス
+import { fetchAllowlistEntry, SALE_PHASE } from '../../../utils/allowlist'; // プレセール許可リスト
+import { prepareOnChainSvg } from '../../../utils/svg'; // オンチェーンSVGの下ごしらえ
+import { resolveContractForProvider } from '../../../utils/networks'; // 接続中のネットワークのコントラクトとABI
+import { ERC20_ABI } from '../../../utils/erc20'; // ERC-20トークン支払い用のABI
+import { getSaleWindowStatus } from '../../../utils/saleSchedule'; // 販売期間の判定
+import { fetchRelayerInfo, relayForwardRequest, signForwardRequest } from '../../../utils/relayer'; // ガスレスミント
+import { EDITION_BATCH_SIZE } from '../../../utils/nftMetadata'; // エディションを1回のトランザクションでミントする枚数
+
+/**
+ * 💬 ミント処理のエラーをユーザー向けのメッセージに変換する関数
+ *
+ * 【なぜ必要？】
+ * コントラクトやMetaMaskのエラーは英語の技術的なメッセージのため、
+ * 原因が分かる日本語のメッセージに置き換えて表示する
+ *
+ * @param {Error} error - 発生したエラー
+ * @returns {string} ユーザー向けのエラーメッセージ
+ */
+const getMintErrorMessage = (error) => {
+  const message = error.message || '';
+
+  if (error.code === 4001) return 'ユーザーによってトランザクションが拒否されました';
+  if (error.code === 'INSUFFICIENT_FUNDS') return 'ETHが不足しています';
+  if (message.includes('MintingDisabled')) return 'ミント機能が無効になっています';
+  if (message.includes('MaxSupplyExceeded')) return '最大発行数に達しています';
+  if (message.includes('WalletLimitExceeded')) return 'このウォレットでミントできる上限に達しています';
+  if (message.includes('InsufficientPayment')) return '支払い金額が不足しています';
+  if (message.includes('IncorrectPayment')) return 'ミント料金ちょうどの金額を支払ってください（料金が変更された可能性があります）';
+  if (message.includes('SaleNotStarted')) return '販売開始前です。販売開始までお待ちください';
+  if (message.includes('SaleEnded')) return '販売期間は終了しました';
+  if (message.includes('UnsupportedPaymentToken')) return 'このトークンはミント料金の支払いに使えません';
+  if (message.includes('ERC20InsufficientAllowance')) return 'トークンの利用許可（approve）が不足しています';
+  if (message.includes('ERC20InsufficientBalance')) return 'トークン残高が不足しています';
+  if (message.includes('EmptyName')) return 'NFT名が空です';
+  if (message.includes('EmptyDescription')) return 'NFT説明が空です';
+  if (message.includes('InvalidIPFSHash')) return 'IPFSハッシュが無効です';
+  if (message.includes('InvalidBatchSize')) return '一度に作成できるNFTの数を超えています';
+  if (message.includes('ArrayLengthMismatch')) return 'バッチミントのデータが不正です';
+  if (message.includes('RoyaltyTooHigh')) return 'ロイヤリティ率が上限を超えています';
+  if (message.includes('PresaleNotActive')) return 'プレセール期間ではありません';
+  if (message.includes('InvalidMerkleProof')) return 'このウォレットはプレセールの許可リストに登録されていません';
+  if (message.includes('PresaleAllowanceExceeded')) return 'プレセールでミントできる上限に達しています';
+  if (message.includes('InvalidSVG')) return 'SVGファイルの形式が正しくありません';
+  if (message.includes('SVGTooLarge')) return 'SVGが大きすぎるためオンチェーンに保存できません';
+  if (message.includes('InvalidEditionSize')) return 'エディションの発行枚数が正しくありません';
+  if (message.includes('EditionSoldOut')) return 'エディションの発行枚数を超えています';
+  if (error.reason) return `コントラクトエラー: ${error.reason}`;
+  return message || 'NFTの作成に失敗しました';
+};
+
+/**
+ * 💸 レシートから返金された金額を取り出す関数
+ *
+ * 【返金とは？】
+ * 送信した後にミント料金が下がった場合など、料金より多く支払っていると
+ * コントラクトが差額を返金し、PaymentRefunded イベントを記録する
+ *
+ * @param {ethers.Contract} contract - Web3Mintコントラクト
+ * @param {Object} receipt - トランザクションのレシート
+ * @returns {string|null} 返金額（ETH単位の文字列）、返金がなければ null
+ */
+const getRefundFromReceipt = (contract, receipt) => {
+  const refund = receipt.logs
+    .map((log) => {
+      try {
+        return contract.interface.parseLog(log);
+      } catch {
+        return null;
+      }
+    })
+    .find((parsed) => parsed && parsed.name === 'PaymentRefunded');
+
+  return refund ? ethers.formatEther(refund.args.amount) : null;
+};
+
+/**
+ * 🔢 レシートからエディションの情報を取り出す関数
+ *
+ * 【取り出す内容】
+ * - EditionCreated イベント → エディションIDと発行枚数
+ * - EditionMinted イベント → 今回ミントしたコピーのトークンID（番号の順）
+ *
+ * @param {ethers.Contract} contract - Web3Mintコントラクト
+ * @param {Object[]} receipts - createEdition と、続けて送った mintEditionCopies のレシート（送った順）
+ * @returns {{editionId: string, size: number, tokenIds: string[]}|null} エディションの情報（イベントがなければ null）
+ */
+const getEditionFromReceipts = (contract, receipts) => {
+  const events = receipts
+    .flatMap((receipt) => receipt.logs)
+    .map((log) => {
+      try {
+        return contract.interface.parseLog(log);
+      } catch {
+        return null;
+      }
+    })
+    .filter(Boolean);
+
+  const created = events.find((parsed) => parsed.name === 'EditionCreated');
+  if (!created) return null;
+
+  return {
+    editionId: created.args.editionId.toString(),
+    size: Number(created.args.size),
+    tokenIds: events
+      .filter((parsed) => parsed.name === 'EditionMinted')
+      .map((parsed) => parsed.args.tokenId.toString())
+  };
+};
+
+/**
+ * ⏰ 販売期間内かを確認する関数（期間外ならエラー）
+ *
+ * 【なぜ必要？】
+ * 期間外でもコントラクトがミントを拒否するが、MetaMaskの確認を出す前に
+ * 「販売開始前」「販売終了」と分かりやすく伝えるため
+ *
+ * @param {ethers.Contract} contract - Web3Mintコントラクト
+ */
+const assertSaleWindowOpen = async (contract) => {
+  const [saleStart, saleEnd] = await Promise.all([contract.saleStart(), contract.saleEnd()]);
+  const status = getSaleWindowStatus(Number(saleStart), Number(saleEnd));
+  if (status === 'upcoming') throw new Error('販売開始前です。販売開始までお待ちください');
+  if (status === 'ended') throw new Error('販売期間は終了しました');
+};
+
+/**
+ * 🪙 ERC-20トークン払いの準備をする関数
+ *
+ * 【トークン払いの流れ】
+ * 1. コントラクトに設定されたトークンごとの料金（tokenMintPrice）を確認
+ * 2. ユーザーのトークン残高が料金以上あるか確認
+ * 3. コントラクトへの利用許可（allowance）が足りなければ approve を送って承認を待つ
+ * 4. あとはミント時にコントラクトが transferFrom で料金を受け取る
+ *
+ * @param {ethers.Contract} contract - Web3Mintコントラクト
+ * @param {string} contractAddress - Web3Mintコントラクトのアドレス（approve の相手）
+ * @param {string} tokenAddress - 支払いに使うトークンのアドレス
+ * @param {string} currentAccount - ユーザーのアドレス
+ * @param {ethers.Signer} signer - トランザクション署名者
+ * @param {Function} updateProgress - 進捗を表示する関数
+ * @returns {Promise<{price: string, symbol: string}>} 表示用の支払額とシンボル
+ */
+const prepareTokenPayment = async (contract, contractAddress, tokenAddress, currentAccount, signer, updateProgress) => {
+  const price = await contract.tokenMintPrice(tokenAddress);
+  if (price === 0n) {
+    throw new Error('このトークンはミント料金の支払いに使えません');
+  }
+
+  const token = new ethers.Contract(tokenAddress, ERC20_ABI, signer);
+  const [symbol, decimals, balance, allowance] = await Promise.all([
+    token.symbol().catch(() => 'TOKEN'),
+    token.decimals(),
+    token.balanceOf(currentAccount),
+    token.allowance(currentAccount, contractAddress)
+  ]);
+  const formattedPrice = ethers.formatUnits(price, decimals);
+  console.log('  トークン払い:', formattedPrice, symbol, '（残高', ethers.formatUnits(balance, decimals), '）');
+
+  if (balance < price) {
+    throw new Error(`${symbol}の残高が不足しています`);
+  }
+
+  // 🔓 利用許可が足りなければ、料金ぴったりの額だけ approve する
+  if (allowance < price) {
+    updateProgress(`${symbol}の利用を許可しています（approve）...`, 70);
+    const approveTx = await token.approve(contractAddress, price);
+    await approveTx.wait();
+    console.log('✅ approve 完了:', approveTx.hash);
+  }
+
+  return { price: formattedPrice, symbol };
+};
+
+/**
+ * ⛽ ガスレスミントの準備をする関数（リレイヤーが使えるか確認）
+ *
+ * 【なぜ必要？】
+ * リレイヤーが別のネットワーク・別のコントラクト向けに動いていたり、
+ * ミント料金が立て替えの上限を超えていると中継を断られるため、署名を求める前に確認する
+ *
+ * @param {ethers.Contract} contract - Web3Mintコントラクト
+ * @param {string} contractAddress - Web3Mintコントラクトのアドレス
+ * @param {Object} network - 接続中のネットワーク
+ * @param {bigint} value - ミント料金（リレイヤーが立て替える額）
+ * @returns {Promise<{forwarder: string, maxGas: bigint}>} 署名に使うフォワーダーとガスの上限
+ */
+const prepareGaslessMint = async (contract, contractAddress, network, value) => {
+  const [relayerInfo, forwarder] = await Promise.all([fetchRelayerInfo(), contract.trustedForwarder()]);
+
+  if (relayerInfo.chainId !== network.chainId
+    || relayerInfo.web3Mint.toLowerCase() !== contractAddress.toLowerCase()) {
+    throw new Error('リレイヤーは接続中のネットワークのコントラクトに対応していません');
+  }
+  if (forwarder === ethers.ZeroAddress) {
+    throw new Error('このコントラクトはガスレスミントに対応していません（フォワーダーが未設定です）');
+  }
+  if (value > relayerInfo.maxSponsoredValue) {
+    throw new Error('ミント料金がリレイヤーの立て替えの上限を超えています');
+  }
+
+  return { forwarder, maxGas: relayerInfo.maxGas };
+};
+
+/**
+ * 📤 ガスレスミントを送信する関数（署名してリレイヤーに中継してもらう）
+ *
+ * 【ガスレスミントの流れ】
+ * 1. ミントの呼び出しデータを作り、フォワードリクエストとして署名（MetaMaskの署名画面、ガス代なし）
+ * 2. リレイヤーが事前実行して、問題なければガス代を払って送信
+ * 3. 返ってきたトランザクションハッシュで完了を待つ
+ *
+ * @param {ethers.Contract} contract - Web3Mintコントラクト
+ * @param {ethers.Signer} signer - 署名者（ユーザー）
+ * @param {Object} gasless - prepareGaslessMint の戻り値
+ * @param {Object} mintFunction - 呼び出すミントの関数（contract.mintXxx）
+ * @param {Array} mintArgs - ミントの関数に渡す引数
+ * @param {bigint} value - ミント料金（リレイヤーが立て替える額）
+ * @returns {Promise<{hash: string, wait: Function}>} 送信したトランザクション（通常の送信と同じく wait で完了を待てる）
+ */
+const sendGaslessMint = async (contract, signer, gasless, mintFunction, mintArgs, value) => {
+  const { to, data } = await mintFunction.populateTransaction(...mintArgs);
+  const request = await signForwardRequest(signer, {
+    forwarder: gasless.forwarder,
+    to,
+    data,
+    value,
+    gas: gasless.maxGas
+  });
+
+  let hash;
+  try {
+    hash = await relayForwardRequest(request);
+  } catch (relayError) {
+    // 🔍 リレイヤーの事前実行で失敗した場合は、Web3Mint のエラー名を付けて日本語メッセージに変換できるようにする
+    const parsed = relayError.data ? contract.interface.parseError(relayError.data) : null;
+    throw parsed ? new Error(`${relayError.message}: ${parsed.name}`) : relayError;
+  }
+
+  return { hash, wait: () => signer.provider.waitForTransaction(hash) };
+};
+
+/**
+ * 🚀 ミントのトランザクションを送信する関数
+ *
+ * 【送信の方法】
+ * - ガスレス → 署名してリレイヤーに送信してもらう（sendGaslessMint）
+ * - それ以外 → ガスを見積もって（失敗する場合は送信前に原因を表示）、MetaMaskから送信
+ *
+ * @param {ethers.Contract} contract - Web3Mintコントラクト
+ * @param {ethers.Signer} signer - トランザクション署名者（ユーザー）
+ * @param {Object|null} gaslessMint - prepareGaslessMint の戻り値（ガスレスでなければ null）
+ * @param {Object} mintFunction - 呼び出すミントの関数（contract.mintXxx）
+ * @param {Array} mintArgs - ミントの関数に渡す引数
+ * @param {bigint} value - 送るETH（wei単位）
+ * @returns {Promise<{hash: string, wait: Function}>} 送信したトランザクション
+ */
+const sendMintTransaction = async (contract, signer, gaslessMint, mintFunction, mintArgs, value) => {
+  let transaction;
+  if (gaslessMint) {
+    // ⛽ ガスレス：ガス見積もり（事前実行）と送信はリレイヤーが行う
+    transaction = await sendGaslessMint(contract, signer, gaslessMint, mintFunction, mintArgs, value);
+    console.log('✅ リレイヤーが送信しました:', transaction.hash);
+  } else {
+    // ガス見積もりでエラーを事前検出
+    console.log('⛽ ガス見積もり実行中...');
+    let estimatedGas;
+    try {
+      estimatedGas = await mintFunction.estimateGas(
+        ...mintArgs,
+        { value }
+      );
+      console.log('✅ ガス見積もり成功:', estimatedGas.toString());
+    } catch (gasError) {
+      console.error('❌ ガス見積もりエラー:', gasError);
+
+      // ガス見積もりエラーから詳細な原因を特定（送信時のエラーと同じメッセージに変換）
+      throw new Error(getMintErrorMessage(gasError));
+    }
+
+    // 推定ガスの1.2倍を安全なガス制限として設定
+    const safeGasLimit = Math.ceil(Number(estimatedGas) * 1.2);
+    console.log('⛽ 使用ガス制限:', safeGasLimit);
+
+    try {
+      transaction = await mintFunction(
+        ...mintArgs,
+        {
+          value,
+          gasLimit: safeGasLimit
+        }
+      );
+
+      console.log('✅ トランザクション送信成功:', transaction.hash);
+    } catch (txError) {
+      console.error('❌ トランザクション送信エラー:', txError);
+
+      // より詳細なエラー情報を取得
+      if (txError.reason) {
+        throw new Error(`コントラクトエラー: ${txError.reason}`);
+      } else if (txError.code === 'CALL_EXCEPTION') {
+        throw new Error('コントラクト実行エラー: 条件を満たしていない可能性があります');
+      } else {
+        throw txError;
+      }
+    }
+  }
+
+  return transaction;
+};
 
 /**
  * 🎨 NFTミント（作成）処理用カスタムフック
@@ -17,6 +326,7 @@ import { getIPFSUploader } from '../../../utils/ipfsService'; // IPFS（分散
  *
  * 【主な責務（やること）】
  * - NFTミント処理の全体管理 - 工程の進行管理
+ * - バッチミント - 複数の画像を1回のトランザクションでまとめてNFT化
  * - 進捗状態の管理 - 「今何をしているか」をユーザーに表示
  * - エラーハンドリング - 問題が起きた時の対処
  *
@@ -40,12 +350,7 @@ const useNftMinting = () => {
   const [mintedNftInfo, setMintedNftInfo] = useState(null);    // 作成完了したNFTの詳細情報
   const [error, setError] = useState('');                      // エラーメッセージ
   const [success, setSuccess] = useState('');                  // 成功メッセージ
-
-  // 🏠 コントラクトアドレスとネットワーク設定
-  // 環境変数から取得、設定されていない場合はデフォルト値を使用
-  const CONTRACT_ADDRESS = process.env.REACT_APP_CONTRACT_ADDRESS ||
-    '0x590D13672DDB149A4602989A7B3B7D35a082B433';  // Sepoliaテストネットのコントラクトアドレス
-  const NETWORK_NAME = process.env.REACT_APP_NETWORK_NAME || 'sepolia';  // ネットワーク名
+  const [batchItems, setBatchItems] = useState([]);            // バッチミント時の各ファイルの進捗
 
   // 📈 進捗更新関数
   // ユーザーに「今何をしているか」を表示するための関数
@@ -57,7 +362,15 @@ const useNftMinting = () => {
 
   // 🎨 メインのNFTミント（作成）処理関数
   // この関数は「NFT工場の全工程」を管理する重要な関数です
-  const mintNFT = useCallback(async (file, currentAccount) => {
+  // metadata = フォームで入力した { name, description, externalUrl, attributes }
+  // 省略した場合はファイル名から名前と説明を自動生成します
+  // options.onChain = true の場合、IPFSを使わずSVGをそのままコントラクトに保存します
+  // options.paymentToken にトークンのアドレスを渡すと、ETHの代わりにそのERC-20トークンで支払います
+  // options.gasless = true の場合、署名だけしてリレイヤーにガス代を払って送信してもらいます
+  // options.soulbound = true の場合、ミントした後は転送できないNFT（ソウルバウンド）にします
+  // options.editionSize に枚数を渡すと、同じ作品に「N枚中k番目」を付けたコピーをその枚数だけまとめて発行します
+  const mintNFT = useCallback(async (file, currentAccount, metadata = {}, options = {}) => {
+    const { onChain = false, paymentToken = null, gasless = false, soulbound = false, editionSize = null } = options;
 
     // 📋 事前チェック：必要な材料が揃っているか確認
     if (!file || !currentAccount) {
@@ -71,21 +384,52 @@ const useNftMinting = () => {
       setSuccess('');            // 前回の成功メッセージをクリア
       updateProgress('ミント処理を開始しています...', 0);  // 進捗0%でスタート
 
-      // 🌐 ステップ1：IPFSアップロード
-      // IPFSは分散型のファイル保存システム。画像ファイルをここに保存します
-      updateProgress('IPFSに画像をアップロード中...', 20);  // 進捗20%
-      const ipfsUploader = getIPFSUploader();  // IPFSアップローダーを取得
-
       // ファイル名から拡張子を除去（例：「cat.jpg」→「cat」）
       const fileName = file.name.replace(/\.[^/.]+$/, "");
+      // フォームの入力値を優先し、未入力ならファイル名から作成
+      const nftName = metadata.name || fileName;
+      const nftDescription = metadata.description || `${fileName} - Created with NFT Maker`;
 
-      // 実際にIPFSにファイルをアップロード
-      // uploadNFTDataは画像ファイル、名前、説明を受け取ってIPFS URIを返します
-      const metadataURI = await ipfsUploader.uploadNFTData(
-        file,                                      // アップロードする画像ファイル
-        fileName,                                  // NFTの名前
-        `${fileName} - Created with NFT Maker`     // NFTの説明文
-      );
+      // 🌐 ステップ1：IPFSアップロード（オンチェーン保存の場合はSVGの下ごしらえ）
+      // IPFSは分散型のファイル保存システム。画像ファイルをここに保存します
+      let metadataURI = '';
+      let svgBytes = null;
+      let editionURIs = null;
+      if (onChain) {
+        updateProgress('SVGをオンチェーン用に最適化中...', 20);
+        svgBytes = await prepareOnChainSvg(file);
+        console.log('🖋️ オンチェーンSVGサイズ:', svgBytes.length, 'バイト');
+      } else if (editionSize) {
+        // 🔢 エディション：画像は1回だけ、メタデータはコピーごとに「#k/N」を付けてアップロード
+        updateProgress(`IPFSに画像と${editionSize}枚分のメタデータをアップロード中...`, 20);
+        const { metadataURIs } = await getIPFSUploader().uploadEditionData(
+          file,
+          nftName,
+          nftDescription,
+          editionSize,
+          {
+            externalUrl: metadata.externalUrl,
+            attributes: metadata.attributes
+          }
+        );
+        editionURIs = metadataURIs;
+        metadataURI = metadataURIs[0];  // 1番目のコピーのメタデータ（表示用）
+      } else {
+        updateProgress('IPFSに画像をアップロード中...', 20);  // 進捗20%
+        const ipfsUploader = getIPFSUploader();  // IPFSアップローダーを取得
+
+        // 実際にIPFSにファイルをアップロード
+        // uploadNFTDataは画像ファイル、名前、説明、追加メタデータを受け取ってIPFS URIを返します
+        metadataURI = await ipfsUploader.uploadNFTData(
+          file,                                      // アップロードする画像ファイル
+          nftName,                                   // NFTの名前
+          nftDescription,                            // NFTの説明文
+          {
+            externalUrl: metadata.externalUrl,       // 外部リンク（任意）
+            attributes: metadata.attributes          // 属性の一覧
+          }
+        );
+      }
 
       updateProgress('スマートコントラクトを呼び出し中...', 60);  // 進捗60%
 
@@ -99,22 +443,29 @@ const useNftMinting = () => {
       // Ethereumネットワークへの接続を確立
       const provider = new ethers.BrowserProvider(ethereum);  // ネットワークへの接続
       const signer = await provider.getSigner();              // トランザクション署名者（ユーザー）
-      const contract = new ethers.Contract(CONTRACT_ADDRESS, Web3Mint.abi, signer);  // コントラクトインスタンス
+      // 🌐 MetaMaskの接続先ネットワークにデプロイされたコントラクトを使う
+      const { network, contractAddress, abi } = await resolveContractForProvider(provider);
+      const contract = new ethers.Contract(contractAddress, abi, signer);  // コントラクトインスタンス
 
       // 📊 ステップ3：コントラクトの現在状態を詳細確認
       // NFTを作成する前に、コントラクトが正常に動作しているかチェック
-      const mintingEnabled = await contract.mintingEnabled();    // ミント機能が有効か
-      const mintPrice = await contract.mintPrice();              // ミント価格（ETH）
-      const currentSupply = await contract.totalSupply();        // 現在の発行済みNFT数
+      const salePhase = Number(await contract.salePhase());      // 販売フェーズ（停止中/プレセール/一般販売）
+      const isPresale = salePhase === SALE_PHASE.PRESALE;        // プレセール中か
+      const mintPrice = isPresale
+        ? await contract.presalePrice()                          // プレセール価格（ETH）
+        : await contract.currentPrice();                         // 現在のミント価格（ETH、ダッチオークション中は時間とともに下がる）
+      const currentSupply = await contract.totalSupply();        // 現在の流通数（バーンされたNFTは含まない）
+      const totalMinted = await contract.totalMinted();          // ミントされた累計（バーンされたNFTも含む）
       const maxSupply = await contract.MAX_SUPPLY();             // 最大発行可能数
       const currentTokenId = await contract.getCurrentTokenId(); // 次に発行されるトークンID
       const contractBalance = await contract.getContractBalance(); // コントラクトの残高
 
       // 🖥️ デバッグ情報をコンソールに出力（開発者が状況を把握するため）
       console.log('📊 コントラクト状態詳細確認:');
-      console.log('  ミント機能:', mintingEnabled ? '有効' : '無効');
+      console.log('  販売フェーズ:', salePhase);
       console.log('  ミント価格:', ethers.formatEther(mintPrice), 'ETH');
-      console.log('  現在の発行数:', currentSupply.toString());
+      console.log('  現在の流通数:', currentSupply.toString());
+      console.log('  ミント累計:', totalMinted.toString());
       console.log('  最大発行数:', maxSupply.toString());
       console.log('  次のトークンID:', currentTokenId.toString());
       console.log('  コントラクト残高:', ethers.formatEther(contractBalance), 'ETH');
@@ -125,22 +476,76 @@ const useNftMinting = () => {
       // NFTを作成する前に、条件が満たされているかチェック
 
       // ミント機能が有効かチェック
-      if (!mintingEnabled) {
+      if (salePhase === SALE_PHASE.CLOSED) {
         throw new Error('ミント機能が無効になっています');
       }
 
-      // 最大発行数に達していないかチェック
-      if (currentTokenId > maxSupply) {
-        throw new Error(`最大発行数に達しています (${currentTokenId} > ${maxSupply})`);
+      // ⏰ 販売期間内かチェック
+      await assertSaleWindowOpen(contract);
+
+      // 🌳 プレセール中は許可リストから自分の証明（proof）を取り出す
+      let allowlistEntry = null;
+      if (isPresale) {
+        allowlistEntry = await fetchAllowlistEntry(currentAccount);
+        if (!allowlistEntry) {
+          throw new Error('このウォレットはプレセールの許可リストに登録されていません');
+        }
+        console.log('  許可リスト: 登録済み（ミント可能数', allowlistEntry.allowance, '）');
       }
 
-      // 💰 ユーザーのETH残高確認
-      const userBalance = await provider.getBalance(currentAccount);
-      console.log('  ユーザー残高:', ethers.formatEther(userBalance), 'ETH');
+      // 🖋️ オンチェーンSVGは一般販売のみ（許可リストの証明を受け取らないため）
+      if (onChain && isPresale) {
+        throw new Error('プレセール中はオンチェーンSVGを作成できません');
+      }
 
-      // 残高が足りているかチェック
-      if (userBalance < mintPrice) {
-        throw new Error('ETH残高が不足しています');
+      // 🪙 トークン払いは一般販売のIPFS画像のみ（mintIpfsNFTWithToken）
+      if (paymentToken && (isPresale || onChain)) {
+        throw new Error('トークン払いは一般販売のIPFS画像のミントでのみ使えます');
+      }
+
+      // 🔒 ソウルバウンドは一般販売のIPFS画像・ETH払いのみ（mintSoulboundNFT）
+      if (soulbound && (isPresale || onChain || paymentToken)) {
+        throw new Error('転送できないNFTは一般販売のIPFS画像をETHで支払う場合のみ作成できます');
+      }
+
+      // 🔢 エディションも一般販売のIPFS画像・ETH払いのみ（createEdition）
+      if (editionSize && (isPresale || onChain || paymentToken || soulbound)) {
+        throw new Error('エディションは一般販売のIPFS画像をETHで支払う場合のみ作成できます');
+      }
+
+      // ⛽ ガスレスミントはETH払いのみ（トークンの approve はユーザーのガス代が必要なため）
+      if (gasless && paymentToken) {
+        throw new Error('トークン払いはガスレスミントでは使えません');
+      }
+
+      // 最大発行数に達していないかチェック（バーンしても枠は戻らないので、ミントした累計で比べる）
+      // エディションは全コピー分の枠が必要
+      const quantity = ethers.toBigInt(editionSize || 1);
+      if (totalMinted + quantity > maxSupply) {
+        throw new Error(`最大発行数に達しています (${totalMinted} / ${maxSupply})`);
+      }
+
+      // 💰 支払うETH（エディションは1枚あたりの料金 × 枚数）
+      const totalPrice = mintPrice * quantity;
+
+      // 💰 支払い残高の確認（トークン払いならトークン、ガスレスならリレイヤー、それ以外はETH）
+      let payment = null;
+      let gaslessMint = null;
+      if (paymentToken) {
+        payment = await prepareTokenPayment(
+          contract, contractAddress, paymentToken, currentAccount, signer, updateProgress
+        );
+      } else if (gasless) {
+        gaslessMint = await prepareGaslessMint(contract, contractAddress, network, totalPrice);
+        console.log('  ガスレスミント: フォワーダー', gaslessMint.forwarder);
+      } else {
+        const userBalance = await provider.getBalance(currentAccount);
+        console.log('  ユーザー残高:', ethers.formatEther(userBalance), 'ETH');
+
+        // 残高が足りているかチェック
+        if (userBalance < totalPrice) {
+          throw new Error('ETH残高が不足しています');
+        }
       }
 
       updateProgress('トランザクションを送信中...', 80);
@@ -148,10 +553,10 @@ const useNftMinting = () => {
       // NFTをミント
       // mintIpfsNFT(name, description, ipfsHash) - ipfsHashはハッシュ部分のみ
       console.log('🚀 ミント実行中...');
-      console.log('  名前:', fileName);
-      console.log('  説明:', `${fileName} - Created with NFT Maker`);
+      console.log('  名前:', nftName);
+      console.log('  説明:', nftDescription);
       console.log('  メタデータURI:', metadataURI);
-      console.log('  送信ETH:', ethers.formatEther(mintPrice));
+      console.log('  送信ETH:', ethers.formatEther(totalPrice));
 
       // IPFSハッシュを抽出（ipfs://プレフィックスを除去）
       const ipfsHash = metadataURI.replace('ipfs://', '');
@@ -159,85 +564,67 @@ const useNftMinting = () => {
 
       // パラメータ検証
       console.log('🔍 パラメータ検証:');
-      console.log('  名前の長さ:', fileName.length, '文字');
-      console.log('  説明の長さ:', `${fileName} - Created with NFT Maker`.length, '文字');
+      console.log('  名前の長さ:', nftName.length, '文字');
+      console.log('  説明の長さ:', nftDescription.length, '文字');
       console.log('  IPFSハッシュの長さ:', ipfsHash.length, '文字');
       console.log('  IPFSハッシュが空:', ipfsHash.length === 0);
 
       // 空文字チェック
-      if (fileName.length === 0) {
+      if (nftName.length === 0) {
         throw new Error('NFT名が空です');
       }
 
-      if (ipfsHash.length === 0) {
+      if (!onChain && ipfsHash.length === 0) {
         throw new Error('IPFSハッシュが空です');
       }
 
-      // ガス見積もりでエラーを事前検出
-      console.log('⛽ ガス見積もり実行中...');
-      let estimatedGas;
-      try {
-        estimatedGas = await contract.mintIpfsNFTWithMetadata.estimateGas(
-          fileName,
-          `${fileName} - Created with NFT Maker`,
-          ipfsHash,
-          metadataURI,
-          { value: mintPrice }
-        );
-        console.log('✅ ガス見積もり成功:', estimatedGas.toString());
-      } catch (gasError) {
-        console.error('❌ ガス見積もりエラー:', gasError);
-
-        // ガス見積もりエラーから詳細な原因を特定
-        if (gasError.reason) {
-          throw new Error(`コントラクトエラー: ${gasError.reason}`);
-        } else if (gasError.message.includes('MintingDisabled')) {
-          throw new Error('ミント機能が無効になっています');
-        } else if (gasError.message.includes('MaxSupplyExceeded')) {
-          throw new Error('最大発行数に達しています');
-        } else if (gasError.message.includes('InsufficientPayment')) {
-          throw new Error('支払い金額が不足しています');
-        } else if (gasError.message.includes('EmptyName')) {
-          throw new Error('NFT名が空です');
-        } else if (gasError.message.includes('EmptyDescription')) {
-          throw new Error('NFT説明が空です');
-        } else if (gasError.message.includes('InvalidIPFSHash')) {
-          throw new Error('IPFSハッシュが無効です');
-        } else {
-          throw new Error(`ガス見積もりエラー: ${gasError.message}`);
-        }
+      // 💎 ロイヤリティ率が指定されていれば、受取人を自分（ミントした人）にして設定
+      // 未指定ならコントラクトのデフォルト率で mintIpfsNFTWithMetadata を使用
+      // 🌳 プレセール中は presaleMintIpfsNFT に許可リストの証明を渡す（ロイヤリティはデフォルト率）
+      // 🖋️ オンチェーン保存は mintOnChainSVG にSVGのバイト列を渡す（ロイヤリティはデフォルト率）
+      // 🪙 トークン払いは mintIpfsNFTWithToken（ロイヤリティ未指定ならデフォルト率を渡す）
+      // 🔒 ソウルバウンドは mintSoulboundNFT（売買できないのでロイヤリティは設定しない）
+      // 🔢 エディションは createEdition に最初の EDITION_BATCH_SIZE 枚分のメタデータURIを渡す（ロイヤリティはデフォルト率）
+      //    残りのコピーはミントできた後に mintEditionCopies で同じ枚数ずつミントする
+      const hasRoyalty = !isPresale && !onChain && !soulbound && !editionSize && metadata.royaltyBps !== undefined;
+      let mintFunction;
+      let mintArgs;
+      if (payment) {
+        const royaltyBps = hasRoyalty ? metadata.royaltyBps : await contract.defaultRoyaltyBps();
+        mintFunction = contract.mintIpfsNFTWithToken;
+        mintArgs = [paymentToken, nftName, nftDescription, ipfsHash, metadataURI, royaltyBps];
+      } else if (soulbound) {
+        mintFunction = contract.mintSoulboundNFT;
+        mintArgs = [nftName, nftDescription, ipfsHash, metadataURI];
+      } else if (editionSize) {
+        mintFunction = contract.createEdition;
+        mintArgs = [editionSize, editionURIs.slice(0, EDITION_BATCH_SIZE)];
+      } else if (onChain) {
+        mintFunction = contract.mintOnChainSVG;
+        mintArgs = [nftName, nftDescription, svgBytes];
+      } else if (isPresale) {
+        mintFunction = contract.presaleMintIpfsNFT;
+        mintArgs = [nftName, nftDescription, ipfsHash, metadataURI, allowlistEntry.allowance, allowlistEntry.proof];
+      } else if (hasRoyalty) {
+        mintFunction = contract.mintIpfsNFTWithRoyalty;
+        mintArgs = [nftName, nftDescription, ipfsHash, metadataURI, ethers.ZeroAddress, metadata.royaltyBps];
+      } else {
+        mintFunction = contract.mintIpfsNFTWithMetadata;
+        mintArgs = [nftName, nftDescription, ipfsHash, metadataURI];
       }
+      console.log('  ロイヤリティ:', hasRoyalty ? `${metadata.royaltyBps / 100}%` : 'デフォルト');
 
-      // 推定ガスの1.2倍を安全なガス制限として設定
-      const safeGasLimit = Math.ceil(Number(estimatedGas) * 1.2);
-      console.log('⛽ 使用ガス制限:', safeGasLimit);
-
-      let transaction;
-      try {
-        transaction = await contract.mintIpfsNFTWithMetadata(
-          fileName,
-          `${fileName} - Created with NFT Maker`,
-          ipfsHash, // ハッシュ部分のみを渡す
-          metadataURI, // メタデータURIを追加
-          {
-            value: mintPrice,
-            gasLimit: safeGasLimit
-          }
-        );
-
-        console.log('✅ トランザクション送信成功:', transaction.hash);
-      } catch (txError) {
-        console.error('❌ トランザクション送信エラー:', txError);
+      // トークン払いはETHを送らない（料金はトークンで transferFrom される）
+      // エディションの最初のトランザクションは、createEdition でミントする枚数分だけ送る
+      let value = payment ? 0n : totalPrice;
+      if (editionSize) {
+        value = mintPrice * ethers.toBigInt(mintArgs[1].length);
+      }
 
-        // より詳細なエラー情報を取得
-        if (txError.reason) {
-          throw new Error(`コントラクトエラー: ${txError.reason}`);
-        } else if (txError.code === 'CALL_EXCEPTION') {
-          throw new Error('コントラクト実行エラー: 条件を満たしていない可能性があります');
-        } else {
-          throw txError;
-        }
+      if (gaslessMint) {
+        updateProgress('ガスレスミントの署名を待っています...', 80);
       }
+      const transaction = await sendMintTransaction(contract, signer, gaslessMint, mintFunction, mintArgs, value);
 
       updateProgress('トランザクション確認中...', 90);
 
@@ -250,6 +637,35 @@ const useNftMinting = () => {
 
       console.log('✅ トランザクション完了:', receipt);
 
+      // 🔢 エディションの残りのコピーを EDITION_BATCH_SIZE 枚ずつ mintEditionCopies でミント
+      // （1回のトランザクションでミントできるのはコントラクトの MAX_BATCH_SIZE 枚まで）
+      const editionReceipts = [receipt];
+      const edition = editionSize ? getEditionFromReceipts(contract, editionReceipts) : null;
+      for (let start = EDITION_BATCH_SIZE; edition && start < editionURIs.length; start += EDITION_BATCH_SIZE) {
+        const copies = editionURIs.slice(start, start + EDITION_BATCH_SIZE);
+        updateProgress(`エディションのコピーをミント中... (${start + copies.length} / ${editionSize}枚)`, 90);
+
+        try {
+          // ダッチオークション中は料金が下がっていくので、送るたびに今の料金で計算する
+          const copiesPrice = (await contract.currentPrice()) * ethers.toBigInt(copies.length);
+          const copiesTransaction = await sendMintTransaction(
+            contract, signer, gaslessMint, contract.mintEditionCopies, [edition.editionId, copies], copiesPrice
+          );
+          const copiesReceipt = await copiesTransaction.wait();
+          if (copiesReceipt.status === 0) {
+            throw new Error('トランザクションが失敗しました');
+          }
+          editionReceipts.push(copiesReceipt);
+        } catch (copiesError) {
+          console.error('❌ エディションのコピーのミントエラー:', copiesError);
+          // エディション自体は作成済みなので、どこまでミントできたかを伝える
+          throw new Error(
+            `エディション #${edition.editionId} は ${start} / ${editionSize}枚までミントされました。`
+            + `残りのコピーのミントに失敗しました: ${getMintErrorMessage(copiesError)}`
+          );
+        }
+      }
+
       // トークンIDをイベントログから取得
       let tokenId;
       try {
@@ -293,12 +709,18 @@ const useNftMinting = () => {
       updateProgress('NFT作成完了！', 100);
 
       const nftInfo = {
-        contractAddress: CONTRACT_ADDRESS,
+        contractAddress,
         tokenId: tokenId.toString(),
         txHash: receipt.hash,
-        networkName: NETWORK_NAME,
+        networkName: network.key,
         metadataURI,
-        fileName: file.name
+        onChain,
+        gasless: Boolean(gaslessMint),  // リレイヤーがガス代を払ったか
+        soulbound,                      // 転送できないNFTか
+        edition: edition ? getEditionFromReceipts(contract, editionReceipts) : null,  // エディションの情報（エディションでなければ null）
+        fileName: file.name,
+        refundedAmount: getRefundFromReceipt(contract, receipt),  // 払いすぎて返金された額（なければ null）
+        paidWithToken: payment ? `${payment.price} ${payment.symbol}` : null  // トークン払いの支払額（ETH払いなら null）
       };
 
       startTransition(() => {
@@ -312,30 +734,203 @@ const useNftMinting = () => {
     } catch (error) {
       console.error('❌ NFTミントエラー:', error);
 
-      let errorMessage = 'NFTの作成に失敗しました';
-
-      if (error.code === 4001) {
-        errorMessage = 'ユーザーによってトランザクションが拒否されました';
-      } else if (error.code === 'INSUFFICIENT_FUNDS') {
-        errorMessage = 'ETHが不足しています';
-      } else if (error.message.includes('MintingDisabled')) {
-        errorMessage = 'ミント機能が無効になっています';
-      } else if (error.message.includes('MaxSupplyExceeded')) {
-        errorMessage = '最大発行数に達しています';
-      } else if (error.message.includes('InsufficientPayment')) {
-        errorMessage = '支払い金額が不足しています';
-      } else if (error.message) {
-        errorMessage = error.message;
+      setError(getMintErrorMessage(error));
+      throw error;
+    } finally {
+      setUploading(false);
+      setLoadingStep('');
+      setLoadingProgress(0);
+    }
+  }, [updateProgress]);
+
+  // 📋 バッチミントの1件分の進捗を更新する関数
+  const updateBatchItem = useCallback((index, changes) => {
+    setBatchItems((items) => items.map((item, i) => (i === index ? { ...item, ...changes } : item)));
+  }, []);
+
+  // 📦 複数ファイルをまとめてNFT化する処理関数（バッチミント）
+  // 1. 全ファイルを1件ずつIPFSにアップロード
+  // 2. mintIpfsNFTBatchで1回のトランザクションにまとめてミント
+  // metadata.nameを指定すると各NFTの名前は「名前 #番号」、未指定なら各ファイル名
+  // 説明・外部URL・属性は全NFTで共通
+  const mintNFTBatch = useCallback(async (files, currentAccount, metadata = {}) => {
+
+    // 📋 事前チェック：必要な材料が揃っているか確認
+    if (!files || files.length === 0 || !currentAccount) {
+      throw new Error('ファイルまたはアカウントが指定されていません');
+    }
+
+    try {
+      // 🏁 処理開始：状態をリセットして準備
+      setUploading(true);
+      setError('');
+      setSuccess('');
+      setBatchItems(files.map((file) => ({ name: file.name, status: 'pending', tokenId: null })));
+      updateProgress(`${files.length}件のNFTのミント処理を開始しています...`, 0);
+
+      // 🌐 ステップ1：全ファイルをIPFSにアップロード（10% → 60%）
+      const ipfsUploader = getIPFSUploader();
+      const names = [];
+      const descriptions = [];
+      const metadataURIs = [];
+
+      for (let i = 0; i < files.length; i++) {
+        const file = files[i];
+        const fileName = file.name.replace(/\.[^/.]+$/, "");
+        const nftName = metadata.name ? `${metadata.name} #${i + 1}` : fileName;
+        const description = metadata.description || `${fileName} - Created with NFT Maker`;
+
+        updateBatchItem(i, { status: 'uploading' });
+        updateProgress(`IPFSにアップロード中... (${i + 1}/${files.length}) ${file.name}`,
+          10 + Math.round((i / files.length) * 50));
+
+        try {
+          const metadataURI = await ipfsUploader.uploadNFTData(file, nftName, description, {
+            externalUrl: metadata.externalUrl,
+            attributes: metadata.attributes
+          });
+          names.push(nftName);
+          descriptions.push(description);
+          metadataURIs.push(metadataURI);
+          updateBatchItem(i, { status: 'uploaded' });
+        } catch (uploadError) {
+          updateBatchItem(i, { status: 'error' });
+          throw new Error(`${file.name} のアップロードに失敗しました: ${uploadError.message}`);
+        }
+      }
+
+      updateProgress('スマートコントラクトを呼び出し中...', 60);
+
+      // 🔗 ステップ2：スマートコントラクトとの接続準備
+      const { ethereum } = window;
+      if (!ethereum) {
+        throw new Error('MetaMaskが見つかりません');
+      }
+
+      const provider = new ethers.BrowserProvider(ethereum);
+      const signer = await provider.getSigner();
+      const { network, contractAddress, abi } = await resolveContractForProvider(provider);
+      const contract = new ethers.Contract(contractAddress, abi, signer);
+
+      // 🔍 ステップ3：ミント前の検証（件数分の料金・残りの発行枠）
+      const [salePhase, mintPrice, maxSupply, totalMinted, maxPerWallet, mintedCount] = await Promise.all([
+        contract.salePhase(),
+        contract.currentPrice(),
+        contract.MAX_SUPPLY(),
+        contract.totalMinted(),
+        contract.maxPerWallet(),
+        contract.mintedBy(currentAccount)
+      ]);
+      const quantity = ethers.toBigInt(files.length);
+      const totalPrice = mintPrice * quantity;
+
+      // 🌳 プレセール中は1件ずつ許可リストの証明が必要なため、一括作成は一般販売のみ
+      if (Number(salePhase) === SALE_PHASE.PRESALE) {
+        throw new Error('プレセール中は一括作成できません');
+      }
+      if (Number(salePhase) !== SALE_PHASE.PUBLIC) {
+        throw new Error('ミント機能が無効になっています');
+      }
+      await assertSaleWindowOpen(contract);
+
+      if (totalMinted + quantity > maxSupply) {
+        throw new Error(`最大発行数を超えるため${files.length}件はミントできません`);
+      }
+
+      // 👛 ウォレットごとの上限（0 = 無制限）を超えないかチェック
+      if (maxPerWallet > 0n && mintedCount + quantity > maxPerWallet) {
+        const remaining = mintedCount >= maxPerWallet ? 0n : maxPerWallet - mintedCount;
+        throw new Error(`このウォレットでミントできるのは残り${remaining}件です`);
+      }
+
+      const userBalance = await provider.getBalance(currentAccount);
+      if (userBalance < totalPrice) {
+        throw new Error('ETH残高が不足しています');
       }
 
-      setError(errorMessage);
+      console.log('🚀 バッチミント実行中...');
+      console.log('  件数:', files.length);
+      console.log('  合計送信ETH:', ethers.formatEther(totalPrice));
+
+      // ⛽ ガス見積もり（推定ガスの1.2倍を安全なガス制限として設定）
+      updateProgress('トランザクションを送信中...', 80);
+      setBatchItems((items) => items.map((item) => ({ ...item, status: 'minting' })));
+
+      // IPFSハッシュを抽出（ipfs://プレフィックスを除去）
+      const ipfsHashes = metadataURIs.map((uri) => uri.replace('ipfs://', ''));
+
+      // 💎 全NFT共通のロイヤリティ率（未指定ならコントラクトのデフォルト率）
+      const royaltyBps = metadata.royaltyBps ?? await contract.defaultRoyaltyBps();
+
+      const estimatedGas = await contract.mintIpfsNFTBatch.estimateGas(
+        names, descriptions, ipfsHashes, metadataURIs, royaltyBps,
+        { value: totalPrice }
+      );
+      const safeGasLimit = Math.ceil(Number(estimatedGas) * 1.2);
+
+      const transaction = await contract.mintIpfsNFTBatch(
+        names,
+        descriptions,
+        ipfsHashes,     // ハッシュ部分のみを渡す
+        metadataURIs,
+        royaltyBps,     // ロイヤリティ率（受取人はミントした人）
+        { value: totalPrice, gasLimit: safeGasLimit }
+      );
+      console.log('✅ トランザクション送信成功:', transaction.hash);
+
+      updateProgress('トランザクション確認中...', 90);
+
+      const receipt = await transaction.wait();
+      if (receipt.status === 0) {
+        throw new Error('トランザクションが失敗しました。コントラクトの条件を確認してください。');
+      }
+
+      // 🏷️ ステップ4：Transferイベントから各トークンIDを取得（配列の順番通りに発行される）
+      const tokenIds = receipt.logs
+        .map((log) => {
+          try {
+            return contract.interface.parseLog(log);
+          } catch {
+            return null;
+          }
+        })
+        .filter((parsed) => parsed && parsed.name === 'Transfer')
+        .map((parsed) => parsed.args.tokenId.toString());
+
+      setBatchItems((items) => items.map((item, i) => ({ ...item, status: 'minted', tokenId: tokenIds[i] || null })));
+      updateProgress(`${files.length}件のNFT作成完了！`, 100);
+
+      const nftInfo = {
+        contractAddress,
+        tokenId: tokenIds[0],
+        tokenIds,
+        txHash: receipt.hash,
+        networkName: network.key,
+        metadataURI: metadataURIs[0],
+        metadataURIs,
+        fileName: files.map((file) => file.name).join(', '),
+        refundedAmount: getRefundFromReceipt(contract, receipt)
+      };
+
+      startTransition(() => {
+        setMintedNftInfo(nftInfo);
+        setSuccess(`${files.length}件のNFTが正常に作成されました！`);
+      });
+
+      console.log('🎉 バッチNFT作成成功:', nftInfo);
+      return nftInfo;
+
+    } catch (error) {
+      console.error('❌ バッチミントエラー:', error);
+      setError(getMintErrorMessage(error));
       throw error;
     } finally {
       setUploading(false);
       setLoadingStep('');
       setLoadingProgress(0);
+      setBatchItems([]);
     }
-  }, [CONTRACT_ADDRESS, NETWORK_NAME, updateProgress]);
+  }, [updateProgress, updateBatchItem]);
 
   // ミント情報をクリア
   const clearMintedInfo = useCallback(() => {
@@ -355,6 +950,7 @@ const useNftMinting = () => {
     uploading: uploading || isPending,
     loadingStep,
     loadingProgress,
+    batchItems,
     mintedNftInfo,
     error,
     success,
@@ -362,6 +958,7 @@ const useNftMinting = () => {
 
     // アクション
     mintNFT,
+    mintNFTBatch,
     clearMintedInfo,
     clearError,
 
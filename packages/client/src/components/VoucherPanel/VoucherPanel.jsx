@@ -0,0 +1,220 @@
+// Reactの機能をインポート
+import { useMemo, useState } from 'react';
+// Ethereumブロックチェーンとの通信ライブラリをインポート（金額の表示）
+import { ethers } from 'ethers';
+// Material-UIのコンポーネントをインポート
+import { Alert, Button, MenuItem, TextField } from '@mui/material';
+// ファイル選択と検証（NFT作成画面と同じルール）
+import useFileUpload from '../NftUploader/hooks/useFileUpload';
+// 引換券の作成と引換を行うカスタムフック
+import useVouchers from '../../hooks/useVouchers';
+// 引換コードの読み取りと有効期限の選択肢
+import { VOUCHER_EXPIRY_DAYS, decodeVoucherCode } from '../../utils/voucher';
+
+/**
+ * 🎫 ミント引換券（レイジーミント）パネル
+ *
+ * 【このコンポーネントの役割】
+ * このコンポーネントは「チケット売り場」のような役割を果たします。
+ * 作成者はガス代を払わずに引換券を作って引換コードを配り、
+ * 買う人は引換コードを貼り付けて、料金を支払ってNFTをミントします。
+ *
+ * 【画面の構成】
+ * 1. 引換券を作る - 画像・名前・説明・料金・有効期限を入力して署名
+ * 2. 引換券でミント - 引換コードを貼り付けて内容を確認し、ミント
+ *
+ * @param {string} currentAccount - 現在接続中のウォレットアドレス
+ * @param {function} [onRedeemed] - 引換券でミントした後に呼ぶ関数（発行数の表示の更新など）
+ */
+const VoucherPanel = ({ currentAccount, onRedeemed }) => {
+  const { createVoucher, redeemVoucher, creating, redeeming, progress, error, clearError } = useVouchers(onRedeemed);
+
+  // 📝 引換券を作るフォームの状態
+  const [name, setName] = useState('');
+  const [description, setDescription] = useState('');
+  const [price, setPrice] = useState('0.01');
+  const [expiryDays, setExpiryDays] = useState(VOUCHER_EXPIRY_DAYS[1]);
+  const [createdCode, setCreatedCode] = useState('');
+  const [copied, setCopied] = useState(false);
+  const { selectedFile, error: fileError, handleFileSelect } = useFileUpload();
+
+  // 🛒 引換券でミントするフォームの状態
+  const [code, setCode] = useState('');
+  const [redeemedTokenId, setRedeemedTokenId] = useState(null);
+
+  const busy = creating || redeeming;
+  const priceValid = /^\d+(\.\d{1,18})?$/.test(price);
+  const canCreate = !busy && selectedFile && name.trim() !== '' && priceValid;
+
+  // 🔍 貼り付けた引換コードの中身（読み取れない場合はエラーメッセージ）
+  const decoded = useMemo(() => {
+    if (!code.trim()) return null;
+    try {
+      return decodeVoucherCode(code);
+    } catch (decodeError) {
+      return { error: decodeError.message };
+    }
+  }, [code]);
+
+  // ✍️ 引換券を作成
+  const handleCreate = async () => {
+    setCreatedCode('');
+    setCopied(false);
+    const result = await createVoucher({
+      file: selectedFile,
+      name: name.trim(),
+      description: description.trim(),
+      price,
+      expiryDays
+    });
+    if (result) setCreatedCode(result);
+  };
+
+  // 📋 引換コードをクリップボードにコピー
+  const handleCopy = async () => {
+    await navigator.clipboard.writeText(createdCode);
+    setCopied(true);
+  };
+
+  // 🛒 引換券でミント
+  const handleRedeem = async () => {
+    setRedeemedTokenId(null);
+    const tokenId = await redeemVoucher(code);
+    if (tokenId) {
+      setRedeemedTokenId(tokenId);
+      setCode('');
+    }
+  };
+
+  // 📋 表示条件チェック：ウォレット未接続なら何も表示しない
+  if (!currentAccount) {
+    return null;
+  }
+
+  return (
+    <div style={{ margin: '20px 0', textAlign: 'left' }}>
+      {error && (
+        <Alert severity="error" onClose={clearError} style={{ marginBottom: '15px' }}>
+          {error}
+        </Alert>
+      )}
+      {progress && (
+        <Alert severity="info" style={{ marginBottom: '15px' }}>
+          {progress}
+        </Alert>
+      )}
+
+      {/* ✍️ 引換券を作る（作成者） */}
+      <h3>✍️ 引換券を作る</h3>
+      <p style={{ fontSize: '0.85em', color: '#666' }}>
+        画像をIPFSにアップロードして引換券に署名します。ガス代はかかりません。
+        ミントのガス代は買う人が支払い、料金は全額あなたに送られます。
+        引換券が使えるのは一般販売中だけで、料金は一般販売の料金以上にする必要があります。
+      </p>
+      <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+        <TextField size="small" label="NFTの名前" value={name} onChange={(event) => setName(event.target.value)} />
+        <TextField
+          size="small"
+          label="説明（任意）"
+          value={description}
+          onChange={(event) => setDescription(event.target.value)}
+          multiline
+          minRows={2}
+        />
+        <div style={{ display: 'flex', gap: '8px' }}>
+          <TextField
+            size="small"
+            label="料金（ETH）"
+            value={price}
+            onChange={(event) => setPrice(event.target.value)}
+            error={!priceValid}
+            helperText="一般販売の料金以上（それより安い引換券は使えません）"
+            style={{ flex: 1 }}
+          />
+          <TextField
+            select
+            size="small"
+            label="有効期限"
+            value={expiryDays}
+            onChange={(event) => setExpiryDays(Number(event.target.value))}
+            style={{ flex: 1 }}
+          >
+            {VOUCHER_EXPIRY_DAYS.map((days) => (
+              <MenuItem key={days} value={days}>{days}日後まで</MenuItem>
+            ))}
+          </TextField>
+        </div>
+        <div style={{ fontSize: '0.85em' }}>
+          <input type="file" accept="image/*" onChange={handleFileSelect} disabled={busy} />
+        </div>
+        {fileError && <Alert severity="error">{fileError}</Alert>}
+        <Button variant="contained" size="small" disabled={!canCreate} onClick={handleCreate}>
+          {creating ? '作成中...' : '🎫 引換券を作成'}
+        </Button>
+
+        {/* 📋 作成した引換コード */}
+        {createdCode && (
+          <Alert severity="success">
+            <div style={{ marginBottom: '8px' }}>
+              引換券を作成しました。この引換コードを買う人に渡してください（有効期限まで何度でも配れますが、ミントできるのは1回だけです）。
+            </div>
+            <TextField
+              value={createdCode}
+              multiline
+              fullWidth
+              size="small"
+              InputProps={{ readOnly: true }}
+              style={{ marginBottom: '8px', fontFamily: 'monospace' }}
+            />
+            <Button size="small" variant="outlined" onClick={handleCopy}>
+              {copied ? '✅ コピーしました' : '📋 コピー'}
+            </Button>
+          </Alert>
+        )}
+      </div>
+
+      {/* 🛒 引換券でミント（買う人） */}
+      <h3 style={{ marginTop: '30px' }}>🛒 引換券でミント</h3>
+      <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+        <TextField
+          size="small"
+          label="引換コード"
+          placeholder="w3mv1:..."
+          value={code}
+          onChange={(event) => setCode(event.target.value)}
+          multiline
+          minRows={2}
+          error={Boolean(decoded?.error)}
+          helperText={decoded?.error}
+        />
+
+        {/* 🔍 引換券の内容（ミントする前に確認できるように表示） */}
+        {decoded && !decoded.error && (
+          <div style={{ fontSize: '0.85em', background: '#f8f9fa', padding: '10px', borderRadius: '8px', wordBreak: 'break-all' }}>
+            <div>💰 料金: {ethers.formatEther(decoded.voucher.price)} ETH（＋ガス代）</div>
+            <div>👤 作成者: {decoded.voucher.creator}</div>
+            <div>📅 有効期限: {new Date(decoded.voucher.expiry * 1000).toLocaleString('ja-JP')}</div>
+            <div>📄 メタデータ: {decoded.voucher.metadataURI}</div>
+          </div>
+        )}
+
+        <Button
+          variant="contained"
+          size="small"
+          disabled={busy || !decoded || Boolean(decoded.error)}
+          onClick={handleRedeem}
+        >
+          {redeeming ? 'ミント中...' : '🛒 料金を支払ってミント'}
+        </Button>
+
+        {redeemedTokenId && (
+          <Alert severity="success">
+            🎉 ミントしました（Token ID: {redeemedTokenId}）。「マイNFT」タブで確認できます。
+          </Alert>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VoucherPanel;
@@ -0,0 +1,118 @@
+// Reactの機能をインポート
+import { useCallback, useState } from 'react';
+// Ethereumブロックチェーンとの通信ライブラリをインポート
+import { ethers } from 'ethers';
+// 接続中のネットワークのコントラクト（デプロイ記録の確認付き）とエクスプローラーURL
+import { getExplorerUrl, resolveContractForProvider } from '../utils/networks';
+
+// 📜 履歴に残すトランザクションの最大件数
+const MAX_TRANSACTIONS = 5;
+
+/**
+ * 💬 管理操作のエラーをユーザー向けのメッセージに変換する関数
+ * @param {Error} error - 発生したエラー
+ * @returns {string} ユーザー向けのエラーメッセージ
+ */
+const getAdminErrorMessage = (error) => {
+  const message = error.message || '';
+
+  if (error.code === 4001 || error.code === 'ACTION_REJECTED') return 'ユーザーによってトランザクションが拒否されました';
+  if (message.includes('AccessControlUnauthorizedAccount')) return 'この操作に必要な役割（ロール）がありません';
+  if (message.includes('No funds to withdraw')) return '引き出せる残高がありません';
+  if (message.includes('InvalidPayee')) return '受取人のアドレスか持ち分が正しくありません（重複・0は不可）';
+  if (message.includes('NoPaymentDue')) return 'この受取人が受け取れる額はありません';
+  if (message.includes('InvalidSaleWindow')) return '販売終了日時は販売開始日時より後にしてください';
+  if (message.includes('InvalidAuctionConfig')) return 'オークションの設定が正しくありません（最低料金は開始料金以下、値下げ間隔は1秒以上）';
+  if (message.includes('UnsupportedPaymentToken')) return 'トークンのアドレスが正しくありません';
+  if (message.includes('MaxSupplyExceeded')) return '最大発行数に達しています';
+  if (message.includes('InvalidTokenURI')) return 'メタデータURIが空です';
+  if (message.includes('EmptyName')) return 'NFT名が空です';
+  if (message.includes('InvalidIPFSHash')) return 'IPFSハッシュが空です';
+  return message || '操作に失敗しました';
+};
+
+/**
+ * 🛠️ 管理操作（トランザクション送信）用カスタムフック
+ *
+ * 【このフックの役割】
+ * このフックは「管理画面の窓口係」のような役割を果たします。
+ * 料金変更・ミント停止・無料ミント・引き出しなどの管理操作をコントラクトに送り、
+ * 送信中の操作・トランザクションの履歴（署名待ち → 承認待ち → 完了/失敗）・エラーを記録します。
+ *
+ * 【初心者向け解説】
+ * - 管理操作も通常のミントと同じくトランザクションなので、ガス代がかかる
+ * - 役割（ロール）を持たないウォレットで送ると、コントラクトが拒否する
+ * - 送信してからブロックに取り込まれるまで時間がかかるため、ハッシュを先に記録して追跡できるようにする
+ *
+ * @param {function} [onSuccess] - 操作が完了した後に呼ぶ関数（情報の再取得など）
+ */
+const useAdminActions = (onSuccess) => {
+
+  // 📊 状態管理
+  const [pendingAction, setPendingAction] = useState(null);  // 送信中の操作名
+  const [transactions, setTransactions] = useState([]);      // トランザクションの履歴（新しい順）
+  const [error, setError] = useState(null);                  // エラーメッセージ
+
+  /**
+   * 🚀 コントラクトの管理関数を呼び出す関数
+   * @param {string} label - 操作の表示名（例：'ミント料金の変更'）
+   * @param {string} method - コントラクトの関数名（例：'updateMintPrice'）
+   * @param {Array} [args] - 関数の引数
+   * @param {{address: string, abi: Array}} [target] - 送り先のコントラクト（省略すると Web3Mint、例：PaymentSplitter）
+   * @returns {Promise<boolean>} 成功したらtrue
+   */
+  const runAction = useCallback(async (label, method, args = [], target) => {
+    // 📝 履歴に「署名待ち」として追加し、以降は id で状態を更新する
+    const id = `${Date.now()}-${method}`;
+    const updateTransaction = (changes) => {
+      setTransactions((prev) => prev.map((item) => (item.id === id ? { ...item, ...changes } : item)));
+    };
+
+    setPendingAction(label);
+    setError(null);
+    setTransactions((prev) => [{ id, label, status: 'signing', hash: null, explorerUrl: null }, ...prev].slice(0, MAX_TRANSACTIONS));
+
+    try {
+      const { ethereum } = window;
+      if (!ethereum) {
+        throw new Error('MetaMaskが見つかりません');
+      }
+
+      const provider = new ethers.BrowserProvider(ethereum);
+      const signer = await provider.getSigner();
+      const { network, contractAddress, abi } = await resolveContractForProvider(provider);
+      const contract = target
+        ? new ethers.Contract(target.address, target.abi, signer)
+        : new ethers.Contract(contractAddress, abi, signer);
+
+      const tx = await contract[method](...args);
+      // ⏳ 送信できたらハッシュを記録（ブロックに取り込まれる前からエクスプローラーで追跡できる）
+      updateTransaction({ status: 'pending', hash: tx.hash, explorerUrl: getExplorerUrl(network, 'tx', tx.hash) });
+
+      const receipt = await tx.wait();
+      updateTransaction({ status: 'confirmed', blockNumber: receipt.blockNumber });
+
+      if (onSuccess) onSuccess();
+      return true;
+    } catch (actionError) {
+      console.error(`❌ ${label}に失敗:`, actionError);
+      const message = getAdminErrorMessage(actionError);
+      updateTransaction({ status: 'failed', error: message });
+      setError(`${label}に失敗しました: ${message}`);
+      return false;
+    } finally {
+      setPendingAction(null);
+    }
+  }, [onSuccess]);
+
+  // 🎁 このフックが提供する機能一覧を返す
+  return {
+    runAction,       // 管理関数を呼び出す関数
+    pendingAction,   // 送信中の操作名（なければnull）
+    transactions,    // トランザクションの履歴（新しい順・最大 MAX_TRANSACTIONS 件）
+    error,           // エラーメッセージ
+    clearError: () => setError(null)
+  };
+};
+
+export default useAdminActions;
@@ -0,0 +1,92 @@
+// Reactの機能をインポート
+import { useCallback, useState } from 'react';
+// Ethereumブロックチェーンとの通信ライブラリをインポート
+import { ethers } from 'ethers';
+// 接続中のネットワークのコントラクト（デプロイ記録の確認付き）
+import { resolveContractForProvider } from '../utils/networks';
+
+/**
+ * 💬 バーンのエラーをユーザー向けのメッセージに変換する関数
+ * @param {Error} error - 発生したエラー
+ * @returns {string} ユーザー向けのエラーメッセージ
+ */
+const getBurnErrorMessage = (error) => {
+  const message = error.message || '';
+
+  if (error.code === 4001 || error.code === 'ACTION_REJECTED') return 'ユーザーによってトランザクションが拒否されました';
+  if (message.includes('ERC721InsufficientApproval')) return 'このNFTをバーンする権限がありません（所有者か承認されたアドレスのみ）';
+  if (message.includes('ERC721NonexistentToken')) return 'このNFTはすでにバーンされているか、存在しません';
+  return message || 'バーンに失敗しました';
+};
+
+/**
+ * 🔥 NFTバーン（焼却）用カスタムフック
+ *
+ * 【このフックの役割】
+ * このフックは「シュレッダー係」のような役割を果たします。
+ * 確認ダイアログで本当にバーンしてよいかを聞いてから、コントラクトの burn を呼び出します。
+ *
+ * 【初心者向け解説】
+ * - バーン = NFTを削除して、誰も持っていない状態にすること（取り消せない）
+ * - バーンしても最大発行数の枠は戻らない（コントラクトの totalMinted() は減らない）
+ * - 所有者のほか、approve / setApprovalForAll で承認されたアドレスもバーンできる
+ *
+ * @param {function} [onBurned] - バーンが完了した後に呼ぶ関数（引数はトークンID、一覧の再取得など）
+ */
+const useBurnNft = (onBurned) => {
+
+  // 📊 状態管理
+  const [burningTokenId, setBurningTokenId] = useState(null); // バーン中のトークンID
+  const [error, setError] = useState(null);                   // エラーメッセージ
+
+  /**
+   * 🔥 NFTをバーンする関数
+   * @param {string} tokenId - バーンするトークンID
+   * @param {string} [name] - 確認ダイアログに表示するNFTの名前
+   * @returns {Promise<boolean>} バーンしたらtrue（キャンセル・失敗はfalse）
+   */
+  const burnNft = useCallback(async (tokenId, name) => {
+    const label = name ? `「${name}」（Token ID: ${tokenId}）` : `Token ID: ${tokenId}`;
+    if (!window.confirm(`${label} をバーン（焼却）します。\nこの操作は取り消せません。よろしいですか？`)) {
+      return false;
+    }
+
+    setBurningTokenId(tokenId);
+    setError(null);
+
+    try {
+      const { ethereum } = window;
+      if (!ethereum) {
+        throw new Error('MetaMaskが見つかりません');
+      }
+
+      const provider = new ethers.BrowserProvider(ethereum);
+      const signer = await provider.getSigner();
+      const { contractAddress, abi } = await resolveContractForProvider(provider);
+      const contract = new ethers.Contract(contractAddress, abi, signer);
+
+      const tx = await contract.burn(tokenId);
+      await tx.wait();
+
+      console.log(`🔥 Token ${tokenId} をバーンしました:`, tx.hash);
+      if (onBurned) onBurned(tokenId);
+      return true;
+    } catch (burnError) {
+      console.error('❌ バーンに失敗:', burnError);
+      setError(getBurnErrorMessage(burnError));
+      return false;
+    } finally {
+      setBurningTokenId(null);
+    }
+  }, [onBurned]);
+
+  // 🎁 このフックが提供する機能一覧を返す
+  return {
+    burnNft,          // NFTをバーンする関数
+    burningTokenId,   // バーン中のトークンID（なければnull）
+    error,            // エラーメッセージ
+    clearError: () => setError(null)
+  };
+};
+
+export default useBurnNft;
@@ -2,8 +2,14 @@
 import { useCallback, useEffect, useMemo, useRef, useState, useTransition } from 'react';
 // Ethereumブロックチェーンとの通信ライブラリをインポート
 import { ethers } from 'ethers';
-// スマートコントラクトの設計図（ABI）をインポート
-import Web3Mint from '../utils/Web3Mint.json';
+// 販売フェーズの定数をインポート
+import { SALE_PHASE } from '../utils/allowlist';
+// ネットワークごとのコントラクトアドレスとABIを取得する関数をインポート
+import { getContractAbi, getContractAddress } from '../utils/networks';
+// 支払いに使えるERC-20トークンの一覧を取得する関数をインポート
+import { fetchPaymentTokens } from '../utils/erc20';
+// 販売期間の判定
+import { getSaleWindowStatus } from '../utils/saleSchedule';
 
 /**
  * 📄 スマートコントラクト情報管理用カスタムフック
@@ -15,7 +21,7 @@ import Web3Mint from '../utils/Web3Mint.json';
  *
  * 【主な責務（やること）】
  * 1. コントラクト情報の取得 - 価格、発行数、制限などの基本情報
- * 2. リアルタイム監視 - 状況の変化を自動で検知
+ * 2. リアルタイム監視 - 状況の変化を自動で検知（ダッチオークション中は料金を定期的に再取得）
  * 3. エラーハンドリング - 接続問題やタイムアウトの適切な処理
  * 4. パフォーマンス最適化 - 不要な通信を避けて効率化
  * 5. 統計情報の計算 - 残り発行数、進捗率などの便利な情報
@@ -33,8 +39,9 @@ import Web3Mint from '../utils/Web3Mint.json';
  * - Provider = ブロックチェーンネットワークへの接続
  *
  * @param {string} currentAccount - 現在接続中のウォレットアドレス
+ * @param {Object|null} network - 接続中のネットワーク（useWallet の network）
  */
-const useContract = (currentAccount) => {
+const useContract = (currentAccount, network) => {
 
   // 🔄 React 19の新機能：useTransition
   // 重い処理を行う時に、UIの応答性を保つための機能
@@ -49,22 +56,24 @@ const useContract = (currentAccount) => {
   const fetchedRef = useRef(false);           // 既に取得済みかどうかのフラグ
   const abortControllerRef = useRef(null);    // リクエストキャンセル用のコントローラー
 
-  // 🏠 コントラクトアドレス（useMemoで最適化）
-  // 環境変数から取得、設定されていない場合はデフォルト値を使用
-  const CONTRACT_ADDRESS = useMemo(() =>
-    process.env.REACT_APP_CONTRACT_ADDRESS ||
-    '0x590D13672DDB149A4602989A7B3B7D35a082B433'  // Sepoliaテストネットのデフォルトアドレス
-  , []);
+  // 🏠 接続中のネットワークのコントラクトアドレス（useMemoで最適化）
+  // 対応外のネットワーク・未デプロイのネットワークではnull（情報を取得しない）
+  const CONTRACT_ADDRESS = useMemo(() => getContractAddress(network), [network]);
+  // 📄 そのネットワークにデプロイされたコントラクトのABI（デプロイ記録に保存されたもの）
+  const CONTRACT_ABI = useMemo(() => getContractAbi(network), [network]);
 
   // ⏱️ タイムアウト設定（useMemoで最適化）
   // ネットワークが遅い場合でも適切にタイムアウトする
   const CONTRACT_TIMEOUT = useMemo(() => 15000, []); // 15秒でタイムアウト
 
+  // 📉 ダッチオークション中に現在の料金を取り直す間隔
+  const PRICE_POLL_INTERVAL = useMemo(() => 15000, []); // 15秒ごと
+
   // 📡 コントラクト情報取得関数（最適化版）
   // ブロックチェーンからコントラクトの最新情報を取得する重要な関数
   const fetchContractInfo = useCallback(async () => {
     // 📋 事前チェック：取得条件を満たしているか確認
-    if (!currentAccount || fetchedRef.current || loading) return;
+    if (!currentAccount || !CONTRACT_ADDRESS || fetchedRef.current || loading) return;
 
     // 🚫 前のリクエストをキャンセル（重複実行防止）
     if (abortControllerRef.current) {
@@ -93,7 +102,7 @@ const useContract = (currentAccount) => {
       // 📄 スマートコントラクトのインスタンスを作成
       const contract = new ethers.Contract(
         CONTRACT_ADDRESS,    // コントラクトのアドレス
-        Web3Mint.abi,       // コントラクトとの通信方法（ABI）
+        CONTRACT_ABI,       // コントラクトとの通信方法（ABI）
         provider            // ネットワーク接続
       );
 
@@ -113,11 +122,24 @@ const useContract = (currentAccount) => {
       // 🚀 複数のコントラクト情報を並行取得（パフォーマンス改善）
       // Promise.allを使って同時に複数の情報を取得することで高速化
       const contractCalls = Promise.all([
-        contract.mintingEnabled(),                      // ミント機能が有効かどうか
+        contract.mintingEnabled(),                      // ミント機能が有効かどうか（一般販売中か）
+        contract.salePhase(),                           // 販売フェーズ（0:停止中 1:プレセール 2:一般販売）
         contract.mintPrice(),                           // ミント価格（Wei単位）
+        contract.presalePrice(),                        // プレセール価格（Wei単位）
+        contract.currentPrice(),                        // 現在の一般販売の料金（ダッチオークション中は時間とともに下がる）
+        contract.saleStart(),                           // 販売開始日時（0 = すぐに開始）
+        contract.saleEnd(),                             // 販売終了日時（0 = 終了なし）
+        contract.dutchAuction(),                        // ダッチオークションの設定（startPrice = 0 なら無効）
         contract.MAX_SUPPLY(),                          // 最大発行可能数
-        contract.totalSupply(),                         // 現在の発行済み数
+        contract.totalSupply(),                         // 現在の流通数（バーンされたNFTは含まない）
+        contract.totalMinted(),                         // ミントされた累計（バーンされたNFTも含む、最大発行数と比べる数）
+        contract.totalBurned(),                         // バーンされた数
+        contract.maxPerWallet(),                        // 1ウォレットあたりのミント上限（0 = 無制限）
+        contract.mintedBy(currentAccount),              // 接続中のウォレットのミント済み数
+        contract.getContractBalance(),                  // コントラクトの残高（引き出し前の売上）
+        contract.exactPaymentRequired(),                // 料金ちょうどの支払いだけを受け付けるか（false = 払いすぎは返金）
         // 追加情報も並行取得（エラーが発生してもデフォルト値を使用）
+        fetchPaymentTokens(contract, provider).catch(() => []), // 支払いに使えるERC-20トークン（取得失敗時は空）
         contract.name().catch(() => 'Unknown NFT'),     // NFTコレクション名
         contract.symbol().catch(() => 'NFT')            // NFTシンボル
       ]);
@@ -126,9 +148,22 @@ const useContract = (currentAccount) => {
       // どちらか早く完了した方の結果を使用
       const [
         mintingEnabled,    // ミント機能の有効性
+        salePhase,         // 販売フェーズ
         mintPrice,         // ミント価格
+        presalePrice,      // プレセール価格
+        currentPrice,      // 現在の一般販売の料金
+        saleStart,         // 販売開始日時
+        saleEnd,           // 販売終了日時
+        dutchAuction,      // ダッチオークションの設定
         maxSupply,         // 最大供給量
-        currentSupply,     // 現在の供給量
+        currentSupply,     // 現在の流通数
+        totalMinted,       // ミントされた累計
+        totalBurned,       // バーンされた数
+        maxPerWallet,      // 1ウォレットあたりのミント上限
+        mintedByAccount,   // 接続中のウォレットのミント済み数
+        contractBalance,   // コントラクトの残高
+        exactPaymentRequired, // 料金ちょうどの支払いだけを受け付けるか
+        paymentTokens,     // 支払いに使えるERC-20トークン
         contractName,      // コントラクト名
         contractSymbol     // コントラクトシンボル
       ] = await Promise.race([
@@ -141,11 +176,35 @@ const useContract = (currentAccount) => {
 
       const contractData = {
         mintingEnabled,
+        salePhase: Number(salePhase),
         mintPrice: ethers.formatEther(mintPrice),
+        presalePrice: ethers.formatEther(presalePrice),
+        currentPrice: ethers.formatEther(currentPrice),
+        saleStart: Number(saleStart),
+        saleEnd: Number(saleEnd),
+        dutchAuction: dutchAuction.startPrice > 0n ? {
+          startPrice: ethers.formatEther(dutchAuction.startPrice),
+          floorPrice: ethers.formatEther(dutchAuction.floorPrice),
+          priceDrop: ethers.formatEther(dutchAuction.priceDrop),
+          startPriceWei: dutchAuction.startPrice,
+          floorPriceWei: dutchAuction.floorPrice,
+          dropInterval: Number(dutchAuction.dropInterval),
+          startTime: Number(dutchAuction.startTime)
+        } : null,
         maxSupply: maxSupply.toString(),
         currentSupply: currentSupply.toString(),
-        isMaxReached: currentSupply >= maxSupply,
+        totalMinted: totalMinted.toString(),
+        totalBurned: totalBurned.toString(),
+        // バーンしても枠は戻らないので、ミントした累計で判定する
+        isMaxReached: totalMinted >= maxSupply,
+        maxPerWallet: maxPerWallet.toString(),
+        mintedByAccount: mintedByAccount.toString(),
+        isWalletLimitReached: maxPerWallet > 0n && mintedByAccount >= maxPerWallet,
+        contractBalance: ethers.formatEther(contractBalance),
+        exactPaymentRequired,
+        paymentTokens,
         contractAddress: CONTRACT_ADDRESS,
+        networkName: network.name,
         contractName,
         contractSymbol,
         lastUpdated: new Date().toISOString()
@@ -174,7 +233,7 @@ const useContract = (currentAccount) => {
       setLoading(false);
       abortControllerRef.current = null;
     }
-  }, [currentAccount, loading, CONTRACT_ADDRESS, CONTRACT_TIMEOUT]);
+  }, [currentAccount, loading, network, CONTRACT_ADDRESS, CONTRACT_ABI, CONTRACT_TIMEOUT]);
 
   // 手動リフレッシュ（最適化版）
   const refetchContractInfo = useCallback(() => {
@@ -185,7 +244,7 @@ const useContract = (currentAccount) => {
     fetchContractInfo();
   }, [fetchContractInfo]);
 
-  // アカウント変更時のクリーンアップ（React 19最適化版）
+  // アカウント・ネットワーク変更時のクリーンアップ（React 19最適化版）
   useEffect(() => {
     fetchedRef.current = false;
 
@@ -198,7 +257,7 @@ const useContract = (currentAccount) => {
       setContractInfo(null);
       setError(null);
     });
-  }, [currentAccount]);
+  }, [currentAccount, CONTRACT_ADDRESS]);
 
   // コントラクト情報の自動取得
   useEffect(() => {
@@ -207,6 +266,26 @@ const useContract = (currentAccount) => {
     }
   }, [currentAccount, fetchContractInfo]);
 
+  // 📉 ダッチオークション中は現在の料金だけを定期的に取り直す（他の情報は再取得しない）
+  const isAuctionActive = Boolean(contractInfo?.dutchAuction);
+  useEffect(() => {
+    if (!isAuctionActive || !CONTRACT_ADDRESS || !window.ethereum) return undefined;
+
+    const contract = new ethers.Contract(CONTRACT_ADDRESS, CONTRACT_ABI, new ethers.BrowserProvider(window.ethereum));
+    const intervalId = setInterval(async () => {
+      try {
+        const price = ethers.formatEther(await contract.currentPrice());
+        startTransition(() => {
+          setContractInfo((prev) => (prev && prev.currentPrice !== price ? { ...prev, currentPrice: price } : prev));
+        });
+      } catch (pollError) {
+        console.warn('⚠️ 現在の料金の取得に失敗しました:', pollError.message);
+      }
+    }, PRICE_POLL_INTERVAL);
+
+    return () => clearInterval(intervalId);
+  }, [isAuctionActive, CONTRACT_ADDRESS, CONTRACT_ABI, PRICE_POLL_INTERVAL]);
+
   // クリーンアップ（コンポーネントアンマウント時）
   useEffect(() => {
     return () => {
@@ -220,14 +299,20 @@ const useContract = (currentAccount) => {
   const contractStats = useMemo(() => {
     if (!contractInfo) return null;
 
-    const remainingSupply = parseInt(contractInfo.maxSupply) - parseInt(contractInfo.currentSupply);
-    const supplyPercentage = (parseInt(contractInfo.currentSupply) / parseInt(contractInfo.maxSupply)) * 100;
+    const remainingSupply = parseInt(contractInfo.maxSupply) - parseInt(contractInfo.totalMinted);
+    const supplyPercentage = (parseInt(contractInfo.totalMinted) / parseInt(contractInfo.maxSupply)) * 100;
+
+    const saleWindowStatus = getSaleWindowStatus(contractInfo.saleStart, contractInfo.saleEnd);
 
     return {
       remainingSupply,
       supplyPercentage: Math.round(supplyPercentage * 100) / 100,
-      canMint: contractInfo.mintingEnabled && !contractInfo.isMaxReached,
-      mintPriceWei: contractInfo.mintPrice ? ethers.parseEther(contractInfo.mintPrice) : null
+      saleWindowStatus,
+      canMint: contractInfo.salePhase !== SALE_PHASE.CLOSED
+        && saleWindowStatus === 'open'
+        && !contractInfo.isMaxReached
+        && !contractInfo.isWalletLimitReached,
+      mintPriceWei: contractInfo.currentPrice ? ethers.parseEther(contractInfo.currentPrice) : null
     };
   }, [contractInfo]);
 
@@ -0,0 +1,145 @@
+// Reactの機能をインポート
+import { useCallback, useState } from 'react';
+// Ethereumブロックチェーンとの通信ライブラリをインポート
+import { ethers } from 'ethers';
+// IPFS（分散ストレージ）へのメタデータのアップロード
+import { getIPFSUploader } from '../utils/ipfsService';
+// 接続中のネットワークのコントラクト（デプロイ記録の確認付き）
+import { resolveContractForProvider } from '../utils/networks';
+
+/**
+ * 💬 メタデータ編集のエラーをユーザー向けのメッセージに変換する関数
+ * @param {Error} error - 発生したエラー
+ * @returns {string} ユーザー向けのエラーメッセージ
+ */
+const getEditErrorMessage = (error) => {
+  const message = error.message || '';
+
+  if (error.code === 4001 || error.code === 'ACTION_REJECTED') return 'ユーザーによってトランザクションが拒否されました';
+  if (message.includes('NotMetadataEditor')) return 'このNFTのメタデータを変更できるのは作成者だけです';
+  if (message.includes('MetadataFrozen')) return 'このNFTのメタデータは確定済みのため変更できません';
+  if (message.includes('InvalidTokenURI')) return 'メタデータURIが正しくありません';
+  return message || 'メタデータの変更に失敗しました';
+};
+
+/**
+ * 🔗 署名付きのコントラクトを取得する関数
+ * @returns {Promise<ethers.Contract>} Web3Mintコントラクト（送信できる状態）
+ */
+const getSignedContract = async () => {
+  const { ethereum } = window;
+  if (!ethereum) {
+    throw new Error('MetaMaskが見つかりません');
+  }
+
+  const provider = new ethers.BrowserProvider(ethereum);
+  const signer = await provider.getSigner();
+  const { contractAddress, abi } = await resolveContractForProvider(provider);
+  return new ethers.Contract(contractAddress, abi, signer);
+};
+
+/**
+ * ✏️ NFTメタデータ編集用カスタムフック
+ *
+ * 【このフックの役割】
+ * このフックは「作品ラベルの張り替え係」のような役割を果たします。
+ * ミントした後に見つけた誤字などを直すため、新しいメタデータをIPFSにアップロードして
+ * コントラクトの updateTokenURI でトークンURIを差し替えます。
+ *
+ * 【処理の流れ】
+ * 1. 元のメタデータJSON（画像・外部リンク・属性）を引き継ぎ、名前と説明だけを置き換える
+ * 2. uploadMetadata で新しいメタデータをIPFSにアップロード
+ * 3. updateTokenURI(tokenId, 新しいURI) を送信（マーケットプレイスには ERC-4906 の MetadataUpdate で通知される）
+ *
+ * 【初心者向け解説】
+ * - 変更できるのはNFTを作成した人だけ（今の所有者ではない）
+ * - freezeMetadata で確定すると、その後は誰も変更できない（取り消し不可）
+ *
+ * @param {function} [onUpdated] - 変更・確定が完了した後に呼ぶ関数（引数はトークンID、一覧の再取得など）
+ */
+const useEditNftMetadata = (onUpdated) => {
+
+  // 📊 状態管理
+  const [savingTokenId, setSavingTokenId] = useState(null); // 送信中のトークンID
+  const [error, setError] = useState(null);                 // エラーメッセージ
+
+  /**
+   * ✏️ NFTの名前と説明を変更する関数
+   * @param {Object} nft - useOwnedNfts の一覧の1件（tokenId, metadata, image など）
+   * @param {{name: string, description: string}} changes - 新しい名前と説明
+   * @returns {Promise<boolean>} 変更したらtrue（失敗はfalse）
+   */
+  const updateMetadata = useCallback(async (nft, { name, description }) => {
+    setSavingTokenId(nft.tokenId);
+    setError(null);
+
+    try {
+      // 📄 元のメタデータを引き継ぐ（取得できなかった場合は画像だけ引き継ぐ）
+      const metadata = {
+        ...(nft.metadata ?? { image: nft.image, attributes: [] }),
+        name: name.trim(),
+        description: description.trim()
+      };
+
+      console.log(`✏️ Token ${nft.tokenId} の新しいメタデータをアップロード中...`);
+      const { ipfsUri } = await getIPFSUploader().uploadMetadata(metadata);
+
+      const contract = await getSignedContract();
+      const tx = await contract.updateTokenURI(nft.tokenId, ipfsUri);
+      await tx.wait();
+
+      console.log(`✏️ Token ${nft.tokenId} のメタデータを更新しました:`, ipfsUri, tx.hash);
+      if (onUpdated) onUpdated(nft.tokenId);
+      return true;
+    } catch (updateError) {
+      console.error('❌ メタデータの更新に失敗:', updateError);
+      setError(getEditErrorMessage(updateError));
+      return false;
+    } finally {
+      setSavingTokenId(null);
+    }
+  }, [onUpdated]);
+
+  /**
+   * 🧊 NFTのメタデータを確定する関数（確認ダイアログあり・取り消し不可）
+   * @param {string} tokenId - 確定するトークンID
+   * @param {string} [name] - 確認ダイアログに表示するNFTの名前
+   * @returns {Promise<boolean>} 確定したらtrue（キャンセル・失敗はfalse）
+   */
+  const freezeMetadata = useCallback(async (tokenId, name) => {
+    const label = name ? `「${name}」（Token ID: ${tokenId}）` : `Token ID: ${tokenId}`;
+    if (!window.confirm(`${label} のメタデータを確定します。\n確定した後は名前や説明を変更できなくなります。よろしいですか？`)) {
+      return false;
+    }
+
+    setSavingTokenId(tokenId);
+    setError(null);
+
+    try {
+      const contract = await getSignedContract();
+      const tx = await contract.freezeMetadata(tokenId);
+      await tx.wait();
+
+      console.log(`🧊 Token ${tokenId} のメタデータを確定しました:`, tx.hash);
+      if (onUpdated) onUpdated(tokenId);
+      return true;
+    } catch (freezeError) {
+      console.error('❌ メタデータの確定に失敗:', freezeError);
+      setError(getEditErrorMessage(freezeError));
+      return false;
+    } finally {
+      setSavingTokenId(null);
+    }
+  }, [onUpdated]);
+
+  // 🎁 このフックが提供する機能一覧を返す
+  return {
+    updateMetadata,   // 名前と説明を変更する関数
+    freezeMetadata,   // メタデータを確定する関数
+    savingTokenId,    // 送信中のトークンID（なければnull）
+    error,            // エラーメッセージ
+    clearError: () => setError(null)
+  };
+};
+
+export default useEditNftMetadata;
@@ -0,0 +1,57 @@
+// Reactの機能をインポート
+import { useEffect, useState } from 'react';
+
+// 🌐 ETHの法定通貨レートの取得元（CoinGeckoの公開API、.env で差し替え可能）
+const FIAT_RATES_URL = process.env.REACT_APP_FIAT_RATES_URL
+  || 'https://api.coingecko.com/api/v3/simple/price?ids=ethereum&vs_currencies=jpy,usd';
+
+// ⏱️ レートを取り直す間隔（5分）
+const REFRESH_INTERVAL = 5 * 60 * 1000;
+
+/**
+ * 💱 ETHの法定通貨レート（円・ドル）を取得するカスタムフック
+ *
+ * 【このフックの役割】
+ * このフックは「両替所の掲示板」のような役割を果たします。
+ * 1 ETH が何円・何ドルかを定期的に取得し、ミント価格の目安を表示できるようにします。
+ *
+ * 【初心者向け解説】
+ * - レートはあくまで参考値（実際の支払いはETHまたはトークンで行う）
+ * - 取得に失敗した場合は null を返し、画面には目安を表示しない
+ *
+ * @returns {{jpy: number, usd: number}|null} 1 ETH あたりの円・ドル（取得できなければ null）
+ */
+const useFiatRates = () => {
+  const [rates, setRates] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchRates = async () => {
+      try {
+        const response = await fetch(FIAT_RATES_URL);
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        const { ethereum } = await response.json();
+        if (!cancelled && ethereum) {
+          setRates({ jpy: ethereum.jpy, usd: ethereum.usd });
+        }
+      } catch (fetchError) {
+        console.warn('⚠️ 法定通貨レートの取得に失敗しました:', fetchError.message);
+      }
+    };
+
+    fetchRates();
+    const intervalId = setInterval(fetchRates, REFRESH_INTERVAL);
+
+    return () => {
+      cancelled = true;
+      clearInterval(intervalId);
+    };
+  }, []);
+
+  return rates;
+};
+
+export default useFiatRates;
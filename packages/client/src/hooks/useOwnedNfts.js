@@ -0,0 +1,203 @@
+// Reactの機能をインポート
+import { useCallback, useEffect, useMemo, useState } from 'react';
+// Ethereumブロックチェーンとの通信ライブラリをインポート
+import { ethers } from 'ethers';
+// ipfs:// 形式のURIをブラウザで開けるHTTPS URLに変換する関数
+import { convertIpfsToHttps } from '../utils/ipfsService';
+// ネットワークごとのコントラクトアドレスとABIを取得する関数をインポート
+import { getContractAbi, getContractAddress } from '../utils/networks';
+
+// ⏱️ メタデータ取得のタイムアウト（IPFSゲートウェイが遅い場合に備える）
+const METADATA_TIMEOUT = 15000;
+
+/**
+ * 📄 tokenURIからメタデータJSONを取得する関数
+ *
+ * 【対応している形式】
+ * - data:application/json;base64,... （コントラクト内で生成されたメタデータ）
+ * - ipfs://... （IPFSに保存されたメタデータ → HTTPSゲートウェイ経由で取得）
+ * - https://... （通常のURL）
+ *
+ * @param {string} tokenURI - コントラクトから取得したトークンURI
+ * @returns {Promise<Object>} メタデータJSON
+ */
+const fetchTokenMetadata = async (tokenURI) => {
+  const base64Prefix = 'data:application/json;base64,';
+  if (tokenURI.startsWith(base64Prefix)) {
+    // Base64の中身はUTF-8なので、TextDecoderで日本語も正しく復元する
+    const binary = atob(tokenURI.slice(base64Prefix.length));
+    const bytes = Uint8Array.from(binary, (char) => char.charCodeAt(0));
+    return JSON.parse(new TextDecoder().decode(bytes));
+  }
+
+  const response = await fetch(convertIpfsToHttps(tokenURI), {
+    signal: AbortSignal.timeout(METADATA_TIMEOUT)
+  });
+  if (!response.ok) {
+    throw new Error(`メタデータの取得に失敗しました (HTTP ${response.status})`);
+  }
+  return response.json();
+};
+
+/**
+ * ✏️ 作成者（メタデータを編集できる人）が指定アドレスのトークンIDを取得する関数
+ *
+ * 【なぜ必要？】
+ * 引換券で売ったNFTや ownerMint で配ったNFTは、所有者は買った人・受け取った人でも、
+ * メタデータを編集できるのは作成者。所有していないので tokensOfOwner には出てこない
+ *
+ * 【取得方法】
+ * totalSupply と tokenByIndex で全トークンを調べ、metadataEditor が一致するものを残す
+ * （作成者ごとの一覧はコントラクトにないため）
+ *
+ * @param {ethers.Contract} contract - Web3Mint コントラクト
+ * @param {string} account - 作成者のアドレス
+ * @returns {Promise<Array<bigint>>} トークンIDの配列
+ */
+const fetchCreatedTokenIds = async (contract, account) => {
+  const total = Number(await contract.totalSupply());
+  const allTokenIds = await Promise.all(
+    Array.from({ length: total }, (_, index) => contract.tokenByIndex(index))
+  );
+  const editors = await Promise.all(allTokenIds.map((tokenId) => contract.metadataEditor(tokenId)));
+  return allTokenIds.filter((_, index) => editors[index].toLowerCase() === account.toLowerCase());
+};
+
+/**
+ * 🖼️ 所有NFT一覧取得用カスタムフック
+ *
+ * 【このフックの役割】
+ * このフックは「NFTコレクションの目録係」のような役割を果たします。
+ * 接続中のウォレットが持っているNFTと、作成者としてメタデータを編集できるNFTを
+ * コントラクトから一覧で取得し、それぞれのメタデータ（名前・画像など）を読み込んで表示できる形にまとめます。
+ *
+ * 【処理の流れ】
+ * 1. tokensOfOwner(address) で所有しているトークンIDを、fetchCreatedTokenIds で作成したトークンIDを取得
+ * 2. 各トークンの tokenURI を取得
+ * 3. メタデータJSONを取得し、画像URLをHTTPSに変換
+ * 4. メタデータが取得できない場合は、コントラクトの getNFTInfo で代用
+ * 5. メタデータを編集できるか（作成者が自分で、まだ確定していないか）を確認
+ *
+ * 【初心者向け解説】
+ * - tokenURI = NFTの詳細情報（メタデータ）が置いてある場所
+ * - Promise.allSettled = 一部が失敗しても、全ての処理結果を受け取れる仕組み
+ *
+ * @param {string} currentAccount - 現在接続中のウォレットアドレス
+ * @param {*} refreshKey - 値が変わると一覧を再取得する（ミント完了時など）
+ * @param {Object|null} network - 接続中のネットワーク（useWallet の network）
+ */
+const useOwnedNfts = (currentAccount, refreshKey, network) => {
+
+  // 📊 状態管理
+  const [nfts, setNfts] = useState([]);          // 所有NFT・作成したNFTの一覧
+  const [loading, setLoading] = useState(false); // 取得中かどうか
+  const [error, setError] = useState(null);      // エラーメッセージ
+
+  // 🏠 接続中のネットワークのコントラクトアドレス（未デプロイならnull）
+  const CONTRACT_ADDRESS = useMemo(() => getContractAddress(network), [network]);
+  // 📄 そのネットワークにデプロイされたコントラクトのABI（デプロイ記録に保存されたもの）
+  const CONTRACT_ABI = useMemo(() => getContractAbi(network), [network]);
+
+  // 📡 所有NFT一覧を取得する関数
+  const fetchOwnedNfts = useCallback(async () => {
+    if (!currentAccount || !CONTRACT_ADDRESS) {
+      setNfts([]);
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      const { ethereum } = window;
+      if (!ethereum) {
+        throw new Error('MetaMaskが見つかりません');
+      }
+
+      const provider = new ethers.BrowserProvider(ethereum);
+      const contract = new ethers.Contract(CONTRACT_ADDRESS, CONTRACT_ABI, provider);
+
+      // 🔢 ステップ1：所有しているトークンIDと、作成者として編集できるトークンIDを取得（重複は除く）
+      const [ownedIds, createdIds] = await Promise.all([
+        contract.tokensOfOwner(currentAccount),
+        fetchCreatedTokenIds(contract, currentAccount)
+      ]);
+      const ownedSet = new Set(ownedIds.map((tokenId) => tokenId.toString()));
+      const tokenIds = [...ownedIds, ...createdIds.filter((tokenId) => !ownedSet.has(tokenId.toString()))];
+
+      // 📄 ステップ2-4：各トークンのメタデータを並行取得
+      const results = await Promise.allSettled(tokenIds.map(async (tokenId) => {
+        const [tokenURI, editor, frozen] = await Promise.all([
+          contract.tokenURI(tokenId),
+          contract.metadataEditor(tokenId),  // メタデータを更新できる作成者（できなければゼロアドレス）
+          contract.metadataFrozen(tokenId)   // メタデータが確定済みか
+        ]);
+        // ✏️ 作成者が自分で、まだ確定していなければメタデータを編集できる
+        const editable = !frozen && editor.toLowerCase() === currentAccount.toLowerCase();
+
+        try {
+          const metadata = await fetchTokenMetadata(tokenURI);
+          return {
+            tokenId: tokenId.toString(),
+            tokenURI,
+            name: metadata.name || `#${tokenId}`,
+            description: metadata.description || '',
+            image: metadata.image ? convertIpfsToHttps(metadata.image) : '',
+            metadata,   // 編集時に画像・属性などを引き継ぐための元のメタデータJSON
+            editable,
+            frozen,
+            owned: ownedSet.has(tokenId.toString()) // false = 作成者として表示（所有者は他の人）
+          };
+        } catch (metadataError) {
+          // メタデータが取得できない場合は、コントラクトに保存された情報で代用
+          console.warn(`⚠️ Token ${tokenId} のメタデータ取得に失敗:`, metadataError);
+          const info = await contract.getNFTInfo(tokenId);
+          return {
+            tokenId: tokenId.toString(),
+            tokenURI,
+            name: info.name || `#${tokenId}`,
+            description: info.description,
+            image: info.imageURI ? convertIpfsToHttps(info.imageURI) : '',
+            metadata: null,
+            editable,
+            frozen,
+            owned: ownedSet.has(tokenId.toString())
+          };
+        }
+      }));
+
+      const owned = results
+        .filter((result) => result.status === 'fulfilled')
+        .map((result) => result.value);
+
+      const failedCount = results.length - owned.length;
+      if (failedCount > 0) {
+        setError(`${failedCount}件のNFT情報を読み込めませんでした`);
+      }
+
+      setNfts(owned);
+    } catch (fetchError) {
+      console.error('❌ 所有NFTの取得エラー:', fetchError);
+      setError(fetchError.message || '所有NFTの取得に失敗しました');
+      setNfts([]);
+    } finally {
+      setLoading(false);
+    }
+  }, [currentAccount, CONTRACT_ADDRESS, CONTRACT_ABI]);
+
+  // 🔄 アカウント切り替え時・ミント完了時に自動で再取得
+  useEffect(() => {
+    fetchOwnedNfts();
+  }, [fetchOwnedNfts, refreshKey]);
+
+  // 🎁 このフックが提供する機能一覧を返す
+  return {
+    nfts,                     // 所有NFT・作成したNFTの一覧（owned で区別）
+    loading,                  // 取得中かどうか
+    error,                    // エラーメッセージ
+    refresh: fetchOwnedNfts,  // 手動で再取得する関数
+    contractAddress: CONTRACT_ADDRESS
+  };
+};
+
+export default useOwnedNfts;
@@ -0,0 +1,121 @@
+// Reactの機能をインポート
+import { useCallback, useEffect, useMemo, useState } from 'react';
+// Ethereumブロックチェーンとの通信ライブラリをインポート
+import { ethers } from 'ethers';
+// ネットワークごとのコントラクトアドレスとABIを取得する関数をインポート
+import { getContractAbi, getContractAddress } from '../utils/networks';
+// 売上の分配（PaymentSplitter）の ABI
+import { hasPaymentSplitter, PAYMENT_SPLITTER_ABI } from '../utils/paymentSplitter';
+
+/**
+ * 💸 売上の分配（受取人・持ち分・受け取れる額）を取得するカスタムフック
+ *
+ * 【このフックの役割】
+ * このフックは「分配表の係」のような役割を果たします。
+ * Web3Mint の paymentSplitter() で分配先（PaymentSplitter コントラクト）を探し、
+ * その payees / shares / released / releasable を読み出して、
+ * 受取人ごとに「持ち分」「受け取り済み」「今受け取れる額」をまとめます。
+ *
+ * 【初心者向け解説】
+ * - 分配先が設定されていない場合は、従来どおり資金管理担当が withdraw で引き出す
+ * - 設定されている場合は、withdraw の売上が分配先に送られ、
+ *   受取人は release(受取人) で持ち分どおりに受け取る（誰が呼んでも送金先は受取人）
+ *
+ * @param {string} currentAccount - 現在接続中のウォレットアドレス
+ * @param {Object|null} network - 接続中のネットワーク（useWallet の network）
+ */
+const usePaymentSplits = (currentAccount, network) => {
+
+  // 📊 状態管理
+  const [splitterAddress, setSplitterAddress] = useState(null);  // 分配先のアドレス（未設定ならnull）
+  const [payees, setPayees] = useState([]);         // 受取人ごとの分配情報
+  const [totalShares, setTotalShares] = useState(0);  // 持ち分の合計
+  const [loading, setLoading] = useState(false);    // 取得中かどうか
+  const [error, setError] = useState(null);         // エラーメッセージ
+
+  // 🏠 接続中のネットワークのコントラクトアドレス（未デプロイならnull）
+  const CONTRACT_ADDRESS = useMemo(() => getContractAddress(network), [network]);
+  // 📄 そのネットワークにデプロイされたコントラクトのABI（デプロイ記録に保存されたもの）
+  const CONTRACT_ABI = useMemo(() => getContractAbi(network), [network]);
+
+  // 📡 分配情報を取得する関数
+  const fetchPayments = useCallback(async () => {
+    if (!currentAccount || !CONTRACT_ADDRESS) {
+      setSplitterAddress(null);
+      setPayees([]);
+      setTotalShares(0);
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      const { ethereum } = window;
+      if (!ethereum) {
+        throw new Error('MetaMaskが見つかりません');
+      }
+
+      const provider = new ethers.BrowserProvider(ethereum);
+      const web3Mint = new ethers.Contract(CONTRACT_ADDRESS, CONTRACT_ABI, provider);
+
+      // 🔍 分配先が設定されていなければ、受取人はいない
+      const splitter = await web3Mint.paymentSplitter();
+      if (!hasPaymentSplitter(splitter)) {
+        setSplitterAddress(null);
+        setPayees([]);
+        setTotalShares(0);
+        return;
+      }
+
+      const contract = new ethers.Contract(splitter, PAYMENT_SPLITTER_ABI, provider);
+      const [accounts, total] = await Promise.all([contract.payees(), contract.totalShares()]);
+
+      // 🚀 受取人ごとの持ち分・受け取り済み・受け取れる額を並行して取得
+      const details = await Promise.all(accounts.map(async (address) => {
+        const [shares, released, releasable] = await Promise.all([
+          contract.shares(address),
+          contract.released(address),
+          contract.releasable(address)
+        ]);
+        return {
+          address,
+          shares: Number(shares),
+          released: ethers.formatEther(released),
+          releasable: ethers.formatEther(releasable),
+          hasPaymentDue: releasable > 0n
+        };
+      }));
+
+      setSplitterAddress(splitter);
+      setPayees(details);
+      setTotalShares(Number(total));
+    } catch (fetchError) {
+      console.error('❌ 売上の分配情報の取得エラー:', fetchError);
+      setError(fetchError.message || '売上の分配情報の取得に失敗しました');
+      setSplitterAddress(null);
+      setPayees([]);
+      setTotalShares(0);
+    } finally {
+      setLoading(false);
+    }
+  }, [currentAccount, CONTRACT_ADDRESS, CONTRACT_ABI]);
+
+  // 🔄 アカウント・ネットワーク切り替え時に自動で再取得
+  useEffect(() => {
+    fetchPayments();
+  }, [fetchPayments]);
+
+  // 🎁 このフックが提供する機能一覧を返す
+  return {
+    splitterAddress,                    // 分配先（PaymentSplitter）のアドレス（未設定ならnull）
+    payees,                             // 受取人ごとの分配情報
+    totalShares,                        // 持ち分の合計
+    isSplitting: splitterAddress !== null,  // 分配先が設定されているか（withdraw の売上は分配先に送られる）
+    loading,                            // 取得中かどうか
+    error,                              // エラーメッセージ
+    refetchPayments: fetchPayments      // 手動で再取得する関数
+  };
+};
+
+export default usePaymentSplits;
@@ -0,0 +1,59 @@
+// Reactの機能をインポート
+import { useEffect, useMemo, useState } from 'react';
+// ネットワークごとのコントラクトアドレスを取得する関数をインポート
+import { getContractAddress } from '../utils/networks';
+// ガスレスミントのリレイヤー
+import { fetchRelayerInfo, isRelayerConfigured } from '../utils/relayer';
+
+/**
+ * ⛽ ガスレスミントのリレイヤーが使えるかを調べるカスタムフック
+ *
+ * 【このフックの役割】
+ * このフックは「代理送信の窓口が開いているか」を確認する係です。
+ * REACT_APP_RELAYER_URL のリレイヤーに問い合わせ、接続中のネットワークの
+ * コントラクトを中継してくれる場合だけ、リレイヤーの情報を返します。
+ *
+ * @param {Object|null} network - 接続中のネットワーク（useWallet の network）
+ * @returns {{relayerInfo: Object|null}} 使えるリレイヤーの情報（使えない場合は null）
+ */
+const useRelayer = (network) => {
+
+  // 📊 状態管理
+  const [info, setInfo] = useState(null);  // リレイヤーから取得した情報
+
+  // 🏠 接続中のネットワークのコントラクトアドレス（未デプロイならnull）
+  const contractAddress = useMemo(() => getContractAddress(network), [network]);
+
+  // 📡 リレイヤーの情報を取得（URLが未設定なら何もしない）
+  useEffect(() => {
+    if (!isRelayerConfigured() || !contractAddress) {
+      setInfo(null);
+      return undefined;
+    }
+
+    let cancelled = false;
+    fetchRelayerInfo()
+      .then((result) => {
+        if (!cancelled) setInfo(result);
+      })
+      .catch((fetchError) => {
+        console.warn('⚠️ リレイヤーに接続できません（ガスレスミントは使えません）:', fetchError.message);
+        if (!cancelled) setInfo(null);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [contractAddress]);
+
+  // ✅ 接続中のネットワークのコントラクトを中継するリレイヤーだけを使う
+  const relayerInfo = info
+    && info.chainId === network?.chainId
+    && info.web3Mint.toLowerCase() === contractAddress?.toLowerCase()
+    ? info
+    : null;
+
+  return { relayerInfo };
+};
+
+export default useRelayer;
@@ -0,0 +1,81 @@
+// Reactの機能をインポート
+import { useCallback, useEffect, useMemo, useState } from 'react';
+// Ethereumブロックチェーンとの通信ライブラリをインポート
+import { ethers } from 'ethers';
+// ネットワークごとのコントラクトアドレスとABIを取得する関数をインポート
+import { getContractAbi, getContractAddress } from '../utils/networks';
+// 役割（ロール）の一覧
+import { ROLES } from '../utils/roles';
+
+/**
+ * 🔑 接続中のウォレットが持っている役割を取得するカスタムフック
+ *
+ * 【このフックの役割】
+ * このフックは「社員証のチェック係」のような役割を果たします。
+ * コントラクトの hasRole で、接続中のウォレットがどの役割を持っているかを調べ、
+ * 管理画面で使える操作を決めるために使います。
+ *
+ * @param {string} currentAccount - 現在接続中のウォレットアドレス
+ * @param {Object|null} network - 接続中のネットワーク（useWallet の network）
+ */
+const useRoles = (currentAccount, network) => {
+
+  // 📊 状態管理
+  const [roles, setRoles] = useState({});         // 役割のキー → 持っているかどうか
+  const [loading, setLoading] = useState(false);  // 取得中かどうか
+  const [error, setError] = useState(null);       // エラーメッセージ
+
+  // 🏠 接続中のネットワークのコントラクトアドレス（未デプロイならnull）
+  const CONTRACT_ADDRESS = useMemo(() => getContractAddress(network), [network]);
+  // 📄 そのネットワークにデプロイされたコントラクトのABI（デプロイ記録に保存されたもの）
+  const CONTRACT_ABI = useMemo(() => getContractAbi(network), [network]);
+
+  // 📡 役割を取得する関数
+  const fetchRoles = useCallback(async () => {
+    if (!currentAccount || !CONTRACT_ADDRESS) {
+      setRoles({});
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      const { ethereum } = window;
+      if (!ethereum) {
+        throw new Error('MetaMaskが見つかりません');
+      }
+
+      const provider = new ethers.BrowserProvider(ethereum);
+      const contract = new ethers.Contract(CONTRACT_ADDRESS, CONTRACT_ABI, provider);
+
+      // 🚀 全ての役割を並行して確認
+      const results = await Promise.all(
+        ROLES.map((role) => contract.hasRole(role.id, currentAccount))
+      );
+      setRoles(Object.fromEntries(ROLES.map((role, index) => [role.key, results[index]])));
+    } catch (fetchError) {
+      console.error('❌ 役割の取得エラー:', fetchError);
+      setError(fetchError.message || '役割の取得に失敗しました');
+      setRoles({});
+    } finally {
+      setLoading(false);
+    }
+  }, [currentAccount, CONTRACT_ADDRESS, CONTRACT_ABI]);
+
+  // 🔄 アカウント・ネットワーク切り替え時に自動で再取得
+  useEffect(() => {
+    fetchRoles();
+  }, [fetchRoles]);
+
+  // 🎁 このフックが提供する機能一覧を返す
+  return {
+    roles,                                           // 役割のキー → 持っているかどうか
+    hasAnyRole: Object.values(roles).some(Boolean),  // 何か1つでも役割を持っているか
+    loading,                                         // 取得中かどうか
+    error,                                           // エラーメッセージ
+    refetchRoles: fetchRoles                         // 手動で再取得する関数
+  };
+};
+
+export default useRoles;
@@ -0,0 +1,198 @@
+// Reactの機能をインポート
+import { useCallback, useState } from 'react';
+// Ethereumブロックチェーンとの通信ライブラリをインポート
+import { ethers } from 'ethers';
+// 接続中のネットワークのコントラクト（デプロイ記録の確認付き）
+import { resolveContractForProvider } from '../utils/networks';
+// IPFS（分散ストレージ）サービス
+import { getIPFSUploader } from '../utils/ipfsService';
+// 引換券の型・ドメインと引換コードの変換
+import {
+  VOUCHER_TYPES,
+  buildVoucherDomain,
+  createVoucherNonce,
+  decodeVoucherCode,
+  encodeVoucherCode
+} from '../utils/voucher';
+
+/**
+ * 💬 引換券のエラーをユーザー向けのメッセージに変換する関数
+ * @param {Error} error - 発生したエラー
+ * @returns {string} ユーザー向けのエラーメッセージ
+ */
+const getVoucherErrorMessage = (error) => {
+  const message = error.message || '';
+
+  if (error.code === 4001 || error.code === 'ACTION_REJECTED') return 'ユーザーによって署名・トランザクションが拒否されました';
+  if (message.includes('VoucherExpired')) return 'この引換券は有効期限が切れています';
+  if (message.includes('InvalidVoucherSignature')) return '引換券の署名が正しくありません（内容が書き換えられたか、別のネットワーク・コントラクト用の引換券です）';
+  if (message.includes('VoucherAlreadyRedeemed')) return 'この引換券はすでに使われています';
+  if (message.includes('VoucherPriceTooLow')) return '引換券の料金が一般販売の料金より安いため使えません（一般販売の料金以上で作り直してください）';
+  if (message.includes('MintingDisabled')) return '引換券は一般販売中のみ使えます';
+  if (message.includes('SaleNotStarted')) return '販売開始前のため、引換券はまだ使えません';
+  if (message.includes('SaleEnded')) return '販売期間が終了したため、引換券は使えません';
+  if (message.includes('WalletLimitExceeded')) return 'ウォレットごとのミント上限に達しています';
+  if (message.includes('InsufficientPayment') || message.includes('IncorrectPayment')) return '支払い額が引換券の料金と一致しません';
+  if (message.includes('MaxSupplyExceeded')) return '最大発行数に達しています';
+  if (message.includes('insufficient funds')) return 'ETH残高が不足しています';
+  return message || '引換券の処理に失敗しました';
+};
+
+/**
+ * 🔌 MetaMaskの署名者と接続中のネットワークのコントラクトを取得する関数
+ * @returns {Promise<{signer: ethers.Signer, contract: ethers.Contract, contractAddress: string, chainId: number}>}
+ */
+const connectContract = async () => {
+  const { ethereum } = window;
+  if (!ethereum) {
+    throw new Error('MetaMaskが見つかりません');
+  }
+
+  const provider = new ethers.BrowserProvider(ethereum);
+  const signer = await provider.getSigner();
+  const { network, contractAddress, abi } = await resolveContractForProvider(provider);
+  const contract = new ethers.Contract(contractAddress, abi, signer);
+  return { signer, contract, contractAddress, chainId: network.chainId };
+};
+
+/**
+ * 🎫 ミント引換券（レイジーミント）用カスタムフック
+ *
+ * 【このフックの役割】
+ * このフックは「引換券の発行窓口と引換窓口」のような役割を果たします。
+ * - 作成者：画像とメタデータをIPFSにアップロードし、引換券に署名して引換コードを作る
+ * - 買う人：引換コードを読み取り、料金を支払って redeem でミントする
+ *
+ * 【初心者向け解説】
+ * - signTypedData = EIP-712の署名（トランザクションではないのでガス代はかからない）
+ * - 料金は全額作成者に送られ、作成者がロイヤリティの受取人になる
+ * - 引換券は1回しか使えない（2回目は VoucherAlreadyRedeemed で失敗する）
+ * - 料金は一般販売の料金（currentPrice）以上にする（安いと VoucherPriceTooLow で失敗する）
+ * - 引換券のミントも一般販売と同じく、販売期間とウォレットごとの上限の対象になる
+ *
+ * @param {function} [onRedeemed] - ミントが完了した後に呼ぶ関数（引数はトークンID、発行数の更新など）
+ */
+const useVouchers = (onRedeemed) => {
+
+  // 📊 状態管理
+  const [creating, setCreating] = useState(false);   // 引換券を作成中か
+  const [redeeming, setRedeeming] = useState(false); // 引換券でミント中か
+  const [progress, setProgress] = useState('');      // 作成・ミントの進み具合
+  const [error, setError] = useState(null);          // エラーメッセージ
+
+  /**
+   * ✍️ 引換券を作成する関数
+   * @param {Object} params
+   * @param {File} params.file - NFTにする画像
+   * @param {string} params.name - NFTの名前
+   * @param {string} params.description - NFTの説明
+   * @param {string} params.price - 料金（ETH単位の文字列、一般販売の料金以上）
+   * @param {number} params.expiryDays - 有効期限（今から何日後まで使えるか）
+   * @returns {Promise<string|null>} 引換コード（失敗したらnull）
+   */
+  const createVoucher = useCallback(async ({ file, name, description, price, expiryDays }) => {
+    setCreating(true);
+    setError(null);
+
+    try {
+      const { signer, contract, contractAddress, chainId } = await connectContract();
+
+      // 💰 一般販売の料金より安い引換券は使えないので、署名する前に確認
+      // （ダッチオークション中は料金が下がっていくため、確認した時点の料金と比べる）
+      const voucherPrice = ethers.parseEther(price || '0');
+      const minPrice = await contract.currentPrice();
+      if (voucherPrice < minPrice) {
+        throw new Error(`料金は一般販売の料金（${ethers.formatEther(minPrice)} ETH）以上にしてください`);
+      }
+
+      // 🌐 画像とメタデータをIPFSにアップロード（ミントされるまでブロックチェーンには何も書かない）
+      setProgress('IPFSに画像とメタデータをアップロード中...');
+      const metadataURI = await getIPFSUploader().uploadNFTData(file, name, description);
+
+      // 🔏 引換券に署名（MetaMaskに署名の内容が表示される）
+      setProgress('MetaMaskで引換券に署名してください...');
+      const voucher = {
+        metadataURI,
+        price: voucherPrice,
+        creator: await signer.getAddress(),
+        expiry: Math.floor(Date.now() / 1000) + expiryDays * 24 * 60 * 60,
+        nonce: createVoucherNonce()
+      };
+      const signature = await signer.signTypedData(buildVoucherDomain(chainId, contractAddress), VOUCHER_TYPES, voucher);
+
+      console.log('🎫 引換券を作成しました:', voucher);
+      return encodeVoucherCode(voucher, signature, chainId);
+    } catch (createError) {
+      console.error('❌ 引換券の作成に失敗:', createError);
+      setError(getVoucherErrorMessage(createError));
+      return null;
+    } finally {
+      setCreating(false);
+      setProgress('');
+    }
+  }, []);
+
+  /**
+   * 🛒 引換券でNFTをミントする関数
+   * @param {string} code - 引換コード
+   * @returns {Promise<string|null>} ミントしたトークンID（失敗したらnull）
+   */
+  const redeemVoucher = useCallback(async (code) => {
+    setRedeeming(true);
+    setError(null);
+
+    try {
+      const { voucher, signature, chainId: voucherChainId } = decodeVoucherCode(code);
+      const { contract, chainId } = await connectContract();
+
+      // 🔍 送信前に確認（失敗するトランザクションでガス代を無駄にしないため）
+      if (voucherChainId !== chainId) {
+        throw new Error(`この引換券は別のネットワーク（チェーンID: ${voucherChainId}）用です`);
+      }
+      if (voucher.expiry < Math.floor(Date.now() / 1000)) {
+        throw new Error('VoucherExpired');
+      }
+      if (await contract.voucherRedeemed(voucher.creator, voucher.nonce)) {
+        throw new Error('VoucherAlreadyRedeemed');
+      }
+      if (voucher.price < await contract.currentPrice()) {
+        throw new Error('VoucherPriceTooLow');
+      }
+
+      setProgress('トランザクションを送信中...');
+      const tx = await contract.redeem(voucher, signature, { value: voucher.price });
+      setProgress('ブロックチェーンの承認を待っています...');
+      const receipt = await tx.wait();
+
+      // 📡 VoucherRedeemed イベントからトークンIDを取り出す
+      const event = receipt.logs
+        .map((log) => contract.interface.parseLog(log))
+        .find((parsed) => parsed?.name === 'VoucherRedeemed');
+      const tokenId = event ? event.args.tokenId.toString() : null;
+
+      console.log(`🎫 引換券でミントしました（Token ID: ${tokenId}）:`, tx.hash);
+      if (onRedeemed) onRedeemed(tokenId);
+      return tokenId;
+    } catch (redeemError) {
+      console.error('❌ 引換券でのミントに失敗:', redeemError);
+      setError(getVoucherErrorMessage(redeemError));
+      return null;
+    } finally {
+      setRedeeming(false);
+      setProgress('');
+    }
+  }, [onRedeemed]);
+
+  // 🎁 このフックが提供する機能一覧を返す
+  return {
+    createVoucher,   // 引換券を作成する関数
+    redeemVoucher,   // 引換券でミントする関数
+    creating,        // 引換券を作成中か
+    redeeming,       // 引換券でミント中か
+    progress,        // 進み具合のメッセージ
+    error,           // エラーメッセージ
+    clearError: () => setError(null)
+  };
+};
+
+export default useVouchers;
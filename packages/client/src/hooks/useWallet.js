@@ -1,17 +1,28 @@
 // Reactの機能をインポート
 import { useCallback, useEffect, useMemo, useRef, useState, useTransition } from 'react';
+// 対応ネットワークの一覧（packages/networks）
+import {
+  DEFAULT_NETWORK,
+  getContractAddress,
+  getNetworkByChainId,
+  getSupportedNetworks,
+  NETWORKS,
+  toAddEthereumChainParams,
+  toChainIdHex
+} from '../utils/networks';
 
 /**
  * 🔐 ウォレット接続管理用カスタムフック
  *
  * 【このフックの役割】
  * このフックは「デジタル財布の管理人」のような役割を果たします。
- * MetaMask（デジタル財布）との接続や、正しいネットワーク（Sepolia）への
- * 接続を管理し、ユーザーがスムーズにNFTアプリを使えるようにサポートします。
+ * MetaMask（デジタル財布）との接続や、コントラクトがデプロイされているネットワーク
+ * （Sepolia、Base Sepolia、ローカルのHardhatなど）への接続を管理し、
+ * ユーザーがスムーズにNFTアプリを使えるようにサポートします。
  *
  * 【主な責務（やること）】
  * 1. MetaMaskとの接続・切断管理
- * 2. ネットワーク（Sepolia）の確認と切り替え
+ * 2. ネットワークの確認と切り替え（対応ネットワークは packages/networks の一覧）
  * 3. ウォレットアドレスの取得と監視
  * 4. エラーハンドリングとユーザーへの分かりやすい通知
  *
@@ -38,29 +49,17 @@ const useWallet = () => {
   const [isConnecting, setIsConnecting] = useState(false);      // ウォレット接続処理中かどうか
   const [error, setError] = useState('');                       // 一般的なエラーメッセージ
   const [networkError, setNetworkError] = useState('');         // ネットワーク関連のエラーメッセージ
+  const [chainId, setChainId] = useState(null);                 // 接続中のチェーンID（10進数）
 
   // 🔒 重複実行を防ぐためのref（useRefは値を記憶するReactの機能）
   const initialized = useRef(false);        // 初期化済みかどうかのフラグ
   const isCheckingWallet = useRef(false);   // ウォレットチェック中かどうかのフラグ
 
-  // 🌐 Sepoliaテストネットワークの設定（useMemoで最適化）
+  // 🌐 コントラクトがデプロイされている（ミントできる）ネットワークの一覧
   // useMemoは計算結果を記憶して、不要な再計算を防ぐReactの機能
-  const SEPOLIA_CHAIN_ID = useMemo(() => '0xaa36a7', []); // SepoliaのチェーンID（16進数）
-
-  // Sepoliaネットワークの詳細設定
-  const SEPOLIA_NETWORK = useMemo(() => ({
-    chainId: SEPOLIA_CHAIN_ID,                              // ネットワークID
-    chainName: 'Sepolia test network',                      // ネットワーク名
-    nativeCurrency: {                                       // 基軸通貨の設定
-      name: 'ETH',                                          // 通貨名
-      symbol: 'ETH',                                        // 通貨シンボル
-      decimals: 18,                                         // 小数点以下の桁数
-    },
-    rpcUrls: ['https://sepolia.infura.io/v3/'],            // RPC接続URL
-    blockExplorerUrls: ['https://sepolia.etherscan.io/'],  // ブロックエクスプローラーURL
-  }), [SEPOLIA_CHAIN_ID]);
-
-  // 🗺️ ネットワーク名のマッピング（チェーンIDから名前を取得）
+  const supportedNetworks = useMemo(() => getSupportedNetworks(), []);
+
+  // 🗺️ 一覧にないネットワークの名前（エラーメッセージ用）
   const networkNames = useMemo(() => ({
     1: 'Ethereum Mainnet',        // イーサリアムメインネット
     137: 'Polygon Mainnet',       // Polygonメインネット
@@ -70,8 +69,7 @@ const useWallet = () => {
     43114: 'Avalanche',          // Avalancheネットワーク
     250: 'Fantom',               // Fantomネットワーク
     42161: 'Arbitrum One',       // Arbitrumネットワーク
-    10: 'Optimism',              // Optimismネットワーク
-    11155111: 'Sepolia Testnet'  // Sepoliaテストネット（今回使用）
+    10: 'Optimism'               // Optimismネットワーク
   }), []);
 
   // ネットワークチェック関数（最適化版）
@@ -80,19 +78,27 @@ const useWallet = () => {
       const { ethereum } = window;
       if (!ethereum) return false;
 
-      const chainId = await ethereum.request({ method: 'eth_chainId' });
+      const chainIdHex = await ethereum.request({ method: 'eth_chainId' });
+      const chainIdDecimal = parseInt(chainIdHex, 16);
+      const network = getNetworkByChainId(chainIdDecimal);
+
+      startTransition(() => {
+        setChainId(chainIdDecimal);
+      });
 
-      if (chainId !== SEPOLIA_CHAIN_ID) {
-        const chainIdDecimal = parseInt(chainId, 16);
-        const currentNetwork = networkNames[chainIdDecimal] || `Unknown Network (Chain ID: ${chainIdDecimal})`;
+      // 一覧にあり、コントラクトがデプロイされているネットワークならOK
+      if (!network || !getContractAddress(network)) {
+        const currentNetwork = network?.name || networkNames[chainIdDecimal] ||
+          `Unknown Network (Chain ID: ${chainIdDecimal})`;
+        const supportedNames = supportedNetworks.map((supported) => supported.name).join(' / ');
 
         const errorMessage = `
-          🚫 間違ったネットワークに接続されています
+          🚫 このネットワークではNFTを作成できません
 
           現在のネットワーク: ${currentNetwork}
-          必要なネットワーク: Sepolia Testnet
+          対応ネットワーク: ${supportedNames}
 
-          MetaMaskでSepoliaテストネットに切り替えてください。
+          MetaMaskで対応ネットワークに切り替えてください。
         `.trim();
 
         // React 19: startTransition for non-urgent error updates
@@ -112,28 +118,34 @@ const useWallet = () => {
       console.error('Network check error:', error);
       return false;
     }
-  }, [SEPOLIA_CHAIN_ID, networkNames]);
+  }, [networkNames, supportedNetworks]);
 
-  // Sepoliaネットワークに切り替える関数（最適化版）
-  const switchToSepolia = useCallback(async () => {
+  // 指定したネットワークに切り替える関数（最適化版）
+  // networkKey = packages/networks のキー（例：'sepolia'、'baseSepolia'）。省略時はデフォルトネットワーク
+  const switchNetwork = useCallback(async (networkKey = DEFAULT_NETWORK.key) => {
     try {
       const { ethereum } = window;
       if (!ethereum) {
         throw new Error('MetaMaskが見つかりません');
       }
 
+      const network = NETWORKS[networkKey];
+      if (!network) {
+        throw new Error(`不明なネットワークです: ${networkKey}`);
+      }
+
       try {
-        // まずSepoliaに切り替えを試行
+        // まず切り替えを試行
         await ethereum.request({
           method: 'wallet_switchEthereumChain',
-          params: [{ chainId: SEPOLIA_CHAIN_ID }],
+          params: [{ chainId: toChainIdHex(network.chainId) }],
         });
       } catch (switchError) {
         // ネットワークが追加されていない場合は追加
         if (switchError.code === 4902) {
           await ethereum.request({
             method: 'wallet_addEthereumChain',
-            params: [SEPOLIA_NETWORK],
+            params: [toAddEthereumChainParams(network)],
           });
         } else {
           throw switchError;
@@ -156,7 +168,7 @@ const useWallet = () => {
         setError(errorMessage);
       });
     }
-  }, [SEPOLIA_CHAIN_ID, SEPOLIA_NETWORK, checkNetwork]);
+  }, [checkNetwork]);
 
   // ウォレット接続状態確認（最適化版）
   const checkIfWalletIsConnected = useCallback(async () => {
@@ -216,7 +228,7 @@ const useWallet = () => {
       // ネットワークをチェック
       const isCorrectNetwork = await checkNetwork();
       if (!isCorrectNetwork) {
-        throw new Error('Sepoliaテストネットに切り替えてから再度お試しください');
+        throw new Error(`${DEFAULT_NETWORK.name}などの対応ネットワークに切り替えてから再度お試しください`);
       }
 
       const accounts = await ethereum.request({
@@ -304,13 +316,19 @@ const useWallet = () => {
     });
   }, []);
 
+  // 🌐 接続中のネットワーク（一覧にないチェーンならnull）
+  const network = useMemo(() => (chainId ? getNetworkByChainId(chainId) : null), [chainId]);
+
   return {
     currentAccount,
     isConnecting: isConnecting || isPending,
     error,
     networkError,
+    chainId,
+    network,
+    supportedNetworks,
     connectWallet,
-    switchToSepolia,
+    switchNetwork,
     setError: setErrorOptimized,
     // React 19の追加情報
     isPending
@@ -0,0 +1,52 @@
+/**
+ * 🌳 プレセール許可リスト（Merkleツリー）関連のユーティリティ
+ *
+ * 【このファイルの役割】
+ * このファイルは「招待状の受付係」のような役割を果たします。
+ * コントラクトのプレセール期間中は、許可リストに載っているウォレットだけがミントできます。
+ * 許可リストは `yarn merkle` で作成した allowlist.json に保存されており、
+ * ここから自分のアドレスの「ミント可能数」と「証明（proof）」を取り出します。
+ *
+ * 【初心者向け解説】
+ * - 証明（proof）= 自分が許可リストに含まれていることをコントラクトに示すためのハッシュの一覧
+ * - コントラクトにはルート（1つのハッシュ）しか保存されていないので、証明はフロントエンドから送る
+ */
+
+// 🚦 コントラクトの販売フェーズ（Web3Mint.sol の SalePhase と同じ順番）
+export const SALE_PHASE = {
+  CLOSED: 0,   // 販売停止中
+  PRESALE: 1,  // プレセール（許可リストのみ）
+  PUBLIC: 2    // 一般販売
+};
+
+// 🏷️ 販売フェーズの表示名
+export const SALE_PHASE_LABELS = {
+  [SALE_PHASE.CLOSED]: '停止中',
+  [SALE_PHASE.PRESALE]: 'プレセール（許可リストのみ）',
+  [SALE_PHASE.PUBLIC]: '一般販売'
+};
+
+// 📍 許可リストJSONの場所（環境変数で変更可能）
+const ALLOWLIST_URL = process.env.REACT_APP_ALLOWLIST_URL || '/allowlist.json';
+
+/**
+ * 🔍 指定したアドレスの許可リスト情報を取得する関数
+ * @param {string} account - ウォレットアドレス
+ * @returns {Promise<{allowance: string, proof: string[]}|null>} 許可リストに無ければnull
+ */
+export const fetchAllowlistEntry = async (account) => {
+  if (!account) {
+    return null;
+  }
+
+  const response = await fetch(ALLOWLIST_URL, { cache: 'no-cache' });
+  if (response.status === 404) {
+    return null;
+  }
+  if (!response.ok) {
+    throw new Error(`許可リストの取得に失敗しました (HTTP ${response.status})`);
+  }
+
+  const allowlist = await response.json();
+  return allowlist.proofs?.[account.toLowerCase()] || null;
+};
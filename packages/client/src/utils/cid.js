@@ -0,0 +1,300 @@
+/**
+ * 🧮 IPFS CID（Content Identifier）のローカル計算ユーティリティ
+ *
+ * 【このファイルの役割】
+ * このファイルは「ファイルの指紋を自分で計算する係」のような役割を果たします。
+ * IPFSノード（Kubo）やPinataと同じ手順でファイルを分割・ハッシュ化し、
+ * アップロードする前にCIDをブラウザ内で計算します。
+ *
+ * 【何に使う？】
+ * - モックIPFSでも、本当にピン留めした時と同じCIDを返す
+ * - PinataやKuboが返したCIDが、送ったデータと一致するかを検証する
+ *
+ * 【計算の手順（Kuboの `ipfs add` のデフォルトと同じ）】
+ * 1. ファイルを256KiBずつのチャンク（かたまり）に分割
+ * 2. 各チャンクを葉ノードにする
+ *    - CIDv0: UnixFSのFileノードをdag-pbで包む
+ *    - CIDv1: チャンクのバイト列そのまま（raw leaves）
+ * 3. 葉が2つ以上なら、最大174個ずつ親ノードにまとめる（balancedレイアウト）
+ * 4. 最後に残った1つのノードのCIDがファイルのCID
+ *
+ * 【初心者向け解説】
+ * - UnixFS = IPFSでファイルやディレクトリを表現するためのデータ形式
+ * - dag-pb = ノードとリンクをProtocol Buffersで表現する形式
+ * - マルチハッシュ = 「ハッシュの種類 + 長さ + ハッシュ値」をまとめたもの
+ * - CIDv0 = "Qm..."（base58）、CIDv1 = "bafy..." / "bafk..."（base32）
+ */
+
+import { encodeBase58, sha256, toUtf8Bytes, getBytes } from 'ethers';
+
+// ✂️ チャンクサイズ（Kuboのデフォルト: size-262144）
+const CHUNK_SIZE = 262144;
+
+// 🌳 1つの親ノードが持てるリンクの最大数（Kuboのデフォルト）
+const MAX_LINKS_PER_NODE = 174;
+
+// 🏷️ マルチコーデックの番号
+const CODEC_DAG_PB = 0x70;  // dag-pb
+const CODEC_RAW = 0x55;     // raw（バイト列そのまま）
+
+// 🏷️ マルチハッシュの番号（sha2-256、32バイト）
+const MULTIHASH_SHA2_256 = 0x12;
+
+// 🏷️ UnixFSのデータ種別（File）
+const UNIXFS_TYPE_FILE = 2;
+
+// 🔤 CIDv1の文字列表現に使うbase32（RFC 4648、小文字・パディングなし）
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+
+/**
+ * 🔢 符号なし整数をvarint（可変長整数）に変換する関数
+ * @param {number} value - 0以上の整数
+ * @returns {number[]} varintのバイト列
+ */
+const encodeVarint = (value) => {
+  const bytes = [];
+  let remaining = value;
+  while (remaining >= 0x80) {
+    bytes.push((remaining % 0x80) | 0x80);
+    remaining = Math.floor(remaining / 0x80);
+  }
+  bytes.push(remaining);
+  return bytes;
+};
+
+/**
+ * 🧱 複数のバイト列を1つにつなげる関数
+ * @param {Array<Uint8Array|number[]>} parts - つなげるバイト列
+ * @returns {Uint8Array} つなげた結果
+ */
+const concatBytes = (parts) => {
+  const length = parts.reduce((sum, part) => sum + part.length, 0);
+  const result = new Uint8Array(length);
+  let offset = 0;
+  for (const part of parts) {
+    result.set(part, offset);
+    offset += part.length;
+  }
+  return result;
+};
+
+/**
+ * 📦 Protocol Buffersの「長さ付きフィールド」（bytes / 入れ子メッセージ）を作る関数
+ * @param {number} fieldNumber - フィールド番号
+ * @param {Uint8Array} bytes - 中身
+ */
+const lengthDelimited = (fieldNumber, bytes) => concatBytes([
+  [(fieldNumber << 3) | 2],
+  encodeVarint(bytes.length),
+  bytes
+]);
+
+/**
+ * 📦 Protocol Buffersの「varintフィールド」を作る関数
+ * @param {number} fieldNumber - フィールド番号
+ * @param {number} value - 値
+ */
+const varintField = (fieldNumber, value) => concatBytes([
+  [fieldNumber << 3],
+  encodeVarint(value)
+]);
+
+/**
+ * 📄 UnixFSのFileメッセージをエンコードする関数
+ * @param {Object} params
+ * @param {Uint8Array} [params.data] - 葉ノードのデータ（親ノードでは省略）
+ * @param {number} params.fileSize - このノード以下のファイルサイズ合計
+ * @param {number[]} [params.blockSizes] - 子ノードごとのファイルサイズ（親ノードのみ）
+ */
+const encodeUnixFsFile = ({ data, fileSize, blockSizes = [] }) => concatBytes([
+  varintField(1, UNIXFS_TYPE_FILE),
+  ...(data && data.length > 0 ? [lengthDelimited(2, data)] : []),
+  varintField(3, fileSize),
+  ...blockSizes.map((size) => varintField(4, size))
+]);
+
+/**
+ * 🔗 dag-pbノード（PBNode）をエンコードする関数
+ *
+ * 【注意】dag-pbの決まりで、Links（フィールド2）をData（フィールド1）より先に書く
+ *
+ * @param {Uint8Array} data - UnixFSのデータ
+ * @param {Array<{cidBytes: Uint8Array, tSize: number}>} links - 子ノードへのリンク
+ */
+const encodeDagPbNode = (data, links = []) => concatBytes([
+  ...links.map((link) => lengthDelimited(2, concatBytes([
+    lengthDelimited(1, link.cidBytes),  // Hash
+    lengthDelimited(2, new Uint8Array(0)),  // Name（ファイル内のチャンクなので空文字）
+    varintField(3, link.tSize)  // Tsize（子ノード以下のブロックサイズ合計）
+  ]))),
+  lengthDelimited(1, data)
+]);
+
+/**
+ * 🔐 ブロックのCID（バイト列）を計算する関数
+ * @param {Uint8Array} block - ブロックのバイト列
+ * @param {number} version - CIDバージョン（0 または 1）
+ * @param {number} codec - マルチコーデック（dag-pb / raw）
+ */
+const blockCidBytes = (block, version, codec) => {
+  const multihash = concatBytes([
+    [MULTIHASH_SHA2_256, 32],
+    getBytes(sha256(block))
+  ]);
+
+  // CIDv0はマルチハッシュそのもの（dag-pbのみ）
+  if (version === 0) {
+    return multihash;
+  }
+  return concatBytes([encodeVarint(1), encodeVarint(codec), multihash]);
+};
+
+/**
+ * 🔤 バイト列をbase32（小文字・パディングなし）に変換する関数
+ * @param {Uint8Array} bytes - 変換するバイト列
+ */
+const encodeBase32 = (bytes) => {
+  let output = '';
+  let buffer = 0;
+  let bits = 0;
+  for (const byte of bytes) {
+    buffer = (buffer << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(buffer >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+    buffer &= (1 << bits) - 1;  // 使い終わったビットを捨てる（桁あふれ防止）
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(buffer << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+/**
+ * 🏷️ CIDのバイト列を文字列にする関数
+ * @param {Uint8Array} cidBytes - CIDのバイト列
+ * @param {number} version - CIDバージョン
+ * @returns {string} CIDv0は "Qm..."、CIDv1は "b..."（multibaseのbase32）
+ */
+const cidToString = (cidBytes, version) => (
+  version === 0 ? encodeBase58(cidBytes) : `b${encodeBase32(cidBytes)}`
+);
+
+/**
+ * 🧮 バイト列のCIDを計算する関数（UnixFS + dag-pb、balancedレイアウト）
+ *
+ * @param {Uint8Array} bytes - ファイルの中身
+ * @param {Object} [options]
+ * @param {number} [options.version=0] - CIDバージョン（0 または 1）
+ * @param {boolean} [options.rawLeaves] - 葉をrawにするか（省略時はCIDv1のみtrue、Kuboと同じ）
+ * @returns {string} CID文字列
+ */
+export const computeCidFromBytes = (bytes, { version = 0, rawLeaves = version === 1 } = {}) => {
+  if (version !== 0 && version !== 1) {
+    throw new Error(`Unsupported CID version: ${version}`);
+  }
+  if (version === 0 && rawLeaves) {
+    throw new Error('CIDv0 cannot use raw leaves');
+  }
+
+  // ✂️ ステップ1-2：チャンクに分割して葉ノードを作る（空ファイルも1つの葉）
+  let nodes = [];
+  for (let offset = 0; offset < bytes.length || nodes.length === 0; offset += CHUNK_SIZE) {
+    const chunk = bytes.subarray(offset, offset + CHUNK_SIZE);
+    const block = rawLeaves
+      ? chunk
+      : encodeDagPbNode(encodeUnixFsFile({ data: chunk, fileSize: chunk.length }));
+
+    nodes.push({
+      cidBytes: blockCidBytes(block, version, rawLeaves ? CODEC_RAW : CODEC_DAG_PB),
+      fileSize: chunk.length,
+      tSize: block.length
+    });
+  }
+
+  // 🌳 ステップ3：最大174個ずつ親ノードにまとめ、1つになるまで繰り返す
+  while (nodes.length > 1) {
+    const parents = [];
+    for (let i = 0; i < nodes.length; i += MAX_LINKS_PER_NODE) {
+      const children = nodes.slice(i, i + MAX_LINKS_PER_NODE);
+      const fileSize = children.reduce((sum, child) => sum + child.fileSize, 0);
+      const block = encodeDagPbNode(
+        encodeUnixFsFile({ fileSize, blockSizes: children.map((child) => child.fileSize) }),
+        children
+      );
+
+      parents.push({
+        cidBytes: blockCidBytes(block, version, CODEC_DAG_PB),
+        fileSize,
+        tSize: block.length + children.reduce((sum, child) => sum + child.tSize, 0)
+      });
+    }
+    nodes = parents;
+  }
+
+  // 🏁 ステップ4：ルートノードのCID
+  return cidToString(nodes[0].cidBytes, version);
+};
+
+/**
+ * 🖼️ ファイル（File / Blob）のCIDを計算する関数
+ * @param {Blob} file - 画像などのファイル
+ * @param {Object} [options] - computeCidFromBytes と同じ
+ * @returns {Promise<string>} CID文字列
+ */
+export const computeFileCid = async (file, options) => {
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  return computeCidFromBytes(bytes, options);
+};
+
+/**
+ * 📄 メタデータJSONのCIDを計算する関数
+ *
+ * 【注意】JSON.stringify（空白なし）したUTF-8のバイト列をファイルとして追加した場合のCID
+ *
+ * @param {Object} metadata - メタデータ
+ * @param {Object} [options] - computeCidFromBytes と同じ
+ * @returns {string} CID文字列
+ */
+export const computeJsonCid = (metadata, options) => (
+  computeCidFromBytes(toUtf8Bytes(JSON.stringify(metadata)), options)
+);
+
+/**
+ * ❌ CIDが一致しない場合のエラー
+ *
+ * 【なぜ専用のエラー？】
+ * 通常のアップロード失敗はモックにフォールバックするが、
+ * CIDの不一致はデータが壊れている可能性があるため、フォールバックせずに必ず失敗させる
+ */
+export class CidMismatchError extends Error {
+  constructor(label, expectedCid, actualCid) {
+    super(
+      `${label}のCIDが一致しません（ローカル計算: ${expectedCid} / IPFSサービス: ${actualCid}）。` +
+      'アップロードしたデータが正しく保存されていない可能性があります'
+    );
+    this.name = 'CidMismatchError';
+    this.expectedCid = expectedCid;
+    this.actualCid = actualCid;
+  }
+}
+
+/**
+ * 🔍 IPFSサービスが返したCIDが、ローカルで計算したCIDと一致するか検証する関数
+ *
+ * 【なぜ必要？】
+ * 違うデータが保存された場合（途中で壊れた・別のファイルが返ってきた等）に
+ * 気づかないままNFTをミントしてしまうのを防ぐ
+ *
+ * @param {string} expectedCid - ローカルで計算したCID
+ * @param {string} actualCid - サービスが返したCID
+ * @param {string} label - エラーメッセージ用の名前（例：画像、メタデータ）
+ * @throws {CidMismatchError} 一致しない場合
+ */
+export const assertCidMatches = (expectedCid, actualCid, label) => {
+  if (expectedCid !== actualCid) {
+    throw new CidMismatchError(label, expectedCid, actualCid);
+  }
+};
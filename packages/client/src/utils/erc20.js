@@ -0,0 +1,62 @@
+/**
+ * 🪙 ERC-20トークン支払いのユーティリティ
+ *
+ * 【このファイルの役割】
+ * このファイルは「両替窓口の案内板」のような役割を果たします。
+ * コントラクトが受け付けるERC-20トークン（USDCなど）の一覧と価格を読み出し、
+ * 画面で使いやすい形（シンボル・小数点以下の桁数・表示用の価格）にまとめます。
+ *
+ * 【初心者向け解説】
+ * - ERC-20 = イーサリアム上の一般的なトークンの規格（USDC・DAIなど）
+ * - decimals = トークンの小数点以下の桁数（USDCは6、DAIは18）
+ * - approve = 「このコントラクトが私のトークンをこの額まで引き出してよい」という許可
+ * - allowance = 現在許可している額（足りなければ approve し直す）
+ */
+
+import { ethers } from 'ethers';
+
+/**
+ * 📄 ERC-20トークンの設計図（ABI）のうち、このアプリで使う部分だけ
+ * @type {string[]}
+ */
+export const ERC20_ABI = [
+  'function symbol() view returns (string)',
+  'function decimals() view returns (uint8)',
+  'function balanceOf(address account) view returns (uint256)',
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function approve(address spender, uint256 amount) returns (bool)'
+];
+
+/**
+ * 📋 コントラクトが受け付ける支払いトークンの一覧を取得する
+ *
+ * コントラクトの paymentTokens() と tokenMintPrice(token) を読み出し、
+ * トークンごとのシンボル・桁数・コントラクトに貯まっている残高を並行して取得します。
+ *
+ * @param {ethers.Contract} contract - Web3Mint コントラクト（読み取り用でOK）
+ * @param {ethers.ContractRunner} runner - トークンの読み取りに使うプロバイダー
+ * @returns {Promise<Array<{address: string, symbol: string, decimals: number, priceUnits: bigint, price: string, contractBalance: string}>>}
+ */
+export const fetchPaymentTokens = async (contract, runner) => {
+  const contractAddress = await contract.getAddress();
+  const addresses = await contract.paymentTokens();
+
+  return Promise.all(addresses.map(async (address) => {
+    const token = new ethers.Contract(address, ERC20_ABI, runner);
+    const [symbol, decimals, priceUnits, balance] = await Promise.all([
+      token.symbol().catch(() => 'TOKEN'),
+      token.decimals(),
+      contract.tokenMintPrice(address),
+      token.balanceOf(contractAddress)
+    ]);
+
+    return {
+      address,
+      symbol,
+      decimals: Number(decimals),
+      priceUnits,                                            // 最小単位の価格（送金に使う）
+      price: ethers.formatUnits(priceUnits, decimals),       // 表示用の価格
+      contractBalance: ethers.formatUnits(balance, decimals) // 引き出し前のトークン売上
+    };
+  }));
+};
@@ -20,6 +20,16 @@
  * - 高速で信頼性の高いIPFSゲートウェイを提供
  * - 企業レベルの安定性とサポート
  *
+ * 【ローカルIPFSノード（Kubo）】
+ * - REACT_APP_IPFS_PROVIDER=kubo でローカルのKubo（go-ipfs）ノードを使用
+ * - /api/v0/add にファイルを送り、ノードが計算した本物のCIDを受け取る
+ * - CIやオフライン開発で、Pinataなしに実際のコンテンツアドレスを使える
+ *
+ * 【CIDのローカル計算】
+ * - アップロード前にブラウザ内でCIDを計算（./cid.js）
+ * - モックでも本物と同じCIDになる
+ * - Pinata / Kuboが返したCIDが一致しなければ、モックにフォールバックせず失敗させる
+ *
  * 【Etherscan対応改善】
  * - 実際のIPFSストレージを使用（Pinata優先）
  * - IPFS URIの代わりにHTTPS Gateway URLを使用
@@ -33,10 +43,36 @@
  * - フォールバック = 主要な方法が失敗した時の代替手段
  */
 
+import { createEditionMetadata, normalizeAttributes } from './nftMetadata';
+import {
+  assertCidMatches,
+  CidMismatchError,
+  computeFileCid,
+  computeJsonCid
+} from './cid';
+import { DEFAULT_NETWORK, getExplorerUrl, NETWORKS } from './networks';
+
 // 🔧 Pinata IPFSクライアントのグローバル変数
 // 一度初期化したクライアントを再利用するために保存
 let pinataClient = null;
 
+// 🏷️ 選択できるIPFSプロバイダー（REACT_APP_IPFS_PROVIDER の値）
+export const IPFS_PROVIDERS = {
+  PINATA: 'pinata',  // Pinata（クラウドのピンサービス）
+  KUBO: 'kubo',      // ローカルのKuboノード（/api/v0/add）
+  MOCK: 'mock'       // テスト用の偽物
+};
+
+// 🏷️ プロバイダーの表示名
+export const IPFS_PROVIDER_LABELS = {
+  [IPFS_PROVIDERS.PINATA]: 'Pinata',
+  [IPFS_PROVIDERS.KUBO]: 'ローカルIPFSノード（Kubo）',
+  [IPFS_PROVIDERS.MOCK]: 'モックIPFS'
+};
+
+// 🏠 KuboのHTTP APIのデフォルトURL（ipfs daemon の初期設定）
+const DEFAULT_KUBO_API_URL = 'http://127.0.0.1:5001';
+
 /**
  * 🔍 CID形式の検証関数（CIDv0とCIDv1対応）
  *
@@ -220,8 +256,8 @@ const generateEtherscanCompatibleUrl = (cid, gateway = 'w3s_link') => {
 export const mockUploadToIPFS = async (file) => {
   await new Promise(resolve => setTimeout(resolve, 1000));
 
-  const mockHash = btoa(file.name + Date.now()).replace(/[^a-zA-Z0-9]/g, '');
-  const mockCID = `Qm${mockHash.slice(0, 44)}`;
+  // 🧮 本当にピン留めした時と同じCID（CIDv0）をローカルで計算
+  const mockCID = await computeFileCid(file);
 
   console.log(`🧪 Mock image upload: ${file.name}`);
   console.log(`🧪 Mock CID: ${mockCID}`);
@@ -249,6 +285,10 @@ const realUploadToIPFS = async (file) => {
       throw new Error('Pinata client not available');
     }
 
+    // 🧮 送るバイト列からCIDを先に計算しておく（Pinataの結果と照合する）
+    const expectedCid = await computeFileCid(file);
+    console.log(`🧮 Locally computed CID: ${expectedCid}`);
+
     console.log('📤 Starting file upload...');
 
     // Pinata HTTP APIでのアップロード
@@ -269,10 +309,11 @@ const realUploadToIPFS = async (file) => {
     const result = await client.pinFileToIPFS(file, options);
     const cidString = result.IpfsHash;
 
-    // CID検証
+    // CID検証（形式 + 送ったデータとの一致）
     if (!isValidCID(cidString)) {
       throw new Error(`Invalid CID format: ${cidString}`);
     }
+    assertCidMatches(expectedCid, cidString, '画像');
 
     console.log(`✅ File uploaded successfully!`);
     console.log(`📸 Image CID: ${cidString}`);
@@ -338,6 +379,9 @@ const realUploadToIPFS = async (file) => {
     };
   } catch (error) {
     console.error('❌ Pinata upload error:', error);
+    if (error instanceof CidMismatchError) {
+      throw error;
+    }
     throw new Error(`IPFS upload failed: ${error.message}`);
   }
 };
@@ -352,9 +396,15 @@ const realUploadMetadata = async (metadata) => {
       throw new Error('Pinata client not available');
     }
 
+    // 🧮 JSON.stringify したバイト列をファイルとして送り、CIDを照合する
+    // （pinJSONToIPFSはサーバー側でJSONを保存し直すため、送ったバイト列とCIDの対応が保証されない）
+    const json = JSON.stringify(metadata);
+    const expectedCid = computeJsonCid(metadata);
+    console.log(`🧮 Locally computed metadata CID: ${expectedCid}`);
+
     console.log('📤 Starting metadata upload...');
 
-    // Pinata HTTP APIでのJSONアップロード
+    // Pinata HTTP APIでのJSONファイルアップロード
     const options = {
       pinataMetadata: {
         name: `nft-metadata-${Date.now()}`,
@@ -369,13 +419,15 @@ const realUploadMetadata = async (metadata) => {
       }
     };
 
-    const result = await client.pinJSONToIPFS(metadata, options);
+    const file = new File([json], 'metadata.json', { type: 'application/json' });
+    const result = await client.pinFileToIPFS(file, options);
     const cidString = result.IpfsHash;
 
-    // CID検証
+    // CID検証（形式 + 送ったデータとの一致）
     if (!isValidCID(cidString)) {
       throw new Error(`Invalid metadata CID format: ${cidString}`);
     }
+    assertCidMatches(expectedCid, cidString, 'メタデータ');
 
     console.log(`✅ Metadata uploaded successfully!`);
     console.log(`📄 Metadata CID: ${cidString}`);
@@ -391,6 +443,10 @@ const realUploadMetadata = async (metadata) => {
   } catch (error) {
     console.error('❌ w3up metadata upload error:', error);
 
+    if (error instanceof CidMismatchError) {
+      throw error;
+    }
+
     // 特定のエラーメッセージに基づく詳細な説明
     if (error.message.includes('space/blob/add invocation')) {
       console.error('🔐 w3up認証エラー: スペースにメタデータを追加する権限がありません');
@@ -404,8 +460,15 @@ const realUploadMetadata = async (metadata) => {
 
 /**
  * 🎨 Etherscan対応のNFTデータアップロード（完全版）
+ *
+ * @param {File} imageFile - 画像ファイル
+ * @param {string} name - NFT名
+ * @param {string} description - NFTの説明
+ * @param {Object} [options] - ユーザーが入力した追加メタデータ
+ * @param {string} [options.externalUrl] - 外部リンク（未指定なら画像URL）
+ * @param {Array} [options.attributes] - trait_type / value / display_type の属性一覧
  */
-const realUploadNFTData = async (imageFile, name, description) => {
+const realUploadNFTData = async (imageFile, name, description, { externalUrl, attributes = [] } = {}) => {
   try {
     console.log('🚀 Starting Etherscan-compatible NFT data upload...');
     console.log(`📁 Image: ${imageFile.name} (${Math.round(imageFile.size / 1024)} KB)`);
@@ -443,45 +506,13 @@ const realUploadNFTData = async (imageFile, name, description) => {
     }
 
     // 2. Etherscan/OpenSea互換メタデータ作成
+    // 属性はユーザーがフォームで入力したものだけを使用
     const metadata = {
       name,
       description,
       image: imageURI,  // 強制的にHTTPS URL を使用
-      external_url: imageURI,  // 外部リンクも同じHTTPS URLを使用
-      attributes: [
-        {
-          trait_type: "Upload Date",
-          value: new Date().toISOString().split('T')[0]
-        },
-        {
-          trait_type: "File Type",
-          value: imageFile.type
-        },
-        {
-          trait_type: "File Size (KB)",
-          value: Math.round(imageFile.size / 1024)
-        },
-        {
-          trait_type: "Upload Timestamp",
-          value: Date.now()
-        },
-        {
-          trait_type: "Storage Provider",
-          value: "w3up (Web3.Storage v2)"
-        },
-        {
-          trait_type: "IPFS CID",
-          value: imageResult.cid
-        },
-        {
-          trait_type: "Gateway",
-          value: "IPFS.io"
-        },
-        {
-          trait_type: "Etherscan Compatible",
-          value: "Yes"
-        }
-      ]
+      external_url: externalUrl || imageURI,  // 指定がなければ画像のHTTPS URLを使用
+      attributes: normalizeAttributes(attributes)
     };
 
     console.log('📄 Generated Etherscan-compatible metadata:', metadata);
@@ -560,15 +591,177 @@ const realUploadNFTData = async (imageFile, name, description) => {
   }
 };
 
+/**
+ * 🔢 番号付きエディションのNFTデータアップロード関数を作る関数
+ *
+ * 【処理内容】
+ * 1. 画像を1回だけアップロード（全コピーで同じ画像を使う）
+ * 2. 「N枚中k番目」を入れたメタデータ（createEditionMetadata）を、コピーの数だけアップロード
+ *
+ * 【なぜ関数を作る関数？】
+ * Pinata・Kubo・モックでは画像とメタデータのアップロード方法だけが違うため、
+ * それぞれの関数を渡して同じ手順を使い回す
+ *
+ * @param {function} uploadToIPFS - 画像のアップロード関数
+ * @param {function} uploadMetadata - メタデータのアップロード関数
+ * @returns {function} (imageFile, name, description, size, options) => { imageCid, metadataURIs }
+ *   引数は realUploadNFTData に発行枚数（size）を加えたもの。metadataURIs は1番目から順番に並ぶ
+ */
+const createEditionUploader = (uploadToIPFS, uploadMetadata) => async (
+  imageFile, name, description, size, { externalUrl, attributes = [] } = {}
+) => {
+  console.log(`🔢 Uploading edition data: ${name} (${size} copies)`);
+
+  const imageResult = await uploadToIPFS(imageFile);
+
+  // 全コピー共通のメタデータ（Pinata版と同じくHTTPSゲートウェイURLを画像に使用）
+  const metadata = {
+    name,
+    description,
+    image: imageResult.httpsUrl,
+    external_url: externalUrl || imageResult.httpsUrl,
+    attributes: normalizeAttributes(attributes)
+  };
+
+  const metadataURIs = [];
+  for (let number = 1; number <= size; number++) {
+    const metadataResult = await uploadMetadata(createEditionMetadata(metadata, number, size));
+    console.log(`  📄 #${number}/${size}: ${metadataResult.ipfsUri}`);
+    metadataURIs.push(metadataResult.ipfsUri);
+  }
+
+  console.log('🎉 Edition data upload completed!');
+  console.log(`  🏷️ Image CID: ${imageResult.cid}`);
+
+  return { imageCid: imageResult.cid, metadataURIs };
+};
+
+/**
+ * 🔢 Pinataへのエディションのアップロード（引数・戻り値は createEditionUploader を参照）
+ */
+const realUploadEditionData = createEditionUploader(realUploadToIPFS, realUploadMetadata);
+
+/**
+ * 🏠 KuboのHTTP API URLを取得（末尾のスラッシュは除去）
+ */
+const getKuboApiUrl = () => (
+  process.env.REACT_APP_KUBO_API_URL || DEFAULT_KUBO_API_URL
+).replace(/\/+$/, '');
+
+/**
+ * 📤 Kuboの /api/v0/add にファイルを送ってCIDを受け取る関数
+ *
+ * 【Kuboとは？】
+ * - IPFSの公式実装（旧go-ipfs）。`ipfs daemon` で起動するローカルノード
+ * - /api/v0/add はファイルを追加（＋ピン留め）してCIDを返すAPI
+ * - ブラウザから使う場合は、ノード側でCORS（API.HTTPHeaders）の許可が必要
+ *
+ * 【cid-version=0】
+ * Pinataと同じ「Qm...」形式のCIDにそろえるための指定
+ *
+ * @param {Blob} blob - 送るデータ（File または JSON の Blob）
+ * @param {string} fileName - ファイル名
+ * @param {string} label - CID不一致時のエラーメッセージ用の名前
+ * @returns {Promise<string>} ノードが計算したCID
+ */
+const kuboAdd = async (blob, fileName, label) => {
+  const expectedCid = await computeFileCid(blob);
+
+  const formData = new FormData();
+  formData.append('file', blob, fileName);
+
+  const response = await fetch(`${getKuboApiUrl()}/api/v0/add?pin=true&cid-version=0`, {
+    method: 'POST',
+    body: formData
+  });
+
+  if (!response.ok) {
+    throw new Error(`Kubo add failed: ${response.status} ${await response.text()}`);
+  }
+
+  // Kuboは追加したファイルごとに1行のJSONを返す（最後の行が今回のファイル）
+  const lines = (await response.text()).trim().split('\n');
+  const { Hash: cid } = JSON.parse(lines[lines.length - 1]);
+
+  if (!isValidCID(cid)) {
+    throw new Error(`Invalid CID format from Kubo: ${cid}`);
+  }
+  assertCidMatches(expectedCid, cid, label);
+
+  return cid;
+};
+
+/**
+ * 🏠 Kuboへの画像アップロード（戻り値は realUploadToIPFS と同じ形式）
+ */
+const kuboUploadToIPFS = async (file) => {
+  console.log(`🏠 Uploading ${file.name} to local Kubo node (${getKuboApiUrl()})...`);
+
+  const cid = await kuboAdd(file, file.name, '画像');
+  console.log(`✅ Kubo image CID: ${cid}`);
+
+  return {
+    cid,
+    httpsUrl: generateEtherscanCompatibleUrl(cid, 'ipfs_io'),
+    ipfsUri: `ipfs://${cid}`
+  };
+};
+
+/**
+ * 🏠 Kuboへのメタデータアップロード（戻り値は realUploadMetadata と同じ形式）
+ */
+const kuboUploadMetadata = async (metadata) => {
+  console.log('🏠 Uploading metadata to local Kubo node...');
+
+  const blob = new Blob([JSON.stringify(metadata)], { type: 'application/json' });
+  const cid = await kuboAdd(blob, 'metadata.json', 'メタデータ');
+  console.log(`✅ Kubo metadata CID: ${cid}`);
+
+  return {
+    cid,
+    httpsUrl: generateEtherscanCompatibleUrl(cid, 'ipfs_io'),
+    ipfsUri: `ipfs://${cid}`
+  };
+};
+
+/**
+ * 🏠 KuboへのNFTデータアップロード
+ * 引数は realUploadNFTData と同じ
+ */
+const kuboUploadNFTData = async (imageFile, name, description, { externalUrl, attributes = [] } = {}) => {
+  const imageResult = await kuboUploadToIPFS(imageFile);
+
+  // Pinata版と同じくHTTPSゲートウェイURLを画像に使用（Etherscan対応）
+  const metadata = {
+    name,
+    description,
+    image: imageResult.httpsUrl,
+    external_url: externalUrl || imageResult.httpsUrl,
+    attributes: normalizeAttributes(attributes)
+  };
+
+  const metadataResult = await kuboUploadMetadata(metadata);
+
+  console.log('🎉 Kubo NFT data upload completed!');
+  console.log(`  🏷️ Image CID: ${imageResult.cid}`);
+  console.log(`  🏷️ Metadata CID: ${metadataResult.cid}`);
+
+  return metadataResult.ipfsUri;  // メタデータのIPFS URI
+};
+
+/**
+ * 🏠 Kuboへのエディションのアップロード（引数・戻り値は createEditionUploader を参照）
+ */
+const kuboUploadEditionData = createEditionUploader(kuboUploadToIPFS, kuboUploadMetadata);
+
 /**
  * モックメタデータアップロード（Etherscan対応版）
  */
 export const mockUploadMetadata = async (metadata) => {
   await new Promise(resolve => setTimeout(resolve, 500));
 
-  const metadataStr = JSON.stringify(metadata);
-  const metadataHash = btoa(metadataStr + Date.now()).replace(/[^a-zA-Z0-9]/g, '');
-  const mockCID = `Qm${metadataHash.slice(0, 44)}`;
+  // 🧮 JSONをファイルとしてピン留めした時と同じCIDをローカルで計算
+  const mockCID = computeJsonCid(metadata);
 
   console.log(`🧪 Mock metadata upload:`, metadata);
   console.log(`🧪 Mock metadata CID: ${mockCID}`);
@@ -585,8 +778,9 @@ export const mockUploadMetadata = async (metadata) => {
 
 /**
  * モックNFTデータアップロード（Etherscan対応版）
+ * 引数は realUploadNFTData と同じ
  */
-export const mockUploadNFTData = async (imageFile, name, description) => {
+export const mockUploadNFTData = async (imageFile, name, description, { externalUrl, attributes = [] } = {}) => {
   try {
     console.log("🧪 Mock IPFS: Starting Etherscan-compatible upload simulation...");
 
@@ -601,29 +795,8 @@ export const mockUploadNFTData = async (imageFile, name, description) => {
       name,
       description,
       image: imageURI,  // HTTPS URL を使用
-      external_url: imageResult.httpsUrl,
-      attributes: [
-        {
-          trait_type: "Upload Date",
-          value: new Date().toISOString().split('T')[0]
-        },
-        {
-          trait_type: "File Type",
-          value: imageFile.type
-        },
-        {
-          trait_type: "File Size (KB)",
-          value: Math.round(imageFile.size / 1024)
-        },
-        {
-          trait_type: "Mock Upload",
-          value: "true"
-        },
-        {
-          trait_type: "Etherscan Compatible",
-          value: "Yes"
-        }
-      ]
+      external_url: externalUrl || imageResult.httpsUrl,
+      attributes: normalizeAttributes(attributes)
     };
 
     // 3. メタデータアップロードをシミュレート
@@ -643,6 +816,11 @@ export const mockUploadNFTData = async (imageFile, name, description) => {
   }
 };
 
+/**
+ * モックエディションアップロード（引数・戻り値は createEditionUploader を参照）
+ */
+export const mockUploadEditionData = createEditionUploader(mockUploadToIPFS, mockUploadMetadata);
+
 /**
  * 開発環境検出用ユーティリティ
  */
@@ -652,59 +830,43 @@ export const isDevelopment = () => {
 
 /**
  * NFTマーケットプレイスのURLを生成
+ *
+ * 【ネットワークごとの違い】
+ * OpenSea・Gemcaseでのチェーンの呼び名やエクスプローラーのURLは packages/networks の一覧から取得する。
+ * 対応していないマーケットプレイス（例：HoleskyのOpenSea）は空の配列 / null になる
+ *
+ * @param {string} contractAddress - NFTコントラクトのアドレス
+ * @param {string} networkKey - ネットワークのキー（sepolia, baseSepolia, mainnet など）
+ * @param {string|number} [tokenId] - 指定すると個別トークンのURL（result.token）も生成
  */
-export const getNFTMarketplaceUrls = (contractAddress, networkName = 'sepolia') => {
+export const getNFTMarketplaceUrls = (contractAddress, networkKey = DEFAULT_NETWORK.key, tokenId) => {
   console.log('🔍 NFT Marketplace URL generation:');
   console.log(`   Contract Address: ${contractAddress}`);
-  console.log(`   Network Name: ${networkName}`);
+  console.log(`   Network: ${networkKey}`);
 
   if (!contractAddress) {
     console.warn('⚠️ Contract address not provided for marketplace URLs');
     return null;
   }
 
-  const network = networkName.toLowerCase();
+  const network = NETWORKS[networkKey] || DEFAULT_NETWORK;
+  const address = contractAddress.toLowerCase();
+  const { opensea, gemcase } = network.marketplaces;
 
   // OpenSea URLs (複数の形式を試す)
-  const openSeaUrls = {
-    'sepolia': [
-      `https://testnets.opensea.io/assets/sepolia/${contractAddress.toLowerCase()}`,
-      `https://testnets.opensea.io/assets/sepolia/${contractAddress.toLowerCase()}/1`,
-      `https://testnets.opensea.io/collection/${contractAddress.toLowerCase()}`,
-      `https://testnets.opensea.io/assets?search[query]=${contractAddress.toLowerCase()}`
-    ],
-    'mainnet': [
-      `https://opensea.io/assets/ethereum/${contractAddress.toLowerCase()}`,
-      `https://opensea.io/assets/ethereum/${contractAddress.toLowerCase()}/1`,
-      `https://opensea.io/collection/${contractAddress.toLowerCase()}`,
-      `https://opensea.io/assets?search[query]=${contractAddress.toLowerCase()}`
-    ],
-    'ethereum': [
-      `https://opensea.io/assets/ethereum/${contractAddress.toLowerCase()}`,
-      `https://opensea.io/assets/ethereum/${contractAddress.toLowerCase()}/1`,
-      `https://opensea.io/collection/${contractAddress.toLowerCase()}`,
-      `https://opensea.io/assets?search[query]=${contractAddress.toLowerCase()}`
-    ],
-    'polygon': [
-      `https://opensea.io/assets/matic/${contractAddress.toLowerCase()}`,
-      `https://opensea.io/assets/matic/${contractAddress.toLowerCase()}/1`,
-      `https://opensea.io/collection/${contractAddress.toLowerCase()}`
-    ]
-  };
+  const openSeaUrls = opensea ? [
+    `${opensea.url}/assets/${opensea.chain}/${address}`,
+    `${opensea.url}/assets/${opensea.chain}/${address}/1`,
+    `${opensea.url}/collection/${address}`,
+    `${opensea.url}/assets?search[query]=${address}`
+  ] : [];
 
   // Gemcase URLs (正しい形式)
-  const gemcaseUrls = [
-    `https://gemcase.vercel.app/view/evm/${network}/${contractAddress}`,
-    `https://gemcase.vercel.app/collection/evm/${network}/${contractAddress}`,
-    `https://gemcase.vercel.app/nft/evm/${network}/${contractAddress}`
-  ];
-
-  // Etherscan URLs
-  const etherscanUrls = {
-    'sepolia': `https://sepolia.etherscan.io/address/${contractAddress}`,
-    'mainnet': `https://etherscan.io/address/${contractAddress}`,
-    'ethereum': `https://etherscan.io/address/${contractAddress}`
-  };
+  const gemcaseUrls = gemcase ? [
+    `https://gemcase.vercel.app/view/evm/${gemcase}/${contractAddress}`,
+    `https://gemcase.vercel.app/collection/evm/${gemcase}/${contractAddress}`,
+    `https://gemcase.vercel.app/nft/evm/${gemcase}/${contractAddress}`
+  ] : [];
 
   // 直接的なマーケットプレイス検索URL
   const searchUrls = {
@@ -715,14 +877,24 @@ export const getNFTMarketplaceUrls = (contractAddress, networkName = 'sepolia')
   };
 
   const result = {
-    opensea: openSeaUrls[network] || openSeaUrls['sepolia'],
+    network: network.key,
+    opensea: openSeaUrls,
     gemcase: gemcaseUrls,
-    etherscan: etherscanUrls[network] || etherscanUrls['sepolia'],
+    etherscan: getExplorerUrl(network, 'address', contractAddress),
     search: searchUrls
   };
 
+  // 🏷️ 個別トークンのURL（ギャラリーなどで1つのNFTを開く用）
+  if (tokenId !== undefined && tokenId !== null) {
+    result.token = {
+      opensea: opensea ? `${opensea.url}/assets/${opensea.chain}/${address}/${tokenId}` : null,
+      gemcase: gemcase ? `https://gemcase.vercel.app/view/evm/${gemcase}/${contractAddress}/${tokenId}` : null,
+      etherscan: getExplorerUrl(network, 'nft', contractAddress, tokenId)
+    };
+  }
+
   console.log(`🔗 Generated marketplace URLs:`, result);
-  console.log(`🌊 OpenSea URLs for ${network}:`, result.opensea);
+  console.log(`🌊 OpenSea URLs for ${network.key}:`, result.opensea);
   console.log(`🔍 Search URLs:`, result.search);
 
   return result;
@@ -735,6 +907,32 @@ export const isPinataAvailable = () => {
   return !!process.env.REACT_APP_PINATA_API_KEY;
 };
 
+/**
+ * 🔍 使用するIPFSプロバイダーを決める関数
+ *
+ * 【選び方】
+ * 1. REACT_APP_IPFS_PROVIDER が指定されていればそれを使う（pinata / kubo / mock）
+ * 2. 指定がなければ、PinataのAPIキーがあればPinata、なければモック
+ *
+ * @returns {string} IPFS_PROVIDERS のいずれか
+ */
+export const getIPFSProvider = () => {
+  const configured = (process.env.REACT_APP_IPFS_PROVIDER || '').trim().toLowerCase();
+
+  if (configured === IPFS_PROVIDERS.PINATA && !isPinataAvailable()) {
+    console.warn('⚠️ REACT_APP_IPFS_PROVIDER=pinata ですが、Pinata APIキーが設定されていません');
+    return IPFS_PROVIDERS.MOCK;
+  }
+  if (Object.values(IPFS_PROVIDERS).includes(configured)) {
+    return configured;
+  }
+  if (configured) {
+    console.warn(`⚠️ 不明なIPFSプロバイダーです: ${configured}（pinata / kubo / mock のいずれかを指定）`);
+  }
+
+  return isPinataAvailable() ? IPFS_PROVIDERS.PINATA : IPFS_PROVIDERS.MOCK;
+};
+
 /**
  * 🌐 IPFSアップローダーサービスの取得関数
  *
@@ -757,14 +955,29 @@ export const isPinataAvailable = () => {
  *
  * 【フォールバック機能】
  * 実際のIPFSが使えない場合は、テスト用のモック（偽物）サービスを使用
+ * ※ Kuboを指定した場合はフォールバックしない（CIで偽のCIDが混ざらないように失敗させる）
  *
  * @returns {Object} IPFSアップローダーオブジェクト
  */
 export const getIPFSUploader = () => {
   console.log('🔍 IPFSサービス初期化中...');
 
-  // 🔑 Pinata APIキーが設定されているかチェック
-  if (isPinataAvailable()) {
+  const provider = getIPFSProvider();
+
+  // 🏠 ローカルのKuboノードを使用
+  if (provider === IPFS_PROVIDERS.KUBO) {
+    console.log(`🏠 ローカルIPFSノード（Kubo）を使用します: ${getKuboApiUrl()}`);
+
+    return {
+      uploadToIPFS: kuboUploadToIPFS,
+      uploadMetadata: kuboUploadMetadata,
+      uploadNFTData: kuboUploadNFTData,
+      uploadEditionData: kuboUploadEditionData
+    };
+  }
+
+  // 🔑 Pinataを使用
+  if (provider === IPFS_PROVIDERS.PINATA) {
     console.log("🌍 Pinata API keys found - Using REAL IPFS with Etherscan compatibility");
     console.log('✅ 実際のIPFSストレージを使用します（Pinata）');
 
@@ -778,6 +991,8 @@ export const getIPFSUploader = () => {
           console.log('✅ 実際のIPFSアップロード成功');
           return result;
         } catch (error) {
+          // CIDの不一致はデータ破損の可能性があるため、モックにはフォールバックしない
+          if (error instanceof CidMismatchError) throw error;
           console.warn('⚠️ 実際のIPFSアップロードに失敗、モックにフォールバック');
           console.error('Pinata error:', error);
           return await mockUploadToIPFS(...args);
@@ -792,6 +1007,7 @@ export const getIPFSUploader = () => {
           console.log('✅ 実際のIPFSメタデータアップロード成功');
           return result;
         } catch (error) {
+          if (error instanceof CidMismatchError) throw error;
           console.warn('⚠️ 実際のIPFSメタデータアップロードに失敗、モックにフォールバック');
           console.error('Pinata metadata error:', error);
           return await mockUploadMetadata(...args);
@@ -806,10 +1022,27 @@ export const getIPFSUploader = () => {
           console.log('✅ 実際のIPFS NFTデータアップロード成功');
           return result;
         } catch (error) {
+          if (error instanceof CidMismatchError) throw error;
           console.warn('⚠️ 実際のIPFS NFTデータアップロードに失敗、モックにフォールバック');
           console.error('Pinata NFT data error:', error);
           return await mockUploadNFTData(...args);
         }
+      },
+
+      // 🔢 エディション（画像1件＋コピーごとのメタデータ）アップロード関数
+      // 途中で失敗した場合は、モックと実際のCIDが混ざらないよう最初からモックでやり直す
+      uploadEditionData: async (...args) => {
+        try {
+          console.log('🔢 実際のIPFSにエディションをアップロード中...');
+          const result = await realUploadEditionData(...args);
+          console.log('✅ 実際のIPFSエディションアップロード成功');
+          return result;
+        } catch (error) {
+          if (error instanceof CidMismatchError) throw error;
+          console.warn('⚠️ 実際のIPFSエディションアップロードに失敗、モックにフォールバック');
+          console.error('Pinata edition error:', error);
+          return await mockUploadEditionData(...args);
+        }
       }
     };
   } else {
@@ -818,6 +1051,7 @@ export const getIPFSUploader = () => {
     console.log("   1. Sign up at: https://pinata.cloud/");
     console.log("   2. Create JWT token in your dashboard");
     console.log("   3. Add REACT_APP_PINATA_API_KEY=your_jwt_token to .env file");
+    console.log("   (or run a local Kubo node and set REACT_APP_IPFS_PROVIDER=kubo)");
     console.log("🧪 Fallback: Using mock IPFS service");
     console.log('⚠️ モックIPFSサービスを使用します（実際のストレージではありません）');
 
@@ -825,7 +1059,8 @@ export const getIPFSUploader = () => {
     return {
       uploadToIPFS: mockUploadToIPFS,      // 偽のファイルアップロード
       uploadMetadata: mockUploadMetadata,  // 偽のメタデータアップロード
-      uploadNFTData: mockUploadNFTData     // 偽のNFTデータアップロード
+      uploadNFTData: mockUploadNFTData,    // 偽のNFTデータアップロード
+      uploadEditionData: mockUploadEditionData  // 偽のエディションアップロード
     };
   }
 };
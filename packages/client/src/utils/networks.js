@@ -0,0 +1,172 @@
+/**
+ * 🌐 フロントエンド用のネットワークユーティリティ
+ *
+ * 【このファイルの役割】
+ * このファイルは「ネットワーク名簿の受付係」のような役割を果たします。
+ * packages/networks（コントラクトと共有しているネットワーク一覧）を読み込み、
+ * 環境変数で上書きしたコントラクトアドレスなど、フロントエンドで必要な情報を取り出します。
+ *
+ * 【コントラクトアドレスの優先順位】
+ * 1. REACT_APP_CONTRACT_ADDRESS_<ネットワーク>（例：REACT_APP_CONTRACT_ADDRESS_BASE_SEPOLIA）
+ * 2. デプロイ記録（packages/networks/deployments、deploy スクリプトが自動で書き出す）
+ * 3. REACT_APP_CONTRACT_ADDRESS（デフォルトネットワークのみ）
+ * 4. packages/networks に書かれたアドレス
+ * どのアドレスを使う場合も、ミントの前にデプロイ記録と照らし合わせる（記録がなければミントできない）
+ *
+ * 【初心者向け解説】
+ * - デフォルトネットワーク = REACT_APP_NETWORK_NAME で指定したネットワーク（省略時 sepolia）
+ * - 未デプロイのネットワークに切り替えた場合、ミントはできません
+ * - デプロイ記録がないネットワークや、記録のバイトコードと食い違うコントラクトにも、ミントはできません
+ * - ABIはネットワークごとのデプロイ記録のものを使う（ネットワークごとにデプロイした時期が違っても使える）
+ */
+
+import { ethers } from 'ethers';
+import {
+  DEFAULT_NETWORK_KEY,
+  getDeployment,
+  getExplorerUrl,
+  getNetwork,
+  getNetworkByChainId,
+  NETWORKS,
+  toChainIdHex
+} from 'networks';
+import Web3Mint from './Web3Mint.json';
+
+export { getDeployment, getExplorerUrl, getNetworkByChainId, NETWORKS, toChainIdHex };
+
+/**
+ * 🔑 ABIのハッシュを計算する関数（deploy スクリプトの hashAbi と同じ計算方法）
+ * @param {Array} abi - コントラクトのABI
+ * @returns {string} keccak256ハッシュ
+ */
+const hashAbi = (abi) => ethers.id(JSON.stringify(abi));
+
+// 📍 ERC-1967 プロキシが実装コントラクトのアドレスを保存しているスロット
+const ERC1967_IMPLEMENTATION_SLOT = '0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc';
+
+// 🎯 デフォルトネットワーク（REACT_APP_NETWORK_NAME で変更可能）
+export const DEFAULT_NETWORK = getNetwork(process.env.REACT_APP_NETWORK_NAME) ||
+  getNetwork(DEFAULT_NETWORK_KEY);
+
+/**
+ * 📍 ネットワークにデプロイされたコントラクトのアドレスを取得する関数
+ * @param {Object|null} network - ネットワーク設定（packages/networks の1件）
+ * @returns {string|null} 未デプロイならnull
+ */
+export const getContractAddress = (network) => {
+  if (!network) return null;
+
+  return process.env[`REACT_APP_CONTRACT_ADDRESS_${network.envPrefix}`] ||
+    getDeployment(network.key)?.address ||
+    (network.key === DEFAULT_NETWORK.key && process.env.REACT_APP_CONTRACT_ADDRESS) ||
+    network.contractAddress;
+};
+
+/**
+ * 📄 ネットワークにデプロイされたコントラクトのABIを取得する関数
+ *
+ * 【なぜネットワークごと？】
+ * 後から機能を追加してデプロイしたネットワークと、前のままのネットワークではABIが違う。
+ * デプロイ記録に保存されたABIを使い、ABIが保存されていない古い記録の場合だけ
+ * このアプリに組み込まれたABI（utils/Web3Mint.json）を使う
+ *
+ * @param {Object|null} network - ネットワーク設定（packages/networks の1件）
+ * @returns {Array} ABI
+ */
+export const getContractAbi = (network) => (network && getDeployment(network.key)?.abi) || Web3Mint.abi;
+
+/**
+ * 📋 コントラクトがデプロイされている（ミントできる）ネットワークの一覧
+ * @returns {Object[]} ネットワーク設定の配列（デフォルトネットワークが先頭）
+ */
+export const getSupportedNetworks = () => Object.values(NETWORKS)
+  .filter((network) => getContractAddress(network))
+  .sort((a, b) => (b.key === DEFAULT_NETWORK.key) - (a.key === DEFAULT_NETWORK.key));
+
+/**
+ * 🦊 MetaMaskの wallet_addEthereumChain に渡すパラメータを作る関数
+ * @param {Object} network - ネットワーク設定
+ * @returns {Object} EIP-3085 形式のチェーン情報
+ */
+export const toAddEthereumChainParams = (network) => ({
+  chainId: toChainIdHex(network.chainId),
+  chainName: network.name,
+  nativeCurrency: network.nativeCurrency,
+  rpcUrls: [network.rpcUrl],
+  ...(network.explorerUrl ? { blockExplorerUrls: [network.explorerUrl] } : {})
+});
+
+/**
+ * 🛡️ 接続先のコントラクトが、デプロイ記録と同じものか確認する関数
+ *
+ * 【確認すること】
+ * 1. デプロイ記録にABIが保存されていない古い記録の場合、このアプリに組み込まれたABI（utils/Web3Mint.json）が
+ *    デプロイ時のABIと同じか（古いビルドのまま使っていないか）
+ *    記録にABIがある場合は、getContractAbi がそのABIを使うので確認しない
+ * 2. ブロックチェーン上のバイトコードが、デプロイ時と同じか（別のコントラクトを指していないか）
+ *    アップグレード可能版（プロキシ）の場合は、プロキシが使っている実装コントラクトのバイトコードを確認する
+ *
+ * @param {import('ethers').Provider} provider - プロバイダー
+ * @param {Object} network - ネットワーク設定
+ * @param {string} contractAddress - 確認するコントラクトのアドレス
+ * 【デプロイ記録がない場合】
+ * 確認できないコントラクトは使わない（手動で設定したアドレスが古い・別のコントラクトでも気づけないため）
+ *
+ * @returns {Promise<void>}
+ * @throws {Error} デプロイ記録がない、または食い違いがある場合
+ */
+export const verifyDeployment = async (provider, network, contractAddress) => {
+  const deployment = getDeployment(network.key);
+  if (!deployment) {
+    throw new Error(
+      `${network.name} のデプロイ記録がないため、コントラクトを確認できません。デプロイスクリプトで記録を作成してください`
+    );
+  }
+
+  if (!deployment.abi && hashAbi(Web3Mint.abi) !== deployment.abiHash) {
+    throw new Error(
+      `アプリのABIが ${network.name} にデプロイされたコントラクトと一致しません。フロントエンドを再ビルドしてください`
+    );
+  }
+
+  let codeAddress = contractAddress;
+  if (deployment.proxy) {
+    const slot = await provider.getStorage(contractAddress, ERC1967_IMPLEMENTATION_SLOT);
+    codeAddress = ethers.getAddress(ethers.dataSlice(slot, 12));
+  }
+
+  const code = await provider.getCode(codeAddress);
+  if (code === '0x' || ethers.keccak256(code) !== deployment.deployedBytecodeHash) {
+    throw new Error(
+      `${network.name} のコントラクト（${contractAddress}）がデプロイ記録と一致しません。アドレスの設定を確認してください`
+    );
+  }
+};
+
+/**
+ * 🔍 ウォレットの接続先から、ネットワークとコントラクトアドレスを調べる関数
+ *
+ * 【なぜ必要？】
+ * ミントする直前にMetaMaskの接続先を確認し、そのネットワークのコントラクトを使うため。
+ * デプロイ記録と食い違うコントラクトにはミントしないよう、verifyDeployment で確認する
+ *
+ * @param {import('ethers').BrowserProvider} provider - MetaMaskのプロバイダー
+ * @returns {Promise<{network: Object, contractAddress: string, abi: Array}>}
+ * @throws {Error} 対応していない・未デプロイ・デプロイ記録と一致しないネットワークの場合
+ */
+export const resolveContractForProvider = async (provider) => {
+  const { chainId } = await provider.getNetwork();
+  const network = getNetworkByChainId(chainId);
+  if (!network) {
+    throw new Error(`対応していないネットワークです（Chain ID: ${chainId}）`);
+  }
+
+  const contractAddress = getContractAddress(network);
+  if (!contractAddress) {
+    throw new Error(`${network.name} にはコントラクトがデプロイされていません`);
+  }
+
+  await verifyDeployment(provider, network, contractAddress);
+
+  return { network, contractAddress, abi: getContractAbi(network) };
+};
@@ -0,0 +1,211 @@
+/**
+ * 📝 NFTメタデータ（名前・説明・属性）の検証と整形ユーティリティ
+ *
+ * 【このファイルの役割】
+ * ユーザーがフォームで入力したメタデータをチェックし、
+ * OpenSea / Etherscan互換のメタデータJSONに入れられる形に整えます。
+ *
+ * 【初心者向け解説】
+ * - trait_type = 属性の名前（例：「背景」「レア度」）
+ * - value = 属性の値（例：「青」「5」）
+ * - display_type = マーケットプレイスでの表示方法（数値・ブースト・日付など）
+ */
+
+// 📏 入力値の上限
+export const MAX_NAME_LENGTH = 100;          // NFT名の最大文字数
+export const MAX_DESCRIPTION_LENGTH = 1000;  // 説明文の最大文字数
+export const MAX_ATTRIBUTES = 20;            // 属性の最大件数
+
+// 💎 ロイヤリティ（二次流通時に作成者が受け取る割合）
+// コントラクトの MAX_ROYALTY_BPS（1000 = 10%）と揃える
+export const MAX_ROYALTY_PERCENT = 10;
+export const DEFAULT_ROYALTY_PERCENT = 5;
+
+// 🔢 番号付きエディションの発行枚数
+// 1回のトランザクションでミントできるのはコントラクトの MAX_BATCH_SIZE（20）枚まで。
+// それより多い分は EDITION_BATCH_SIZE 枚ずつ mintEditionCopies でミントする（100枚なら5回のトランザクション）
+export const MIN_EDITION_SIZE = 2;
+export const MAX_EDITION_SIZE = 100;
+export const EDITION_BATCH_SIZE = 20;
+export const DEFAULT_EDITION_SIZE = 10;
+export const EDITION_TRAIT_TYPE = 'Edition';
+
+// 🏷️ OpenSea互換のdisplay_type一覧（空文字 = 通常の文字列属性）
+export const DISPLAY_TYPES = [
+  { value: '', label: '文字列（指定なし）' },
+  { value: 'number', label: '数値 (number)' },
+  { value: 'boost_number', label: 'ブースト数値 (boost_number)' },
+  { value: 'boost_percentage', label: 'ブースト% (boost_percentage)' },
+  { value: 'date', label: '日付 (date・UNIX秒)' }
+];
+
+// 数値として扱うdisplay_type（値は数値でなければならない）
+const NUMERIC_DISPLAY_TYPES = ['number', 'boost_number', 'boost_percentage', 'date'];
+
+/**
+ * 🆕 空の属性行を作成する関数
+ * @returns {{trait_type: string, value: string, display_type: string}}
+ */
+export const createEmptyAttribute = () => ({
+  trait_type: '',
+  value: '',
+  display_type: ''
+});
+
+/**
+ * 🔍 URLがhttp(s)形式かチェックする関数
+ * @param {string} url - チェックするURL
+ * @returns {boolean} 有効なURLかどうか
+ */
+const isValidHttpUrl = (url) => {
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === 'http:' || parsed.protocol === 'https:';
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * ✅ メタデータ入力値を検証する関数
+ *
+ * @param {Object} metadata - フォームの入力値
+ * @param {string} metadata.name - NFT名
+ * @param {string} metadata.description - 説明文
+ * @param {string} metadata.externalUrl - 外部リンク
+ * @param {Array} metadata.attributes - 属性の一覧
+ * @param {string|number} metadata.royaltyPercent - ロイヤリティ率（%）
+ * @param {Object} [options] - 検証オプション
+ * @param {boolean} [options.requireName=true] - 名前を必須にするか（バッチミントではファイル名で代用できる）
+ * @returns {{name?: string, description?: string, externalUrl?: string, royaltyPercent?: string, attributesTotal?: string, attributes?: Array<string|null>}} エラー内容（問題なければ空オブジェクト）
+ */
+export const validateNftMetadata = (metadata, { requireName = true } = {}) => {
+  const errors = {};
+  const name = metadata.name.trim();
+  const description = metadata.description.trim();
+  const externalUrl = metadata.externalUrl.trim();
+
+  if (requireName && name.length === 0) {
+    errors.name = 'NFT名を入力してください';
+  } else if (name.length > MAX_NAME_LENGTH) {
+    errors.name = `NFT名は${MAX_NAME_LENGTH}文字以内で入力してください`;
+  }
+
+  if (description.length === 0) {
+    errors.description = '説明を入力してください';
+  } else if (description.length > MAX_DESCRIPTION_LENGTH) {
+    errors.description = `説明は${MAX_DESCRIPTION_LENGTH}文字以内で入力してください`;
+  }
+
+  if (externalUrl && !isValidHttpUrl(externalUrl)) {
+    errors.externalUrl = 'http:// または https:// で始まるURLを入力してください';
+  }
+
+  // 💎 ロイヤリティは0〜10%、小数点以下2桁まで（ベーシスポイントに変換できる値）
+  const royalty = Number(metadata.royaltyPercent);
+  if (String(metadata.royaltyPercent).trim() === '' || !Number.isFinite(royalty)) {
+    errors.royaltyPercent = 'ロイヤリティを数値で入力してください';
+  } else if (royalty < 0 || royalty > MAX_ROYALTY_PERCENT) {
+    errors.royaltyPercent = `ロイヤリティは0〜${MAX_ROYALTY_PERCENT}%で入力してください`;
+  } else if (Math.abs(royalty * 100 - Math.round(royalty * 100)) > 1e-9) {
+    errors.royaltyPercent = 'ロイヤリティは小数点以下2桁まで入力できます';
+  }
+
+  if (metadata.attributes.length > MAX_ATTRIBUTES) {
+    errors.attributesTotal = `属性は${MAX_ATTRIBUTES}件までです`;
+  }
+
+  // 📋 属性ごとのチェック（同じtrait_typeの重複も禁止）
+  const seenTraitTypes = new Set();
+  const attributeErrors = metadata.attributes.map((attribute) => {
+    const traitType = attribute.trait_type.trim();
+    const value = String(attribute.value).trim();
+
+    if (!traitType) return '属性名を入力してください';
+    if (!value) return '値を入力してください';
+    if (seenTraitTypes.has(traitType)) return `属性名「${traitType}」が重複しています`;
+    seenTraitTypes.add(traitType);
+
+    if (NUMERIC_DISPLAY_TYPES.includes(attribute.display_type) && !Number.isFinite(Number(value))) {
+      return `${attribute.display_type} の値は数値で入力してください`;
+    }
+    return null;
+  });
+
+  if (attributeErrors.some(Boolean)) {
+    errors.attributes = attributeErrors;
+  }
+
+  return errors;
+};
+
+/**
+ * 🔧 属性をメタデータJSON用の形に整える関数
+ *
+ * 【処理内容】
+ * - 前後の空白を除去
+ * - 数値系のdisplay_typeでは値をNumberに変換
+ * - display_typeが未指定なら項目自体を省略
+ *
+ * @param {Array} attributes - フォームの属性一覧
+ * @returns {Array} メタデータJSONのattributes
+ */
+export const normalizeAttributes = (attributes = []) => attributes.map((attribute) => {
+  const traitType = attribute.trait_type.trim();
+  const value = String(attribute.value).trim();
+
+  if (attribute.display_type) {
+    return {
+      display_type: attribute.display_type,
+      trait_type: traitType,
+      value: NUMERIC_DISPLAY_TYPES.includes(attribute.display_type) ? Number(value) : value
+    };
+  }
+
+  return { trait_type: traitType, value };
+});
+
+/**
+ * 💎 ロイヤリティ率（%）をベーシスポイントに変換する関数
+ * 例：5% → 500、2.5% → 250
+ * @param {string|number} percent - ロイヤリティ率（%）
+ * @returns {number} ベーシスポイント（1万分率）
+ */
+export const royaltyPercentToBps = (percent) => Math.round(Number(percent) * 100);
+
+/**
+ * ✅ エディションの発行枚数を検証する関数
+ * @param {string|number} size - フォームに入力された発行枚数
+ * @returns {string|null} エラー内容（問題なければ null）
+ */
+export const validateEditionSize = (size) => {
+  const value = Number(size);
+  if (String(size).trim() === '' || !Number.isInteger(value)) {
+    return '発行枚数を整数で入力してください';
+  }
+  if (value < MIN_EDITION_SIZE || value > MAX_EDITION_SIZE) {
+    return `発行枚数は${MIN_EDITION_SIZE}〜${MAX_EDITION_SIZE}枚で入力してください`;
+  }
+  return null;
+};
+
+/**
+ * 🔢 エディションのk番目のコピー用にメタデータを作る関数
+ *
+ * 【変更する項目】
+ * - name に「#k/N」を付ける（例：「Sunset #3/10」）
+ * - attributes の最後に Edition 属性を追加（OpenSeaでは「3 of 10」のように表示される）
+ *
+ * @param {Object} metadata - 全コピー共通のメタデータJSON
+ * @param {number} number - 何番目のコピーか（k、1から始まる）
+ * @param {number} size - 発行枚数（N）
+ * @returns {Object} k番目のコピーのメタデータJSON
+ */
+export const createEditionMetadata = (metadata, number, size) => ({
+  ...metadata,
+  name: `${metadata.name} #${number}/${size}`,
+  attributes: [
+    ...metadata.attributes,
+    { display_type: 'number', trait_type: EDITION_TRAIT_TYPE, value: number, max_value: size }
+  ]
+});
@@ -0,0 +1,43 @@
+/**
+ * 💸 売上の分配（PaymentSplitter コントラクト）のユーティリティ
+ *
+ * 【このファイルの役割】
+ * PaymentSplitter は Web3Mint とは別のコントラクトです（contracts/PaymentSplitter.sol）。
+ * Web3Mint の paymentSplitter() でアドレスを読み、ここの ABI で受取人・持ち分・受け取れる額を扱います。
+ *
+ * 【初心者向け解説】
+ * - Web3Mint の withdraw は、分配先が設定されていると売上を PaymentSplitter に送る
+ * - 受取人は PaymentSplitter の release で、持ち分どおりに受け取る（誰が呼んでも送金先は受取人）
+ * - 受取人の変更（setPayees）は、Web3Mint の管理者（DEFAULT_ADMIN_ROLE）だけができる
+ * - 変更前の受取人がまだ受け取っていない額は取り置かれ（owed）、後から release で受け取れる
+ */
+
+import { ethers } from 'ethers';
+
+/**
+ * 📄 PaymentSplitter の設計図（ABI）のうち、このアプリで使う部分だけ
+ * エラーも載せておくと、失敗した時のメッセージにエラー名が入る（useAdminActions の変換で使う）
+ * @type {Array<string>}
+ */
+export const PAYMENT_SPLITTER_ABI = [
+  'function payees() view returns (address[])',
+  'function totalShares() view returns (uint256)',
+  'function shares(address account) view returns (uint256)',
+  'function released(address account) view returns (uint256)',
+  'function owed(address account) view returns (uint256)',
+  'function releasable(address account) view returns (uint256)',
+  'function release(address account)',
+  'function setPayees(address[] newPayees, uint256[] newShares)',
+  'error PayeesLengthMismatch()',
+  'error InvalidPayee(address account)',
+  'error NotPayee(address account)',
+  'error NoPaymentDue(address account)',
+  'error AccessControlUnauthorizedAccount(address account, bytes32 neededRole)'
+];
+
+/**
+ * 🔍 分配先（PaymentSplitter）が設定されているか
+ * @param {string|null} address - Web3Mint の paymentSplitter() の値
+ * @returns {boolean}
+ */
+export const hasPaymentSplitter = (address) => Boolean(address) && address !== ethers.ZeroAddress;
@@ -0,0 +1,134 @@
+/**
+ * ⛽ ガスレスミント（ERC-2771メタトランザクション）のユーティリティ
+ *
+ * 【このファイルの役割】
+ * このファイルは「代理送信の申込書」のような役割を果たします。
+ * ユーザーはトランザクションを送る代わりに「このミントを実行してほしい」というリクエストに署名し、
+ * リレイヤー（packages/relayer）がガス代を払ってフォワーダーに送信します。
+ *
+ * 【ガスレスミントの流れ】
+ * 1. リレイヤーの情報（フォワーダーのアドレス・立て替えの上限）を取得
+ * 2. ミントの呼び出しデータに、フォワーダーの nonce・有効期限を付けて署名（EIP-712、ガス代なし）
+ * 3. リレイヤーに送り、返ってきたトランザクションハッシュで完了を待つ
+ *
+ * 【初心者向け解説】
+ * - フォワーダー = 署名を確認して、ユーザーの代わりに Web3Mint を呼び出すコントラクト
+ * - リレイヤー = ガス代を払ってフォワーダーに送信するサーバー
+ * - NFTは署名したユーザーのものになる（Web3Mint は _msgSender() で本人を確認する）
+ */
+
+import { ethers } from 'ethers';
+
+// 🌐 リレイヤーのURL（.env の REACT_APP_RELAYER_URL、未設定ならガスレスミントは表示しない）
+const RELAYER_URL = (process.env.REACT_APP_RELAYER_URL || '').replace(/\/$/, '');
+
+// 🏷️ フォワーダーのEIP-712ドメイン（contracts/Web3MintForwarder.sol と同じ値にする）
+const FORWARDER_DOMAIN_NAME = 'Web3MintForwarder';
+const FORWARDER_DOMAIN_VERSION = '1';
+
+// ⏰ 署名したリクエストの有効期限（30分）
+const REQUEST_TTL_SECONDS = 30 * 60;
+
+/**
+ * 📄 フォワードリクエストの型（OpenZeppelin ERC2771Forwarder の ForwardRequest と同じ順番・型）
+ * @type {Object<string, Array<{name: string, type: string}>>}
+ */
+export const FORWARD_REQUEST_TYPES = {
+  ForwardRequest: [
+    { name: 'from', type: 'address' },
+    { name: 'to', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'gas', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint48' },
+    { name: 'data', type: 'bytes' }
+  ]
+};
+
+// 📄 フォワーダーの設計図（ABI）のうち、このアプリで使う部分だけ
+const FORWARDER_ABI = ['function nonces(address owner) view returns (uint256)'];
+
+/**
+ * 🔍 リレイヤーのURLが設定されているか
+ * @returns {boolean}
+ */
+export const isRelayerConfigured = () => RELAYER_URL !== '';
+
+/**
+ * 📖 リレイヤーの情報を取得する関数
+ * @returns {Promise<{chainId: number, web3Mint: string, forwarder: string, relayer: string, maxSponsoredValue: bigint, maxGas: bigint}>}
+ * @throws {Error} リレイヤーに接続できない場合
+ */
+export const fetchRelayerInfo = async () => {
+  const response = await fetch(`${RELAYER_URL}/config`);
+  const info = await response.json();
+  if (!response.ok) {
+    throw new Error(info.error || `HTTP ${response.status}`);
+  }
+
+  return {
+    ...info,
+    maxSponsoredValue: ethers.toBigInt(info.maxSponsoredValue),
+    maxGas: ethers.toBigInt(info.maxGas)
+  };
+};
+
+/**
+ * ✍️ フォワードリクエストを作って署名する関数
+ * @param {ethers.Signer} signer - ユーザーの署名者（MetaMask）
+ * @param {Object} params
+ * @param {string} params.forwarder - フォワーダーのアドレス
+ * @param {string} params.to - 呼び出すコントラクト（Web3Mint）のアドレス
+ * @param {string} params.data - 呼び出しデータ（interface.encodeFunctionData の結果）
+ * @param {bigint} params.value - 送るETH（リレイヤーが立て替える）
+ * @param {bigint} params.gas - 呼び出しに使うガスの上限
+ * @returns {Promise<Object>} 署名付きのリクエスト（relayForwardRequest に渡す）
+ */
+export const signForwardRequest = async (signer, { forwarder, to, data, value, gas }) => {
+  const from = await signer.getAddress();
+  const { chainId } = await signer.provider.getNetwork();
+  const nonce = await new ethers.Contract(forwarder, FORWARDER_ABI, signer).nonces(from);
+
+  const request = {
+    from,
+    to,
+    value,
+    gas,
+    nonce,
+    deadline: Math.floor(Date.now() / 1000) + REQUEST_TTL_SECONDS,
+    data
+  };
+  const domain = {
+    name: FORWARDER_DOMAIN_NAME,
+    version: FORWARDER_DOMAIN_VERSION,
+    chainId,
+    verifyingContract: forwarder
+  };
+  const signature = await signer.signTypedData(domain, FORWARD_REQUEST_TYPES, request);
+
+  // nonce はフォワーダーが自分で数えるので送らない（ForwardRequestData の形）
+  return { from, to, value, gas, deadline: request.deadline, data, signature };
+};
+
+/**
+ * 📤 署名したリクエストをリレイヤーに送る関数
+ * @param {Object} request - signForwardRequest の戻り値
+ * @returns {Promise<string>} リレイヤーが送信したトランザクションのハッシュ
+ * @throws {Error} リレイヤーが断った場合（error.data に Web3Mint のエラーデータが入ることがある）
+ */
+export const relayForwardRequest = async (request) => {
+  const response = await fetch(`${RELAYER_URL}/relay`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      request: { ...request, value: request.value.toString(), gas: request.gas.toString() }
+    })
+  });
+  const result = await response.json();
+  if (!response.ok) {
+    const relayError = new Error(result.error || `リレイヤーのエラー（HTTP ${response.status}）`);
+    relayError.data = result.data;
+    throw relayError;
+  }
+  return result.txHash;
+};
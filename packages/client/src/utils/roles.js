@@ -0,0 +1,59 @@
+/**
+ * 🔑 コントラクトの役割（ロール）の定義
+ *
+ * 【このファイルの役割】
+ * このファイルは「社員証の種類の一覧」のような役割を果たします。
+ * Web3Mint.sol の AccessControl で使っている役割と、
+ * それぞれの役割でできる操作をフロントエンド用にまとめています。
+ *
+ * 【初心者向け解説】
+ * - 役割の識別子 = 役割名を keccak256 にかけた32バイトの値（コントラクトと同じ計算）
+ * - 管理者（DEFAULT_ADMIN_ROLE）だけは 0x000...0 で、他の役割の付与・取り消しができる
+ */
+
+import { ethers } from 'ethers';
+
+/**
+ * 📋 役割の一覧（管理画面の表示順）
+ * @type {Array<{key: string, name: string, id: string, label: string, description: string}>}
+ */
+export const ROLES = [
+  {
+    key: 'admin',
+    name: 'DEFAULT_ADMIN_ROLE',
+    id: ethers.ZeroHash,
+    label: '管理者',
+    description: '役割の付与・取り消し、許可リスト・画像URI・ロイヤリティの設定'
+  },
+  {
+    key: 'minter',
+    name: 'MINTER_ROLE',
+    id: ethers.id('MINTER_ROLE'),
+    label: 'ミント担当',
+    description: '無料ミント（ownerMint / ownerMintIpfs）'
+  },
+  {
+    key: 'priceAdmin',
+    name: 'PRICE_ADMIN_ROLE',
+    id: ethers.id('PRICE_ADMIN_ROLE'),
+    label: '価格管理',
+    description: 'ミント料金・プレセール料金・ウォレット上限・ダッチオークション・支払いトークンの変更'
+  },
+  {
+    key: 'pauser',
+    name: 'PAUSER_ROLE',
+    id: ethers.id('PAUSER_ROLE'),
+    label: '一時停止',
+    description: 'ミントの停止・再開、販売フェーズ・販売期間の変更'
+  },
+  {
+    key: 'treasurer',
+    name: 'TREASURER_ROLE',
+    id: ethers.id('TREASURER_ROLE'),
+    label: '資金管理',
+    description: '売上の引き出し（withdraw / withdrawToken）'
+  }
+];
+
+// 🔍 キーから役割を取り出すための辞書（例：ROLE_BY_KEY.minter）
+export const ROLE_BY_KEY = Object.fromEntries(ROLES.map((role) => [role.key, role]));
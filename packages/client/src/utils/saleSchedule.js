@@ -0,0 +1,83 @@
+/**
+ * ⏰ 販売期間とダッチオークションのユーティリティ
+ *
+ * 【このファイルの役割】
+ * このファイルは「販売カレンダー」のような役割を果たします。
+ * コントラクトの販売期間（saleStart / saleEnd）とダッチオークションの設定から、
+ * 「今は販売期間内か」「次に料金が下がるのはいつか」を計算し、カウントダウン用に整形します。
+ *
+ * 【初心者向け解説】
+ * - Unixタイムスタンプ = 1970年1月1日からの秒数（コントラクトはこの形式で日時を扱う）
+ * - 販売期間の 0 は「制限なし」（開始 0 = すぐに開始、終了 0 = 終了なし）
+ * - ダッチオークション = 高い料金から始めて、一定の間隔で料金を下げていく販売方法
+ */
+
+/**
+ * 🕰️ 現在時刻をUnixタイムスタンプ（秒）で取得
+ * @returns {number} 現在時刻（秒）
+ */
+export const nowInSeconds = () => Math.floor(Date.now() / 1000);
+
+/**
+ * 🚦 販売期間の状態を判定する
+ * @param {number} saleStart - 販売開始日時（秒、0 = すぐに開始）
+ * @param {number} saleEnd - 販売終了日時（秒、0 = 終了なし）
+ * @param {number} [now] - 判定する時刻（秒）
+ * @returns {'upcoming'|'open'|'ended'} 開始前 / 販売中 / 終了
+ */
+export const getSaleWindowStatus = (saleStart, saleEnd, now = nowInSeconds()) => {
+  if (now < saleStart) return 'upcoming';
+  if (saleEnd !== 0 && now >= saleEnd) return 'ended';
+  return 'open';
+};
+
+/**
+ * 📉 ダッチオークションで次に料金が下がる日時を計算する
+ *
+ * 無効（開始料金 0）・すでに最低料金に達している場合は null を返す
+ *
+ * @param {Object|null} auction - useContract の contractInfo.dutchAuction
+ * @param {bigint} currentPriceWei - 現在の料金（wei）
+ * @param {number} [now] - 基準の時刻（秒）
+ * @returns {number|null} 次に料金が下がる日時（秒）
+ */
+export const getNextPriceDrop = (auction, currentPriceWei, now = nowInSeconds()) => {
+  if (!auction || auction.startPriceWei === 0n || currentPriceWei <= auction.floorPriceWei) return null;
+  if (now < auction.startTime) return auction.startTime + auction.dropInterval;
+
+  const elapsedDrops = Math.floor((now - auction.startTime) / auction.dropInterval);
+  return auction.startTime + (elapsedDrops + 1) * auction.dropInterval;
+};
+
+/**
+ * ⏳ 残り秒数を「1日 02:03:04」の形式に整形する
+ * @param {number} seconds - 残り秒数
+ * @returns {string} 表示用の文字列
+ */
+export const formatCountdown = (seconds) => {
+  const total = Math.max(0, seconds);
+  const days = Math.floor(total / 86400);
+  const time = [Math.floor((total % 86400) / 3600), Math.floor((total % 3600) / 60), total % 60]
+    .map((value) => String(value).padStart(2, '0'))
+    .join(':');
+  return days > 0 ? `${days}日 ${time}` : time;
+};
+
+/**
+ * 📅 Unixタイムスタンプ（秒）を <input type="datetime-local"> の値に変換する
+ * @param {number} timestamp - 日時（秒、0 = 未設定）
+ * @returns {string} 例：'2026-10-19T21:00'（未設定なら空文字）
+ */
+export const toDateTimeLocal = (timestamp) => {
+  if (!timestamp) return '';
+  const date = new Date(timestamp * 1000);
+  date.setMinutes(date.getMinutes() - date.getTimezoneOffset());
+  return date.toISOString().slice(0, 16);
+};
+
+/**
+ * 📅 <input type="datetime-local"> の値をUnixタイムスタンプ（秒）に変換する
+ * @param {string} value - 例：'2026-10-19T21:00'（空なら 0 = 制限なし）
+ * @returns {number} 日時（秒）
+ */
+export const fromDateTimeLocal = (value) => (value ? Math.floor(new Date(value).getTime() / 1000) : 0);
@@ -0,0 +1,81 @@
+/**
+ * 🖋️ オンチェーンSVG用のユーティリティ
+ *
+ * 【このファイルの役割】
+ * このファイルは「SVGをブロックチェーンに載せる前の下ごしらえ係」のような役割を果たします。
+ * オンチェーン保存ではSVGのバイト数がそのままガス代になるため、
+ * 表示に影響しない部分（コメントや余分な空白など）を取り除いてから送ります。
+ *
+ * 【初心者向け解説】
+ * - オンチェーン = 画像そのものをブロックチェーンに保存すること（IPFSが不要になる）
+ * - SVG = テキストで書かれた画像形式なので、そのままコントラクトに保存できる
+ * - 1バイトあたり約200ガスかかるため、小さいほど安くミントできる
+ */
+
+// 📏 オンチェーンに保存できるSVGの最大サイズ（Web3Mint.sol の MAX_SVG_SIZE と同じ）
+export const MAX_SVG_SIZE = 48 * 1024;
+
+// 🏷️ SVGファイルのMIMEタイプ
+export const SVG_MIME_TYPE = 'image/svg+xml';
+
+/**
+ * 🔍 ファイルがSVGかどうかを判定する関数
+ * @param {File} file - 判定するファイル
+ * @returns {boolean} SVGならtrue
+ */
+export const isSvgFile = (file) => Boolean(file) && file.type === SVG_MIME_TYPE;
+
+/**
+ * ✂️ SVGの文字列を小さくする関数
+ *
+ * 【取り除くもの】
+ * - XML宣言（<?xml ... ?>）とDOCTYPE
+ * - コメント（<!-- ... -->）
+ * - タグとタグの間の空白・改行
+ *
+ * @param {string} svgText - SVGの文字列
+ * @returns {string} 小さくしたSVGの文字列
+ * @throws {Error} SVGとして不正、またはスクリプトを含む場合
+ */
+export const minifySvg = (svgText) => {
+  const minified = svgText
+    .replace(/<\?xml[\s\S]*?\?>/g, '')
+    .replace(/<!DOCTYPE[\s\S]*?>/gi, '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/>\s+</g, '><')
+    .replace(/\s{2,}/g, ' ')
+    .trim();
+
+  // 🛡️ マーケットプレイスで実行されないよう、スクリプト入りのSVGは受け付けない
+  if (/<script/i.test(minified)) {
+    throw new Error('スクリプトを含むSVGはオンチェーンに保存できません');
+  }
+
+  // コントラクトは先頭が "<svg" かどうかをチェックする
+  if (!minified.startsWith('<svg')) {
+    throw new Error('SVGファイルの形式が正しくありません');
+  }
+
+  return minified;
+};
+
+/**
+ * 📦 SVGファイルを読み込み、オンチェーン保存用のバイト列に変換する関数
+ * @param {File} file - SVGファイル
+ * @returns {Promise<Uint8Array>} 小さくしたSVGのUTF-8バイト列
+ * @throws {Error} SVGでない、または MAX_SVG_SIZE を超える場合
+ */
+export const prepareOnChainSvg = async (file) => {
+  if (!isSvgFile(file)) {
+    throw new Error('オンチェーン保存できるのはSVGファイルのみです');
+  }
+
+  const bytes = new TextEncoder().encode(minifySvg(await file.text()));
+  if (bytes.length > MAX_SVG_SIZE) {
+    throw new Error(
+      `SVGが大きすぎます（${(bytes.length / 1024).toFixed(1)}KB / 上限${MAX_SVG_SIZE / 1024}KB）`
+    );
+  }
+
+  return bytes;
+};
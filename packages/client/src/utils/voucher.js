@@ -0,0 +1,122 @@
+/**
+ * 🎫 ミント引換券（レイジーミント）のユーティリティ
+ *
+ * 【このファイルの役割】
+ * このファイルは「引換券の印刷所」のような役割を果たします。
+ * 作成者が署名する引換券（EIP-712）の形を定義し、
+ * 買う人に渡すための「引換コード」（文字列）への変換と読み取りを行います。
+ *
+ * 【レイジーミントの流れ】
+ * 1. 作成者：画像とメタデータをIPFSにアップロードし、引換券に署名（ガス代なし）
+ * 2. 作成者：引換コードをSNSやメールで買う人に渡す
+ * 3. 買う人：引換コードを貼り付けて redeem を送信（料金とガス代を支払う）
+ *
+ * 【初心者向け解説】
+ * - EIP-712 = 構造化されたデータに署名する規格。MetaMaskに署名の中身が項目ごとに表示される
+ * - ドメイン = 署名が使えるアプリ・ネットワーク・コントラクトの指定（他では使い回せない）
+ * - nonce = 同じ作成者の引換券を区別する番号（使用済みの番号は二度と使えない）
+ */
+
+import { ethers } from 'ethers';
+
+// 🏷️ EIP-712のドメイン（contracts/libraries/Web3MintVouchers.sol と同じ値にする）
+export const VOUCHER_DOMAIN_NAME = 'Web3Mint';
+export const VOUCHER_DOMAIN_VERSION = '1';
+
+/**
+ * 📄 引換券の型（Web3MintVouchers.MintVoucher と同じ順番・型）
+ * @type {Object<string, Array<{name: string, type: string}>>}
+ */
+export const VOUCHER_TYPES = {
+  MintVoucher: [
+    { name: 'metadataURI', type: 'string' },
+    { name: 'price', type: 'uint256' },
+    { name: 'creator', type: 'address' },
+    { name: 'expiry', type: 'uint64' },
+    { name: 'nonce', type: 'uint256' }
+  ]
+};
+
+// 📅 有効期限の選択肢（日数）
+export const VOUCHER_EXPIRY_DAYS = [1, 7, 30, 90];
+
+// 🔤 引換コードの先頭に付ける目印（他の文字列と区別するため）
+const VOUCHER_CODE_PREFIX = 'w3mv1:';
+
+/**
+ * 🏷️ 署名に使うドメインを作る関数
+ * @param {number|bigint} chainId - ネットワークのチェーンID
+ * @param {string} contractAddress - Web3Mint（プロキシ）のアドレス
+ * @returns {{name: string, version: string, chainId: bigint, verifyingContract: string}}
+ */
+export const buildVoucherDomain = (chainId, contractAddress) => ({
+  name: VOUCHER_DOMAIN_NAME,
+  version: VOUCHER_DOMAIN_VERSION,
+  chainId: ethers.toBigInt(chainId),
+  verifyingContract: contractAddress
+});
+
+/**
+ * 🎲 新しい nonce を作る関数
+ *
+ * 【なぜランダム？】
+ * 連番にすると、使用済みの番号をコントラクトに問い合わせて管理する必要がある。
+ * 256ビットの乱数なら、作成者が同じ番号を引くことは事実上ない
+ *
+ * @returns {bigint} nonce
+ */
+export const createVoucherNonce = () => ethers.toBigInt(ethers.hexlify(ethers.randomBytes(32)));
+
+/**
+ * 📦 引換券と署名を引換コード（1行の文字列）に変換する関数
+ * @param {{metadataURI: string, price: bigint, creator: string, expiry: number, nonce: bigint}} voucher - 引換券
+ * @param {string} signature - 作成者の署名
+ * @param {number|bigint} chainId - 署名したネットワークのチェーンID
+ * @returns {string} 引換コード
+ */
+export const encodeVoucherCode = (voucher, signature, chainId) => {
+  const json = JSON.stringify({
+    ...voucher,
+    price: voucher.price.toString(),
+    nonce: voucher.nonce.toString(),
+    chainId: Number(chainId),
+    signature
+  });
+  return VOUCHER_CODE_PREFIX + ethers.encodeBase64(ethers.toUtf8Bytes(json));
+};
+
+/**
+ * 🔍 引換コードを読み取る関数
+ * @param {string} code - 引換コード
+ * @returns {{voucher: {metadataURI: string, price: bigint, creator: string, expiry: number, nonce: bigint}, signature: string, chainId: number}}
+ * @throws {Error} 形式が正しくない場合
+ */
+export const decodeVoucherCode = (code) => {
+  const trimmed = code.trim();
+  if (!trimmed.startsWith(VOUCHER_CODE_PREFIX)) {
+    throw new Error('引換コードの形式が正しくありません');
+  }
+
+  let data;
+  try {
+    data = JSON.parse(ethers.toUtf8String(ethers.decodeBase64(trimmed.slice(VOUCHER_CODE_PREFIX.length))));
+  } catch {
+    throw new Error('引換コードを読み取れませんでした（途中で切れていないか確認してください）');
+  }
+
+  if (!data.metadataURI || !ethers.isAddress(data.creator) || !ethers.isHexString(data.signature)) {
+    throw new Error('引換コードの内容が不足しています');
+  }
+
+  return {
+    voucher: {
+      metadataURI: data.metadataURI,
+      price: ethers.toBigInt(data.price),
+      creator: ethers.getAddress(data.creator),
+      expiry: Number(data.expiry),
+      nonce: ethers.toBigInt(data.nonce)
+    },
+    signature: data.signature,
+    chainId: Number(data.chainId)
+  };
+};
@@ -0,0 +1,209 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/access/IAccessControl.sol"; // Web3Mint の役割（ロール）の確認
+import "@openzeppelin/contracts/utils/Address.sol"; // 安全なETH送金（sendValue）
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol"; // リエントランシー攻撃防止機能
+
+/**
+ * @title PaymentSplitter
+ * @notice 売上を複数の受取人（アーティスト・プラットフォームなど）に持ち分どおり分配するコントラクト
+ * @dev OpenZeppelin v4 の PaymentSplitter と同じ「引き出し型（pull payment）」の計算方式。
+ *      v5 では削除されたため、受取人を後から変更できるようにして取り込んでいる
+ *
+ * 【Web3Mint との関係】
+ * - Web3Mint とは別のコントラクトとしてデプロイする（Web3Mint のコードサイズを小さく保つため）
+ * - Web3Mint の setPaymentSplitter でこのコントラクトを登録すると、withdraw の売上はここに送られる
+ * - 受取人の変更は、Web3Mint の DEFAULT_ADMIN_ROLE を持つアドレスだけができる
+ *
+ * 【引き出し型（pull payment）とは？】
+ * - コントラクトが全員に一斉送金する（push）のではなく、受取人ごとに release を呼んで受け取る
+ * - 1人の受取人が受け取れない（送金が失敗する）場合でも、他の受取人は影響を受けない
+ *
+ * 【分配の計算】
+ * これまでの総受取額 = 現在の残高 + これまでに送金した合計
+ * 受け取れる額 = これまでの総受取額 × 持ち分 ÷ 持ち分の合計 − これまでに受け取った額
+ * 割り算の端数（wei未満の切り捨て分）はコントラクトに残り、次回以降の分配に回る
+ *
+ * 【受取人を変更する時】
+ * 今の受取人がまだ受け取っていない額は、受取人ごとの取り置き額（owed）に移してから入れ替える。
+ * 取り置いた分は新しい受取人への分配から除かれ、元の受取人は後から release で受け取れる
+ */
+contract PaymentSplitter is ReentrancyGuard {
+    /// @notice 受取人を変更できる管理者を確認する Web3Mint（プロキシの場合はプロキシのアドレス）
+    IAccessControl public immutable web3Mint;
+
+    /// @dev Web3Mint の DEFAULT_ADMIN_ROLE（AccessControl の管理者の役割）
+    bytes32 private constant DEFAULT_ADMIN_ROLE = 0x00;
+
+    /// @notice 持ち分の合計（0なら分配を使っていない）
+    uint256 public totalShares;
+
+    /// @notice これまでに受取人へ送金した合計（wei単位）
+    uint256 public totalReleased;
+
+    /// @notice 受取人ごとの持ち分（受取人でなければ0）
+    mapping(address => uint256) public shares;
+
+    /// @notice 受取人ごとのこれまでに受け取った額（wei単位）
+    mapping(address => uint256) public released;
+
+    /// @notice 受取人の変更前に発生していた、まだ受け取っていない額（wei単位、release で受け取れる）
+    mapping(address => uint256) public owed;
+
+    /// @notice 取り置き額（owed）の合計（分配の計算では残高から除く）
+    uint256 public totalOwed;
+
+    /// @dev 受取人の一覧（setPayees で入れ替える）
+    address[] private _payees;
+
+    // 📡 イベント
+
+    /// @notice ETHを受け取った時のイベント（Web3Mint の withdraw など）
+    event PaymentReceived(address from, uint256 amount);
+
+    /// @notice 受取人と持ち分が変更された時のイベント
+    event PayeesUpdated(address[] payees, uint256[] shares);
+
+    /// @notice 受取人に送金した時のイベント
+    event PaymentReleased(address indexed to, uint256 amount);
+
+    /// @notice 受取人の変更で、まだ受け取っていない額を取り置いた時のイベント
+    event PaymentSettled(address indexed account, uint256 amount);
+
+    // ❌ カスタムエラー
+
+    /// @notice 受取人と持ち分の配列の長さが違う場合のエラー
+    error PayeesLengthMismatch();
+
+    /// @notice 受取人がゼロアドレス、重複、または持ち分が0の場合のエラー
+    error InvalidPayee(address account);
+
+    /// @notice 持ち分も取り置き額も持たないアドレスに送金しようとした場合のエラー
+    error NotPayee(address account);
+
+    /// @notice 受け取れる額がない場合のエラー
+    error NoPaymentDue(address account);
+
+    /**
+     * 🏗️ コンストラクタ
+     * @param web3Mint_ 管理者を確認する Web3Mint のアドレス
+     */
+    constructor(IAccessControl web3Mint_) {
+        web3Mint = web3Mint_;
+    }
+
+    /**
+     * 💰 ETHを受け取る（Web3Mint の withdraw から送られる売上など）
+     */
+    receive() external payable {
+        emit PaymentReceived(msg.sender, msg.value);
+    }
+
+    /**
+     * 📖 受取人の一覧を取得
+     * @return 受取人のアドレスの配列
+     */
+    function payees() public view returns (address[] memory) {
+        return _payees;
+    }
+
+    /**
+     * 📖 受取人が今受け取れる額を取得（今の持ち分の分 + 取り置き額）
+     * @param account 受取人のアドレス
+     * @return 受け取れる額（wei単位、受取人でも元の受取人でもなければ0）
+     */
+    function releasable(address account) public view returns (uint256) {
+        return _shareDue(account) + owed[account];
+    }
+
+    /**
+     * 💸 受取人に、受け取れる額を送金する（誰が呼び出しても送金先は受取人本人）
+     *
+     * 【セキュリティ対策】
+     * - 送金前に記録を更新する（Checks-Effects-Interactions）
+     * - nonReentrant で、送金先のコントラクトからの再呼び出しを防ぐ
+     *
+     * @param account 受取人のアドレス
+     */
+    function release(address payable account) public nonReentrant {
+        if (shares[account] == 0 && owed[account] == 0) revert NotPayee(account);
+
+        uint256 due = _shareDue(account);
+        uint256 settled = owed[account];
+        uint256 payment = due + settled;
+        if (payment == 0) revert NoPaymentDue(account);
+
+        // 📝 先に記録を更新してから送金する（Checks-Effects-Interactions）
+        released[account] += due;
+        totalReleased += due;
+        delete owed[account];
+        totalOwed -= settled;
+
+        Address.sendValue(account, payment);
+        emit PaymentReleased(account, payment);
+    }
+
+    /**
+     * 👥 Web3Mint の DEFAULT_ADMIN_ROLE専用：受取人と持ち分を入れ替える
+     *
+     * 【例】setPayees([アーティスト, プラットフォーム], [70, 30]) → 売上の70%と30%
+     *
+     * 【まだ受け取っていない額】
+     * 今の受取人の受け取れる額は取り置き額（owed）に移す（すでに発生した取り分は変わらない）。
+     * ETHを受け取れない受取人がいても、受取人の変更は止まらない。
+     * 端数として残った残高は、新しい受取人への分配に回る。
+     *
+     * @param newPayees 新しい受取人の配列（空にすると分配を止める）
+     * @param newShares それぞれの持ち分（例：[70, 30] なら 70% と 30%）
+     */
+    function setPayees(address[] calldata newPayees, uint256[] calldata newShares) public {
+        if (!web3Mint.hasRole(DEFAULT_ADMIN_ROLE, msg.sender)) {
+            revert IAccessControl.AccessControlUnauthorizedAccount(msg.sender, DEFAULT_ADMIN_ROLE);
+        }
+        if (newPayees.length != newShares.length) revert PayeesLengthMismatch();
+
+        // 🧹 今の受取人の記録を消す（受け取り残しは取り置き額に移す）
+        for (uint256 i = 0; i < _payees.length; i++) {
+            address account = _payees[i];
+            uint256 due = _shareDue(account);
+            if (due != 0) {
+                owed[account] += due;
+                totalOwed += due;
+                emit PaymentSettled(account, due);
+            }
+            delete shares[account];
+            delete released[account];
+        }
+        delete _payees;
+        totalShares = 0;
+        totalReleased = 0;
+
+        // 👥 新しい受取人を登録
+        for (uint256 i = 0; i < newPayees.length; i++) {
+            address account = newPayees[i];
+            if (account == address(0) || newShares[i] == 0 || shares[account] != 0) {
+                revert InvalidPayee(account);
+            }
+            _payees.push(account);
+            shares[account] = newShares[i];
+            totalShares += newShares[i];
+        }
+
+        emit PayeesUpdated(newPayees, newShares);
+    }
+
+    /**
+     * 🧮 今の持ち分で受け取れる額を計算する内部関数（取り置き額は含まない）
+     *
+     * 取り置き額は元の受取人のものなので、分配する総受取額から除く
+     *
+     * @param account 受取人のアドレス
+     * @return 受け取れる額（wei単位、受取人でなければ0）
+     */
+    function _shareDue(address account) private view returns (uint256) {
+        if (totalShares == 0) return 0;
+        uint256 totalReceived = address(this).balance + totalReleased - totalOwed;
+        return (totalReceived * shares[account]) / totalShares - released[account];
+    }
+}
@@ -8,10 +8,19 @@ pragma solidity ^0.8.28;
 // - NFT、アクセス制御、セキュリティ機能を提供
 // - 世界中の開発者が使用している信頼性の高いライブラリ
 
-import "@openzeppelin/contracts/token/ERC721/extensions/ERC721URIStorage.sol"; // NFTの標準規格とメタデータ保存機能
-import "@openzeppelin/contracts/access/Ownable.sol"; // コントラクト所有者管理機能
+import "./Web3MintURIStorage.sol"; // NFTの標準規格とメタデータ保存機能（保存は外部ライブラリ）
+import "./Web3MintEnumerable.sol"; // 所有NFTの一覧取得機能（一覧の更新は外部ライブラリ）
+import "@openzeppelin/contracts/token/common/ERC2981.sol"; // ロイヤリティ情報（ERC-2981）
+import "@openzeppelin/contracts/access/AccessControl.sol"; // 役割（ロール）ごとの権限管理機能
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol"; // リエントランシー攻撃防止機能
-import "./libraries/Base64.sol"; // Base64エンコーディング用ライブラリ
+import "@openzeppelin/contracts/utils/Address.sol"; // 安全なETH送金（sendValue）
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol"; // 許可リスト（Merkle証明）の検証機能
+import "./libraries/Web3MintEditions.sol"; // 番号付きエディションの記録（外部ライブラリ）
+import "./libraries/Web3MintPayments.sol"; // トークン払い・ダッチオークションの料金計算（外部ライブラリ）
+import "./libraries/Web3MintMetadata.sol"; // メタデータ（JSON）の組み立て（外部ライブラリ）
+import "./libraries/Web3MintSVG.sol"; // オンチェーンSVGの分割保存・読み出し（外部ライブラリ）
+import "./libraries/Web3MintVouchers.sol"; // ミント引換券（EIP-712署名）の検証（外部ライブラリ）
+import "./interfaces/IERC5192.sol"; // ソウルバウンド（転送できない）NFTの標準規格（ERC-5192）
 import "hardhat/console.sol"; // デバッグ用ログ出力機能
 
 /**
@@ -39,8 +48,20 @@ import "hardhat/console.sol"; // デバッグ用ログ出力機能
  * 【主な機能】
  * ✅ NFTの安全なミント（作成・発行）
  * ✅ IPFSハッシュからメタデータ自動生成
+ * ✅ 複数画像の一括ミント（バッチミント）
+ * ✅ 所有者ごとのNFT一覧取得（ERC721Enumerable）
+ * ✅ 二次流通ロイヤリティ（ERC-2981、トークンごとに作成者へ支払い）
+ * ✅ 販売フェーズ管理（停止 / プレセール / 一般販売）と許可リスト
+ * ✅ 完全オンチェーンSVG NFT（画像もメタデータもブロックチェーン上に保存）
  * ✅ 動的なトークンURI生成
- * ✅ 所有者限定の管理機能
+ * ✅ 役割ごとの管理機能（ミント担当・価格管理・一時停止・資金管理をそれぞれ別のアドレスに任せられる）
+ * ✅ 売上の分配（別コントラクト PaymentSplitter に送り、複数の受取人が持ち分どおり引き出す）
+ * ✅ 払いすぎたミント料金の自動返金（または料金ちょうどの支払いだけを受け付ける設定）
+ * ✅ ERC-20トークンでのミント料金の支払い（管理者が許可したトークンのみ、トークンごとの料金）
+ * ✅ 販売期間（開始・終了日時）とダッチオークション（時間とともに下がる料金）
+ * ✅ 番号付きエディション（1つの作品を決まった枚数だけ発行、各NFTは「N枚中k番目」）
+ * ✅ 転送できないソウルバウンドNFT（ERC-5192、修了証などの証明書向け、ミント時に選択）
+ * ✅ 作成者によるメタデータの更新と、トークンごとの確定（ERC-4906の MetadataUpdate・PermanentURI イベント）
  * ✅ セキュリティ対策（リエントランシー攻撃防止）
  * ✅ Etherscan互換性の確保
  * ✅ OpenSea等のマーケットプレイス対応
@@ -52,7 +73,7 @@ import "hardhat/console.sol"; // デバッグ用ログ出力機能
  * - ガス = ブロックチェーン上での処理手数料
  * - Wei = Ethereumの最小通貨単位（1 ETH = 10^18 wei）
  */
-contract Web3Mint is ERC721URIStorage, Ownable, ReentrancyGuard {
+contract Web3Mint is Web3MintURIStorage, Web3MintEnumerable, ERC2981, AccessControl, ReentrancyGuard, IERC5192 {
     // 🔧 ライブラリを使用するための宣言
     // 【usingディレクティブとは？】
     // - 特定の型に対してライブラリの関数を使えるようにする
@@ -67,6 +88,25 @@ contract Web3Mint is ERC721URIStorage, Ownable, ReentrancyGuard {
     // - 変更するたびにガス（手数料）が必要
     // - 全世界からアクセス可能
 
+    // 🔑 役割（ロール）の定義
+    // 【AccessControlとは？】
+    // - 「この操作はこの役割を持つアドレスだけ」という権限を、役割ごとに分けて管理する仕組み
+    // - 1つの鍵（所有者）が全権限を持つと、その鍵が盗まれた時の被害が大きいため分割する
+    // - 役割の付与・取り消しは DEFAULT_ADMIN_ROLE（管理者）が grantRole / revokeRole で行い、
+    //   RoleGranted / RoleRevoked イベントが記録される
+
+    /// @notice 無料ミント（ownerMint / ownerMintIpfs）ができる役割
+    bytes32 public constant MINTER_ROLE = keccak256("MINTER_ROLE");
+
+    /// @notice ミント料金・プレセール料金・ウォレット上限を変更できる役割
+    bytes32 public constant PRICE_ADMIN_ROLE = keccak256("PRICE_ADMIN_ROLE");
+
+    /// @notice ミントの停止・再開（販売フェーズの変更）ができる役割
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+
+    /// @notice コントラクトの売上を引き出せる役割
+    bytes32 public constant TREASURER_ROLE = keccak256("TREASURER_ROLE");
+
     /// @notice 次にミントされるトークンのID番号
     /// @dev 1から始まり、NFTが作成されるたびに1ずつ増加
     /// 【なぜprivate？】セキュリティのため外部から直接変更できないようにする
@@ -77,32 +117,137 @@ contract Web3Mint is ERC721URIStorage, Ownable, ReentrancyGuard {
     /// 【constantとは？】一度設定すると変更できない定数（ガス効率が良い）
     uint256 public constant MAX_SUPPLY = 10000;
 
+    /// @notice 1回のバッチミントで作成できるNFTの最大数
+    /// @dev 1トランザクションのガス上限を超えないように制限
+    /// 【なぜ制限が必要？】大量のミントはブロックのガス上限を超えて失敗するため
+    uint256 public constant MAX_BATCH_SIZE = 20;
+
     /// @notice ミント料金（wei単位）
     /// @dev 1 ETH = 10^18 wei なので、0.001 ETH = 10^15 wei
     /// 【etherキーワード】Solidityの便利機能で自動的にweiに変換
-    uint256 public mintPrice = 0.001 ether;
+    /// 【初期値】0.001 ETH（_initializeDefaults で設定）
+    uint256 public mintPrice;
+
+    /// @notice 販売フェーズ
+    /// @dev Closed = 停止、Presale = 許可リストのみ、Public = 誰でもミント可能
+    /// 【enumとは？】決められた選択肢の中から1つを表す型（内部的には0, 1, 2）
+    enum SalePhase {
+        Closed,
+        Presale,
+        Public
+    }
 
-    /// @notice ミント可能状態フラグ
-    /// @dev true = ミント可能、false = ミント停止
-    /// 【用途】緊急時の停止、メンテナンス、販売期間の制御
-    bool public mintingEnabled = true;
+    /// @notice 現在の販売フェーズ
+    /// @dev デプロイ直後は一般販売（従来の mintingEnabled = true と同じ状態、_initializeDefaults で設定）
+    /// 【用途】緊急時の停止、メンテナンス、プレセール → 一般販売の切り替え
+    SalePhase public salePhase;
 
-    // 📝 NFTの詳細情報を格納する構造体
-    /// @notice NFT基本情報構造体
-    /// @dev 各NFTに関連する基本データをまとめた構造体
-    /// 【構造体とは？】関連するデータをひとまとめにしたカスタムデータ型
-    struct NFTInfo {
-        string name; // NFTの名前（例："My Awesome Art"）
-        string description; // NFTの説明（例："This is my first NFT"）
-        string imageURI; // 画像のIPFS URI（例："https://ipfs.io/ipfs/QmXXX..."）
-        uint256 timestamp; // 作成日時（Unixタイムスタンプ）
-        address minter; // 作成者のウォレットアドレス
-    }
+    /// @notice プレセールの許可リストのMerkleルート
+    /// @dev 葉 = keccak256(keccak256(abi.encode(アドレス, ミント可能数)))
+    /// 【Merkleルートとは？】許可リスト全体を32バイトに要約した値。
+    /// リスト全体を保存しなくても、証明（proof）で登録済みかを確認できる
+    bytes32 public merkleRoot;
+
+    /// @notice プレセールのミント料金（wei単位、初期値 0.0005 ETH）
+    uint256 public presalePrice;
+
+    /// @notice アドレスごとのプレセールでのミント済み数
+    mapping(address => uint256) public presaleMinted;
+
+    /// @notice 1つのウォレットがミントできる最大数（0 = 無制限）
+    /// @dev 一部のアドレスが供給量を買い占めないための制限。
+    /// デフォルトは MAX_BATCH_SIZE と同じ20（1回のバッチミントは必ず収まる）
+    uint256 public maxPerWallet;
+
+    /// @notice アドレスごとのミント済み数（プレセール・一般販売の合計）
+    /// @dev MINTER_ROLEによる無料ミント（ownerMint / ownerMintIpfs）は含まない
+    mapping(address => uint256) private _mintedCount;
+
+    /// @notice 画像URIの先頭部分（例："ipfs://" や "https://ipfs.io/ipfs/"）
+    /// @dev NFT情報には画像のCIDだけを保存し、読み出す時にこの値と結合する。
+    /// ゲートウェイが停止・変更されても、管理者がここを変えるだけで全NFTの画像URIを差し替えられる。
+    /// 初期値は "ipfs://"
+    string public imageBaseURI;
+
+    /// @notice オンチェーンに保存できるSVGの最大サイズ（バイト）
+    /// @dev SSTORE2の2チャンク分。これより大きいとミントのガス代が高くなりすぎる
+    uint256 public constant MAX_SVG_SIZE = 48 * 1024;
+
+    /// @notice ロイヤリティ率の上限（ベーシスポイント、1000 = 10%）
+    /// @dev ベーシスポイント = 1万分率（100 = 1%）。高すぎる設定で購入者が損をしないよう制限
+    uint96 public constant MAX_ROYALTY_BPS = 1000;
+
+    /// @notice コントラクト全体のデフォルトロイヤリティ率（ベーシスポイント）
+    /// @dev トークンごとの設定がない場合、および mintIpfsNFTWithMetadata で使用される
+    /// 【ロイヤリティとは？】NFTが転売されたとき、売上の一部が作成者に支払われる仕組み
+    uint96 public defaultRoyaltyBps;
 
     /// @notice トークンIDからNFT情報へのマッピング
     /// @dev mapping = 辞書のようなもの。トークンID → NFT情報の対応表
+    /// NFT情報の中身は Web3MintMetadata.NFTInfo（名前・説明・画像のCID・作成日時・作成者）
     /// 【mappingとは？】キーと値のペアを効率的に保存するデータ構造
-    mapping(uint256 => NFTInfo) public nftInfo;
+    mapping(uint256 => Web3MintMetadata.NFTInfo) public nftInfo;
+
+    /// @notice オンチェーンSVGのトークンID → SVGを分割保存したSSTORE2ポインタの一覧
+    /// @dev 空の場合は通常の（IPFSなど外部URIの）NFT
+    mapping(uint256 => address[]) private _svgChunks;
+
+    /// @notice true = ミント料金ちょうどの支払いだけを受け付ける（多すぎても IncorrectPayment で失敗）
+    /// @dev false（初期値）の場合、払いすぎた分はミントの最後に呼び出した人へ返金する
+    bool public exactPaymentRequired;
+
+    /// @notice ERC-20トークンのアドレス → そのトークンでのミント料金（トークンの最小単位、0 = 支払いに使えない）
+    /// @dev 例：USDC（小数6桁）で5 USDC なら 5_000_000
+    mapping(address => uint256) public tokenMintPrice;
+
+    /// @dev 支払いに使えるERC-20トークンの一覧（setPaymentToken で追加・削除）
+    address[] private _paymentTokens;
+
+    /// @notice 販売開始日時（Unixタイムスタンプ、0 = すぐに開始）
+    /// @dev 料金を受け取る全てのミント（プレセール・トークン払いを含む）に適用される
+    uint64 public saleStart;
+
+    /// @notice 販売終了日時（Unixタイムスタンプ、0 = 終了なし）
+    uint64 public saleEnd;
+
+    /// @notice ダッチオークションの設定
+    /// @dev startTime から dropInterval 秒ごとに priceDrop ずつ下がり、floorPrice で止まる
+    /// 【ダッチオークションとは？】高い料金から始めて時間とともに下げていく販売方法。
+    /// 買う人は「この値段なら買う」と思ったタイミングでミントする
+    /// 設定の中身は Web3MintPayments.DutchAuction（startPrice = 0 なら無効）
+    Web3MintPayments.DutchAuction public dutchAuction;
+
+    /// @notice 作成者 → 引換券の nonce → 使用済みか（同じ引換券で2回ミントできないようにする）
+    mapping(address => mapping(uint256 => bool)) public voucherRedeemed;
+
+    /// @notice 信頼するフォワーダー（ERC-2771のメタトランザクションを中継するコントラクト、ゼロアドレス = 無効）
+    /// @dev アップグレード可能版でも設定を変えられるよう、immutable ではなく状態変数に保存する
+    address public trustedForwarder;
+
+    /// @notice トークンID → 転送できない（ソウルバウンド）か
+    /// @dev ミント時にだけ設定され、解除する方法はない（バーンした時に削除）
+    mapping(uint256 => bool) private _locked;
+
+    /// @notice エディションの数（エディションIDは1から始まる）
+    uint256 public editionCount;
+
+    /// @notice エディションID → エディションの情報
+    mapping(uint256 => Web3MintEditions.Edition) private editions;
+
+    /// @dev トークンID → エディションIDと番号（k）。エディションではないトークンは 0
+    mapping(uint256 => Web3MintEditions.EditionToken) private _editionTokens;
+
+    /// @notice メタデータが確定（凍結）されたトークン（true = もう updateTokenURI できない）
+    /// @dev freezeMetadata で設定され、元に戻す方法はない（バーンした時に削除）
+    mapping(uint256 => bool) public metadataFrozen;
+
+    /// @notice 売上の分配先（PaymentSplitter コントラクト、ゼロアドレス = 分配しない）
+    /// @dev 設定されていると、withdraw の売上は呼び出した人ではなくここに送られる
+    address payable public paymentSplitter;
+
+    /// @dev トークンID → 作成者（メタデータを更新できる人、metadataEditor で取得）
+    /// 【なぜ nftInfo の minter と別？】minter はミント先（受け取った人）。引換券や ownerMint では作成者と異なる
+    mapping(uint256 => address) private _creators;
 
     // 📡 イベントの定義（ブロックチェーン上に記録されるログ）
     /// @dev イベント = 何かが起こったときに外部に通知するための仕組み
@@ -128,6 +273,94 @@ contract Web3Mint is ERC721URIStorage, Ownable, ReentrancyGuard {
     /// @notice ミント料金が変更されたときのイベント
     event MintPriceUpdated(uint256 newPrice);
 
+    /// @notice 販売フェーズが変更されたときのイベント
+    event SalePhaseChanged(SalePhase phase);
+
+    /// @notice 許可リストのMerkleルートが変更されたときのイベント
+    event MerkleRootUpdated(bytes32 merkleRoot);
+
+    /// @notice プレセール料金が変更されたときのイベント
+    event PresalePriceUpdated(uint256 newPrice);
+
+    /// @notice ウォレットごとのミント上限が変更された時のイベント
+    event MaxPerWalletUpdated(uint256 maxPerWallet);
+
+    /// @notice 画像URIの先頭部分（imageBaseURI）が変更された時のイベント
+    event BaseURIUpdated(string newBaseURI);
+
+    /// @notice デフォルトロイヤリティが変更されたときのイベント
+    event DefaultRoyaltyUpdated(address indexed receiver, uint96 royaltyBps);
+
+    /// @notice トークンごとのロイヤリティが設定されたときのイベント
+    event TokenRoyaltySet(
+        uint256 indexed tokenId,
+        address indexed receiver,
+        uint96 royaltyBps
+    );
+
+    /// @notice 複数のNFTが一括ミントされたときのイベント
+    event BatchMinted(
+        address indexed minter,
+        uint256 firstTokenId,
+        uint256 quantity
+    );
+
+    /// @notice オンチェーンSVG NFTがミントされた時のイベント
+    event OnChainSVGMinted(
+        uint256 indexed tokenId,
+        address indexed minter,
+        uint256 svgSize
+    );
+
+    /// @notice ミント料金より多く支払われた分を返金した時のイベント
+    event PaymentRefunded(address indexed minter, uint256 amount);
+
+    /// @notice 支払い金額ちょうどを求めるかの設定が変更された時のイベント
+    event ExactPaymentRequiredUpdated(bool required);
+
+    /// @notice 支払いに使えるERC-20トークンの料金が変更された時のイベント（price = 0 は削除）
+    event PaymentTokenUpdated(address indexed token, uint256 price);
+
+    /// @notice ERC-20トークンの売上を引き出した時のイベント
+    event TokenWithdrawn(address indexed token, address indexed to, uint256 amount);
+
+    /// @notice 販売期間が変更された時のイベント
+    event SaleWindowUpdated(uint64 saleStart, uint64 saleEnd);
+
+    /// @notice ダッチオークションの設定が変更された時のイベント（startPrice = 0 は無効化）
+    event DutchAuctionUpdated(
+        uint128 startPrice,
+        uint128 floorPrice,
+        uint128 priceDrop,
+        uint64 dropInterval,
+        uint64 startTime
+    );
+
+    /// @notice 信頼するフォワーダーが変更された時のイベント
+    event TrustedForwarderUpdated(address indexed forwarder);
+
+    /// @notice 売上の分配先（PaymentSplitter）が変更された時のイベント
+    event PaymentSplitterUpdated(address indexed splitter);
+
+    /// @notice エディションが作成された時のイベント
+    event EditionCreated(uint256 indexed editionId, address indexed creator, uint64 size);
+
+    /// @notice エディションのコピーがミントされた時のイベント（number = 何番目か）
+    event EditionMinted(uint256 indexed editionId, uint256 indexed tokenId, uint64 number);
+
+    /// @notice メタデータが確定された時のイベント（OpenSeaが使う形式、value = 確定したトークンURI）
+    /// @dev メタデータの更新は Web3MintURIStorage の MetadataUpdate（ERC-4906）で通知される
+    event PermanentURI(string value, uint256 indexed id);
+
+    /// @notice ミント引換券でNFTがミントされた時のイベント
+    event VoucherRedeemed(
+        uint256 indexed tokenId,
+        address indexed creator,
+        address indexed buyer,
+        uint256 nonce,
+        uint256 price
+    );
+
     // ⚠️ カスタムエラーの定義（ガス効率向上のため）
     // 【カスタムエラーとは？】
     // - Solidity 0.8.4以降の新機能
@@ -138,12 +371,33 @@ contract Web3Mint is ERC721URIStorage, Ownable, ReentrancyGuard {
     /// @notice 最大発行数を超えた場合のエラー
     error MaxSupplyExceeded();
 
+    /// @notice ウォレットごとのミント上限（maxPerWallet）を超えた場合のエラー
+    error WalletLimitExceeded();
+
     /// @notice ミントが無効になっている場合のエラー
     error MintingDisabled();
 
     /// @notice 支払い金額が不足している場合のエラー
     error InsufficientPayment();
 
+    /// @notice exactPaymentRequired が true なのに、ミント料金と違う金額が支払われた場合のエラー
+    error IncorrectPayment();
+
+    /// @notice 支払いに使えないERC-20トークン（料金が設定されていない）を指定した場合のエラー
+    error UnsupportedPaymentToken(address token);
+
+    /// @notice 販売開始日時より前にミントしようとした場合のエラー
+    error SaleNotStarted(uint64 saleStart);
+
+    /// @notice 販売終了日時を過ぎてからミントしようとした場合のエラー
+    error SaleEnded(uint64 saleEnd);
+
+    /// @notice 販売期間の終了日時が開始日時以前の場合のエラー
+    error InvalidSaleWindow();
+
+    /// @notice ダッチオークションの設定が正しくない場合のエラー（最低料金 > 開始料金、値下げ間隔が0）
+    error InvalidAuctionConfig();
+
     /// @notice 無効なトークンURIが指定された場合のエラー
     error InvalidTokenURI();
 
@@ -156,6 +410,60 @@ contract Web3Mint is ERC721URIStorage, Ownable, ReentrancyGuard {
     /// @notice NFT説明が空の場合のエラー
     error EmptyDescription();
 
+    /// @notice バッチの件数が0件、または上限を超えている場合のエラー
+    error InvalidBatchSize();
+
+    /// @notice バッチミントの配列の長さが揃っていない場合のエラー
+    error ArrayLengthMismatch();
+
+    /// @notice ロイヤリティ率が上限（MAX_ROYALTY_BPS）を超えている場合のエラー
+    error RoyaltyTooHigh();
+
+    /// @notice プレセール期間外にプレセールミントを呼んだ場合のエラー
+    error PresaleNotActive();
+
+    /// @notice 許可リストの証明（Merkle proof）が正しくない場合のエラー
+    error InvalidMerkleProof();
+
+    /// @notice プレセールでのミント可能数を超えた場合のエラー
+    error PresaleAllowanceExceeded();
+
+    /// @notice SVGが空、または "<svg" で始まっていない場合のエラー
+    error InvalidSVG();
+
+    /// @notice SVGが MAX_SVG_SIZE を超えている場合のエラー
+    error SVGTooLarge();
+
+    /// @notice ミント引換券の有効期限が切れている場合のエラー
+    error VoucherExpired();
+
+    /// @notice ミント引換券の署名が作成者のものではない場合のエラー（改ざん・なりすまし）
+    error InvalidVoucherSignature();
+
+    /// @notice ミント引換券がすでに使われている場合のエラー
+    error VoucherAlreadyRedeemed();
+
+    /// @notice ミント引換券の料金が現在の一般販売の料金より安い場合のエラー
+    error VoucherPriceTooLow();
+
+    /// @notice ソウルバウンド（転送できない）NFTを転送しようとした場合のエラー
+    error TokenLocked(uint256 tokenId);
+
+    /// @notice エディションの発行枚数が0の場合のエラー
+    error InvalidEditionSize();
+
+    /// @notice エディションの残り枚数を超えてミントしようとした場合のエラー
+    error EditionSoldOut(uint256 editionId);
+
+    /// @notice エディションの作成者以外がコピーを追加でミントしようとした場合のエラー
+    error NotEditionCreator(uint256 editionId);
+
+    /// @notice メタデータを更新できるアドレス（作成者）以外が更新・確定しようとした場合のエラー
+    error NotMetadataEditor(uint256 tokenId);
+
+    /// @notice 確定済みのメタデータを更新・確定しようとした場合のエラー
+    error MetadataFrozen(uint256 tokenId);
+
     /**
      * 🏗️ コンストラクタ（コントラクトが作成される時に1回だけ実行される）
      *
@@ -167,34 +475,66 @@ contract Web3Mint is ERC721URIStorage, Ownable, ReentrancyGuard {
      *
      * 【この関数で行う初期設定】
      * 1. NFTコレクションの名前とシンボルを設定
-     * 2. コントラクトの所有者を設定（デプロイした人が所有者になる）
+     * 2. デプロイした人に管理者と全ての役割を付与
      * 3. トークンIDカウンターの初期化
      * 4. デバッグ用ログの出力
      *
      * 【継承元の初期化】
      * - ERC721("TanyaNFT", "TANYA"): NFTコレクションの基本情報を設定
-     * - Ownable(msg.sender): デプロイした人を所有者として設定
      *
      * 【初心者向け解説】
      * - msg.sender = この関数を呼び出した人（デプロイした人）のアドレス
      * - "TanyaNFT" = NFTコレクションの正式名称
      * - "TANYA" = NFTコレクションの略称（シンボル）
      */
-    constructor() ERC721("TanyaNFT", "TANYA") Ownable(msg.sender) {
-        // 🖥️ デバッグ用のログ出力（開発時にコンソールに表示される）
+    constructor() ERC721("TanyaNFT", "TANYA") {
+        // 🖥️ デバッグ用のログ出力（Hardhatのローカル実行時にコンソールに表示される）
         // 【console.logとは？】
         // - 開発時にデバッグ情報を出力するための機能
-        // - 本番環境では自動的に削除される
-        // - ガス使用量に影響しない
+        // - 呼び出しはバイトコードに残るため、コンストラクタ（デプロイ時に1回だけ）でのみ使う
+        // - ミントなどの記録はイベント（NFTMinted など）で確認する
         console.log("Web3Mint NFT contract deployed by:", msg.sender);
         console.log("Solidity version: 0.8.28 with IPFS support");
 
+        _initializeDefaults(msg.sender);
+    }
+
+    /**
+     * 🧰 状態変数の初期値と最初の役割を設定する内部関数
+     *
+     * 【なぜ関数にまとめる？】
+     * 状態変数の宣言に書いた初期値（= 0.001 ether など）はコンストラクタでしか設定されない。
+     * アップグレード可能版（Web3MintUpgradeable）はプロキシの initialize からも
+     * 同じ初期値を設定する必要があるため、1か所にまとめている
+     *
+     * @param admin 管理者（全ての役割を持ち、デフォルトロイヤリティの受取先にもなる）
+     */
+    function _initializeDefaults(address admin) internal {
+        // 🔑 最初は管理者が全ての役割を持つ（必要に応じて grantRole / revokeRole で分担する）
+        // ループにしているのは、役割ごとに _grantRole のコピーが作られてコードが大きくなるのを避けるため
+        bytes32[5] memory roles = [DEFAULT_ADMIN_ROLE, MINTER_ROLE, PRICE_ADMIN_ROLE, PAUSER_ROLE, TREASURER_ROLE];
+        for (uint256 i = 0; i < roles.length; i++) {
+            _grantRole(roles[i], admin);
+        }
+
         // 📊 トークンIDを1から開始（0は使わない）
         // 【なぜ1から始める？】
         // - 0は「存在しない」を表すために予約されている
         // - NFT規格では1以上の数値を使用するのが一般的
         // - エラーチェックが容易になる
         _tokenIdCounter = 1;
+
+        // 💰 販売の初期設定：一般販売中・ミント料金0.001 ETH・1ウォレット20個まで
+        mintPrice = 0.001 ether;
+        salePhase = SalePhase.Public;
+        presalePrice = 0.0005 ether;
+        maxPerWallet = 20;
+        imageBaseURI = "ipfs://";
+
+        // 💎 デフォルトロイヤリティ：5%を管理者へ
+        // 【なぜ管理者？】トークンごとの設定がないNFT（makeAnEpicNFTなど）の受取先
+        defaultRoyaltyBps = 500;
+        _setDefaultRoyalty(admin, defaultRoyaltyBps);
     }
 
     /**
@@ -215,32 +555,19 @@ contract Web3Mint is ERC721URIStorage, Ownable, ReentrancyGuard {
         string memory metadataURI
     ) public payable nonReentrant {
         // 🔒 事前条件のチェック（revert = 条件を満たさない場合処理を中止）
-        if (!mintingEnabled) revert MintingDisabled(); // ミントが有効か？
-        if (_tokenIdCounter > MAX_SUPPLY) revert MaxSupplyExceeded(); // 上限を超えていないか？
-        if (msg.value < mintPrice) revert InsufficientPayment(); // 支払い金額は十分か？
+        // 一般販売中か？販売期間内か？ウォレットごとの上限・支払い金額は？（料金はダッチオークション中は時間とともに下がる）
+        uint256 price = _checkPublicMint(1);
         if (bytes(metadataURI).length == 0) revert InvalidTokenURI(); // URIは空でないか？
 
-        // 📝 現在のトークンIDを取得
-        uint256 tokenId = _tokenIdCounter;
-
-        // 🎨 NFTをミント（作成）
-        // _safeMint = 安全にNFTを作成する関数（受け取り手が対応しているかチェック）
-        _safeMint(msg.sender, tokenId); // msg.sender = 関数を呼び出した人のアドレス
-        _setTokenURI(tokenId, metadataURI); // メタデータURIを設定
-
-        // 📊 次のトークンIDのために番号を増やす
-        _tokenIdCounter++;
-
-        // 🖥️ デバッグ用ログ
-        console.log(
-            "NFT minted! ID: %s, Minter: %s, URI: %s",
-            tokenId,
-            msg.sender,
-            metadataURI
-        );
+        // 🎨 NFTをミント（作成）してメタデータURIを設定
+        // msg.sender = 関数を呼び出した人のアドレス（NFT情報は保存しないので名前などは空）
+        uint256 tokenId = _mintToken(_msgSender(), _msgSender(), "", "", "", metadataURI);
 
         // 📡 イベントを発行（外部アプリケーションに通知）
-        emit NFTMinted(tokenId, msg.sender, metadataURI, metadataURI);
+        emit NFTMinted(tokenId, _msgSender(), metadataURI, metadataURI);
+
+        // 💸 払いすぎた分を返金（全ての記録を更新した後に送金する）
+        _refundOverpayment(price);
     }
 
     /**
@@ -267,73 +594,36 @@ contract Web3Mint is ERC721URIStorage, Ownable, ReentrancyGuard {
         string memory ipfsHash
     ) public payable nonReentrant {
         // 🔒 事前条件チェック
-        if (!mintingEnabled) revert MintingDisabled();
-        if (_tokenIdCounter > MAX_SUPPLY) revert MaxSupplyExceeded();
-        if (msg.value < mintPrice) revert InsufficientPayment();
+        uint256 price = _checkPublicMint(1);
         if (bytes(name).length == 0) revert EmptyName();
         if (bytes(description).length == 0) revert EmptyDescription();
         if (bytes(ipfsHash).length == 0) revert InvalidIPFSHash();
 
-        uint256 tokenId = _tokenIdCounter;
-
-        // 🌐 IPFSハッシュからEtherscan対応HTTPS URIを生成
-        // 例："QmXXXX..." → "https://ipfs.io/ipfs/QmXXXX..."
-        string memory imageURI = string(
-            abi.encodePacked("https://ipfs.io/ipfs/", ipfsHash)
-        );
-
-        // 📝 NFT情報をブロックチェーンに保存
-        nftInfo[tokenId] = NFTInfo({
-            name: name,
-            description: description,
-            imageURI: imageURI,
-            timestamp: block.timestamp, // 現在のブロック時刻
-            minter: msg.sender
-        });
-
-        // 🔧 動的メタデータURIを生成
-        string memory metadataURI = _generateMetadataURI(tokenId);
-
-        // 🎨 NFTをミント
-        _safeMint(msg.sender, tokenId);
-        _setTokenURI(tokenId, metadataURI);
-
-        // 📊 カウンターを増加
-        _tokenIdCounter++;
-
-        // 🖥️ ログ出力
-        console.log(
-            "IPFS NFT minted! ID: %s, Minter: %s, IPFS: %s",
-            tokenId,
-            msg.sender,
-            ipfsHash
-        );
+        // 📝 NFT情報を保存してミント（画像はCIDのみ。URIは読み出し時に生成）
+        // トークンURIは保存せず、tokenURI() が呼ばれるたびにメタデータを生成する
+        uint256 tokenId = _mintToken(_msgSender(), _msgSender(), name, description, ipfsHash, "");
 
         // 📡 イベント発行
-        emit IPFSNFTMinted(tokenId, msg.sender, ipfsHash);
-        emit NFTMinted(tokenId, msg.sender, imageURI, metadataURI);
+        emit IPFSNFTMinted(tokenId, _msgSender(), ipfsHash);
+        emit NFTMinted(tokenId, _msgSender(), _imageURI(ipfsHash), tokenURI(tokenId));
+
+        _refundOverpayment(price);
     }
 
     /**
-     * 👑 所有者専用：無料でNFTをミント（テスト・プロモーション用）
+     * 👑 MINTER_ROLE専用：無料でNFTをミント（テスト・プロモーション用）
      *
      * @param to ミント先のウォレットアドレス
      * @param metadataURI NFTのメタデータURI
-     * @dev onlyOwner = コントラクト所有者のみ実行可能
+     * @dev onlyRole(MINTER_ROLE) = ミント担当の役割を持つアドレスのみ実行可能
      */
     function ownerMint(
         address to,
         string memory metadataURI
-    ) public onlyOwner nonReentrant {
-        if (_tokenIdCounter > MAX_SUPPLY) revert MaxSupplyExceeded();
+    ) public onlyRole(MINTER_ROLE) nonReentrant {
         if (bytes(metadataURI).length == 0) revert InvalidTokenURI();
 
-        uint256 tokenId = _tokenIdCounter;
-
-        _safeMint(to, tokenId);
-        _setTokenURI(tokenId, metadataURI);
-
-        _tokenIdCounter++;
+        uint256 tokenId = _mintToken(to, _msgSender(), "", "", "", metadataURI);
 
         emit NFTMinted(tokenId, to, metadataURI, metadataURI);
     }
@@ -345,6 +635,7 @@ contract Web3Mint is ERC721URIStorage, Ownable, ReentrancyGuard {
      * - フロントエンドで生成されたIPFSメタデータURIを直接使用
      * - オンチェーンメタデータ生成をスキップ
      * - Etherscan互換性を保証
+     * - ロイヤリティはミントした人（作成者）が受け取る（率はデフォルト値）
      *
      * @param name NFTの名前
      * @param description NFTの説明
@@ -358,250 +649,970 @@ contract Web3Mint is ERC721URIStorage, Ownable, ReentrancyGuard {
         string memory metadataURI
     ) public payable nonReentrant {
         // 🔒 事前条件チェック
-        if (!mintingEnabled) revert MintingDisabled();
-        if (_tokenIdCounter > MAX_SUPPLY) revert MaxSupplyExceeded();
-        if (msg.value < mintPrice) revert InsufficientPayment();
-        if (bytes(name).length == 0) revert EmptyName();
-        if (bytes(description).length == 0) revert EmptyDescription();
-        if (bytes(ipfsHash).length == 0) revert InvalidIPFSHash();
-        if (bytes(metadataURI).length == 0) revert InvalidTokenURI();
-
-        uint256 tokenId = _tokenIdCounter;
-
-        // 🌐 IPFSハッシュからHTTPS URIを生成（記録用）
-        string memory imageURI = string(
-            abi.encodePacked("https://ipfs.io/ipfs/", ipfsHash)
-        );
-
-        // 📝 NFT情報をブロックチェーンに保存
-        nftInfo[tokenId] = NFTInfo({
-            name: name,
-            description: description,
-            imageURI: imageURI,
-            timestamp: block.timestamp,
-            minter: msg.sender
-        });
+        uint256 price = _checkPublicMint(1);
 
         // 🎨 NFTをミント（フロントエンドで生成されたメタデータURIを使用）
-        _safeMint(msg.sender, tokenId);
-        _setTokenURI(tokenId, metadataURI);
-
-        // 📊 カウンターを増加
-        _tokenIdCounter++;
+        uint256 tokenId = _mintWithMetadata(
+            _msgSender(),
+            name,
+            description,
+            ipfsHash,
+            metadataURI
+        );
 
-        // 🖥️ ログ出力
-        console.log("Etherscan-compatible IPFS NFT minted! ID:", tokenId);
-        console.log("Minter:", msg.sender);
-        console.log("IPFS Hash:", ipfsHash);
+        // 💎 ロイヤリティの受取人をミントした人に設定
+        _setCreatorRoyalty(tokenId, _msgSender(), defaultRoyaltyBps);
 
-        // 📡 イベント発行
-        emit IPFSNFTMinted(tokenId, msg.sender, ipfsHash);
-        emit NFTMinted(tokenId, msg.sender, imageURI, metadataURI);
+        _refundOverpayment(price);
     }
 
     /**
-     * 👑 所有者専用：IPFSハッシュで無料ミント
+     * 💎 ロイヤリティを指定してIPFSメタデータ付きNFTをミントする関数
+     *
+     * 【mintIpfsNFTWithMetadataとの違い】
+     * - ロイヤリティの受取人と率（ベーシスポイント）を自分で決められる
+     * - 受取人にゼロアドレスを渡すと、ミントした人が受取人になる
+     *
+     * @param name NFTの名前
+     * @param description NFTの説明
+     * @param ipfsHash 画像のIPFSハッシュ値
+     * @param metadataURI メタデータのIPFS URI
+     * @param royaltyReceiver ロイヤリティの受取人（address(0) = ミントした人）
+     * @param royaltyBps ロイヤリティ率（ベーシスポイント、500 = 5%）
      */
-    function ownerMintIpfs(
-        address to,
+    function mintIpfsNFTWithRoyalty(
         string memory name,
         string memory description,
-        string memory ipfsHash
-    ) public onlyOwner nonReentrant {
-        if (_tokenIdCounter > MAX_SUPPLY) revert MaxSupplyExceeded();
-        if (bytes(name).length == 0) revert EmptyName();
-        if (bytes(ipfsHash).length == 0) revert InvalidIPFSHash();
+        string memory ipfsHash,
+        string memory metadataURI,
+        address royaltyReceiver,
+        uint96 royaltyBps
+    ) public payable nonReentrant {
+        // 🔒 事前条件チェック
+        uint256 price = _checkPublicMint(1);
 
-        uint256 tokenId = _tokenIdCounter;
+        uint256 tokenId = _mintWithMetadata(
+            _msgSender(),
+            name,
+            description,
+            ipfsHash,
+            metadataURI
+        );
 
-        string memory imageURI = string(
-            abi.encodePacked("https://ipfs.io/ipfs/", ipfsHash)
+        _setCreatorRoyalty(
+            tokenId,
+            royaltyReceiver == address(0) ? _msgSender() : royaltyReceiver,
+            royaltyBps
         );
 
-        nftInfo[tokenId] = NFTInfo({
-            name: name,
-            description: description,
-            imageURI: imageURI,
-            timestamp: block.timestamp,
-            minter: to
-        });
+        _refundOverpayment(price);
+    }
 
-        string memory metadataURI = _generateMetadataURI(tokenId);
+    /**
+     * 🔢 番号付きエディションを作成し、最初のコピーをミントする関数
+     *
+     * 【エディションとは？】
+     * 1つの作品（画像・名前・説明）を決まった枚数（size）だけ発行するシリーズ。
+     * 各コピーは別々のトークンで、メタデータに「N枚中k番目」が入る（版画のシリアル番号のようなもの）
+     *
+     * 【この関数の動作】
+     * 1. エディションIDを採番し、作成者と発行枚数を保存
+     * 2. metadataURIs の数だけコピーをミント（1番目から順番に番号が付く）
+     * 3. 残りのコピーは作成者が mintEditionCopies で後から追加できる
+     *
+     * 【作品の情報はどこにある？】
+     * 名前・説明・画像はコピーごとのメタデータ（IPFS）に入れる。
+     * コントラクトには保存しないため、getNFTInfo は空の情報を返す（ガス代の節約）
+     *
+     * 【支払い金額】
+     * 一般販売と同じく、ミント料金 × 今回ミントする枚数（ロイヤリティはデフォルトの率で作成者に設定）
+     * コピーはウォレットごとの上限（maxPerWallet）には数えない
+     *
+     * @param size 発行枚数（N）
+     * @param metadataURIs 今回ミントするコピーのメタデータURI（k番目のメタデータを順番に、1〜MAX_BATCH_SIZE件）
+     * @return editionId 作成したエディションのID
+     */
+    function createEdition(
+        uint64 size,
+        string[] memory metadataURIs
+    ) public payable nonReentrant returns (uint256 editionId) {
+        editionId = ++editionCount;
+        Web3MintEditions.create(editions[editionId], editionId, _msgSender(), size);
+
+        _mintEditionCopies(editionId, metadataURIs);
+    }
 
-        _safeMint(to, tokenId);
-        _setTokenURI(tokenId, metadataURI);
+    /**
+     * 🔢 エディションのコピーを追加でミントする関数（作成者のみ）
+     * @param editionId エディションID
+     * @param metadataURIs 追加するコピーのメタデータURI（続きの番号のメタデータを順番に）
+     */
+    function mintEditionCopies(
+        uint256 editionId,
+        string[] memory metadataURIs
+    ) public payable nonReentrant {
+        if (editions[editionId].creator != _msgSender()) revert NotEditionCreator(editionId);
+        _mintEditionCopies(editionId, metadataURIs);
+    }
 
-        _tokenIdCounter++;
+    /**
+     * 📖 トークンがどのエディションの何番目か
+     * @param tokenId 確認するトークンID（存在しなければ ERC721NonexistentToken で失敗）
+     * @return editionId エディションID（エディションではないトークンは 0）
+     * @return number 何番目のコピーか（k、1から始まる）
+     */
+    function editionOf(uint256 tokenId) public view returns (uint256 editionId, uint256 number) {
+        _requireOwned(tokenId);
+        Web3MintEditions.EditionToken memory token = _editionTokens[tokenId];
+        return (token.editionId, token.number);
+    }
 
-        emit IPFSNFTMinted(tokenId, to, ipfsHash);
+    /**
+     * 📖 エディションの残り枚数
+     * @param editionId エディションID
+     * @return まだミントできるコピーの枚数（存在しないエディションは 0）
+     */
+    function editionRemaining(uint256 editionId) public view returns (uint256) {
+        Web3MintEditions.Edition storage edition = editions[editionId];
+        return edition.size - edition.minted;
     }
 
     /**
-     * 🔧 動的メタデータURIを生成する内部関数
+     * 🔒 転送できない（ソウルバウンド）NFTをミントする関数
      *
-     * 【この関数の役割】
-     * - NFTの詳細情報をJSON形式で作成
-     * - Base64エンコードしてデータURIとして返す
-     * - OpenSeaなどのNFTマーケットプレイスで表示される情報を作成
+     * 【mintIpfsNFTWithMetadataとの違い】
+     * - ミントした後は誰にも転送できない（所有者本人も、承認されたアドレスも不可）
+     * - 所有者がバーン（焼却）することはできる
+     * - ERC-5192 の Locked イベントを発行し、locked(tokenId) が true を返す
+     * - 売買できないのでロイヤリティの受取人は設定しない（コントラクトのデフォルト設定のまま）
      *
-     * 【メタデータとは？】
-     * NFTの「説明書」のようなもの
-     * - 名前、説明、画像、属性などが含まれる
-     * - JSON形式で記述される
-     * - NFTマーケットプレイスで表示される
+     * 【使いどころ】
+     * 修了証・参加証明・会員証など、本人が持っていることに意味がある証明書
      *
-     * @param tokenId 対象のトークンID
-     * @return Base64エンコードされたJSON metadata URI
-     * @dev internal = このコントラクト内でのみ使用可能
+     * @param name NFTの名前
+     * @param description NFTの説明
+     * @param ipfsHash 画像のIPFSハッシュ値
+     * @param metadataURI メタデータのIPFS URI
      */
-    function _generateMetadataURI(
-        uint256 tokenId
-    ) internal view returns (string memory) {
-        NFTInfo memory info = nftInfo[tokenId];
-
-        // 📝 JSON形式のメタデータを構築
-        // abi.encodePacked = 複数の文字列を結合する
-        string memory json = string(
-            abi.encodePacked(
-                '{"name": "',
-                info.name,
-                '",', // NFTの名前
-                '"description": "',
-                info.description,
-                '",', // NFTの説明
-                '"image": "',
-                info.imageURI,
-                '",', // 画像のURI
-                '"attributes": [', // 属性情報の開始
-                '{"trait_type": "Minter", "value": "',
-                _addressToString(info.minter),
-                '"},', // 作成者
-                '{"trait_type": "Mint Timestamp", "value": ',
-                _uint256ToString(info.timestamp),
-                "},", // 作成日時
-                '{"trait_type": "Token ID", "value": ',
-                _uint256ToString(tokenId),
-                "}", // トークンID
-                "]}" // JSON終了
-            )
+    function mintSoulboundNFT(
+        string memory name,
+        string memory description,
+        string memory ipfsHash,
+        string memory metadataURI
+    ) public payable nonReentrant {
+        // 🔒 事前条件チェック
+        uint256 price = _checkPublicMint(1);
+
+        // 🔐 _safeMint の受け取り確認（onERC721Received）の中で転送されないよう、ミントする前にロックする
+        // （次に採番されるトークンIDは _tokenIdCounter）
+        _locked[_tokenIdCounter] = true;
+        uint256 tokenId = _mintWithMetadata(
+            _msgSender(),
+            name,
+            description,
+            ipfsHash,
+            metadataURI
         );
+        emit Locked(tokenId);
 
-        // 🔐 JSONをBase64エンコードしてdata URIとして返す
-        // data URI = データを直接URLに埋め込む形式
-        return Base64.encodeJSON(json);
+        _refundOverpayment(price);
     }
 
     /**
-     * 🔧 アドレスを文字列に変換するユーティリティ関数
-     *
-     * 【アドレスとは？】
-     * - Ethereumの口座番号のようなもの
-     * - 42文字の16進数文字列（0xから始まる）
-     * - 例：0x1234567890abcdef...
-     *
-     * @param addr 変換するウォレットアドレス
-     * @return 文字列形式のアドレス
+     * 📖 ERC-5192：トークンが転送できない（ソウルバウンド）かどうか
+     * @param tokenId 確認するトークンID（存在しなければ ERC721NonexistentToken で失敗）
+     * @return true = 転送できない
      */
-    function _addressToString(
-        address addr
-    ) internal pure returns (string memory) {
-        bytes32 value = bytes32(uint256(uint160(addr)));
-        bytes memory alphabet = "0123456789abcdef"; // 16進数の文字
-        bytes memory str = new bytes(42); // 42文字の配列を作成
-        str[0] = "0";
-        str[1] = "x";
-
-        // 👆 各バイトを16進数文字列に変換
-        for (uint256 i = 0; i < 20; i++) {
-            str[2 + i * 2] = alphabet[uint8(value[i + 12] >> 4)]; // 上位4ビット
-            str[3 + i * 2] = alphabet[uint8(value[i + 12] & 0x0f)]; // 下位4ビット
-        }
-        return string(str);
+    function locked(uint256 tokenId) public view returns (bool) {
+        _requireOwned(tokenId);
+        return _locked[tokenId];
     }
 
     /**
-     * 🔧 数値を文字列に変換するユーティリティ関数
+     * 📦 複数のIPFS画像を1回のトランザクションでまとめてミントする関数
      *
-     * 【なぜ必要？】
-     * Solidityでは数値を直接文字列として使えないため
-     * JSONに数値を含める際に文字列変換が必要
+     * 【この関数の特徴】
+     * - フォルダ内の複数画像を一度にNFT化できる
+     * - トランザクションが1回で済むため、承認の手間とガス代を節約
+     * - 各配列の同じ位置（インデックス）の値が1つのNFTに対応する
      *
-     * @param value 変換する数値
-     * @return 文字列形式の数値
+     * 【支払い金額】
+     * ミント料金 × ミント数 以上のETHが必要
+     *
+     * @param names 各NFTの名前の配列
+     * @param descriptions 各NFTの説明の配列
+     * @param ipfsHashes 各画像のIPFSハッシュ値の配列
+     * @param metadataURIs 各NFTのメタデータURIの配列
+     * @param royaltyBps 全NFT共通のロイヤリティ率（受取人はミントした人）
      */
-    function _uint256ToString(
-        uint256 value
-    ) internal pure returns (string memory) {
-        if (value == 0) {
-            return "0";
-        }
+    function mintIpfsNFTBatch(
+        string[] memory names,
+        string[] memory descriptions,
+        string[] memory ipfsHashes,
+        string[] memory metadataURIs,
+        uint96 royaltyBps
+    ) public payable nonReentrant {
+        uint256 quantity = names.length;
 
-        // 📏 桁数を計算
-        uint256 temp = value;
-        uint256 digits;
-        while (temp != 0) {
-            digits++;
-            temp /= 10;
+        // 🔒 事前条件チェック
+        if (quantity == 0 || quantity > MAX_BATCH_SIZE) revert InvalidBatchSize();
+        if (
+            descriptions.length != quantity ||
+            ipfsHashes.length != quantity ||
+            metadataURIs.length != quantity
+        ) revert ArrayLengthMismatch();
+        uint256 price = _checkPublicMint(quantity);
+
+        uint256 firstTokenId = _tokenIdCounter;
+
+        // 🔄 1件ずつミント（検証に失敗した場合はバッチ全体が取り消される）
+        for (uint256 i = 0; i < quantity; i++) {
+            uint256 tokenId = _mintWithMetadata(
+                _msgSender(),
+                names[i],
+                descriptions[i],
+                ipfsHashes[i],
+                metadataURIs[i]
+            );
+            _setCreatorRoyalty(tokenId, _msgSender(), royaltyBps);
         }
 
-        // 📝 文字列バッファを作成
-        bytes memory buffer = new bytes(digits);
+        emit BatchMinted(_msgSender(), firstTokenId, quantity);
 
-        // 🔄 各桁を文字に変換（右から左へ）
-        while (value != 0) {
-            digits -= 1;
-            buffer[digits] = bytes1(uint8(48 + uint256(value % 10))); // 48 = '0'のASCIIコード
-            value /= 10;
-        }
-        return string(buffer);
+        _refundOverpayment(price);
     }
 
-    // 📊 情報取得用の関数群（view = 読み取り専用、ガス不要）
-
     /**
-     * 📖 NFT情報を取得
-     * @param tokenId 対象のトークンID
-     * @return NFTInfo構造体
+     * 🪙 ERC-20トークンでミント料金を支払ってNFTをミントする関数
+     *
+     * 【mintIpfsNFTWithMetadataとの違い】
+     * - ETHの代わりに、管理者が許可したERC-20トークン（USDCなど）で料金を支払う
+     * - 料金はトークンごとに決まっている（tokenMintPrice）
+     *
+     * 【支払いの流れ（approve + transferFrom）】
+     * 1. ミントする人が、トークンの approve でこのコントラクトに料金分の引き出しを許可する
+     * 2. この関数が transferFrom で料金をコントラクトに移す
+     *
+     * 【注意】送金時に手数料が引かれるトークン（fee-on-transfer）には対応していない
+     *
+     * @param token 支払いに使うERC-20トークンのアドレス
+     * @param name NFTの名前
+     * @param description NFTの説明
+     * @param ipfsHash 画像のIPFSハッシュ値
+     * @param metadataURI メタデータのIPFS URI
+     * @param royaltyBps ロイヤリティ率（受取人はミントした人）
      */
-    function getNFTInfo(uint256 tokenId) public view returns (NFTInfo memory) {
-        return nftInfo[tokenId];
+    function mintIpfsNFTWithToken(
+        address token,
+        string memory name,
+        string memory description,
+        string memory ipfsHash,
+        string memory metadataURI,
+        uint96 royaltyBps
+    ) public nonReentrant {
+        // 🔒 事前条件チェック
+        _checkPublicSale(1); // ETHでは支払わないので、支払い金額のチェックはしない
+
+        // 💰 料金をミントする人からコントラクトへ移す（支払いに使えないトークン・approve 不足なら失敗）
+        Web3MintPayments.collectToken(tokenMintPrice, token, _msgSender());
+
+        uint256 tokenId = _mintWithMetadata(
+            _msgSender(),
+            name,
+            description,
+            ipfsHash,
+            metadataURI
+        );
+        _setCreatorRoyalty(tokenId, _msgSender(), royaltyBps);
     }
 
     /**
-     * 📖 現在のトークンID（次にミントされるID）を取得
-     * @return 次のトークンID
+     * 🎫 ミント引換券（レイジーミント）でNFTをミントする関数
+     *
+     * 【レイジーミントの流れ】
+     * 1. 作成者が画像とメタデータをIPFSにアップロードし、引換券（Web3MintVouchers.MintVoucher）に署名する（ガス代なし）
+     * 2. 買う人が引換券と署名をこの関数に渡し、料金を支払ってミントする
+     * 3. 料金は全額作成者に送られ、作成者がロイヤリティの受取人になる
+     *
+     * 【チェック内容】
+     * - 一般販売の条件（一般販売中・販売期間内・買う人のウォレットごとの上限）を満たしているか（_checkPublicSale）
+     * - 有効期限内か（VoucherExpired）
+     * - 署名したのが引換券の作成者か（InvalidVoucherSignature）
+     * - 同じ作成者・nonce の引換券がまだ使われていないか（VoucherAlreadyRedeemed）
+     * - 引換券の料金が現在の一般販売の料金（currentPrice）以上か（VoucherPriceTooLow）
+     * - 料金が足りているか（払いすぎた分は返金）
+     *
+     * 【なぜ料金の下限がある？】
+     * 誰でも自分で引換券に署名できるので、下限がないと料金0の引換券を自作して
+     * ミント料金を払わずにミントできてしまう（料金は作成者＝自分に戻ってくる）
+     *
+     * @param voucher ミント引換券
+     * @param signature 作成者のEIP-712署名
      */
-    function getCurrentTokenId() public view returns (uint256) {
-        return _tokenIdCounter;
+    function redeem(
+        Web3MintVouchers.MintVoucher calldata voucher,
+        bytes calldata signature
+    ) public payable nonReentrant {
+        // 🔒 事前条件チェック
+        _checkPublicSale(1);
+        _checkPayment(voucher.price);
+
+        // 📝 引換券を確認して使用済みにしてからミント（NFTは買う人へ）
+        Web3MintVouchers.consume(voucherRedeemed, voucher, signature, currentPrice());
+        uint256 tokenId = _mintToken(_msgSender(), voucher.creator, "", "", "", voucher.metadataURI);
+        _setCreatorRoyalty(tokenId, voucher.creator, defaultRoyaltyBps);
+
+        emit VoucherRedeemed(tokenId, voucher.creator, _msgSender(), voucher.nonce, voucher.price);
+
+        // 💸 料金を作成者へ送り、払いすぎた分を返金（全ての記録を更新した後に送金する）
+        Address.sendValue(payable(voucher.creator), voucher.price);
+        _refundOverpayment(voucher.price);
     }
 
     /**
-     * 📖 総発行数を取得
-     * @return 発行済みNFTの総数
+     * 🎟️ プレセール：許可リストに登録されたアドレスがミントする関数
+     *
+     * 【この関数の特徴】
+     * - 販売フェーズが Presale の時だけ使える
+     * - Merkle証明で「許可リストに載っていること」を確認
+     * - 一般販売より安いプレセール料金でミントできる
+     * - アドレスごとのミント可能数（allowance）を超えてミントできない
+     *
+     * @param name NFTの名前
+     * @param description NFTの説明
+     * @param ipfsHash 画像のIPFSハッシュ値
+     * @param metadataURI メタデータのIPFS URI
+     * @param allowance 許可リストに登録されたミント可能数
+     * @param proof 許可リストのMerkle証明
      */
-    function totalSupply() public view returns (uint256) {
-        return _tokenIdCounter - 1; // -1する理由：カウンターは次のIDを指しているため
-    }
+    function presaleMintIpfsNFT(
+        string memory name,
+        string memory description,
+        string memory ipfsHash,
+        string memory metadataURI,
+        uint256 allowance,
+        bytes32[] calldata proof
+    ) public payable nonReentrant {
+        // 🔒 事前条件チェック
+        if (salePhase != SalePhase.Presale) revert PresaleNotActive();
+        _checkSaleWindow();
+        if (!isAllowlisted(_msgSender(), allowance, proof)) revert InvalidMerkleProof();
+        if (presaleMinted[_msgSender()] >= allowance) revert PresaleAllowanceExceeded();
+        _checkPayment(presalePrice);
+        _recordWalletMint(_msgSender(), 1);
+
+        presaleMinted[_msgSender()]++;
+
+        uint256 tokenId = _mintWithMetadata(
+            _msgSender(),
+            name,
+            description,
+            ipfsHash,
+            metadataURI
+        );
+        _setCreatorRoyalty(tokenId, _msgSender(), defaultRoyaltyBps);
 
-    // 👑 所有者専用の管理機能
+        _refundOverpayment(presalePrice);
+    }
 
     /**
-     * 👑 所有者専用：ミント状態の切り替え
+     * 📖 許可リストに登録されているかを確認
      *
      * 【用途】
-     * - 緊急時のミント停止
-     * - メンテナンス時の一時停止
-     * - 販売期間の管理
+     * - presaleMintIpfsNFT 内での検証
+     * - フロントエンドでミント前に証明が正しいかを確認
      *
-     * @param enabled true = ミント有効、false = ミント無効
+     * @param account 確認するアドレス
+     * @param allowance 許可リストに登録されたミント可能数
+     * @param proof 許可リストのMerkle証明
+     * @return 登録されていれば true
      */
-    function toggleMinting(bool enabled) public onlyOwner {
-        mintingEnabled = enabled;
-        emit MintingToggled(enabled);
+    function isAllowlisted(
+        address account,
+        uint256 allowance,
+        bytes32[] calldata proof
+    ) public view returns (bool) {
+        // OpenZeppelinのStandardMerkleTreeと同じ葉の形式（二重ハッシュ）
+        bytes32 leaf = keccak256(
+            bytes.concat(keccak256(abi.encode(account, allowance)))
+        );
+        return MerkleProof.verifyCalldata(proof, merkleRoot, leaf);
     }
 
     /**
-     * 👑 所有者専用：ミント料金の更新
+     * 🖼️ SVG画像をブロックチェーン上に保存してNFTをミントする関数
+     *
+     * 【この関数の特徴】
+     * - IPFSを使わず、SVGのバイト列そのものをコントラクトに保存
+     * - tokenURI は data:application/json;base64 形式でその場で生成される
+     * - 画像も data:image/svg+xml;base64 としてメタデータに埋め込まれる
+     * - サーバーやIPFSが止まっても、ブロックチェーンがある限り表示できる
+     *
+     * 【保存方法】
+     * SVGを SSTORE2.MAX_CHUNK_SIZE ごとに分割し、それぞれを別のコントラクトのコードとして保存
+     *
+     * @param name NFTの名前
+     * @param description NFTの説明
+     * @param svg SVGのバイト列（フロントエンドで最小化済み、"<svg" で始まる）
+     */
+    function mintOnChainSVG(
+        string memory name,
+        string memory description,
+        bytes calldata svg
+    ) public payable nonReentrant {
+        // 🔒 事前条件チェック
+        uint256 price = _checkPublicMint(1);
+        if (bytes(name).length == 0) revert EmptyName();
+        if (bytes(description).length == 0) revert EmptyDescription();
+        if (svg.length > MAX_SVG_SIZE) revert SVGTooLarge();
+        if (svg.length < 4 || bytes4(svg[:4]) != bytes4("<svg")) revert InvalidSVG();
+
+        uint256 tokenId = _tokenIdCounter;
+
+        // 💾 SVGを分割してSSTORE2で保存（Web3MintSVG ライブラリ）
+        Web3MintSVG.write(_svgChunks[tokenId], svg);
+
+        // 📝 NFT情報を保存してミント（画像はオンチェーンなので imageURI は空）
+        // tokenURI は tokenURI() の中で生成するので設定しない
+        _mintToken(_msgSender(), _msgSender(), name, description, "", "");
+
+        _setCreatorRoyalty(tokenId, _msgSender(), defaultRoyaltyBps);
+
+        emit OnChainSVGMinted(tokenId, _msgSender(), svg.length);
+
+        _refundOverpayment(price);
+    }
+
+    /**
+     * 📖 オンチェーンSVGのNFTかどうかを確認
+     * @param tokenId 確認するトークンID
+     * @return オンチェーンSVGなら true
+     */
+    function isOnChainSVG(uint256 tokenId) public view returns (bool) {
+        return _svgChunks[tokenId].length > 0;
+    }
+
+    /**
+     * 📖 オンチェーンに保存されたSVGを取得
+     * @param tokenId 対象のトークンID
+     * @return svg SVGの文字列（オンチェーンSVGでない場合は空文字）
+     */
+    function getSVG(uint256 tokenId) public view returns (string memory svg) {
+        return Web3MintSVG.read(_svgChunks[tokenId]);
+    }
+
+    /**
+     * 🔥 NFTをバーン（焼却）する
+     *
+     * 【この関数の動作】
+     * 1. 所有者か承認されたアドレスかをチェック（違えば ERC721InsufficientApproval で失敗）
+     * 2. NFTを削除（ゼロアドレスへの Transfer イベントが発行される）
+     * 3. NFT情報・オンチェーンSVGのポインタ・トークンごとのロイヤリティ・ロック・エディション番号・作成者などを削除
+     *
+     * 【注意】
+     * - バーンしたトークンIDは再利用されず、最大発行数の枠も戻らない（エディションの残り枚数も戻らない）
+     * - SSTORE2で保存したSVGのデータ自体はブロックチェーン上に残る（ポインタだけ削除）
+     *
+     * @param tokenId バーンするトークンID
+     */
+    function burn(uint256 tokenId) public {
+        // auth を渡すと、ERC721 が所有者・承認の確認とトークンの存在確認をしてくれる
+        _update(address(0), tokenId, _msgSender());
+
+        Web3MintMetadata.clear(nftInfo[tokenId]);
+        delete _svgChunks[tokenId];
+        delete _locked[tokenId];
+        delete _editionTokens[tokenId];
+        delete metadataFrozen[tokenId];
+        delete _creators[tokenId];
+        _resetTokenRoyalty(tokenId);
+    }
+
+    /**
+     * ✏️ NFTのメタデータURIを更新する関数（作成者のみ）
+     *
+     * 【なぜ必要？】
+     * ミントした後に説明の誤字などに気づいても、トークンURIを直す方法がなかった。
+     * 作成者は確定（freezeMetadata）するまで、新しいメタデータをIPFSにアップロードして差し替えられる
+     *
+     * 【この関数の動作】
+     * 1. 呼び出し元が作成者（metadataEditor）で、まだ確定していないかをチェック
+     * 2. トークンURIを差し替え（ERC-4906 の MetadataUpdate イベントが発行され、
+     *    マーケットプレイスはメタデータを読み込み直す）
+     *
+     * 【注意】
+     * 今の所有者ではなく作成者が更新する。買った人が気づかないうちに内容が変わらないよう、
+     * 売る前に freezeMetadata で確定しておくとよい
+     *
+     * @param tokenId 更新するトークンID
+     * @param metadataURI 新しいメタデータURI（空文字は不可）
+     */
+    function updateTokenURI(uint256 tokenId, string memory metadataURI) public {
+        _checkMetadataEditor(tokenId);
+        if (bytes(metadataURI).length == 0) revert InvalidTokenURI();
+
+        _setTokenURI(tokenId, metadataURI);
+    }
+
+    /**
+     * 🧊 NFTのメタデータを確定する関数（作成者のみ・取り消し不可）
+     *
+     * 確定した後は updateTokenURI で変更できなくなる。
+     * 確定したトークンURIを PermanentURI イベントで通知する
+     *
+     * @param tokenId 確定するトークンID
+     */
+    function freezeMetadata(uint256 tokenId) public {
+        _checkMetadataEditor(tokenId);
+
+        metadataFrozen[tokenId] = true;
+        emit PermanentURI(tokenURI(tokenId), tokenId);
+    }
+
+    /**
+     * 📖 メタデータを更新・確定できるアドレス（作成者）を取得
+     *
+     * 【作成者の決まり方】
+     * - 自分でミントしたNFT・エディションのコピー → ミントした人
+     * - 引換券（redeem）でミントしたNFT → 引換券の作成者（買った人ではない）
+     * - ownerMint / ownerMintIpfs でミントしたNFT → ミントした管理者（受け取った人ではない）
+     * - オンチェーンSVG・存在しないトークン → なし（address(0)）
+     *   （オンチェーンSVGのメタデータは tokenURI でその場で生成するため差し替えられない）
+     *
+     * @param tokenId 確認するトークンID
+     * @return editor 作成者のアドレス（確定済みでも返す）
+     */
+    function metadataEditor(uint256 tokenId) public view returns (address editor) {
+        if (isOnChainSVG(tokenId)) return address(0);
+        return _creators[tokenId];
+    }
+
+    /**
+     * 🏭 全てのミントが最後に通る内部関数
+     *
+     * 【この関数の役割】
+     * - 最大発行数のチェック（ミントした累計で数えるので、バーンしても枠は戻らない）
+     * - トークンIDの採番（カウンターを増やしてから外部呼び出しをする）
+     * - 作成者の記録（メタデータを更新できる人。ミント先とは別に記録する）
+     * - NFT情報の保存（名前が空なら保存しない：makeAnEpicNFT / ownerMint）
+     * - ミント（_safeMint）とトークンURIの設定（空なら tokenURI() の中で生成）
+     *
+     * @param to ミント先のウォレットアドレス
+     * @param creator 作成者（自分でミント → 呼び出し元、引換券 → 引換券の作成者、ownerMint → 管理者）
+     * @param name NFTの名前（空 = NFT情報を保存しない）
+     * @param description NFTの説明
+     * @param imageCid 画像のCID（オンチェーンSVGは空）
+     * @param metadataURI 保存するトークンURI（空 = 保存しない）
+     * @return tokenId ミントされたトークンID
+     */
+    function _mintToken(
+        address to,
+        address creator,
+        string memory name,
+        string memory description,
+        string memory imageCid,
+        string memory metadataURI
+    ) internal returns (uint256 tokenId) {
+        if (totalMinted() >= MAX_SUPPLY) revert MaxSupplyExceeded();
+        tokenId = _tokenIdCounter++;
+        _creators[tokenId] = creator;
+
+        if (bytes(name).length != 0) {
+            Web3MintMetadata.store(nftInfo[tokenId], name, description, imageCid, to);
+        }
+
+        // _safeMint = 安全にNFTを作成する関数（受け取り手が対応しているかチェック）
+        _safeMint(to, tokenId);
+        if (bytes(metadataURI).length != 0) _setTokenURI(tokenId, metadataURI);
+    }
+
+    /**
+     * 🔧 メタデータURI付きでNFTを1件ミントする内部関数
+     *
+     * 【この関数の役割】
+     * mintIpfsNFTWithMetadata・mintIpfsNFTBatch・presaleMintIpfsNFT などの共通処理をまとめたもの
+     * - 入力値の検証
+     * - NFT情報の保存
+     * - ミントとトークンURIの設定
+     * - イベントの発行
+     *
+     * @param to ミント先のウォレットアドレス
+     * @param name NFTの名前
+     * @param description NFTの説明
+     * @param ipfsHash 画像のIPFSハッシュ値
+     * @param metadataURI メタデータのIPFS URI
+     * @return tokenId ミントされたトークンID
+     */
+    function _mintWithMetadata(
+        address to,
+        string memory name,
+        string memory description,
+        string memory ipfsHash,
+        string memory metadataURI
+    ) internal returns (uint256 tokenId) {
+        if (bytes(name).length == 0) revert EmptyName();
+        if (bytes(description).length == 0) revert EmptyDescription();
+        if (bytes(ipfsHash).length == 0) revert InvalidIPFSHash();
+        if (bytes(metadataURI).length == 0) revert InvalidTokenURI();
+
+        // 📝 NFT情報をブロックチェーンに保存（画像はCIDのみ記録）してミント
+        tokenId = _mintToken(to, to, name, description, ipfsHash, metadataURI);
+
+        // 📡 イベント発行
+        emit IPFSNFTMinted(tokenId, to, ipfsHash);
+        emit NFTMinted(tokenId, to, _imageURI(ipfsHash), metadataURI);
+    }
+
+    /**
+     * 🔢 エディションのコピーをまとめてミントする内部関数
+     *
+     * 【この関数の役割】
+     * createEdition・mintEditionCopies の共通処理
+     * - 枚数のチェック（1回に MAX_BATCH_SIZE 件まで、発行枚数を超えない）
+     * - 一般販売の事前条件と支払いのチェック（ミント料金 × 枚数）
+     * - メタデータURIだけでミントし、続きの番号とロイヤリティを設定
+     *
+     * 【ウォレットごとの上限は？】
+     * エディションのコピーは数えない（maxPerWallet より大きいエディションも発行できるように）。
+     * 発行枚数（size）が上限の代わりになり、作成者以外は追加でミントできない
+     *
+     * @param editionId エディションID
+     * @param metadataURIs ミントするコピーのメタデータURI
+     */
+    function _mintEditionCopies(uint256 editionId, string[] memory metadataURIs) internal {
+        uint256 quantity = metadataURIs.length;
+        uint64 number = Web3MintEditions.reserve(editions[editionId], editionId, quantity, MAX_BATCH_SIZE);
+
+        // 🔒 一般販売の条件（ウォレットごとの上限は数えないので _checkPublicSale は使わない）
+        if (salePhase != SalePhase.Public) revert MintingDisabled();
+        _checkSaleWindow();
+        uint256 price = currentPrice() * quantity;
+        _checkPayment(price);
+
+        for (uint256 i = 0; i < quantity; i++) {
+            if (bytes(metadataURIs[i]).length == 0) revert InvalidTokenURI();
+            uint256 tokenId = _mintToken(_msgSender(), _msgSender(), "", "", "", metadataURIs[i]);
+            _editionTokens[tokenId] = Web3MintEditions.EditionToken(uint192(editionId), number);
+            _setCreatorRoyalty(tokenId, _msgSender(), defaultRoyaltyBps);
+            emit EditionMinted(editionId, tokenId, number++);
+        }
+
+        _refundOverpayment(price);
+    }
+
+    /**
+     * ✏️ メタデータを変更できるかをチェックする内部関数
+     * @param tokenId 対象のトークンID
+     */
+    function _checkMetadataEditor(uint256 tokenId) internal view {
+        if (metadataEditor(tokenId) != _msgSender()) revert NotMetadataEditor(tokenId);
+        if (metadataFrozen[tokenId]) revert MetadataFrozen(tokenId);
+    }
+
+    /**
+     * 🔒 一般販売のミントに共通する事前条件をチェックする内部関数
+     *
+     * 【チェック内容（上から順番に）】
+     * 1. 一般販売の条件を満たしているか？（_checkPublicSale）
+     * 2. 支払い金額は足りているか？（_checkPayment）
+     *
+     * @param quantity 今回ミントする数
+     * @return price このミントの料金（現在の料金 × 数、wei単位。最後に _refundOverpayment に渡す）
+     */
+    function _checkPublicMint(uint256 quantity) internal returns (uint256 price) {
+        _checkPublicSale(quantity);
+        price = currentPrice() * quantity;
+        _checkPayment(price);
+    }
+
+    /**
+     * 🔒 一般販売の条件をチェックする内部関数（支払い金額のチェックは含まない）
+     *
+     * 【チェック内容（上から順番に）】
+     * 1. 一般販売中か？（MintingDisabled）
+     * 2. 販売期間内か？（_checkSaleWindow）
+     * 3. ウォレットごとの上限を超えないか？（_recordWalletMint でミント数も記録）
+     *
+     * 最大発行数は1件ずつ _mintToken でチェックする（バッチの途中で超えたら全体が取り消される）
+     *
+     * @param quantity 今回ミントする数
+     */
+    function _checkPublicSale(uint256 quantity) internal {
+        if (salePhase != SalePhase.Public) revert MintingDisabled();
+        _checkSaleWindow();
+        _recordWalletMint(_msgSender(), quantity);
+    }
+
+    /**
+     * ⏰ 販売期間内かをチェックする内部関数
+     *
+     * 【チェック内容】
+     * - 販売開始日時より前 → SaleNotStarted
+     * - 販売終了日時（0 = なし）を過ぎている → SaleEnded
+     */
+    function _checkSaleWindow() internal view {
+        if (block.timestamp < saleStart) revert SaleNotStarted(saleStart);
+        if (saleEnd != 0 && block.timestamp >= saleEnd) revert SaleEnded(saleEnd);
+    }
+
+    /**
+     * 💰 支払い金額をチェックする内部関数
+     *
+     * 【チェック内容】
+     * - 料金より少ない → InsufficientPayment
+     * - exactPaymentRequired が true で、料金より多い → IncorrectPayment
+     * - それ以外（料金より多い）→ ミントの最後に _refundOverpayment で差額を返金
+     *
+     * @param price このミントの料金（wei単位、バッチなら合計）
+     */
+    function _checkPayment(uint256 price) internal view {
+        if (msg.value < price) revert InsufficientPayment();
+        if (exactPaymentRequired && msg.value != price) revert IncorrectPayment();
+    }
+
+    /**
+     * 💸 払いすぎた分を呼び出した人に返金する内部関数
+     *
+     * 【なぜ最後に呼ぶ？】
+     * 送金先がコントラクトの場合、受け取り時に別の処理が動くことがある。
+     * ミントの記録をすべて更新してから送金する（Checks-Effects-Interactions）。
+     * 返金を受け取れないコントラクトからのミントは失敗するので、料金ちょうどを支払う
+     *
+     * @param price このミントの料金（_checkPayment に渡したものと同じ値）
+     */
+    function _refundOverpayment(uint256 price) internal {
+        uint256 refund = msg.value - price;
+        if (refund == 0) return;
+
+        Address.sendValue(payable(_msgSender()), refund);
+        emit PaymentRefunded(_msgSender(), refund);
+    }
+
+    /**
+     * 🧮 ウォレットごとのミント数を記録する内部関数
+     *
+     * 【この関数の役割】
+     * - ミント後の合計が maxPerWallet を超える場合はエラーにする
+     * - 超えなければミント済み数に加算する
+     *
+     * @param minter ミントするアドレス
+     * @param quantity 今回ミントする数
+     */
+    function _recordWalletMint(address minter, uint256 quantity) internal {
+        uint256 minted = _mintedCount[minter] + quantity;
+        if (maxPerWallet != 0 && minted > maxPerWallet) revert WalletLimitExceeded();
+
+        _mintedCount[minter] = minted;
+    }
+
+    /**
+     * 💎 トークンごとのロイヤリティを設定する内部関数
+     * @param tokenId 対象のトークンID
+     * @param receiver ロイヤリティの受取人
+     * @param royaltyBps ロイヤリティ率（ベーシスポイント）
+     */
+    function _setCreatorRoyalty(
+        uint256 tokenId,
+        address receiver,
+        uint96 royaltyBps
+    ) internal {
+        if (royaltyBps > MAX_ROYALTY_BPS) revert RoyaltyTooHigh();
+
+        _setTokenRoyalty(tokenId, receiver, royaltyBps);
+        emit TokenRoyaltySet(tokenId, receiver, royaltyBps);
+    }
+
+    /**
+     * 👑 MINTER_ROLE専用：IPFSハッシュで無料ミント
+     */
+    function ownerMintIpfs(
+        address to,
+        string memory name,
+        string memory description,
+        string memory ipfsHash
+    ) public onlyRole(MINTER_ROLE) nonReentrant {
+        if (bytes(name).length == 0) revert EmptyName();
+        if (bytes(ipfsHash).length == 0) revert InvalidIPFSHash();
+
+        uint256 tokenId = _mintToken(to, _msgSender(), name, description, ipfsHash, "");
+
+        emit IPFSNFTMinted(tokenId, to, ipfsHash);
+    }
+
+    /**
+     * 🔧 オンチェーンSVG用のメタデータURIを生成する内部関数
+     * @param tokenId 対象のトークンID
+     * @return Base64エンコードされたJSON metadata URI（画像もSVGのdata URIとして埋め込む）
+     */
+    function _generateOnChainMetadataURI(
+        uint256 tokenId
+    ) internal view returns (string memory) {
+        return Web3MintMetadata.onChainMetadataURI(nftInfo[tokenId], getSVG(tokenId));
+    }
+
+    // 📊 情報取得用の関数群（view = 読み取り専用、ガス不要）
+
+    /**
+     * 📖 NFT情報を取得
+     * @param tokenId 対象のトークンID
+     * @return info NFT情報（Web3MintMetadata.NFTInfo、imageURI は imageBaseURI と結合済み）
+     */
+    function getNFTInfo(uint256 tokenId) public view returns (Web3MintMetadata.NFTInfo memory info) {
+        info = nftInfo[tokenId];
+        // 保存されているCIDを、現在の imageBaseURI を使ったURIに変換
+        info.imageURI = _imageURI(info.imageURI);
+    }
+
+    /**
+     * 🔗 画像のCIDから画像URIを作る内部関数
+     * @param cid 画像のCID（空の場合は空文字を返す）
+     * @return imageBaseURI + CID
+     */
+    function _imageURI(string memory cid) internal view returns (string memory) {
+        return Web3MintMetadata.imageURI(imageBaseURI, cid);
+    }
+
+    /**
+     * 📖 現在のトークンID（次にミントされるID）を取得
+     * @return 次のトークンID
+     */
+    function getCurrentTokenId() public view returns (uint256) {
+        return _tokenIdCounter;
+    }
+
+    /**
+     * 📖 これまでにミントされたNFTの累計を取得（バーンされたNFTも含む）
+     *
+     * 【totalSupply() との違い】
+     * - totalSupply() = 今存在しているNFTの数（バーンすると減る）
+     * - totalMinted() = ミントされた累計（減らない、MAX_SUPPLY と比べるのはこちら）
+     *
+     * @return ミントされたNFTの累計
+     */
+    function totalMinted() public view returns (uint256) {
+        // トークンIDは1から始まるので、次のID - 1 がミントした数
+        return _tokenIdCounter - 1;
+    }
+
+    /**
+     * 📖 これまでにバーンされたNFTの数を取得
+     * @return totalMinted() - totalSupply()
+     */
+    function totalBurned() public view returns (uint256) {
+        return totalMinted() - totalSupply();
+    }
+
+    /**
+     * 📖 指定アドレスが所有している全トークンIDを取得
+     *
+     * 【用途】
+     * - フロントエンドの「マイNFT」ギャラリー表示
+     * - balanceOf + tokenOfOwnerByIndex を1回の呼び出しにまとめたもの
+     *
+     * @param account 対象のアドレス
+     * @return tokenIds 所有しているトークンIDの配列
+     */
+    function tokensOfOwner(address account) public view returns (uint256[] memory tokenIds) {
+        uint256 balance = balanceOf(account);
+        tokenIds = new uint256[](balance);
+        for (uint256 i = 0; i < balance; i++) {
+            tokenIds[i] = tokenOfOwnerByIndex(account, i);
+        }
+    }
+
+    /**
+     * 📖 アドレスがこれまでにミントした数を取得
+     *
+     * 【注意】
+     * - プレセール・一般販売でミントした数の合計（転送で受け取った分は含まない）
+     * - MINTER_ROLEによる無料ミントは含まない
+     *
+     * @param account 確認するアドレス
+     * @return ミント済み数
+     */
+    function mintedBy(address account) public view returns (uint256) {
+        return _mintedCount[account];
+    }
+
+    // 👑 役割（ロール）ごとの管理機能
+
+    /**
+     * 📖 一般販売中かどうかを取得（従来の mintingEnabled との互換用）
+     * @return true = 一般販売中、false = 停止またはプレセール中
+     */
+    function mintingEnabled() public view returns (bool) {
+        return salePhase == SalePhase.Public;
+    }
+
+    /**
+     * ⏸️ PAUSER_ROLE専用：ミント状態の切り替え
+     *
+     * 【用途】
+     * - 緊急時のミント停止
+     * - メンテナンス時の一時停止
+     * - 販売期間の管理
+     *
+     * 【販売フェーズとの関係】
+     * true = 一般販売（Public）、false = 停止（Closed）に切り替える
+     *
+     * @param enabled true = ミント有効、false = ミント無効
+     */
+    function toggleMinting(bool enabled) public onlyRole(PAUSER_ROLE) {
+        setSalePhase(enabled ? SalePhase.Public : SalePhase.Closed);
+    }
+
+    /**
+     * ⏸️ PAUSER_ROLE専用：販売フェーズの変更
+     *
+     * 【よくある流れ】
+     * Closed（準備中）→ Presale（許可リストのみ）→ Public（一般販売）
+     *
+     * @param phase 新しい販売フェーズ
+     */
+    function setSalePhase(SalePhase phase) public onlyRole(PAUSER_ROLE) {
+        salePhase = phase;
+        emit SalePhaseChanged(phase);
+        emit MintingToggled(phase == SalePhase.Public);
+    }
+
+    /**
+     * 👑 管理者専用：許可リストのMerkleルートを設定
+     *
+     * 【使い方】
+     * scripts/merkle.js でCSVからルートと証明を生成し、出力されたルートを設定する
+     *
+     * @param root 新しいMerkleルート
+     */
+    function setMerkleRoot(bytes32 root) public onlyRole(DEFAULT_ADMIN_ROLE) {
+        merkleRoot = root;
+        emit MerkleRootUpdated(root);
+    }
+
+    /**
+     * 💰 PRICE_ADMIN_ROLE専用：プレセール料金の更新
+     * @param newPrice 新しいプレセール料金（wei単位）
+     */
+    function updatePresalePrice(uint256 newPrice) public onlyRole(PRICE_ADMIN_ROLE) {
+        presalePrice = newPrice;
+        emit PresalePriceUpdated(newPrice);
+    }
+
+    /**
+     * 💰 PRICE_ADMIN_ROLE専用：ウォレットごとのミント上限の変更
+     *
+     * 【注意】
+     * - 0 を設定すると無制限になる
+     * - 上限を下げても、すでにミント済みのNFTはそのまま（それ以上ミントできなくなるだけ）
+     *
+     * @param newMaxPerWallet 新しい上限（0 = 無制限）
+     */
+    function setMaxPerWallet(uint256 newMaxPerWallet) public onlyRole(PRICE_ADMIN_ROLE) {
+        maxPerWallet = newMaxPerWallet;
+        emit MaxPerWalletUpdated(newMaxPerWallet);
+    }
+
+    /**
+     * 💰 PRICE_ADMIN_ROLE専用：ミント料金の更新
      *
      * 【用途】
      * - 市場価格に応じた料金調整
@@ -610,28 +1621,196 @@ contract Web3Mint is ERC721URIStorage, Ownable, ReentrancyGuard {
      *
      * @param newPrice 新しいミント料金（wei単位）
      */
-    function updateMintPrice(uint256 newPrice) public onlyOwner {
+    function updateMintPrice(uint256 newPrice) public onlyRole(PRICE_ADMIN_ROLE) {
         mintPrice = newPrice;
         emit MintPriceUpdated(newPrice);
     }
 
     /**
-     * 👑 所有者専用：コントラクトの残高を引き出し
+     * ⏸️ PAUSER_ROLE専用：販売期間の設定
+     *
+     * 【用途】
+     * - 「○月○日の21時から販売開始」のように、日時を決めて自動で販売を始める・終える
+     * - 販売フェーズ（setSalePhase）と組み合わせて使う（フェーズが停止中なら期間内でもミントできない）
+     *
+     * @param start 販売開始日時（Unixタイムスタンプ、0 = すぐに開始）
+     * @param end 販売終了日時（Unixタイムスタンプ、0 = 終了なし）
+     */
+    function setSaleWindow(uint64 start, uint64 end) public onlyRole(PAUSER_ROLE) {
+        if (end != 0 && end <= start) revert InvalidSaleWindow();
+        saleStart = start;
+        saleEnd = end;
+        emit SaleWindowUpdated(start, end);
+    }
+
+    /**
+     * 💰 PRICE_ADMIN_ROLE専用：ダッチオークションの設定
+     *
+     * 【料金の決まり方】
+     * 開始料金 - (経過時間 ÷ 値下げ間隔の切り捨て) × 値下げ額（最低料金より下がらない）
+     * 例：0.1 ETH から10分ごとに0.01 ETHずつ下げ、0.02 ETH で止める
+     *
+     * 【注意】
+     * - 開始料金に0を設定すると無効になり、mintPrice での販売に戻る
+     * - 一般販売（ETH払い）の料金だけが下がる。プレセール料金・トークンの料金は変わらない
+     *
+     * @param startPrice 開始料金（wei単位、0 = 無効）
+     * @param floorPrice 最低料金（wei単位）
+     * @param priceDrop 1回あたりの値下げ額（wei単位）
+     * @param dropInterval 値下げの間隔（秒）
+     * @param startTime 値下げを始める日時（Unixタイムスタンプ）
+     */
+    function setDutchAuction(
+        uint128 startPrice,
+        uint128 floorPrice,
+        uint128 priceDrop,
+        uint64 dropInterval,
+        uint64 startTime
+    ) public onlyRole(PRICE_ADMIN_ROLE) {
+        Web3MintPayments.setDutchAuction(
+            dutchAuction,
+            Web3MintPayments.DutchAuction(startPrice, floorPrice, priceDrop, dropInterval, startTime)
+        );
+    }
+
+    /**
+     * 💰 PRICE_ADMIN_ROLE専用：払いすぎた場合の扱いを変更
+     *
+     * 【設定値】
+     * - false（初期値）：払いすぎた分を返金してミントする（PaymentRefunded イベント）
+     * - true：料金ちょうどでなければミントを失敗させる（IncorrectPayment）
+     *
+     * @param required true = 料金ちょうどの支払いだけを受け付ける
+     */
+    function setExactPaymentRequired(bool required) public onlyRole(PRICE_ADMIN_ROLE) {
+        exactPaymentRequired = required;
+        emit ExactPaymentRequiredUpdated(required);
+    }
+
+    /**
+     * 💰 PRICE_ADMIN_ROLE専用：支払いに使えるERC-20トークンと料金の設定
+     *
+     * 【使い方】
+     * - 新しいトークンに料金を設定すると、支払いに使えるようになる
+     * - すでに使えるトークンなら、料金だけが変わる
+     * - 料金に0を設定すると、支払いに使えなくなる（一覧から削除）
+     *
+     * @param token ERC-20トークンのアドレス
+     * @param price ミント料金（トークンの最小単位。小数の桁数（decimals）はトークンごとに違う）
+     */
+    function setPaymentToken(address token, uint256 price) public onlyRole(PRICE_ADMIN_ROLE) {
+        Web3MintPayments.setPaymentToken(tokenMintPrice, _paymentTokens, token, price);
+    }
+
+    /**
+     * 👑 管理者専用：画像URIの先頭部分の変更
+     *
+     * 【用途】
+     * - "ipfs://" ⇔ HTTPSゲートウェイ（例："https://ipfs.io/ipfs/"）の切り替え
+     * - ゲートウェイが停止した時に別のゲートウェイへ移行
+     *
+     * 【ERC-4906とは？】
+     * メタデータが変わったことをマーケットプレイスに知らせるための規格。
+     * BatchMetadataUpdate を受け取ったOpenSeaなどは、該当するNFTの情報を再読み込みする
+     *
+     * @param newBaseURI 新しい先頭部分（末尾の "/" を含める）
+     */
+    function setImageBaseURI(string memory newBaseURI) public onlyRole(DEFAULT_ADMIN_ROLE) {
+        imageBaseURI = newBaseURI;
+        emit BaseURIUpdated(newBaseURI);
+
+        // 📡 ミント済みの全トークンのメタデータが変わったことを通知
+        if (_tokenIdCounter > 1) {
+            emit BatchMetadataUpdate(1, _tokenIdCounter - 1);
+        }
+    }
+
+    /**
+     * 👑 管理者専用：信頼するフォワーダー（ガスレスミントの中継役）の設定
+     *
+     * 【ERC-2771（メタトランザクション）とは？】
+     * ユーザーはリクエストに署名するだけで、ガス代はリレイヤーが払う仕組み。
+     * フォワーダーが署名を確認し、ユーザーのアドレスを呼び出しデータの末尾に付けて転送する。
+     * このコントラクトは _msgSender() で末尾のアドレスを取り出し、ユーザー本人の操作として扱う
+     *
+     * 【注意】
+     * フォワーダーは「誰の操作か」を自由に名乗れるので、信頼できるコントラクト（ERC2771Forwarder）だけを設定する
+     *
+     * @param forwarder フォワーダーのアドレス（ゼロアドレスで無効化）
+     */
+    function setTrustedForwarder(address forwarder) public onlyRole(DEFAULT_ADMIN_ROLE) {
+        trustedForwarder = forwarder;
+        emit TrustedForwarderUpdated(forwarder);
+    }
+
+    /**
+     * 👑 管理者専用：デフォルトロイヤリティの変更
+     *
+     * 【用途】
+     * - トークンごとの設定がないNFTの受取人・率を変更
+     * - mintIpfsNFTWithMetadata で使われる率を変更
+     * - すでにミント済みのトークンごとの設定は変わらない
+     *
+     * @param receiver 新しい受取人
+     * @param royaltyBps 新しいロイヤリティ率（ベーシスポイント）
+     */
+    function setDefaultRoyalty(address receiver, uint96 royaltyBps) public onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (royaltyBps > MAX_ROYALTY_BPS) revert RoyaltyTooHigh();
+
+        defaultRoyaltyBps = royaltyBps;
+        _setDefaultRoyalty(receiver, royaltyBps);
+        emit DefaultRoyaltyUpdated(receiver, royaltyBps);
+    }
+
+    /**
+     * 🏦 TREASURER_ROLE専用：コントラクトの残高を引き出し
+     *
+     * 【送金先】分配先（paymentSplitter）が設定されていればそのコントラクト、なければ呼び出した資金管理担当のアドレス
+     *   分配先に送った売上は、受取人それぞれが PaymentSplitter の release で持ち分どおりに受け取る
      *
      * 【セキュリティ対策】
      * - nonReentrant でリエントランシー攻撃を防止
      * - call を使用して安全に送金
      * - 残高チェックを実施
      */
-    function withdraw() public onlyOwner nonReentrant {
+    function withdraw() public onlyRole(TREASURER_ROLE) nonReentrant {
         uint256 balance = address(this).balance;
         require(balance > 0, "No funds to withdraw");
+        address to = paymentSplitter != address(0) ? paymentSplitter : _msgSender();
 
         // 💸 安全な方法でETHを送金
-        (bool success, ) = payable(owner()).call{value: balance}("");
+        (bool success, ) = payable(to).call{value: balance}("");
         require(success, "Withdrawal failed");
     }
 
+    /**
+     * 🏦 TREASURER_ROLE専用：ERC-20トークンの売上を引き出し
+     *
+     * 【送金先】呼び出した資金管理担当のアドレス
+     * 【売上の分配との関係】分配先（paymentSplitter）に送られるのはETHの売上のみ。
+     *   トークンの売上はこの関数でまとめて引き出す
+     *
+     * @param token 引き出すERC-20トークンのアドレス（支払いに使えなくなったトークンも引き出せる）
+     */
+    function withdrawToken(address token) public onlyRole(TREASURER_ROLE) nonReentrant {
+        Web3MintPayments.withdrawToken(token, _msgSender());
+    }
+
+    /**
+     * 👥 DEFAULT_ADMIN_ROLE専用：売上の分配先（PaymentSplitter）を設定
+     *
+     * 【使い方】
+     * 1. PaymentSplitter をデプロイし、受取人と持ち分を setPayees で設定する
+     * 2. この関数で登録すると、以後の withdraw の売上は PaymentSplitter に送られる
+     * 【分配を止める】ゼロアドレスを設定すると、再び資金管理担当に送られるようになる
+     *
+     * @param splitter PaymentSplitter コントラクトのアドレス
+     */
+    function setPaymentSplitter(address payable splitter) public onlyRole(DEFAULT_ADMIN_ROLE) {
+        paymentSplitter = splitter;
+        emit PaymentSplitterUpdated(splitter);
+    }
+
     /**
      * 📖 コントラクトの残高を取得
      * @return コントラクトのETH残高（wei単位）
@@ -640,6 +1819,28 @@ contract Web3Mint is ERC721URIStorage, Ownable, ReentrancyGuard {
         return address(this).balance;
     }
 
+    /**
+     * 📖 現在の一般販売の料金（1枚あたり）を取得
+     *
+     * 【料金の決まり方】
+     * - ダッチオークションが無効（startPrice = 0）→ mintPrice
+     * - 値下げ開始前 → 開始料金
+     * - 値下げ開始後 → 値下げ間隔ごとに priceDrop ずつ下がり、最低料金で止まる
+     *
+     * @return 料金（wei単位）
+     */
+    function currentPrice() public view returns (uint256) {
+        return Web3MintPayments.currentPrice(dutchAuction, mintPrice);
+    }
+
+    /**
+     * 📖 支払いに使えるERC-20トークンの一覧を取得
+     * @return トークンのアドレスの配列（料金は tokenMintPrice で取得）
+     */
+    function paymentTokens() public view returns (address[] memory) {
+        return _paymentTokens;
+    }
+
     /**
      * 📖 トークンURIを取得（OpenZeppelinの関数をオーバーライド）
      * @param tokenId 対象のトークンID
@@ -647,8 +1848,16 @@ contract Web3Mint is ERC721URIStorage, Ownable, ReentrancyGuard {
      */
     function tokenURI(
         uint256 tokenId
-    ) public view override returns (string memory) {
-        return super.tokenURI(tokenId);
+    ) public view override(ERC721, Web3MintURIStorage) returns (string memory) {
+        // 🖼️ オンチェーンSVGはその場でメタデータを生成
+        if (isOnChainSVG(tokenId)) {
+            return _generateOnChainMetadataURI(tokenId);
+        }
+
+        // 🔧 URIが保存されていないIPFS NFT（mintIpfsNFT / ownerMintIpfs）も
+        // 読み出し時にメタデータを生成（画像URIは現在の imageBaseURI を使う）
+        _requireOwned(tokenId);
+        return Web3MintMetadata.tokenURI(_tokenURIs[tokenId], nftInfo[tokenId], tokenId, imageBaseURI);
     }
 
     /**
@@ -658,8 +1867,68 @@ contract Web3Mint is ERC721URIStorage, Ownable, ReentrancyGuard {
      */
     function supportsInterface(
         bytes4 interfaceId
-    ) public view override returns (bool) {
-        return super.supportsInterface(interfaceId);
+    ) public view override(Web3MintEnumerable, Web3MintURIStorage, ERC2981, AccessControl) returns (bool) {
+        // ERC-5192（ソウルバウンド）は親コントラクトにないので、ここで追加する
+        return interfaceId == type(IERC5192).interfaceId || super.supportsInterface(interfaceId);
+    }
+
+    // 🔧 複数の親コントラクトで定義されている内部関数のオーバーライド
+    // 【なぜ必要？】
+    // - Web3MintEnumerableとERC721の両方が同じ関数を持つため、
+    //   Solidityではどちらを使うかを明示する必要がある
+    // - Web3MintEnumerableはここで所有者ごとのトークン一覧を更新する
+    // - ソウルバウンドNFTはここで転送を止める（ミントとバーンは通す）
+
+    function _update(
+        address to,
+        uint256 tokenId,
+        address auth
+    ) internal override(ERC721, Web3MintEnumerable) returns (address) {
+        address from = super._update(to, tokenId, auth);
+        if (from != address(0) && to != address(0) && _locked[tokenId]) revert TokenLocked(tokenId);
+        return from;
+    }
+
+    function _increaseBalance(
+        address account,
+        uint128 value
+    ) internal override(ERC721, Web3MintEnumerable) {
+        super._increaseBalance(account, value);
+    }
+
+    // 📨 ERC-2771（メタトランザクション）対応
+    // 【なぜ必要？】
+    // - フォワーダー経由の呼び出しでは msg.sender がフォワーダーになる
+    // - 本当の呼び出し元（署名したユーザー）は呼び出しデータの末尾20バイトに付いている
+    // - OpenZeppelinの ERC721 / AccessControl も _msgSender() を使うので、所有者や役割の確認もユーザー本人で行われる
+
+    /**
+     * 📖 ERC-2771：信頼するフォワーダーかどうか
+     * @param forwarder 確認するアドレス
+     * @return trustedForwarder と一致すれば true
+     */
+    function isTrustedForwarder(address forwarder) public view returns (bool) {
+        return forwarder != address(0) && forwarder == trustedForwarder;
+    }
+
+    function _msgSender() internal view override returns (address) {
+        uint256 suffixLength = _contextSuffixLength();
+        if (isTrustedForwarder(msg.sender) && msg.data.length >= suffixLength) {
+            return address(bytes20(msg.data[msg.data.length - suffixLength:]));
+        }
+        return msg.sender;
+    }
+
+    function _msgData() internal view override returns (bytes calldata) {
+        uint256 suffixLength = _contextSuffixLength();
+        if (isTrustedForwarder(msg.sender) && msg.data.length >= suffixLength) {
+            return msg.data[:msg.data.length - suffixLength];
+        }
+        return msg.data;
+    }
+
+    function _contextSuffixLength() internal pure override returns (uint256) {
+        return 20;
     }
 }
 
@@ -0,0 +1,85 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/token/ERC721/ERC721.sol"; // NFTの標準規格
+import "@openzeppelin/contracts/token/ERC721/extensions/IERC721Enumerable.sol"; // NFT一覧取得の標準規格
+import "./libraries/Web3MintEnumeration.sol"; // 一覧の更新（外部ライブラリ）
+
+/**
+ * @title Web3MintEnumerable
+ * @notice 全NFTの一覧と所有者ごとのNFT一覧を取得できるようにする仕組み（ERC721Enumerable）
+ * @dev OpenZeppelin の ERC721Enumerable と同じ関数・同じストレージの並び（OpenZeppelin 版と区別するため名前を変えている）。
+ *      一覧の更新はミント・転送・バーンごとに呼ばれるため、
+ *      OpenZeppelin 版では更新のコードが呼び出し元ごとにコンパイルされてコードサイズが大きくなる
+ *
+ * 【コードの置き場所】
+ * 状態はこのコントラクトに置き、一覧の更新は外部ライブラリ Web3MintEnumeration が行う（コードサイズ削減のため）
+ */
+abstract contract Web3MintEnumerable is ERC721, IERC721Enumerable {
+    /// @dev 全NFTの一覧と所有者ごとのNFT一覧（Web3MintEnumeration.Enumeration）
+    Web3MintEnumeration.Enumeration private _enumeration;
+
+    /// @notice 一覧の範囲外の番号を指定した場合のエラー
+    error ERC721OutOfBoundsIndex(address owner, uint256 index);
+
+    /// @notice 複数のNFTをまとめて残高に加えようとした場合のエラー（一覧を更新できないため）
+    error ERC721EnumerableForbiddenBatchMint();
+
+    /**
+     * 📖 インターフェースサポート確認（ERC721Enumerable を追加する）
+     * @param interfaceId チェックするインターフェースID
+     * @return サポートしているかどうか
+     */
+    function supportsInterface(bytes4 interfaceId) public view virtual override(IERC165, ERC721) returns (bool) {
+        return interfaceId == type(IERC721Enumerable).interfaceId || super.supportsInterface(interfaceId);
+    }
+
+    /**
+     * 📖 所有者の index 番目のNFTを取得
+     * @param owner 所有者のアドレス
+     * @param index 番号（0 〜 balanceOf(owner) - 1）
+     * @return トークンID
+     */
+    function tokenOfOwnerByIndex(address owner, uint256 index) public view virtual returns (uint256) {
+        if (index >= balanceOf(owner)) revert ERC721OutOfBoundsIndex(owner, index);
+        return _enumeration.ownedTokens[owner][index];
+    }
+
+    /**
+     * 📖 今存在しているNFTの数を取得（バーンすると減る）
+     * @return NFTの数
+     */
+    function totalSupply() public view virtual returns (uint256) {
+        return _enumeration.allTokens.length;
+    }
+
+    /**
+     * 📖 全NFTの index 番目を取得
+     * @param index 番号（0 〜 totalSupply() - 1）
+     * @return トークンID
+     */
+    function tokenByIndex(uint256 index) public view virtual returns (uint256) {
+        if (index >= totalSupply()) revert ERC721OutOfBoundsIndex(address(0), index);
+        return _enumeration.allTokens[index];
+    }
+
+    /// @dev 所有者が変わるたびに一覧を更新する（更新後の保有数を渡す）
+    function _update(address to, uint256 tokenId, address auth) internal virtual override returns (address) {
+        address from = super._update(to, tokenId, auth);
+        Web3MintEnumeration.update(
+            _enumeration,
+            from,
+            to,
+            tokenId,
+            from == address(0) ? 0 : balanceOf(from),
+            to == address(0) ? 0 : balanceOf(to)
+        );
+        return from;
+    }
+
+    /// @dev 一覧は1枚ずつしか更新できないので、まとめてミントする仕組み（ERC-2309）は使えない
+    function _increaseBalance(address account, uint128 amount) internal virtual override {
+        if (amount > 0) revert ERC721EnumerableForbiddenBatchMint();
+        super._increaseBalance(account, amount);
+    }
+}
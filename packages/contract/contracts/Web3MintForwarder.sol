@@ -0,0 +1,28 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/metatx/ERC2771Forwarder.sol"; // ERC-2771 のフォワーダー（署名付きリクエストの中継）
+
+/**
+ * ⛽ Web3Mint のフォワーダー（ガスレスミントの中継役）
+ *
+ * 【このコントラクトの役割】
+ * このコントラクトは「代理で窓口に並んでくれる受付係」のような役割を果たします。
+ * ユーザーは「このミントを実行してほしい」というリクエストに署名するだけで、
+ * リレイヤー（packages/relayer）がガス代を払ってこのコントラクトの execute に送信します。
+ * このコントラクトは署名を確認し、ユーザーのアドレスを呼び出しデータの末尾に付けて Web3Mint を呼び出します。
+ *
+ * 【使い方】
+ * 1. このコントラクトをデプロイする（scripts/deployForwarder.js）
+ * 2. Web3Mint の setTrustedForwarder にこのアドレスを設定する
+ *
+ * 【初心者向け解説】
+ * - メタトランザクション = ユーザーが署名し、別の人（リレイヤー）が送信するトランザクション
+ * - nonce = ユーザーごとのリクエストの番号（同じ署名を2回使えないようにする）
+ * - deadline = リクエストの有効期限（過ぎると実行できない）
+ *
+ * @dev OpenZeppelin の ERC2771Forwarder をそのまま使う。EIP-712のドメイン名は "Web3MintForwarder"、バージョンは "1"
+ */
+contract Web3MintForwarder is ERC2771Forwarder {
+    constructor() ERC2771Forwarder("Web3MintForwarder") {}
+}
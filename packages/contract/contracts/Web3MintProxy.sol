@@ -0,0 +1,22 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/proxy/ERC1967/ERC1967Proxy.sol"; // ERC-1967 形式のプロキシ
+
+/**
+ * 🔀 Web3Mint のプロキシ（ユーザーが使うアドレス）
+ *
+ * 【このコントラクトの役割】
+ * NFTやミント料金などのデータを保存し、すべての呼び出しを
+ * 実装コントラクト（Web3MintUpgradeable）のプログラムで実行します。
+ * アップグレードしてもこのアドレスは変わりません。
+ *
+ * @dev OpenZeppelin の ERC1967Proxy をそのまま使う（デプロイスクリプトとテストで名前で参照するため）
+ */
+contract Web3MintProxy is ERC1967Proxy {
+    /**
+     * @param implementation 実装コントラクトのアドレス
+     * @param data 初期化の呼び出しデータ（initialize(管理者) をエンコードしたもの）
+     */
+    constructor(address implementation, bytes memory data) ERC1967Proxy(implementation, data) {}
+}
@@ -0,0 +1,52 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/token/ERC721/ERC721.sol"; // NFTの標準規格
+import "@openzeppelin/contracts/interfaces/IERC4906.sol"; // メタデータ更新の通知（ERC-4906）
+import "./libraries/Web3MintMetadata.sol"; // トークンURIの保存（外部ライブラリ）
+
+/**
+ * @title Web3MintURIStorage
+ * @notice トークンごとのメタデータURI（トークンURI）を保存する仕組み
+ * @dev OpenZeppelin の ERC721URIStorage と同じ関数・同じストレージの並び（OpenZeppelin 版と区別するため名前を変えている）。
+ *      文字列の保存のコードが大きいため、保存は外部ライブラリ Web3MintMetadata が行う（コードサイズ削減のため）
+ *
+ * 【継承先での使い方】
+ * 継承先の tokenURI は _tokenURIs をそのまま Web3MintMetadata.tokenURI に渡し、
+ * 保存されていない場合のメタデータの生成まで1回の呼び出しで行う
+ */
+abstract contract Web3MintURIStorage is IERC4906, ERC721 {
+    /// @dev ERC-4906 のインターフェースID
+    bytes4 private constant ERC4906_INTERFACE_ID = bytes4(0x49064906);
+
+    /// @dev トークンIDごとのトークンURI（空 = 保存されていない）
+    mapping(uint256 => string) internal _tokenURIs;
+
+    /**
+     * 📖 インターフェースサポート確認（ERC-4906 を追加する）
+     * @param interfaceId チェックするインターフェースID
+     * @return サポートしているかどうか
+     */
+    function supportsInterface(bytes4 interfaceId) public view virtual override(ERC721, IERC165) returns (bool) {
+        return interfaceId == ERC4906_INTERFACE_ID || super.supportsInterface(interfaceId);
+    }
+
+    /**
+     * 📖 保存されているトークンURIを取得
+     * @param tokenId 対象のトークンID
+     * @return トークンURI（保存されていなければ空文字）
+     */
+    function tokenURI(uint256 tokenId) public view virtual override returns (string memory) {
+        _requireOwned(tokenId);
+        return _tokenURIs[tokenId];
+    }
+
+    /**
+     * 💾 トークンURIを保存する内部関数（MetadataUpdate イベントを発行する）
+     * @param tokenId 対象のトークンID
+     * @param uri 保存するトークンURI
+     */
+    function _setTokenURI(uint256 tokenId, string memory uri) internal virtual {
+        Web3MintMetadata.setTokenURI(_tokenURIs, tokenId, uri);
+    }
+}
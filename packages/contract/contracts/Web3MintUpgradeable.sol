@@ -0,0 +1,83 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/proxy/utils/Initializable.sol"; // 初期化関数（initializer）の仕組み
+import "@openzeppelin/contracts/proxy/utils/UUPSUpgradeable.sol"; // UUPS方式のアップグレード機能
+import "./Web3Mint.sol";
+
+/**
+ * 🔄 Web3Mint アップグレード可能版（UUPSプロキシ用）
+ *
+ * 【このコントラクトの役割】
+ * このコントラクトは「中身を入れ替えられる自動販売機」のような役割を果たします。
+ * ユーザーが使うのはプロキシ（Web3MintProxy）のアドレスで、NFTやミント料金などのデータは
+ * すべてプロキシに保存されます。プログラム（このコントラクト）だけを新しいものに差し替えても、
+ * アドレスもNFTもそのまま使い続けられます。
+ *
+ * 【通常版（Web3Mint）との違い】
+ * - コンストラクタの代わりに initialize で管理者（全ての役割）と初期値を設定する
+ * - 管理者（DEFAULT_ADMIN_ROLE）だけが upgradeToAndCall で新しいプログラムに差し替えられる
+ * - ミントなどの機能は Web3Mint をそのまま継承している
+ *
+ * 【アップグレード時の注意（ストレージレイアウト）】
+ * - 状態変数の順番を入れ替えたり、途中に追加・削除したりしてはいけない
+ * - 新しい状態変数は必ず最後に追加する
+ * - scripts/upgrade.js はデプロイ前に自動でチェックする
+ *
+ * 【初心者向け解説】
+ * - プロキシ = 受け取った呼び出しを、保存されたデータを使って別のコントラクトのプログラムで実行する仕組み
+ * - UUPS = アップグレードの機能をプロキシではなくプログラム側に持たせる方式（プロキシが小さく安い）
+ * - 実装コントラクト = プロキシが使うプログラム本体（このコントラクト）
+ */
+contract Web3MintUpgradeable is Web3Mint, Initializable, UUPSUpgradeable {
+    /**
+     * 🏗️ 実装コントラクト自体の初期化を禁止する
+     *
+     * 【なぜ必要？】
+     * 実装コントラクトを誰かが直接 initialize して管理者になるのを防ぐため
+     *
+     * @custom:oz-upgrades-unsafe-allow constructor
+     */
+    constructor() {
+        _disableInitializers();
+    }
+
+    /**
+     * 🚀 プロキシの初期化（コンストラクタの代わり、1回だけ実行できる）
+     * @param initialAdmin 管理者（最初は全ての役割を持つ）
+     */
+    function initialize(address initialAdmin) public initializer {
+        _initializeDefaults(initialAdmin);
+    }
+
+    /**
+     * 🏷️ 実装コントラクトのバージョン
+     * @dev アップグレード後のコントラクトは値を変えてオーバーライドする
+     * @return バージョン文字列
+     */
+    function version() public pure virtual returns (string memory) {
+        return "1.0.0";
+    }
+
+    /**
+     * 📛 コレクション名
+     * @dev ERC721の名前はコンストラクタで保存されるためプロキシでは空になる。定数で返す
+     */
+    function name() public pure override returns (string memory) {
+        return "TanyaNFT";
+    }
+
+    /**
+     * 🔤 コレクションのシンボル
+     * @dev name と同じ理由で定数を返す
+     */
+    function symbol() public pure override returns (string memory) {
+        return "TANYA";
+    }
+
+    /**
+     * 🔐 アップグレードできるのは管理者（DEFAULT_ADMIN_ROLE）のみ
+     * @dev UUPSUpgradeable の upgradeToAndCall から呼ばれる
+     */
+    function _authorizeUpgrade(address) internal override onlyRole(DEFAULT_ADMIN_ROLE) {}
+}
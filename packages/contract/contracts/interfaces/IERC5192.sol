@@ -0,0 +1,28 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+/**
+ * @title IERC5192
+ * @notice ERC-5192（最小限のソウルバウンドNFT）のインターフェース
+ * @dev https://eips.ethereum.org/EIPS/eip-5192 の定義どおり（インターフェースID 0xb45a3c0e）
+ *
+ * 【ソウルバウンドとは？】
+ * ウォレットに「魂で結びついた」ように、ミントした後は他のアドレスへ移せないNFTのこと。
+ * 修了証・参加証明など、本人が持っていることに意味がある証明書に使う。
+ * マーケットプレイスやウォレットは locked() を見て、転送・出品のボタンを隠すことができる。
+ */
+interface IERC5192 {
+    /// @notice トークンが転送できなくなった時のイベント
+    event Locked(uint256 tokenId);
+
+    /// @notice トークンが再び転送できるようになった時のイベント
+    event Unlocked(uint256 tokenId);
+
+    /**
+     * @notice トークンが転送できない（ロックされている）かどうか
+     * @dev 存在しないトークンを指定した場合は失敗する
+     * @param tokenId 確認するトークンID
+     * @return true = 転送できない
+     */
+    function locked(uint256 tokenId) external view returns (bool);
+}
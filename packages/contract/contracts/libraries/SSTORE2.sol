@@ -0,0 +1,72 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+/**
+ * @title SSTORE2
+ * @notice 大きなバイト列を「コントラクトのコード」として安く保存・読み出しするライブラリ
+ * @dev Solmate / Solady の SSTORE2 と同じ方式（先頭に STOP 命令を付けて誤って実行されないようにする）
+ *
+ * 【なぜコードとして保存する？】
+ * - 通常のストレージ（SSTORE）は32バイトごとに約22,000ガス
+ * - コントラクトのコードは1バイトあたり約200ガスで保存できる
+ * - 読み出しも EXTCODECOPY でまとめてコピーできる
+ *
+ * 【制限】
+ * コントラクトのコードは最大24,576バイト（EIP-170）なので、
+ * 1回に保存できるのは MAX_CHUNK_SIZE バイトまで。大きなデータは分割して保存する
+ */
+library SSTORE2 {
+    /// @notice 1つのポインタ（コントラクト）に保存できる最大バイト数
+    /// @dev 24,576バイトから先頭のSTOP命令1バイトを引いた値
+    uint256 internal constant MAX_CHUNK_SIZE = 24575;
+
+    /// @notice コントラクトの作成に失敗した場合のエラー
+    error SSTORE2WriteFailed();
+
+    /// @notice ポインタにコードが存在しない場合のエラー
+    error SSTORE2InvalidPointer();
+
+    /**
+     * @dev バイト列を新しいコントラクトのコードとして保存する
+     * @param data 保存するバイト列（MAX_CHUNK_SIZE バイト以下）
+     * @return pointer 保存先のコントラクトアドレス
+     */
+    function write(bytes memory data) internal returns (address pointer) {
+        // 実行されないように先頭にSTOP（0x00）を付ける
+        bytes memory runtimeCode = abi.encodePacked(hex"00", data);
+
+        // 作成コード: 続くランタイムコードをそのまま返すだけの14バイト
+        // PUSH4 size, DUP1, PUSH1 0x0e, PUSH1 0, CODECOPY, PUSH1 0, RETURN
+        bytes memory creationCode = abi.encodePacked(
+            hex"63",
+            uint32(runtimeCode.length),
+            hex"80600e6000396000f3",
+            runtimeCode
+        );
+
+        /// @solidity memory-safe-assembly
+        assembly {
+            pointer := create(0, add(creationCode, 32), mload(creationCode))
+        }
+
+        if (pointer == address(0)) revert SSTORE2WriteFailed();
+    }
+
+    /**
+     * @dev write で保存したバイト列を読み出す
+     * @param pointer write が返したコントラクトアドレス
+     * @return data 保存されているバイト列
+     */
+    function read(address pointer) internal view returns (bytes memory data) {
+        uint256 size = pointer.code.length;
+        if (size == 0) revert SSTORE2InvalidPointer();
+
+        // 先頭のSTOP命令を除いた部分をコピー
+        data = new bytes(size - 1);
+
+        /// @solidity memory-safe-assembly
+        assembly {
+            extcodecopy(pointer, add(data, 32), 1, sub(size, 1))
+        }
+    }
+}
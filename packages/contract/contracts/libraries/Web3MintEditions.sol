@@ -0,0 +1,77 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+/**
+ * @title Web3MintEditions
+ * @notice 番号付きエディション（1つの作品を決まった枚数だけ発行するシリーズ）の記録を管理するライブラリ
+ * @dev external 関数はデプロイ時にリンクされる外部ライブラリとして呼び出される（Web3MintMetadata と同じ方式）
+ *
+ * 【状態の置き場所】
+ * エディションの情報は Web3Mint のストレージ（editions）に置き、ライブラリには storage 参照で渡す。
+ * ミント（ERC721）とコピーごとの番号の保存は Web3Mint が行う
+ *
+ * 【注意】
+ * ここで発行するイベント・エラーは、ABIに載るように Web3Mint にも同じものを定義している
+ */
+library Web3MintEditions {
+    /// @notice エディションの情報
+    /// @dev コピーは全て同じ作品で、メタデータの番号（「N枚中k番目」）だけが異なる
+    struct Edition {
+        address creator; // 作成者（コピーを追加でミントできるのはこのアドレスだけ）
+        uint64 size; // 発行枚数（N、作成後は変更できない）
+        uint64 minted; // ミント済みの枚数（バーンしても減らない）
+    }
+
+    /// @notice トークンごとのエディションIDと番号（k）。エディションではないトークンは 0
+    struct EditionToken {
+        uint192 editionId;
+        uint64 number;
+    }
+
+    event EditionCreated(uint256 indexed editionId, address indexed creator, uint64 size);
+
+    error InvalidEditionSize();
+    error InvalidBatchSize();
+    error EditionSoldOut(uint256 editionId);
+
+    /**
+     * 🔢 エディションを登録する
+     * @param edition 保存先（Web3Mint の editions[editionId]）
+     * @param editionId 採番済みのエディションID
+     * @param creator 作成者
+     * @param size 発行枚数（0 は不可）
+     */
+    function create(Edition storage edition, uint256 editionId, address creator, uint64 size) external {
+        if (size == 0) revert InvalidEditionSize();
+
+        edition.creator = creator;
+        edition.size = size;
+        emit EditionCreated(editionId, creator, size);
+    }
+
+    /**
+     * 🎟️ これからミントするコピーの番号を確保する
+     *
+     * 【チェック内容】
+     * - 1回にミントする枚数が 1〜maxBatchSize 件か（InvalidBatchSize）
+     * - 発行枚数を超えないか（EditionSoldOut）
+     *
+     * @param edition エディションの情報（Web3Mint の editions[editionId]）
+     * @param editionId エディションID（エラーに含める）
+     * @param quantity ミントする枚数
+     * @param maxBatchSize 1回にミントできる上限（Web3Mint の MAX_BATCH_SIZE）
+     * @return firstNumber 最初のコピーの番号（続きのコピーは +1 ずつ）
+     */
+    function reserve(
+        Edition storage edition,
+        uint256 editionId,
+        uint256 quantity,
+        uint256 maxBatchSize
+    ) external returns (uint64 firstNumber) {
+        if (quantity == 0 || quantity > maxBatchSize) revert InvalidBatchSize();
+        if (edition.minted + quantity > edition.size) revert EditionSoldOut(editionId);
+
+        firstNumber = edition.minted + 1;
+        edition.minted += uint64(quantity);
+    }
+}
@@ -0,0 +1,88 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+/**
+ * @title Web3MintEnumeration
+ * @notice 全NFTの一覧と所有者ごとのNFT一覧（ERC721Enumerable）を更新するライブラリ
+ * @dev external 関数はデプロイ時にリンクされる外部ライブラリとして呼び出される（Web3MintMetadata と同じ方式）
+ *
+ * 【一覧の持ち方】
+ * OpenZeppelin の ERC721Enumerable と同じ（配列の末尾の要素を削除する位置に移して、末尾を取り除く）。
+ * 一覧は Web3MintEnumerable のストレージに置き、ライブラリには storage 参照で渡す
+ */
+library Web3MintEnumeration {
+    /// @notice 一覧の状態（OpenZeppelin の ERC721Enumerable と同じ順番・同じスロット）
+    struct Enumeration {
+        mapping(address => mapping(uint256 => uint256)) ownedTokens; // 所有者 → 番号 → トークンID
+        mapping(uint256 => uint256) ownedTokensIndex; // トークンID → 所有者の一覧での番号
+        uint256[] allTokens; // 存在する全てのトークンID
+        mapping(uint256 => uint256) allTokensIndex; // トークンID → 全体の一覧での番号
+    }
+
+    /**
+     * 🔄 ミント・転送・バーンに合わせて一覧を更新する
+     *
+     * 【更新の内容】
+     * - ミント（from = 0）→ 全体の一覧に追加
+     * - バーン（to = 0）→ 全体の一覧から削除
+     * - 所有者が変わる → 元の所有者の一覧から削除し、新しい所有者の一覧に追加
+     *
+     * @param enumeration 一覧の状態
+     * @param from 元の所有者（ミントなら 0）
+     * @param to 新しい所有者（バーンなら 0）
+     * @param tokenId トークンID
+     * @param fromBalance 更新後の元の所有者の保有数（from = 0 なら使わない）
+     * @param toBalance 更新後の新しい所有者の保有数（to = 0 なら使わない）
+     */
+    function update(
+        Enumeration storage enumeration,
+        address from,
+        address to,
+        uint256 tokenId,
+        uint256 fromBalance,
+        uint256 toBalance
+    ) external {
+        if (from == address(0)) {
+            enumeration.allTokensIndex[tokenId] = enumeration.allTokens.length;
+            enumeration.allTokens.push(tokenId);
+        } else if (from != to) {
+            _removeFromOwner(enumeration, from, tokenId, fromBalance);
+        }
+
+        if (to == address(0)) {
+            _removeFromAll(enumeration, tokenId);
+        } else if (from != to) {
+            enumeration.ownedTokens[to][toBalance - 1] = tokenId;
+            enumeration.ownedTokensIndex[tokenId] = toBalance - 1;
+        }
+    }
+
+    /// @dev 所有者の一覧から削除する（lastIndex は削除後の保有数 = 末尾の番号）
+    function _removeFromOwner(
+        Enumeration storage enumeration,
+        address from,
+        uint256 tokenId,
+        uint256 lastIndex
+    ) private {
+        mapping(uint256 => uint256) storage owned = enumeration.ownedTokens[from];
+        uint256 index = enumeration.ownedTokensIndex[tokenId];
+        if (index != lastIndex) {
+            uint256 lastTokenId = owned[lastIndex];
+            owned[index] = lastTokenId;
+            enumeration.ownedTokensIndex[lastTokenId] = index;
+        }
+        delete enumeration.ownedTokensIndex[tokenId];
+        delete owned[lastIndex];
+    }
+
+    /// @dev 全体の一覧から削除する
+    function _removeFromAll(Enumeration storage enumeration, uint256 tokenId) private {
+        uint256 lastIndex = enumeration.allTokens.length - 1;
+        uint256 index = enumeration.allTokensIndex[tokenId];
+        uint256 lastTokenId = enumeration.allTokens[lastIndex];
+        enumeration.allTokens[index] = lastTokenId;
+        enumeration.allTokensIndex[lastTokenId] = index;
+        delete enumeration.allTokensIndex[tokenId];
+        enumeration.allTokens.pop();
+    }
+}
@@ -0,0 +1,315 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "./Base64.sol"; // Base64エンコーディング用ライブラリ
+
+/**
+ * @title Web3MintMetadata
+ * @notice NFTのメタデータ（JSON）を組み立てて data URI にするライブラリ
+ * @dev public 関数はデプロイ時にリンクされる外部ライブラリとして呼び出される
+ *
+ * 【なぜ外部ライブラリに分ける？】
+ * - コントラクトのコードは最大24,576バイト（EIP-170）
+ * - JSONの組み立て・エスケープ・Base64エンコードはコードが大きいため、
+ *   別のコントラクト（ライブラリ）として1回だけデプロイし、Web3Mint から DELEGATECALL で呼び出す
+ * - デプロイ時は scripts/libraries.js の deployLibraries でライブラリを先にデプロイしてリンクする
+ *
+ * 【NFT情報の置き場所】
+ * NFT情報（NFTInfo）は Web3Mint のストレージに置き、ライブラリには storage 参照で渡す。
+ * 文字列の保存・読み出しのコードもライブラリ側にだけ置かれる
+ */
+library Web3MintMetadata {
+    /// @notice NFT基本情報構造体（Web3Mint の nftInfo に保存される）
+    /// 【構造体とは？】関連するデータをひとまとめにしたカスタムデータ型
+    struct NFTInfo {
+        string name; // NFTの名前（例："My Awesome Art"）
+        string description; // NFTの説明（例："This is my first NFT"）
+        string imageURI; // 保存時は画像のCIDのみ（例："QmXXX..."）。getNFTInfo では imageBaseURI と結合したURIを返す
+        uint256 timestamp; // 作成日時（Unixタイムスタンプ）
+        address minter; // 作成者のウォレットアドレス
+    }
+
+    /**
+     * 💾 NFT情報を保存する関数
+     * @param info 保存先（Web3Mint の nftInfo[tokenId]）
+     * @param name NFTの名前
+     * @param description NFTの説明
+     * @param imageCid 画像のCID（オンチェーンSVGは空）
+     * @param minter 作成者のアドレス
+     */
+    function store(
+        NFTInfo storage info,
+        string memory name,
+        string memory description,
+        string memory imageCid,
+        address minter
+    ) public {
+        info.name = name;
+        info.description = description;
+        info.imageURI = imageCid;
+        info.timestamp = block.timestamp; // 現在のブロック時刻
+        info.minter = minter;
+    }
+
+    /// @notice メタデータが更新された時のイベント（ERC-4906、Web3Mint の IERC4906 と同じ定義）
+    event MetadataUpdate(uint256 _tokenId);
+
+    /**
+     * 💾 トークンURIを保存する関数（Web3MintURIStorage の _setTokenURI から呼ばれる）
+     * @param tokenURIs 保存先（Web3MintURIStorage の _tokenURIs）
+     * @param tokenId 対象のトークンID
+     * @param uri 保存するトークンURI
+     */
+    function setTokenURI(mapping(uint256 => string) storage tokenURIs, uint256 tokenId, string memory uri) public {
+        tokenURIs[tokenId] = uri;
+        emit MetadataUpdate(tokenId);
+    }
+
+    /**
+     * 📖 トークンURIを返す関数
+     *
+     * 【返す値】
+     * - トークンURIが保存されている → そのまま返す
+     * - 保存されていない（mintIpfsNFT / ownerMintIpfs）→ NFT情報から metadataURI でメタデータを生成
+     *
+     * @param storedURI 保存されているトークンURI（Web3MintURIStorage の _tokenURIs[tokenId]）
+     * @param info NFT情報（Web3Mint の nftInfo[tokenId]）
+     * @param tokenId 対象のトークンID
+     * @param imageBaseURI 画像URIの先頭部分（Web3Mint の imageBaseURI）
+     * @return トークンURI
+     */
+    function tokenURI(
+        string storage storedURI,
+        NFTInfo storage info,
+        uint256 tokenId,
+        string storage imageBaseURI
+    ) public view returns (string memory) {
+        if (bytes(storedURI).length != 0) return storedURI;
+        return metadataURI(info, tokenId, imageBaseURI);
+    }
+
+    /**
+     * 🧹 NFT情報を削除する関数（バーン時）
+     * @param info 削除するNFT情報（Web3Mint の nftInfo[tokenId]）
+     */
+    function clear(NFTInfo storage info) public {
+        delete info.name;
+        delete info.description;
+        delete info.imageURI;
+        delete info.timestamp;
+        delete info.minter;
+    }
+
+    /**
+     * 🔧 IPFS NFTのメタデータURIを生成する関数
+     *
+     * 【この関数の役割】
+     * - NFTの詳細情報をJSON形式で作成
+     * - Base64エンコードしてデータURIとして返す
+     * - OpenSeaなどのNFTマーケットプレイスで表示される情報を作成
+     *
+     * 【メタデータとは？】
+     * NFTの「説明書」のようなもの
+     * - 名前、説明、画像、属性などが含まれる
+     * - JSON形式で記述される
+     * - NFTマーケットプレイスで表示される
+     *
+     * @param info NFT情報（Web3Mint の nftInfo[tokenId]）
+     * @param tokenId 対象のトークンID
+     * @param imageBaseURI 画像URIの先頭部分（Web3Mint の imageBaseURI、CIDの前に付ける）
+     * @return Base64エンコードされたJSON metadata URI
+     * @dev public = コントラクトからDELEGATECALLで呼び出す（コードはライブラリ側にだけ置かれる）
+     */
+    function metadataURI(
+        NFTInfo storage info,
+        uint256 tokenId,
+        string storage imageBaseURI
+    ) public view returns (string memory) {
+        // 📝 JSON形式のメタデータを構築
+        // abi.encodePacked = 複数の文字列を結合する
+        string memory json = string(
+            abi.encodePacked(
+                '{"name": "',
+                info.name,
+                '",', // NFTの名前
+                '"description": "',
+                info.description,
+                '",', // NFTの説明
+                '"image": "',
+                imageURI(imageBaseURI, info.imageURI),
+                '",', // 画像のURI（imageBaseURI + CID）
+                '"attributes": [', // 属性情報の開始
+                '{"trait_type": "Minter", "value": "',
+                addressToString(info.minter),
+                '"},', // 作成者
+                '{"trait_type": "Mint Timestamp", "value": ',
+                uint256ToString(info.timestamp),
+                "},", // 作成日時
+                '{"trait_type": "Token ID", "value": ',
+                uint256ToString(tokenId),
+                "}", // トークンID
+                "]}" // JSON終了
+            )
+        );
+
+        // 🔐 JSONをBase64エンコードしてdata URIとして返す
+        // data URI = データを直接URLに埋め込む形式
+        return Base64.encodeJSON(json);
+    }
+
+    /**
+     * 🔗 画像のCIDから画像URIを作る関数
+     * @param imageBaseURI 画像URIの先頭部分（Web3Mint の imageBaseURI）
+     * @param cid 画像のCID（空の場合は空文字を返す）
+     * @return imageBaseURI + CID
+     */
+    function imageURI(string storage imageBaseURI, string memory cid) public view returns (string memory) {
+        if (bytes(cid).length == 0) return "";
+        return string(abi.encodePacked(imageBaseURI, cid));
+    }
+
+    /**
+     * 🔧 オンチェーンSVG用のメタデータURIを生成する関数
+     *
+     * 【生成されるJSON】
+     * {"name": ..., "description": ..., "image": "data:image/svg+xml;base64,...", "attributes": [...]}
+     * これをさらにBase64エンコードして data:application/json;base64,... として返す
+     *
+     * @param info NFT情報（Web3Mint の nftInfo[tokenId]）
+     * @param svg SVGの本文
+     * @return Base64エンコードされたJSON metadata URI
+     */
+    function onChainMetadataURI(
+        NFTInfo storage info,
+        string memory svg
+    ) public view returns (string memory) {
+        string memory json = string(
+            abi.encodePacked(
+                '{"name":"',
+                escapeJSON(info.name),
+                '","description":"',
+                escapeJSON(info.description),
+                '","image":"',
+                Base64.encodeSVG(svg), // SVGを画像のdata URIとして埋め込む
+                '","attributes":[{"trait_type":"Storage","value":"On-chain"},',
+                '{"trait_type":"Minter","value":"',
+                addressToString(info.minter),
+                '"}]}'
+            )
+        );
+
+        return Base64.encodeJSON(json);
+    }
+
+    /**
+     * 🔧 JSONの文字列値として安全に埋め込めるようにエスケープする関数
+     *
+     * 【なぜ必要？】
+     * 名前や説明に " や \ が含まれていると、JSONが壊れてマーケットプレイスで表示できなくなる
+     * - " → \"、\ → \\
+     * - 改行などの制御文字 → \u00XX
+     *
+     * @param value エスケープする文字列
+     * @return エスケープ済みの文字列
+     */
+    function escapeJSON(
+        string memory value
+    ) internal pure returns (string memory) {
+        bytes memory input = bytes(value);
+
+        // 📏 エスケープで増える文字数を先に数える
+        uint256 extra;
+        for (uint256 i = 0; i < input.length; i++) {
+            bytes1 char = input[i];
+            if (char == '"' || char == "\\") extra += 1;
+            else if (uint8(char) < 0x20) extra += 5;
+        }
+        if (extra == 0) return value;
+
+        bytes memory output = new bytes(input.length + extra);
+        bytes16 hexChars = "0123456789abcdef";
+        uint256 j;
+        for (uint256 i = 0; i < input.length; i++) {
+            bytes1 char = input[i];
+            if (char == '"' || char == "\\") {
+                output[j++] = "\\";
+                output[j++] = char;
+            } else if (uint8(char) < 0x20) {
+                output[j++] = "\\";
+                output[j++] = "u";
+                output[j++] = "0";
+                output[j++] = "0";
+                output[j++] = hexChars[uint8(char) >> 4];
+                output[j++] = hexChars[uint8(char) & 0x0f];
+            } else {
+                output[j++] = char;
+            }
+        }
+        return string(output);
+    }
+
+    /**
+     * 🔧 アドレスを文字列に変換するユーティリティ関数
+     *
+     * 【アドレスとは？】
+     * - Ethereumの口座番号のようなもの
+     * - 42文字の16進数文字列（0xから始まる）
+     * - 例：0x1234567890abcdef...
+     *
+     * @param addr 変換するウォレットアドレス
+     * @return 文字列形式のアドレス
+     */
+    function addressToString(
+        address addr
+    ) internal pure returns (string memory) {
+        bytes32 value = bytes32(uint256(uint160(addr)));
+        bytes memory alphabet = "0123456789abcdef"; // 16進数の文字
+        bytes memory str = new bytes(42); // 42文字の配列を作成
+        str[0] = "0";
+        str[1] = "x";
+
+        // 👆 各バイトを16進数文字列に変換
+        for (uint256 i = 0; i < 20; i++) {
+            str[2 + i * 2] = alphabet[uint8(value[i + 12] >> 4)]; // 上位4ビット
+            str[3 + i * 2] = alphabet[uint8(value[i + 12] & 0x0f)]; // 下位4ビット
+        }
+        return string(str);
+    }
+
+    /**
+     * 🔧 数値を文字列に変換するユーティリティ関数
+     *
+     * 【なぜ必要？】
+     * Solidityでは数値を直接文字列として使えないため
+     * JSONに数値を含める際に文字列変換が必要
+     *
+     * @param value 変換する数値
+     * @return 文字列形式の数値
+     */
+    function uint256ToString(
+        uint256 value
+    ) internal pure returns (string memory) {
+        if (value == 0) {
+            return "0";
+        }
+
+        // 📏 桁数を計算
+        uint256 temp = value;
+        uint256 digits;
+        while (temp != 0) {
+            digits++;
+            temp /= 10;
+        }
+
+        // 📝 文字列バッファを作成
+        bytes memory buffer = new bytes(digits);
+
+        // 🔄 各桁を文字に変換（右から左へ）
+        while (value != 0) {
+            digits -= 1;
+            buffer[digits] = bytes1(uint8(48 + uint256(value % 10))); // 48 = '0'のASCIIコード
+            value /= 10;
+        }
+        return string(buffer);
+    }
+}
@@ -0,0 +1,156 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol"; // ERC-20トークンの安全な送受信
+
+/**
+ * @title Web3MintPayments
+ * @notice ERC-20トークン払い・ダッチオークションの料金計算を行うライブラリ
+ * @dev external 関数はデプロイ時にリンクされる外部ライブラリとして呼び出される（Web3MintMetadata と同じ方式）
+ *
+ * 【状態の置き場所】
+ * トークンの料金・オークションの設定は Web3Mint のストレージに置き、ライブラリには storage 参照で渡す
+ *
+ * 【注意】
+ * - DELEGATECALL で呼ばれるので、トークンの送金元は呼び出し元（Web3Mint やプロキシ）になる
+ * - ここで発行するイベント・エラーは、ABIに載るように Web3Mint にも同じものを定義している
+ */
+library Web3MintPayments {
+    using SafeERC20 for IERC20;
+
+    /// @notice ダッチオークション（時間とともに料金が下がる販売方式）の設定
+    struct DutchAuction {
+        uint128 startPrice; // 開始料金（wei単位、0 = オークションを使わず mintPrice で販売）
+        uint128 floorPrice; // 最低料金（wei単位、これより下がらない）
+        uint128 priceDrop; // 1回あたりの値下げ額（wei単位）
+        uint64 dropInterval; // 値下げの間隔（秒）
+        uint64 startTime; // 値下げを始める日時（Unixタイムスタンプ、それまでは開始料金）
+    }
+
+    event PaymentTokenUpdated(address indexed token, uint256 price);
+    event TokenWithdrawn(address indexed token, address indexed to, uint256 amount);
+    event DutchAuctionUpdated(
+        uint128 startPrice,
+        uint128 floorPrice,
+        uint128 priceDrop,
+        uint64 dropInterval,
+        uint64 startTime
+    );
+
+    error UnsupportedPaymentToken(address token);
+    error InvalidAuctionConfig();
+
+    /**
+     * 💰 支払いに使えるERC-20トークンの料金を設定する
+     *
+     * 【一覧の管理】
+     * - 新しいトークンに料金を設定すると一覧に追加
+     * - 料金に0を設定すると一覧から削除（最後の要素を削除する位置に移して、末尾を取り除く）
+     *
+     * @param prices トークンごとの料金（Web3Mint の tokenMintPrice）
+     * @param tokens 支払いに使えるトークンの一覧（Web3Mint の _paymentTokens）
+     * @param token ERC-20トークンのアドレス
+     * @param price ミント料金（トークンの最小単位）
+     */
+    function setPaymentToken(
+        mapping(address => uint256) storage prices,
+        address[] storage tokens,
+        address token,
+        uint256 price
+    ) external {
+        if (token == address(0)) revert UnsupportedPaymentToken(token);
+
+        if (prices[token] == 0 && price != 0) {
+            tokens.push(token);
+        } else if (prices[token] != 0 && price == 0) {
+            for (uint256 i = 0; i < tokens.length; i++) {
+                if (tokens[i] == token) {
+                    tokens[i] = tokens[tokens.length - 1];
+                    tokens.pop();
+                    break;
+                }
+            }
+        }
+
+        prices[token] = price;
+        emit PaymentTokenUpdated(token, price);
+    }
+
+    /**
+     * 💰 ミント料金をトークンで受け取る（approve が足りなければ失敗）
+     * @param prices トークンごとの料金（Web3Mint の tokenMintPrice）
+     * @param token 支払いに使うERC-20トークンのアドレス
+     * @param payer 料金を支払うアドレス
+     */
+    function collectToken(
+        mapping(address => uint256) storage prices,
+        address token,
+        address payer
+    ) external {
+        uint256 price = prices[token];
+        if (price == 0) revert UnsupportedPaymentToken(token);
+        IERC20(token).safeTransferFrom(payer, address(this), price);
+    }
+
+    /**
+     * 🏦 トークンの残高を全額送金する
+     * @param token ERC-20トークンのアドレス
+     * @param to 送金先
+     */
+    function withdrawToken(address token, address to) external {
+        uint256 balance = IERC20(token).balanceOf(address(this));
+        require(balance > 0, "No funds to withdraw");
+
+        IERC20(token).safeTransfer(to, balance);
+        emit TokenWithdrawn(token, to, balance);
+    }
+
+    /**
+     * 📉 ダッチオークションの設定を保存する
+     *
+     * 【設定のチェック】
+     * 開始料金が0（無効）でなければ、最低料金 ≦ 開始料金、値下げ間隔 > 0 であること
+     *
+     * @param auction 保存先（Web3Mint の dutchAuction）
+     * @param config 新しい設定
+     */
+    function setDutchAuction(DutchAuction storage auction, DutchAuction calldata config) external {
+        if (config.startPrice != 0 && (config.floorPrice > config.startPrice || config.dropInterval == 0)) {
+            revert InvalidAuctionConfig();
+        }
+        auction.startPrice = config.startPrice;
+        auction.floorPrice = config.floorPrice;
+        auction.priceDrop = config.priceDrop;
+        auction.dropInterval = config.dropInterval;
+        auction.startTime = config.startTime;
+        emit DutchAuctionUpdated(
+            config.startPrice,
+            config.floorPrice,
+            config.priceDrop,
+            config.dropInterval,
+            config.startTime
+        );
+    }
+
+    /**
+     * 📖 現在の一般販売の料金（1枚あたり）を計算する
+     *
+     * 【料金の決まり方】
+     * - ダッチオークションが無効（startPrice = 0）→ mintPrice
+     * - 値下げ開始前 → 開始料金
+     * - 値下げ開始後 → 値下げ間隔ごとに priceDrop ずつ下がり、最低料金で止まる
+     *
+     * @param auction オークションの設定（Web3Mint の dutchAuction）
+     * @param mintPrice オークションを使わない時の料金
+     * @return 料金（wei単位）
+     */
+    function currentPrice(DutchAuction storage auction, uint256 mintPrice) external view returns (uint256) {
+        DutchAuction memory config = auction;
+        if (config.startPrice == 0) return mintPrice;
+        if (block.timestamp <= config.startTime) return config.startPrice;
+
+        uint256 drop = ((block.timestamp - config.startTime) / config.dropInterval) * config.priceDrop;
+        if (drop >= config.startPrice - config.floorPrice) return config.floorPrice;
+        return config.startPrice - drop;
+    }
+}
@@ -0,0 +1,44 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "./SSTORE2.sol"; // 大きなデータ（SVG）をコントラクトのコードとして保存するライブラリ
+
+/**
+ * @title Web3MintSVG
+ * @notice オンチェーンSVGを分割して保存・読み出しするライブラリ
+ * @dev external 関数はデプロイ時にリンクされる外部ライブラリとして呼び出される（Web3MintMetadata と同じ方式）
+ *
+ * 【保存方法】
+ * SVGを SSTORE2.MAX_CHUNK_SIZE ごとに分割し、それぞれを別のコントラクトのコードとして保存する。
+ * 保存先のアドレス（ポインタ）の配列は Web3Mint のストレージに置き、ライブラリには storage 参照で渡す
+ *
+ * 【注意】
+ * DELEGATECALL で呼ばれるので、SSTORE2 のコントラクトは呼び出し元（Web3Mint やプロキシ）が作成したことになる
+ */
+library Web3MintSVG {
+    /**
+     * 💾 SVGを分割して保存し、ポインタを chunks に追加する
+     * @param chunks 保存先のポインタの配列（Web3Mint の _svgChunks[tokenId]）
+     * @param svg SVGのバイト列
+     */
+    function write(address[] storage chunks, bytes calldata svg) external {
+        for (uint256 offset = 0; offset < svg.length; offset += SSTORE2.MAX_CHUNK_SIZE) {
+            uint256 end = offset + SSTORE2.MAX_CHUNK_SIZE;
+            if (end > svg.length) end = svg.length;
+            chunks.push(SSTORE2.write(svg[offset:end]));
+        }
+    }
+
+    /**
+     * 📖 保存したSVGを順番につなげて読み出す
+     * @param chunks write で保存したポインタの配列
+     * @return svg SVGの文字列（chunks が空なら空文字）
+     */
+    function read(address[] storage chunks) external view returns (string memory svg) {
+        bytes memory data;
+        for (uint256 i = 0; i < chunks.length; i++) {
+            data = bytes.concat(data, SSTORE2.read(chunks[i]));
+        }
+        svg = string(data);
+    }
+}
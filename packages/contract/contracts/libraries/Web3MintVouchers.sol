@@ -0,0 +1,113 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol"; // 署名から署名者のアドレスを復元する
+import "@openzeppelin/contracts/utils/cryptography/MessageHashUtils.sol"; // EIP-712のハッシュを作る
+
+/**
+ * @title Web3MintVouchers
+ * @notice レイジーミント用のミント引換券（EIP-712署名付きバウチャー）を検証するライブラリ
+ * @dev external 関数はデプロイ時にリンクされる外部ライブラリとして呼び出される（Web3MintMetadata と同じ方式）
+ *
+ * 【レイジーミントとは？】
+ * - 作成者はガス代を払わず、「このメタデータをこの料金でミントしてよい」という引換券にウォレットで署名するだけ
+ * - 買う人が引換券と署名を redeem に渡してミントし、料金は作成者に送られる
+ * - ミントのガス代は買う人が払うので、売れるまで作成者の負担はない
+ *
+ * 【EIP-712とは？】
+ * 構造化されたデータに署名する規格。MetaMaskに「何に署名するのか」が項目ごとに表示される。
+ * ドメイン（name / version / chainId / verifyingContract）を含めて署名するので、
+ * 別のネットワークや別のコントラクトでは同じ署名を使い回せない
+ *
+ * 【フロントエンドとの対応】
+ * client/src/utils/voucher.js の VOUCHER_DOMAIN_NAME / VOUCHER_DOMAIN_VERSION / VOUCHER_TYPES と同じ値にする
+ */
+library Web3MintVouchers {
+    /// @notice ミント引換券の中身
+    struct MintVoucher {
+        string metadataURI; // ミントするNFTのメタデータURI（IPFSにアップロード済み）
+        uint256 price; // 買う人が支払う料金（wei単位、全額が作成者に送られる。一般販売の料金 currentPrice 以上）
+        address creator; // 作成者（署名したアドレス・料金とロイヤリティの受取人）
+        uint64 expiry; // 有効期限（Unixタイムスタンプ、これを過ぎると使えない）
+        uint256 nonce; // 作成者ごとの番号（同じ引換券を2回使えないようにする）
+    }
+
+    /// @notice 署名の対象となる型の定義（EIP-712の typeHash）
+    bytes32 internal constant VOUCHER_TYPEHASH =
+        keccak256("MintVoucher(string metadataURI,uint256 price,address creator,uint64 expiry,uint256 nonce)");
+
+    /// @dev EIP-712のドメインの型の定義
+    bytes32 private constant DOMAIN_TYPEHASH =
+        keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+
+    // ⚠️ エラー（ABIに載るように Web3Mint にも同じものを定義している）
+    error VoucherExpired();
+    error InvalidVoucherSignature();
+    error VoucherAlreadyRedeemed();
+    error VoucherPriceTooLow();
+    error InvalidTokenURI();
+
+    /**
+     * 🎫 引換券を確認して使用済みにする
+     *
+     * 【チェック内容】
+     * - 有効期限内か（VoucherExpired）
+     * - 署名したのが引換券の作成者か（InvalidVoucherSignature）
+     * - 同じ作成者・nonce の引換券がまだ使われていないか（VoucherAlreadyRedeemed）
+     * - 料金が下限以上か（VoucherPriceTooLow）
+     * - メタデータURIが空でないか（InvalidTokenURI）
+     *
+     * @param redeemed 作成者 → nonce → 使用済みか（Web3Mint の voucherRedeemed）
+     * @param voucher ミント引換券
+     * @param signature 作成者のEIP-712署名
+     * @param minPrice 料金の下限（Web3Mint の currentPrice）
+     */
+    function consume(
+        mapping(address => mapping(uint256 => bool)) storage redeemed,
+        MintVoucher calldata voucher,
+        bytes calldata signature,
+        uint256 minPrice
+    ) external {
+        if (block.timestamp > voucher.expiry) revert VoucherExpired();
+        if (recoverSigner(voucher, signature) != voucher.creator) revert InvalidVoucherSignature();
+        if (redeemed[voucher.creator][voucher.nonce]) revert VoucherAlreadyRedeemed();
+        if (voucher.price < minPrice) revert VoucherPriceTooLow();
+        if (bytes(voucher.metadataURI).length == 0) revert InvalidTokenURI();
+
+        redeemed[voucher.creator][voucher.nonce] = true;
+    }
+
+    /**
+     * 🔏 引換券に署名したアドレスを復元する
+     *
+     * 【注意】
+     * DELEGATECALL で呼ばれるので、address(this) は呼び出し元（Web3Mint やプロキシ）のアドレスになる
+     *
+     * @param voucher ミント引換券
+     * @param signature 作成者の署名（65バイト）
+     * @return signer 署名したアドレス（署名の形式が正しくない場合は address(0)）
+     */
+    function recoverSigner(
+        MintVoucher calldata voucher,
+        bytes calldata signature
+    ) public view returns (address signer) {
+        bytes32 structHash = keccak256(abi.encode(
+            VOUCHER_TYPEHASH,
+            keccak256(bytes(voucher.metadataURI)), // 文字列はハッシュにしてから並べる（EIP-712の決まり）
+            voucher.price,
+            voucher.creator,
+            voucher.expiry,
+            voucher.nonce
+        ));
+        bytes32 domainSeparator = keccak256(abi.encode(
+            DOMAIN_TYPEHASH,
+            keccak256("Web3Mint"),
+            keccak256("1"),
+            block.chainid,
+            address(this)
+        ));
+
+        // tryRecover = 不正な署名でもエラーにせず address(0) を返す（Web3Mint 側のエラーにそろえるため）
+        (signer, , ) = ECDSA.tryRecover(MessageHashUtils.toTypedDataHash(domainSeparator, structHash), signature);
+    }
+}
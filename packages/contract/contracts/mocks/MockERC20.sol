@@ -0,0 +1,40 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/**
+ * 🧪 テスト・ローカル開発用：誰でも発行できるERC-20トークン
+ *
+ * 【このコントラクトの役割】
+ * USDCのような支払い用トークンの代わりに使い、
+ * ERC-20でのミント料金の支払い（approve + transferFrom）を確認します。
+ * 小数の桁数（decimals）はデプロイ時に決められます（USDCと同じ6桁など）。
+ */
+contract MockERC20 is ERC20 {
+    /// @dev 小数の桁数
+    uint8 private immutable _decimals;
+
+    /**
+     * @param name_ トークン名
+     * @param symbol_ シンボル
+     * @param decimals_ 小数の桁数
+     */
+    constructor(string memory name_, string memory symbol_, uint8 decimals_) ERC20(name_, symbol_) {
+        _decimals = decimals_;
+    }
+
+    /// @inheritdoc ERC20
+    function decimals() public view override returns (uint8) {
+        return _decimals;
+    }
+
+    /**
+     * 🪙 トークンを発行する（テスト用なので誰でも呼び出せる）
+     * @param to 受取人
+     * @param amount 発行する量（最小単位）
+     */
+    function mint(address to, uint256 amount) external {
+        _mint(to, amount);
+    }
+}
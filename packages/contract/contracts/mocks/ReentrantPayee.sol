@@ -0,0 +1,50 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+/// @dev テストで使う release だけのインターフェース
+interface IPaymentRelease {
+    function release(address payable account) external;
+}
+
+/**
+ * 🧪 テスト用：受け取り中に release を再び呼び出そうとする受取人
+ *
+ * 【このコントラクトの役割】
+ * 送金を受け取った瞬間（receive）に release をもう一度呼び出し、
+ * ReentrancyGuard が二重の受け取りを防ぐことを確認します。
+ *
+ * - swallowReentry = false: 再呼び出しの失敗がそのまま伝わり、送金全体が取り消される
+ * - swallowReentry = true : 再呼び出しの失敗を握りつぶし、1回分だけ受け取る
+ */
+contract ReentrantPayee {
+    /// @notice 攻撃対象（PaymentSplitter）
+    IPaymentRelease public immutable target;
+
+    /// @notice 再呼び出しの失敗を握りつぶすかどうか
+    bool public swallowReentry;
+
+    /// @notice 再呼び出しが拒否されたかどうか
+    bool public reentryBlocked;
+
+    /// @notice これまでに受け取った額
+    uint256 public received;
+
+    constructor(IPaymentRelease _target) {
+        target = _target;
+    }
+
+    function setSwallowReentry(bool value) external {
+        swallowReentry = value;
+    }
+
+    receive() external payable {
+        received += msg.value;
+        if (swallowReentry) {
+            try target.release(payable(address(this))) {} catch {
+                reentryBlocked = true;
+            }
+        } else {
+            target.release(payable(address(this)));
+        }
+    }
+}
@@ -0,0 +1,41 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
+import "@openzeppelin/contracts/token/ERC721/IERC721Receiver.sol";
+
+/// @dev テストで使う mintSoulboundNFT だけのインターフェース
+interface ISoulboundMint {
+    function mintSoulboundNFT(
+        string memory name,
+        string memory description,
+        string memory ipfsHash,
+        string memory metadataURI
+    ) external payable;
+}
+
+/**
+ * 🧪 テスト用：受け取った瞬間にソウルバウンドNFTを転送しようとするコントラクト
+ *
+ * 【このコントラクトの役割】
+ * _safeMint の受け取り確認（onERC721Received）の中で、届いたNFTを別のアドレスへ転送しようとし、
+ * ミントが終わる前からロックされていて転送できないことを確認します。
+ */
+contract SoulboundReceiver is IERC721Receiver {
+    /// @notice 転送先
+    address public immutable recipient;
+
+    constructor(address _recipient) {
+        recipient = _recipient;
+    }
+
+    /// @notice 自分宛てにソウルバウンドNFTをミントする
+    function mint(ISoulboundMint target) external payable {
+        target.mintSoulboundNFT{value: msg.value}("Badge", "Soulbound", "QmBadge", "ipfs://QmBadgeMeta");
+    }
+
+    function onERC721Received(address, address, uint256 tokenId, bytes calldata) external returns (bytes4) {
+        IERC721(msg.sender).transferFrom(address(this), recipient, tokenId);
+        return IERC721Receiver.onERC721Received.selector;
+    }
+}
@@ -0,0 +1,26 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "../Web3MintUpgradeable.sol";
+
+/**
+ * 🧪 テスト用：アップグレード先の Web3Mint v2
+ *
+ * 【このコントラクトの役割】
+ * アップグレード後もNFTや設定が引き継がれることを確認するためのコントラクトです。
+ * 新しい状態変数は、ストレージレイアウトのルールどおり最後に追加しています。
+ */
+contract Web3MintV2Mock is Web3MintUpgradeable {
+    /// @notice v2で追加した状態変数
+    uint256 public v2Counter;
+
+    /// @inheritdoc Web3MintUpgradeable
+    function version() public pure override returns (string memory) {
+        return "2.0.0";
+    }
+
+    /// @notice v2で追加した関数
+    function incrementV2Counter() external {
+        v2Counter += 1;
+    }
+}
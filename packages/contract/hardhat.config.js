@@ -2,6 +2,8 @@
 require("@nomicfoundation/hardhat-toolbox");
 // ? ϐǂݍނ߂dotenvCuC|[g
 require("dotenv").config({ path: "./.env" });
+// ? Ήlbg[N̈ꗗitgGhƋLj
+const { NETWORKS } = require("networks");
 
 /**
  * ?? ETH-NFT-MakervWFNgpHardhatݒt@C
@@ -19,16 +21,17 @@ require("dotenv").config({ path: "./.env" });
  *
  * yT|[g@\z
  * ? [JJiHardhatlbg[Nj
- * ? SepoliaeXglbgfvCiAlchemyoRj
+ * ? Sepolia / Holesky / Base Sepolia / Clbgւ̃fvCipackages/networks ̈ꗗ玩j
  * ? ϐɂSȔ閧Ǘ
  * ? RgNgœKݒ
  * ? KXgpʃ|[g
  * ? Etherscanł̃RgNg
  *
  * yKvȊϐz
- * - ALCHEMY_API_KEY: AlchemyAPIL[iSepolialbg[Npj
+ * - ALCHEMY_API_KEY: AlchemyAPIL[iIvVAݒ肷AlchemyoRŐڑj
  * - PRIVATE_KEY: EHbg̔閧i0xvtBbNXȂj
- * - SEPOLIA_RPC_URL: Sepolia RPC URLiIvVAftHgAlchemyj
+ * - <lbg[N>_RPC_URL: RPC URLiIvVAFSEPOLIA_RPC_URLABASE_SEPOLIA_RPC_URLj
+ *   ݒȂAlchemyAȂΌJRPCgp
  * - ETHERSCAN_API_KEY: Etherscan APIL[iRgNgؗpj
  *
  * ySҌz
@@ -38,6 +41,35 @@ require("dotenv").config({ path: "./.env" });
  * - 閧 = EHbǵupX[hvi΂ɑlɋĂ͂Ȃj
  */
 
+/**
+ * ? lbg[NꗗHardhat̃lbg[Nݒ֐
+ *
+ * yRPC URL̗D揇ʁz
+ * 1. <envPrefix>_RPC_URLiFSEPOLIA_RPC_URLj
+ * 2. ALCHEMY_API_KEY AlchemyURL
+ * 3. ꗗɏꂽJRPC
+ *
+ * @param {Object} network - packages/networks ̃lbg[Nݒ
+ */
+const toHardhatNetwork = (network) => {
+  const alchemyUrl = process.env.ALCHEMY_API_KEY && network.alchemyNetwork
+    ? `https://${network.alchemyNetwork}.g.alchemy.com/v2/${process.env.ALCHEMY_API_KEY}`
+    : null;
+
+  return {
+    // ? RPC URLiubN`F[Ƃ̒ʐMGh|Cgj
+    url: process.env[`${network.envPrefix}_RPC_URL`] || alchemyUrl || network.rpcUrl,
+    // ? fvCɎgpAJEgi閧琶j
+    accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : [],
+    chainId: network.chainId,
+    gasPrice: "auto",                   // KXiݒ
+    gas: "auto",                        // KXݒ
+  };
+};
+
+// ? Õlbg[NiHardhatlbg[NȊOj
+const remoteNetworks = Object.values(NETWORKS).filter((network) => network.key !== "hardhat");
+
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
   // ? SolidityRpC̐ݒ
@@ -49,6 +81,11 @@ module.exports = {
         runs: 200,                        // œK̎s񐔁iقǎsKX팸AȂقǃfvCKX팸j
       },
       viaIR: true,                        // ԕ\gpĂǂœK
+      outputSelection: {                  // RpCʂɒǉŏo͂
+        "*": {
+          "*": ["storageLayout"],          // ԕϐ̔zuiAbvO[h̃`FbNɎgpj
+        },
+      },
     },
   },
 
@@ -56,7 +93,7 @@ module.exports = {
   networks: {
     // ? [JJlbg[NiHardhatj
     hardhat: {
-      chainId: 31337,                     // [Jlbg[Ñ`F[ID
+      chainId: NETWORKS.hardhat.chainId,  // [Jlbg[Ñ`F[IDi31337j
       // yz
       // - SɃ[JœiC^[lbgsvj
       // - ŃeXg\
@@ -64,28 +101,21 @@ module.exports = {
       // - fobO@\Lx
     },
 
-    // ? SepoliaeXglbg[Nݒ
-    sepolia: {
-      // ? RPC URLiubN`F[Ƃ̒ʐMGh|Cgj
-      url: process.env.SEPOLIA_RPC_URL || `https://eth-sepolia.g.alchemy.com/v2/${process.env.ALCHEMY_API_KEY}`,
-      // ? fvCɎgpAJEgi閧琶j
-      accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : [],
-      chainId: 11155111,                  // Sepoliã`F[ID
-      gasPrice: "auto",                   // KXiݒ
-      gas: "auto",                        // KXݒ
-      // yz
-      // - ۂEthereumlbg[Nɋ߂
-      // - ̃eXgETHgp
-      // - EtherscanŊmF\
-      // - {Ԋւ̍ŏIeXgɍœK
-    },
+    // ? Sepolia / Holesky / Base Sepolia / Clbg
+    // yz
+    // - packages/networks ̈ꗗ玩inpx hardhat run scripts/deploy.js --network baseSepolia ̂悤Ɏwj
+    // - eXglbgł͖̃eXgETHgp
+    // - EtherscaniBase SepoliaBasescanjŊmF\
+    ...Object.fromEntries(
+      remoteNetworks.map((network) => [network.key, toHardhatNetwork(network)])
+    ),
   },
 
   // ? Etherscanł̃RgNgؐݒiIvVj
   etherscan: {
-    apiKey: {
-      sepolia: process.env.ETHERSCAN_API_KEY || "",
-    },
+    apiKey: Object.fromEntries(
+      remoteNetworks.map((network) => [network.key, process.env.ETHERSCAN_API_KEY || ""])
+    ),
     // yRgNg؂Ƃ́Hz
     // - fvCRgNg̃\[XR[hEtherscanŌJ
     // - [U[RgNg̓emFł
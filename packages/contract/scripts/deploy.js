@@ -2,6 +2,12 @@
 const hre = require("hardhat");
 // 📦 Ethers.jsライブラリをインポート（ブロックチェーンとの通信用）
 const { ethers } = hre;
+// 🌐 対応ネットワークの一覧（エクスプローラーのURLなど）
+const { getNetworkByChainId, getExplorerUrl } = require("networks");
+// 📦 デプロイ記録（マニフェスト）の書き出し
+const { writeDeployment } = require("./deployments");
+// 📚 外部ライブラリのデプロイとリンク
+const { deployLibraries, getLinkedFactory } = require("./libraries");
 
 /**
  * 🚀 Web3Mint NFTコントラクト デプロイスクリプト
@@ -20,13 +26,14 @@ const { ethers } = hre;
  * 【使用方法】
  * ローカル開発: npx hardhat run scripts/deploy.js
  * Sepoliaテストネット: npx hardhat run scripts/deploy.js --network sepolia
+ * その他: --network holesky / baseSepolia / mainnet（packages/networks に登録されたネットワーク）
  *
  * 【実行される処理】
  * 1. デプロイ環境の確認（アドレス、残高、ネットワーク）
  * 2. コントラクトのコンパイル
- * 3. ブロックチェーンへのデプロイ
+ * 3. 外部ライブラリ（Web3MintMetadata / Web3MintVouchers / Web3MintSVG など、scripts/libraries.js の一覧）とコントラクトのデプロイ
  * 4. デプロイ結果の確認と表示
- * 5. フロントエンド用設定情報の出力
+ * 5. デプロイ記録（packages/networks/deployments、ABIを含む）の書き出し
  * 6. テスト環境での動作確認
  *
  * 【初心者向け解説】
@@ -55,8 +62,11 @@ async function main() {
     const network = await ethers.provider.getNetwork();
     console.log(`  チェーンID: ${network.chainId}`);
 
-    // ⛽ ガス価格を取得（Sepoliaテストネットの場合）
-    if (hre.network.name === "sepolia") {
+    // 📚 ネットワーク一覧の設定（一覧にないチェーンならnull）
+    const networkConfig = getNetworkByChainId(network.chainId);
+
+    // ⛽ ガス価格を取得（エクスプローラーのある公開ネットワークの場合）
+    if (networkConfig?.explorerUrl) {
       const gasPrice = await ethers.provider.getFeeData();
       console.log(`  推定ガス価格: ${ethers.formatUnits(gasPrice.gasPrice, "gwei")} gwei`);
       // 【ガス価格とは？】
@@ -68,8 +78,15 @@ async function main() {
     // 📦 コントラクトのコンパイル開始
     console.log("\n📦 コントラクトをコンパイル中...");
 
-    // 🏭 コントラクトファクトリーを取得（コントラクトの「設計図」）
-    const Web3Mint = await ethers.getContractFactory("Web3Mint");
+    // 📚 外部ライブラリを先にデプロイ（Web3Mint のバイトコードにアドレスを埋め込む）
+    console.log("⏳ 外部ライブラリをデプロイ中...");
+    const libraries = await deployLibraries(hre);
+    for (const [libraryName, libraryAddress] of Object.entries(libraries)) {
+      console.log(`  ${libraryName}: ${libraryAddress}`);
+    }
+
+    // 🏭 コントラクトファクトリーを取得（コントラクトの「設計図」、ライブラリをリンク済み）
+    const Web3Mint = await getLinkedFactory(hre, "Web3Mint", libraries);
 
     console.log("⏳ Web3Mintコントラクトをデプロイ中...");
 
@@ -90,41 +107,65 @@ async function main() {
     // 📊 コントラクトの基本情報を取得・表示
     const name = await web3Mint.name();
     const symbol = await web3Mint.symbol();
-    const owner = await web3Mint.owner();
+    const isAdmin = await web3Mint.hasRole(await web3Mint.DEFAULT_ADMIN_ROLE(), deployerAddress);
     const mintPrice = await web3Mint.mintPrice();
     const maxSupply = await web3Mint.MAX_SUPPLY();
 
     console.log("\n🔍 コントラクト詳細:");
     console.log(`  名前: ${name}`);
     console.log(`  シンボル: ${symbol}`);
-    console.log(`  所有者: ${owner}`);
+    console.log(`  管理者（全ての役割）: ${isAdmin ? deployerAddress : "なし"}`);
     console.log(`  ミント料金: ${ethers.formatEther(mintPrice)} ETH`);
     console.log(`  最大供給量: ${maxSupply}`);
 
-    // 🔗 Sepoliaテストネットの場合、Etherscanリンクを表示
-    if (hre.network.name === "sepolia") {
-      console.log("\n🔗 Etherscan リンク:");
-      console.log(`  コントラクト: https://sepolia.etherscan.io/address/${contractAddress}`);
-      console.log(`  デプロイTx: https://sepolia.etherscan.io/tx/${web3Mint.deploymentTransaction().hash}`);
+    // 🔗 公開ネットワークの場合、ブロックエクスプローラーのリンクを表示
+    if (networkConfig?.explorerUrl) {
+      console.log("\n🔗 ブロックエクスプローラー リンク:");
+      console.log(`  コントラクト: ${getExplorerUrl(networkConfig, "address", contractAddress)}`);
+      console.log(`  デプロイTx: ${getExplorerUrl(networkConfig, "tx", web3Mint.deploymentTransaction().hash)}`);
 
       // 📝 コントラクト検証用のコマンドを表示
       console.log("\n📝 コントラクト認証コマンド:");
-      console.log(`npx hardhat verify --network sepolia ${contractAddress}`);
+      for (const libraryAddress of Object.values(libraries)) {
+        console.log(`npx hardhat verify --network ${hre.network.name} ${libraryAddress}`);
+      }
+      console.log(`npx hardhat verify --network ${hre.network.name} ${contractAddress}`);
       // 【コントラクト認証とは？】
       // - デプロイしたコントラクトのソースコードをEtherscanで公開
       // - ユーザーがコントラクトの内容を確認できる
       // - 透明性と信頼性の向上
     }
 
-    // 🔧 フロントエンドアプリケーション用の環境変数を表示
-    console.log("\n🔧 フロントエンド用環境変数:");
-    console.log(`REACT_APP_CONTRACT_ADDRESS=${contractAddress}`);
-    console.log(`REACT_APP_NETWORK_NAME=${hre.network.name}`);
-    console.log(`REACT_APP_CHAIN_ID=${network.chainId}`);
-    // 【これらの変数の用途】
-    // - フロントエンドがコントラクトと通信するために必要
-    // - .envファイルに追加して使用
-    // - ネットワーク切り替え時の自動設定に使用
+    // 📦 デプロイ記録を書き出す（フロントエンドがアドレスとABIを直接読み込む）
+    // 【注意】--network なしの hardhat ネットワークは実行が終わると消えるため記録しない
+    if (networkConfig && hre.network.name !== "hardhat") {
+      const receipt = await web3Mint.deploymentTransaction().wait();
+      const { manifest, file } = await writeDeployment(hre, {
+        networkKey: networkConfig.key,
+        contractName: "Web3Mint",
+        address: contractAddress,
+        blockNumber: receipt.blockNumber,
+        transactionHash: receipt.hash,
+        deployer: deployerAddress,
+        libraries
+      });
+
+      console.log("\n📦 デプロイ記録を保存しました:");
+      console.log(`  ファイル: ${file}`);
+      console.log(`  ブロック番号: ${manifest.blockNumber}`);
+      console.log(`  ABIハッシュ: ${manifest.abiHash}`);
+      console.log(`  バイトコードハッシュ: ${manifest.deployedBytecodeHash}`);
+      console.log(`  コンパイラ: solc ${manifest.compiler.version}（viaIR: ${manifest.compiler.viaIR}）`);
+      console.log("  フロントエンドを再ビルドすると、このアドレスが使われます");
+      // 【デプロイ記録の用途】
+      // - 環境変数を手で書き換えなくても、フロントエンドが新しいアドレスを使う
+      // - ABI・バイトコードが食い違う場合、フロントエンドはミントを止める
+    } else {
+      // 🔧 記録しないネットワークでは、フロントエンド用環境変数を表示
+      console.log("\n🔧 フロントエンド用環境変数:");
+      console.log(`REACT_APP_CONTRACT_ADDRESS=${contractAddress}`);
+      console.log(`REACT_APP_NETWORK_NAME=${hre.network.name}`);
+    }
 
     // 🧪 ローカル開発環境でのテストミント実行
     if (hre.network.name === "hardhat" || hre.network.name === "localhost") {
@@ -132,7 +173,7 @@ async function main() {
 
       // テスト用のメタデータURIを設定
       const testTokenURI = "https://example.com/metadata/1.json";
-      // 所有者権限でテストNFTをミント
+      // MINTER_ROLE（デプロイ者が持っている）でテストNFTをミント
       const mintTx = await web3Mint.ownerMint(deployerAddress, testTokenURI);
       // トランザクションの完了を待機
       await mintTx.wait();
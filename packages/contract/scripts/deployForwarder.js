@@ -0,0 +1,85 @@
+// 🛠️ Hardhat開発環境をインポート
+const hre = require("hardhat");
+// 📦 Ethers.jsライブラリをインポート（ブロックチェーンとの通信用）
+const { ethers } = hre;
+// 🌐 対応ネットワークの一覧（エクスプローラーのURLなど）
+const { getNetworkByChainId, getExplorerUrl } = require("networks");
+// 📦 デプロイ記録の読み込み
+const { readDeployment } = require("./deployments");
+
+/**
+ * ⛽ ガスレスミント用フォワーダー デプロイスクリプト
+ *
+ * 【このスクリプトの役割】
+ * Web3MintForwarder（ERC-2771のフォワーダー）をデプロイし、
+ * Web3Mint の setTrustedForwarder に設定して、ガスレスミントを使えるようにします。
+ * フロントエンドとリレイヤー（packages/relayer）は Web3Mint の trustedForwarder() からアドレスを読むので、
+ * デプロイ記録を書き換える必要はありません。
+ *
+ * 【使用方法】
+ * npx hardhat run scripts/deployForwarder.js --network sepolia
+ * デプロイ記録のないコントラクトに設定する場合: WEB3MINT_ADDRESS=0x... npx hardhat run scripts/deployForwarder.js --network localhost
+ *
+ * 【実行される処理】
+ * 1. デプロイ記録（packages/networks/deployments）から Web3Mint（またはプロキシ）のアドレスを読み込む
+ * 2. Web3MintForwarder をデプロイ
+ * 3. Web3Mint の setTrustedForwarder で信頼するフォワーダーに設定（DEFAULT_ADMIN_ROLE が必要）
+ */
+async function main() {
+  try {
+    console.log("⛽ ガスレスミント用のフォワーダーをデプロイします...");
+
+    const [deployer] = await ethers.getSigners();
+    const network = await ethers.provider.getNetwork();
+    const networkConfig = getNetworkByChainId(network.chainId);
+
+    // 📖 1. 設定先の Web3Mint を探す
+    const deployment = networkConfig && readDeployment(networkConfig.key);
+    const web3MintAddress = process.env.WEB3MINT_ADDRESS || deployment?.address;
+    if (!web3MintAddress) {
+      throw new Error(
+        `${hre.network.name} に Web3Mint のデプロイ記録がありません（先に scripts/deploy.js を実行するか、WEB3MINT_ADDRESS を指定してください）`
+      );
+    }
+    console.log(`  Web3Mint: ${web3MintAddress}`);
+    console.log(`  デプロイアドレス: ${deployer.address}`);
+
+    // 🚀 2. フォワーダーをデプロイ
+    console.log("\n⏳ Web3MintForwarder をデプロイ中...");
+    const Forwarder = await ethers.getContractFactory("Web3MintForwarder");
+    const forwarder = await Forwarder.deploy();
+    await forwarder.waitForDeployment();
+    const forwarderAddress = await forwarder.getAddress();
+    console.log(`  フォワーダー: ${forwarderAddress}`);
+
+    // 🔗 3. Web3Mint に信頼するフォワーダーとして設定
+    console.log("\n⏳ Web3Mint に設定中...");
+    const web3Mint = await ethers.getContractAt("Web3Mint", web3MintAddress, deployer);
+    const previous = await web3Mint.trustedForwarder();
+    const tx = await web3Mint.setTrustedForwarder(forwarderAddress);
+    await tx.wait();
+    if (previous !== ethers.ZeroAddress) {
+      console.log(`  以前のフォワーダー（${previous}）経由のリクエストは使えなくなりました`);
+    }
+
+    // 🔗 公開ネットワークの場合、ブロックエクスプローラーのリンクと認証コマンドを表示
+    if (networkConfig?.explorerUrl) {
+      console.log("\n🔗 ブロックエクスプローラー リンク:");
+      console.log(`  フォワーダー: ${getExplorerUrl(networkConfig, "address", forwarderAddress)}`);
+      console.log("\n📝 コントラクト認証コマンド:");
+      console.log(`npx hardhat verify --network ${hre.network.name} ${forwarderAddress}`);
+    }
+
+    console.log("\n🎉 フォワーダーの設定が完了しました！");
+    console.log("  リレイヤー（packages/relayer）を起動すると、ガスレスミントが使えます");
+  } catch (error) {
+    console.error("\n❌ フォワーダーのデプロイ中にエラーが発生しました:");
+    console.error(error);
+    process.exitCode = 1;
+  }
+}
+
+main().catch((error) => {
+  console.error("💥 予期しないエラー:", error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,101 @@
+// 🛠️ Hardhat開発環境をインポート
+const hre = require("hardhat");
+// 📦 Ethers.jsライブラリをインポート（ブロックチェーンとの通信用）
+const { ethers } = hre;
+// 🌐 対応ネットワークの一覧（エクスプローラーのURLなど）
+const { getNetworkByChainId, getExplorerUrl } = require("networks");
+// 📦 デプロイ記録の読み込み
+const { readDeployment } = require("./deployments");
+
+/**
+ * 💸 売上の分配（PaymentSplitter）デプロイスクリプト
+ *
+ * 【このスクリプトの役割】
+ * PaymentSplitter をデプロイし、Web3Mint の setPaymentSplitter に設定して、
+ * withdraw の売上が受取人に持ち分どおり分配されるようにします。
+ * フロントエンドは Web3Mint の paymentSplitter() からアドレスを読むので、
+ * デプロイ記録を書き換える必要はありません。
+ *
+ * 【使用方法】
+ * PAYEES=0xアーティスト,0xプラットフォーム SHARES=70,30 npx hardhat run scripts/deployPaymentSplitter.js --network sepolia
+ * 受取人は後から管理画面（受取人と持ち分）でも設定できます（PAYEES を省略した場合）
+ * デプロイ記録のないコントラクトに設定する場合: WEB3MINT_ADDRESS=0x... を追加
+ *
+ * 【実行される処理】
+ * 1. デプロイ記録（packages/networks/deployments）から Web3Mint（またはプロキシ）のアドレスを読み込む
+ * 2. PaymentSplitter をデプロイ（受取人の変更は Web3Mint の管理者だけができる）
+ * 3. PAYEES・SHARES があれば setPayees で受取人と持ち分を設定
+ * 4. Web3Mint の setPaymentSplitter で分配先に設定（DEFAULT_ADMIN_ROLE が必要）
+ */
+async function main() {
+  try {
+    console.log("💸 売上の分配（PaymentSplitter）をデプロイします...");
+
+    const [deployer] = await ethers.getSigners();
+    const network = await ethers.provider.getNetwork();
+    const networkConfig = getNetworkByChainId(network.chainId);
+
+    // 📖 1. 設定先の Web3Mint を探す
+    const deployment = networkConfig && readDeployment(networkConfig.key);
+    const web3MintAddress = process.env.WEB3MINT_ADDRESS || deployment?.address;
+    if (!web3MintAddress) {
+      throw new Error(
+        `${hre.network.name} に Web3Mint のデプロイ記録がありません（先に scripts/deploy.js を実行するか、WEB3MINT_ADDRESS を指定してください）`
+      );
+    }
+
+    // 👥 受取人と持ち分（カンマ区切り、同じ数だけ指定する）
+    const payees = (process.env.PAYEES || "").split(",").filter(Boolean);
+    const shares = (process.env.SHARES || "").split(",").filter(Boolean);
+    if (payees.length !== shares.length) {
+      throw new Error("PAYEES と SHARES の数が違います（例：PAYEES=0xA,0xB SHARES=70,30）");
+    }
+
+    console.log(`  Web3Mint: ${web3MintAddress}`);
+    console.log(`  デプロイアドレス: ${deployer.address}`);
+
+    // 🚀 2. PaymentSplitter をデプロイ
+    console.log("\n⏳ PaymentSplitter をデプロイ中...");
+    const PaymentSplitter = await ethers.getContractFactory("PaymentSplitter");
+    const splitter = await PaymentSplitter.deploy(web3MintAddress);
+    await splitter.waitForDeployment();
+    const splitterAddress = await splitter.getAddress();
+    console.log(`  PaymentSplitter: ${splitterAddress}`);
+
+    // 👥 3. 受取人と持ち分を設定
+    if (payees.length > 0) {
+      console.log("\n⏳ 受取人を設定中...");
+      await (await splitter.setPayees(payees, shares)).wait();
+      payees.forEach((payee, i) => console.log(`  ${payee}: ${shares[i]}`));
+    }
+
+    // 🔗 4. Web3Mint に分配先として設定
+    console.log("\n⏳ Web3Mint に設定中...");
+    const web3Mint = await ethers.getContractAt("Web3Mint", web3MintAddress, deployer);
+    const previous = await web3Mint.paymentSplitter();
+    await (await web3Mint.setPaymentSplitter(splitterAddress)).wait();
+    if (previous !== ethers.ZeroAddress) {
+      console.log(`  以前の分配先（${previous}）に残っている売上は、そちらの release で受け取ってください`);
+    }
+
+    // 🔗 公開ネットワークの場合、ブロックエクスプローラーのリンクと認証コマンドを表示
+    if (networkConfig?.explorerUrl) {
+      console.log("\n🔗 ブロックエクスプローラー リンク:");
+      console.log(`  PaymentSplitter: ${getExplorerUrl(networkConfig, "address", splitterAddress)}`);
+      console.log("\n📝 コントラクト認証コマンド:");
+      console.log(`npx hardhat verify --network ${hre.network.name} ${splitterAddress} ${web3MintAddress}`);
+    }
+
+    console.log("\n🎉 分配先の設定が完了しました！");
+    console.log("  以後の withdraw の売上は PaymentSplitter に送られ、受取人が release で受け取ります");
+  } catch (error) {
+    console.error("\n❌ PaymentSplitter のデプロイ中にエラーが発生しました:");
+    console.error(error);
+    process.exitCode = 1;
+  }
+}
+
+main().catch((error) => {
+  console.error("💥 予期しないエラー:", error);
+  process.exitCode = 1;
+});
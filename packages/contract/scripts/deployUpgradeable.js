@@ -0,0 +1,122 @@
+// 🛠️ Hardhat開発環境をインポート
+const hre = require("hardhat");
+// 📦 Ethers.jsライブラリをインポート（ブロックチェーンとの通信用）
+const { ethers } = hre;
+// 🌐 対応ネットワークの一覧（エクスプローラーのURLなど）
+const { getNetworkByChainId, getExplorerUrl } = require("networks");
+// 📦 デプロイ記録（マニフェスト）の書き出し
+const { writeDeployment } = require("./deployments");
+// 📚 外部ライブラリのデプロイとリンク
+const { deployLibraries, getLinkedFactory } = require("./libraries");
+
+/**
+ * 🔄 Web3Mint アップグレード可能版（UUPSプロキシ）デプロイスクリプト
+ *
+ * 【このスクリプトの役割】
+ * 実装コントラクト（Web3MintUpgradeable）とプロキシ（Web3MintProxy）をデプロイし、
+ * プロキシを initialize して、デプロイ記録を書き出します。
+ * ユーザーやフロントエンドが使うのはプロキシのアドレスです。
+ *
+ * 【使用方法】
+ * ローカル開発: npx hardhat run scripts/deployUpgradeable.js --network localhost
+ * Sepoliaテストネット: npx hardhat run scripts/deployUpgradeable.js --network sepolia
+ *
+ * 【その後のアップグレード】
+ * scripts/upgrade.js を使うと、アドレスとNFTをそのままに新しいプログラムへ差し替えられます
+ *
+ * 【初心者向け解説】
+ * - 実装コントラクト = プログラム本体（アップグレードで差し替わる）
+ * - プロキシ = データを保存し、アドレスが変わらない窓口
+ */
+async function main() {
+  try {
+    console.log("🚀 Web3Mint（アップグレード可能版）のデプロイを開始します...");
+
+    // 👤 デプロイ者（プロキシの管理者になる人）
+    const [deployer] = await ethers.getSigners();
+    const deployerAddress = await deployer.getAddress();
+    const network = await ethers.provider.getNetwork();
+    const networkConfig = getNetworkByChainId(network.chainId);
+
+    console.log("📋 デプロイ情報:");
+    console.log(`  デプロイアドレス: ${deployerAddress}`);
+    console.log(`  ネットワーク: ${hre.network.name}（チェーンID: ${network.chainId}）`);
+
+    // 🧩 1. 外部ライブラリと実装コントラクトをデプロイ（コンストラクタで初期化は禁止される）
+    console.log("\n⏳ 外部ライブラリをデプロイ中...");
+    const libraries = await deployLibraries(hre);
+    for (const [libraryName, libraryAddress] of Object.entries(libraries)) {
+      console.log(`  ${libraryName}: ${libraryAddress}`);
+    }
+    console.log("\n⏳ 実装コントラクト（Web3MintUpgradeable）をデプロイ中...");
+    const Web3MintUpgradeable = await getLinkedFactory(hre, "Web3MintUpgradeable", libraries);
+    const implementation = await Web3MintUpgradeable.deploy();
+    await implementation.waitForDeployment();
+    const implementationAddress = await implementation.getAddress();
+    console.log(`  実装コントラクト: ${implementationAddress}`);
+
+    // 🔀 2. プロキシをデプロイし、同じトランザクションで initialize(管理者) を実行
+    console.log("\n⏳ プロキシ（Web3MintProxy）をデプロイ中...");
+    const initData = Web3MintUpgradeable.interface.encodeFunctionData("initialize", [deployerAddress]);
+    const Web3MintProxy = await ethers.getContractFactory("Web3MintProxy");
+    const proxy = await Web3MintProxy.deploy(implementationAddress, initData);
+    await proxy.waitForDeployment();
+    const proxyAddress = await proxy.getAddress();
+    const receipt = await proxy.deploymentTransaction().wait();
+
+    // 🔍 プロキシ経由で初期化されたことを確認
+    const web3Mint = Web3MintUpgradeable.attach(proxyAddress);
+    console.log("\n✅ デプロイ完了!");
+    console.log("📋 コントラクト情報:");
+    console.log(`  プロキシアドレス（ユーザーが使うアドレス）: ${proxyAddress}`);
+    console.log(`  バージョン: ${await web3Mint.version()}`);
+    const isAdmin = await web3Mint.hasRole(await web3Mint.DEFAULT_ADMIN_ROLE(), deployerAddress);
+    console.log(`  管理者（全ての役割）: ${isAdmin ? deployerAddress : "なし"}`);
+    console.log(`  ミント料金: ${ethers.formatEther(await web3Mint.mintPrice())} ETH`);
+
+    // 🔗 公開ネットワークの場合、ブロックエクスプローラーのリンクを表示
+    if (networkConfig?.explorerUrl) {
+      console.log("\n🔗 ブロックエクスプローラー リンク:");
+      console.log(`  プロキシ: ${getExplorerUrl(networkConfig, "address", proxyAddress)}`);
+      console.log(`  実装コントラクト: ${getExplorerUrl(networkConfig, "address", implementationAddress)}`);
+      console.log("\n📝 コントラクト認証コマンド:");
+      for (const libraryAddress of Object.values(libraries)) {
+        console.log(`npx hardhat verify --network ${hre.network.name} ${libraryAddress}`);
+      }
+      console.log(`npx hardhat verify --network ${hre.network.name} ${implementationAddress}`);
+      console.log(`npx hardhat verify --network ${hre.network.name} ${proxyAddress} ${implementationAddress} ${initData}`);
+    }
+
+    // 📦 デプロイ記録を書き出す（ストレージレイアウトも保存し、アップグレード時のチェックに使う）
+    if (networkConfig && hre.network.name !== "hardhat") {
+      const { manifest, file } = await writeDeployment(hre, {
+        networkKey: networkConfig.key,
+        contractName: "Web3MintUpgradeable",
+        address: proxyAddress,
+        blockNumber: receipt.blockNumber,
+        transactionHash: receipt.hash,
+        deployer: deployerAddress,
+        proxy: { implementation: implementationAddress },
+        libraries
+      });
+      console.log("\n📦 デプロイ記録を保存しました:");
+      console.log(`  ファイル: ${file}`);
+      console.log(`  ABIハッシュ: ${manifest.abiHash}`);
+      console.log(`  実装のバイトコードハッシュ: ${manifest.deployedBytecodeHash}`);
+    } else {
+      console.log("\n🔧 フロントエンド用環境変数:");
+      console.log(`REACT_APP_CONTRACT_ADDRESS=${proxyAddress}`);
+    }
+
+    console.log("\n🎉 デプロイプロセスが正常に完了しました！");
+  } catch (error) {
+    console.error("\n❌ デプロイ中にエラーが発生しました:");
+    console.error(error);
+    process.exitCode = 1;
+  }
+}
+
+main().catch((error) => {
+  console.error("💥 予期しないエラー:", error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,174 @@
+// 📁 ファイル操作・パス操作用のNode.js標準モジュール
+const fs = require("fs");
+const path = require("path");
+// 📦 ハッシュ計算用
+const { ethers } = require("ethers");
+// 🗄️ ストレージレイアウト（プロキシのアップグレード用）
+const { getStorageLayout } = require("./storageLayout");
+
+/**
+ * 📦 デプロイ記録（マニフェスト）の書き出し
+ *
+ * 【このファイルの役割】
+ * このファイルは「建設記録の保管係」のような役割を果たします。
+ * デプロイしたコントラクトの情報をネットワークごとのJSONに書き出し、
+ * フロントエンドがそのまま読み込めるようにします。
+ *
+ * 【書き出すファイル】
+ * - packages/networks/deployments/<ネットワーク>.json … デプロイ記録
+ * - packages/networks/deployments/index.js          … 記録の一覧（自動生成）
+ * - packages/networks/deployments/storage/<ネットワーク>.json … プロキシのストレージレイアウト（アップグレード版のみ）
+ *
+ * 【ABIの置き場所】
+ * ABIはネットワークごとのデプロイ記録に入れる（フロントエンドは接続先のネットワークの記録のABIを使う）。
+ * フロントエンドに組み込まれた1つのABI（client/src/utils/Web3Mint.json）を書き換えると、
+ * 前のABIのままの他のネットワークが ABIハッシュの確認で使えなくなるため、ここでは書き換えない
+ *
+ * 【初心者向け解説】
+ * - ABIハッシュ = ABIのJSON文字列を keccak256 にかけた値（フロントエンドと同じ方法で計算）
+ * - バイトコードハッシュ = ブロックチェーン上のプログラムを keccak256 にかけた値
+ *   （プロキシの場合は、プロキシが使っている実装コントラクトのプログラム）
+ * - フロントエンドはこの2つを確認し、ビルド時と違うコントラクトにはミントしません
+ */
+
+// 📍 デプロイ記録の保存先（packages/networks/deployments）
+const DEPLOYMENTS_DIR = path.join(path.dirname(require.resolve("networks/package.json")), "deployments");
+
+// 📍 ストレージレイアウトの保存先（フロントエンドには読み込ませない）
+const STORAGE_LAYOUTS_DIR = path.join(DEPLOYMENTS_DIR, "storage");
+
+/**
+ * 🔑 ABIのハッシュを計算する関数（フロントエンドの utils/networks.js と同じ計算方法）
+ * @param {Array} abi - コントラクトのABI
+ * @returns {string} keccak256ハッシュ
+ */
+function hashAbi(abi) {
+  return ethers.id(JSON.stringify(abi));
+}
+
+/**
+ * 📝 deployments/index.js（記録の一覧）を作り直す関数
+ *
+ * 【なぜ必要？】
+ * フロントエンド（webpack）は変数を使った require を解決できないため、
+ * 存在するJSONを1つずつ require するファイルを自動生成する
+ */
+function writeDeploymentsIndex() {
+  const keys = fs.readdirSync(DEPLOYMENTS_DIR)
+    .filter((file) => file.endsWith(".json"))
+    .map((file) => path.basename(file, ".json"))
+    .sort();
+
+  const lines = [
+    "// ⚠️ このファイルは packages/contract/scripts/deploy.js が自動生成します（手で編集しないでください）",
+    "// 📦 ネットワークごとのデプロイ記録（マニフェスト）の一覧",
+    keys.length === 0
+      ? "module.exports = {};"
+      : ["module.exports = {", ...keys.map((key) => `  ${key}: require('./${key}.json'),`), "};"].join("\n")
+  ];
+  fs.writeFileSync(path.join(DEPLOYMENTS_DIR, "index.js"), `${lines.join("\n")}\n`);
+}
+
+/**
+ * 📖 保存済みのデプロイ記録を読み込む関数
+ * @param {string} networkKey - ネットワークのキー
+ * @returns {Object|null} デプロイ記録（なければnull）
+ */
+function readDeployment(networkKey) {
+  const file = path.join(DEPLOYMENTS_DIR, `${networkKey}.json`);
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : null;
+}
+
+/**
+ * 📖 保存済みのストレージレイアウトを読み込む関数
+ * @param {string} networkKey - ネットワークのキー
+ * @returns {Array|null} ストレージレイアウト（なければnull）
+ */
+function readStorageLayout(networkKey) {
+  const file = path.join(STORAGE_LAYOUTS_DIR, `${networkKey}.json`);
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : null;
+}
+
+/**
+ * 💾 デプロイ記録を書き出す関数
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre - Hardhat実行環境
+ * @param {Object} params
+ * @param {string} params.networkKey - ネットワークのキー（packages/networks と同じ）
+ * @param {string} params.contractName - コントラクト名（プロキシの場合は実装コントラクトの名前）
+ * @param {string} params.address - ユーザーが使うアドレス（プロキシの場合はプロキシのアドレス）
+ * @param {number} params.blockNumber - デプロイされたブロック番号
+ * @param {string} params.transactionHash - デプロイのトランザクションハッシュ
+ * @param {string} params.deployer - デプロイしたアドレス
+ * @param {Object<string, string>} [params.libraries] - リンクした外部ライブラリ（ライブラリ名 → アドレス）
+ * @param {Object} [params.proxy] - UUPSプロキシの場合のみ
+ * @param {string} params.proxy.implementation - 実装コントラクトのアドレス
+ * @param {Array<Object>} [params.proxy.upgrades] - これまでのアップグレードの記録
+ * @returns {Promise<{manifest: Object, file: string}>} 書き出した記録とファイルのパス
+ */
+async function writeDeployment(hre, {
+  networkKey,
+  contractName,
+  address,
+  blockNumber,
+  transactionHash,
+  deployer,
+  libraries,
+  proxy
+}) {
+  const { ethers: hreEthers } = hre;
+  const artifact = await hre.artifacts.readArtifact(contractName);
+  const buildInfo = await hre.artifacts.getBuildInfo(`${artifact.sourceName}:${contractName}`);
+  // プロキシの場合は、実際のプログラムである実装コントラクトのバイトコードを記録する
+  const deployedCode = await hreEthers.provider.getCode(proxy ? proxy.implementation : address);
+  const { chainId } = await hreEthers.provider.getNetwork();
+
+  const manifest = {
+    network: networkKey,
+    chainId: Number(chainId),
+    contractName,
+    address,
+    blockNumber,
+    transactionHash,
+    deployer,
+    deployedAt: new Date().toISOString(),
+    abi: artifact.abi,
+    abiHash: hashAbi(artifact.abi),
+    deployedBytecodeHash: ethers.keccak256(deployedCode),
+    compiler: {
+      version: buildInfo.solcVersion,
+      optimizer: buildInfo.input.settings.optimizer,
+      viaIR: Boolean(buildInfo.input.settings.viaIR),
+      evmVersion: buildInfo.input.settings.evmVersion
+    },
+    ...(libraries && { libraries }),
+    ...(proxy && {
+      proxy: { kind: "uups", implementation: proxy.implementation, upgrades: proxy.upgrades || [] }
+    })
+  };
+
+  fs.mkdirSync(DEPLOYMENTS_DIR, { recursive: true });
+  const file = path.join(DEPLOYMENTS_DIR, `${networkKey}.json`);
+  fs.writeFileSync(file, `${JSON.stringify(manifest, null, 2)}\n`);
+  writeDeploymentsIndex();
+
+  // 🗄️ プロキシの場合は、次のアップグレードのチェック用にストレージレイアウトを保存する
+  const layoutFile = path.join(STORAGE_LAYOUTS_DIR, `${networkKey}.json`);
+  if (proxy) {
+    fs.mkdirSync(STORAGE_LAYOUTS_DIR, { recursive: true });
+    const layout = await getStorageLayout(hre, contractName);
+    fs.writeFileSync(layoutFile, `${JSON.stringify(layout, null, 2)}\n`);
+  } else if (fs.existsSync(layoutFile)) {
+    // 通常版で上書きした場合、前のプロキシのレイアウトは不要
+    fs.unlinkSync(layoutFile);
+  }
+
+  return { manifest, file };
+}
+
+module.exports = {
+  DEPLOYMENTS_DIR,
+  hashAbi,
+  readDeployment,
+  readStorageLayout,
+  writeDeployment
+};
@@ -0,0 +1,72 @@
+/**
+ * 📚 外部ライブラリのデプロイとリンク
+ *
+ * 【このファイルの役割】
+ * Web3Mint はコードサイズの上限（24,576バイト）に収めるため、
+ * メタデータの組み立て・引換券の署名検証・SVGの保存・トークン払いと料金計算・エディションの記録・NFT一覧の更新を
+ * 外部ライブラリ（contracts/libraries/Web3MintMetadata.sol など）に分けています。
+ * 外部ライブラリは先にデプロイし、そのアドレスを Web3Mint のバイトコードに埋め込む（リンクする）必要があります。
+ *
+ * 【使い方】
+ * const libraries = await deployLibraries(hre);
+ * const Web3Mint = await getLinkedFactory(hre, "Web3Mint", libraries);
+ * const web3Mint = await Web3Mint.deploy();
+ *
+ * 【初心者向け解説】
+ * - リンク = バイトコードの中の「ライブラリのアドレスを入れる場所」に実際のアドレスを書き込むこと
+ * - ライブラリは状態を持たないので、何度アップグレードしても新しくデプロイし直して問題ない
+ */
+
+// 📋 Web3Mint が使う外部ライブラリの一覧
+const LIBRARY_NAMES = [
+  "Web3MintMetadata",
+  "Web3MintVouchers",
+  "Web3MintSVG",
+  "Web3MintPayments",
+  "Web3MintEditions",
+  "Web3MintEnumeration"
+];
+
+/**
+ * 🚀 外部ライブラリをデプロイする関数
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre - Hardhat実行環境
+ * @returns {Promise<Object<string, string>>} ライブラリ名 → デプロイしたアドレス
+ */
+async function deployLibraries(hre) {
+  const libraries = {};
+  for (const name of LIBRARY_NAMES) {
+    const factory = await hre.ethers.getContractFactory(name);
+    const library = await factory.deploy();
+    await library.waitForDeployment();
+    libraries[name] = await library.getAddress();
+  }
+  return libraries;
+}
+
+/**
+ * 🔗 外部ライブラリをリンクしたコントラクトファクトリーを取得する関数
+ *
+ * 【なぜ絞り込む？】
+ * 使っていないライブラリを渡すとエラーになるため、
+ * コンパイル結果（linkReferences）に出てくるライブラリだけを渡す
+ *
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre - Hardhat実行環境
+ * @param {string} contractName - コントラクト名（Web3Mint / Web3MintUpgradeable など）
+ * @param {Object<string, string>} libraries - deployLibraries の戻り値
+ * @returns {Promise<import("ethers").ContractFactory>} コントラクトファクトリー
+ */
+async function getLinkedFactory(hre, contractName, libraries) {
+  const artifact = await hre.artifacts.readArtifact(contractName);
+  const linked = Object.values(artifact.linkReferences)
+    .flatMap((references) => Object.keys(references));
+
+  return hre.ethers.getContractFactory(contractName, {
+    libraries: Object.fromEntries(linked.map((name) => [name, libraries[name]]))
+  });
+}
+
+module.exports = {
+  LIBRARY_NAMES,
+  deployLibraries,
+  getLinkedFactory
+};
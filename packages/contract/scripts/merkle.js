@@ -0,0 +1,144 @@
+// 📁 ファイル操作・パス操作用のNode.js標準モジュール
+const fs = require("fs");
+const path = require("path");
+// 🌳 OpenZeppelin公式のMerkleツリーライブラリ（コントラクトの検証形式と一致）
+const { StandardMerkleTree } = require("@openzeppelin/merkle-tree");
+// 📦 アドレスの検証用
+const { ethers } = require("ethers");
+
+/**
+ * 🌳 プレセール許可リスト（Merkleツリー）生成スクリプト
+ *
+ * 【このスクリプトの役割】
+ * このスクリプトは「招待状の発行係」のような役割を果たします。
+ * CSVファイルに書かれた許可リスト（アドレスとミント可能数）から
+ * Merkleツリーを作成し、コントラクトに設定するルートと、
+ * フロントエンドがミント時に送る証明（proof）をJSONに書き出します。
+ *
+ * 【使用方法】
+ * node scripts/merkle.js <CSVファイル> [出力先JSON]
+ * 例: yarn merkle allowlist.csv
+ *
+ * 【CSVの形式】
+ * address,allowance
+ * 0x1234...,2
+ * 0xabcd...        ← ミント可能数を省略すると1
+ *
+ * 【出力先】
+ * 省略時は ../client/public/allowlist.json（フロントエンドが読み込む場所）
+ *
+ * 【実行後の作業】
+ * 表示されたルートを setMerkleRoot(root) でコントラクトに設定する
+ *
+ * 【初心者向け解説】
+ * - Merkleツリー = データを2つずつハッシュでまとめていき、最後に1つの値（ルート）にする木構造
+ * - 証明（proof）= 自分のデータからルートまでたどるのに必要なハッシュの一覧
+ * - コントラクトはルートだけを保存すればよいので、ガス代が大幅に節約できる
+ */
+
+// 🏷️ 葉（リーフ）のデータ形式：コントラクトの isAllowlisted と一致させる
+const LEAF_ENCODING = ["address", "uint256"];
+
+// 📍 出力先のデフォルト（フロントエンドのpublicフォルダ）
+const DEFAULT_OUTPUT = path.join(__dirname, "..", "..", "client", "public", "allowlist.json");
+
+/**
+ * 📄 CSVテキストを許可リストの配列に変換する関数
+ * @param {string} csv - CSVファイルの中身
+ * @returns {Array<[string, string]>} [アドレス, ミント可能数] の配列
+ */
+function parseAllowlistCsv(csv) {
+  const entries = [];
+  const seen = new Set();
+
+  csv.split(/\r?\n/).forEach((line, index) => {
+    const [rawAddress = "", rawAllowance = "1"] = line.split(",").map((cell) => cell.trim());
+
+    // 空行・コメント行・ヘッダー行はスキップ
+    if (!rawAddress || rawAddress.startsWith("#") || rawAddress.toLowerCase() === "address") {
+      return;
+    }
+
+    if (!ethers.isAddress(rawAddress)) {
+      throw new Error(`${index + 1}行目: 無効なアドレスです (${rawAddress})`);
+    }
+    if (!/^\d+$/.test(rawAllowance) || BigInt(rawAllowance) === 0n) {
+      throw new Error(`${index + 1}行目: ミント可能数は1以上の整数で指定してください (${rawAllowance})`);
+    }
+
+    const address = ethers.getAddress(rawAddress);
+    if (seen.has(address)) {
+      throw new Error(`${index + 1}行目: アドレスが重複しています (${address})`);
+    }
+    seen.add(address);
+
+    entries.push([address, rawAllowance]);
+  });
+
+  if (entries.length === 0) {
+    throw new Error("許可リストが空です");
+  }
+
+  return entries;
+}
+
+/**
+ * 🌳 許可リストからMerkleツリーと証明一覧を作成する関数
+ * @param {Array<[string, string]>} entries - [アドレス, ミント可能数] の配列
+ * @returns {{merkleRoot: string, leafEncoding: string[], proofs: Object}} フロントエンド用のJSON
+ */
+function buildAllowlist(entries) {
+  const tree = StandardMerkleTree.of(entries, LEAF_ENCODING);
+
+  // 🔑 アドレス（小文字）→ { ミント可能数, 証明 } の対応表
+  const proofs = {};
+  for (const [i, [address, allowance]] of tree.entries()) {
+    proofs[address.toLowerCase()] = {
+      allowance: allowance.toString(),
+      proof: tree.getProof(i)
+    };
+  }
+
+  return {
+    merkleRoot: tree.root,
+    leafEncoding: LEAF_ENCODING,
+    proofs
+  };
+}
+
+async function main() {
+  const [csvPath, outputPath = DEFAULT_OUTPUT] = process.argv.slice(2);
+
+  if (!csvPath) {
+    console.error("使い方: node scripts/merkle.js <CSVファイル> [出力先JSON]");
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    console.log(`📄 許可リストを読み込み中: ${csvPath}`);
+    const entries = parseAllowlistCsv(fs.readFileSync(csvPath, "utf8"));
+    const allowlist = buildAllowlist(entries);
+
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    fs.writeFileSync(outputPath, JSON.stringify(allowlist, null, 2) + "\n");
+
+    console.log(`✅ ${entries.length}件のアドレスから許可リストを作成しました`);
+    console.log(`📁 出力先: ${outputPath}`);
+    console.log(`🌳 Merkleルート: ${allowlist.merkleRoot}`);
+    console.log("\n📝 次の手順: 管理者（DEFAULT_ADMIN_ROLE）のアドレスで以下を実行してください");
+    console.log(`  await contract.setMerkleRoot("${allowlist.merkleRoot}");`);
+    console.log("  await contract.setSalePhase(1); // 1 = Presale");
+  } catch (error) {
+    console.error("❌ 許可リストの作成に失敗しました:");
+    console.error(error.message);
+    process.exitCode = 1;
+  }
+}
+
+// 直接実行された場合のみmainを実行（テストからは関数だけを読み込む）
+if (require.main === module) {
+  main();
+}
+
+module.exports = { parseAllowlistCsv, buildAllowlist, LEAF_ENCODING };
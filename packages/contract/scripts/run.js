@@ -2,6 +2,8 @@
 const hre = require("hardhat");
 // 📦 Ethers.jsライブラリをインポート（ブロックチェーンとの通信用）
 const { ethers } = hre;
+// 📚 外部ライブラリのデプロイとリンク
+const { deployLibraries, getLinkedFactory } = require("./libraries");
 
 /**
  * 🧪 Web3Mint NFTコントラクト ローカルテストスクリプト（IPFS対応）
@@ -15,7 +17,7 @@ const { ethers } = hre;
  * 【テスト項目】
  * 1. 基本的なNFTミント機能
  * 2. IPFS対応NFTミント機能
- * 3. 所有者権限でのミント機能
+ * 3. MINTER_ROLEでの無料ミント機能
  * 4. エラーハンドリングの確認
  * 5. メタデータの生成・取得
  * 6. 管理者機能（価格変更、ミント停止等）
@@ -50,7 +52,8 @@ async function main() {
 
     // 🚀 コントラクトをデプロイ
     console.log("\n📦 Deploying Web3Mint contract...");
-    const Web3Mint = await ethers.getContractFactory("Web3Mint");
+    const libraries = await deployLibraries(hre);  // 外部ライブラリ（メタデータの組み立て）を先にデプロイ
+    const Web3Mint = await getLinkedFactory(hre, "Web3Mint", libraries);
     const nftContract = await Web3Mint.deploy();
     await nftContract.waitForDeployment();
 
@@ -61,7 +64,7 @@ async function main() {
     console.log("\n🔍 Contract information:");
     const name = await nftContract.name();
     const symbol = await nftContract.symbol();
-    const owner_address = await nftContract.owner();
+    const isAdmin = await nftContract.hasRole(await nftContract.DEFAULT_ADMIN_ROLE(), owner.address);
     const mintPrice = await nftContract.mintPrice();
     const maxSupply = await nftContract.MAX_SUPPLY();
     const currentTokenId = await nftContract.getCurrentTokenId();
@@ -69,7 +72,7 @@ async function main() {
 
     console.log(`  Name: ${name}`);
     console.log(`  Symbol: ${symbol}`);
-    console.log(`  Owner: ${owner_address}`);
+    console.log(`  Deployer is admin: ${isAdmin}`);
     console.log(`  Mint price: ${ethers.formatEther(mintPrice)} ETH`);
     console.log(`  Max supply: ${maxSupply.toString()}`);
     console.log(`  Next token ID: ${currentTokenId.toString()}`);
@@ -0,0 +1,104 @@
+/**
+ * 🗄️ ストレージレイアウト（状態変数の配置）のチェック
+ *
+ * 【このファイルの役割】
+ * このファイルは「倉庫の棚割り係」のような役割を果たします。
+ * プロキシのデータは「何番目の棚（スロット）に何が入っているか」で管理されているため、
+ * アップグレード後のコントラクトが同じ棚割りを守っているかを確認します。
+ *
+ * 【守るべきルール】
+ * - 既存の状態変数の順番・型・名前を変えない
+ * - 既存の状態変数を削除しない
+ * - 新しい状態変数は最後に追加する
+ *
+ * 【初心者向け解説】
+ * - スロット = コントラクトのデータを保存する32バイトの箱の番号
+ * - ルールを破ると、例えば mintPrice の箱を別の変数として読んでしまい、データが壊れる
+ * - 配置の情報はコンパイラが出力する（hardhat.config.js の outputSelection で storageLayout を指定）
+ */
+
+/**
+ * 🔍 コンパイル結果からストレージレイアウトを読み出し、比較しやすい形に変換する関数
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre - Hardhat実行環境
+ * @param {string} contractName - コントラクト名（例："Web3MintUpgradeable"）
+ * @returns {Promise<Array<{label: string, slot: string, offset: number, type: string}>>} 状態変数の配置の一覧
+ */
+async function getStorageLayout(hre, contractName) {
+  const artifact = await hre.artifacts.readArtifact(contractName);
+  const buildInfo = await hre.artifacts.getBuildInfo(`${artifact.sourceName}:${contractName}`);
+  const layout = buildInfo?.output.contracts[artifact.sourceName][contractName].storageLayout;
+  if (!layout) {
+    throw new Error(`${contractName} のストレージレイアウトがありません（outputSelection に storageLayout を指定してください）`);
+  }
+  return normalizeStorageLayout(layout);
+}
+
+/**
+ * 🧹 コンパイラのストレージレイアウトを、ビルドが変わっても同じになる形に変換する関数
+ *
+ * 【なぜ必要？】
+ * コンパイラの型IDには "t_struct(NFTInfo)9923_storage" のようにビルドごとに変わる番号が入るため、
+ * 型の中身（名前・サイズ・メンバー）を文字列にして比較する
+ *
+ * @param {{storage: Array, types: Object}} layout - solc の storageLayout
+ * @returns {Array<{label: string, slot: string, offset: number, type: string}>}
+ */
+function normalizeStorageLayout({ storage, types }) {
+  const describeType = (typeId) => {
+    const type = types[typeId];
+    let description = `${type.label}(${type.numberOfBytes})`;
+    if (type.members) {
+      const members = type.members.map(
+        (member) => `${member.label}:${describeType(member.type)}@${member.slot}+${member.offset}`
+      );
+      description += `{${members.join(",")}}`;
+    }
+    if (type.key) description += `[${describeType(type.key)}=>${describeType(type.value)}]`;
+    if (type.base) description += `<${describeType(type.base)}>`;
+    return description;
+  };
+
+  return storage.map((item) => ({
+    label: item.label,
+    slot: item.slot,
+    offset: item.offset,
+    type: describeType(item.type)
+  }));
+}
+
+/**
+ * 🛡️ 新しいレイアウトが古いレイアウトと互換性があるか確認する関数
+ * @param {Array} oldLayout - 現在のレイアウト（normalizeStorageLayout の結果）
+ * @param {Array} newLayout - アップグレード先のレイアウト
+ * @throws {Error} 既存の状態変数が変更・削除・移動されている場合（問題点の一覧付き）
+ */
+function assertStorageLayoutCompatible(oldLayout, newLayout) {
+  const problems = [];
+
+  oldLayout.forEach((oldItem, index) => {
+    const newItem = newLayout[index];
+    if (!newItem) {
+      problems.push(`${oldItem.label}（スロット${oldItem.slot}）が削除されています`);
+      return;
+    }
+    if (newItem.slot !== oldItem.slot || newItem.offset !== oldItem.offset) {
+      problems.push(
+        `${oldItem.label} の位置が変わっています（スロット${oldItem.slot}+${oldItem.offset} → ${newItem.slot}+${newItem.offset}）`
+      );
+    } else if (newItem.label !== oldItem.label) {
+      problems.push(`スロット${oldItem.slot} の変数名が変わっています（${oldItem.label} → ${newItem.label}）`);
+    } else if (newItem.type !== oldItem.type) {
+      problems.push(`${oldItem.label} の型が変わっています（${oldItem.type} → ${newItem.type}）`);
+    }
+  });
+
+  if (problems.length > 0) {
+    throw new Error(`ストレージレイアウトに互換性がありません:\n  - ${problems.join("\n  - ")}`);
+  }
+}
+
+module.exports = {
+  getStorageLayout,
+  normalizeStorageLayout,
+  assertStorageLayoutCompatible
+};
@@ -0,0 +1,113 @@
+// 🛠️ Hardhat開発環境をインポート
+const hre = require("hardhat");
+// 📦 Ethers.jsライブラリをインポート（ブロックチェーンとの通信用）
+const { ethers } = hre;
+// 🌐 対応ネットワークの一覧
+const { getNetworkByChainId } = require("networks");
+// 📦 デプロイ記録の読み書き
+const { readDeployment, readStorageLayout, writeDeployment } = require("./deployments");
+// 🗄️ ストレージレイアウトのチェック
+const { getStorageLayout, assertStorageLayoutCompatible } = require("./storageLayout");
+// 📚 外部ライブラリのデプロイとリンク
+const { deployLibraries, getLinkedFactory } = require("./libraries");
+
+/**
+ * ⬆️ Web3Mint アップグレードスクリプト（UUPSプロキシ）
+ *
+ * 【このスクリプトの役割】
+ * deployUpgradeable.js でデプロイしたプロキシの実装コントラクトを、新しいものに差し替えます。
+ * プロキシのアドレス・NFT・ミント料金などのデータはそのまま引き継がれます。
+ *
+ * 【使用方法】
+ * npx hardhat run scripts/upgrade.js --network sepolia
+ * 差し替え先を変える場合: UPGRADE_CONTRACT=Web3MintV2 npx hardhat run scripts/upgrade.js --network sepolia
+ * （省略時は Web3MintUpgradeable）
+ *
+ * 【実行される処理】
+ * 1. デプロイ記録（packages/networks/deployments）からプロキシのアドレスを読み込む
+ * 2. ストレージレイアウトに互換性があるかチェック（問題があればデプロイしない）
+ * 3. 新しい実装コントラクトをデプロイ
+ * 4. プロキシの upgradeToAndCall で差し替え（管理者のみ実行可能）
+ * 5. デプロイ記録を更新
+ */
+async function main() {
+  try {
+    const contractName = process.env.UPGRADE_CONTRACT || "Web3MintUpgradeable";
+    console.log(`⬆️ Web3Mint を ${contractName} にアップグレードします...`);
+
+    const [deployer] = await ethers.getSigners();
+    const network = await ethers.provider.getNetwork();
+    const networkConfig = getNetworkByChainId(network.chainId);
+
+    // 📖 1. デプロイ記録からプロキシを探す
+    const deployment = networkConfig && readDeployment(networkConfig.key);
+    if (!deployment?.proxy) {
+      throw new Error(
+        `${hre.network.name} にアップグレード可能版のデプロイ記録がありません（先に scripts/deployUpgradeable.js を実行してください）`
+      );
+    }
+    console.log(`  プロキシ: ${deployment.address}`);
+    console.log(`  現在の実装コントラクト: ${deployment.proxy.implementation}`);
+
+    // 🗄️ 2. ストレージレイアウトのチェック
+    console.log("\n🗄️ ストレージレイアウトをチェック中...");
+    const oldLayout = readStorageLayout(networkConfig.key);
+    if (!oldLayout) {
+      throw new Error("保存済みのストレージレイアウトがないため、安全にアップグレードできません");
+    }
+    assertStorageLayoutCompatible(oldLayout, await getStorageLayout(hre, contractName));
+    console.log("  ✅ 互換性があります");
+
+    // 🧩 3. 外部ライブラリと新しい実装コントラクトをデプロイ
+    // （ライブラリは状態を持たないため、コードが変わっていても新しくデプロイし直せばよい）
+    console.log(`\n⏳ 外部ライブラリと新しい実装コントラクト（${contractName}）をデプロイ中...`);
+    const libraries = await deployLibraries(hre);
+    const Implementation = await getLinkedFactory(hre, contractName, libraries);
+    const implementation = await Implementation.deploy();
+    await implementation.waitForDeployment();
+    const implementationAddress = await implementation.getAddress();
+    console.log(`  新しい実装コントラクト: ${implementationAddress}`);
+
+    // 🔀 4. プロキシの実装を差し替える
+    console.log("\n⏳ プロキシをアップグレード中...");
+    const proxy = Implementation.attach(deployment.address).connect(deployer);
+    const upgradeTx = await proxy.upgradeToAndCall(implementationAddress, "0x");
+    const upgradeReceipt = await upgradeTx.wait();
+    console.log(`  バージョン: ${await proxy.version()}`);
+
+    // 📦 5. デプロイ記録を更新（プロキシのデプロイ情報はそのまま、アップグレード履歴を追加）
+    const { file } = await writeDeployment(hre, {
+      networkKey: networkConfig.key,
+      contractName,
+      address: deployment.address,
+      blockNumber: deployment.blockNumber,
+      transactionHash: deployment.transactionHash,
+      deployer: deployment.deployer,
+      libraries,
+      proxy: {
+        implementation: implementationAddress,
+        upgrades: [
+          ...deployment.proxy.upgrades,
+          {
+            from: deployment.proxy.implementation,
+            to: implementationAddress,
+            contractName,
+            blockNumber: upgradeReceipt.blockNumber,
+            transactionHash: upgradeReceipt.hash
+          }
+        ]
+      }
+    });
+    console.log(`\n📦 デプロイ記録を更新しました: ${file}`);
+    console.log("\n🎉 アップグレードが完了しました！（フロントエンドを再ビルドしてください）");
+  } catch (error) {
+    console.error("\n❌ アップグレード中にエラーが発生しました:");
+    console.error(error);
+    process.exitCode = 1;
+  }
+}
+
+main().catch((error) => {
+  console.error("💥 予期しないエラー:", error);
+  process.exitCode = 1;
+});
@@ -1,7 +1,14 @@
 // 🧪 Chaiテストライブラリをインポート（アサーション用）
 const { expect } = require("chai");
 // 📦 Hardhat環境のEthers.jsをインポート
-const { ethers } = require("hardhat");
+const hre = require("hardhat");
+const { ethers } = hre;
+// 🌳 許可リスト（Merkleツリー）生成スクリプトの関数
+const { buildAllowlist, parseAllowlistCsv } = require("../scripts/merkle");
+// 🗄️ ストレージレイアウトのチェック（アップグレード用）
+const { getStorageLayout, assertStorageLayoutCompatible } = require("../scripts/storageLayout");
+// 📚 外部ライブラリ（メタデータの組み立て）のデプロイとリンク
+const { deployLibraries, getLinkedFactory } = require("../scripts/libraries");
 
 /**
  * 🧪 Web3Mint NFTコントラクト テストスイート
@@ -37,14 +44,16 @@ describe("Web3Mint", function () {
   let owner;       // コントラクト所有者アカウント
   let user1;       // テストユーザー1
   let user2;       // テストユーザー2
+  let libraries;   // デプロイした外部ライブラリのアドレス
 
   // 🔄 各テストケース実行前の準備処理
   beforeEach(async function () {
     // 👥 テスト用アカウントを取得
     [owner, user1, user2] = await ethers.getSigners();
 
-    // 🚀 コントラクトをデプロイ
-    const Web3Mint = await ethers.getContractFactory("Web3Mint");
+    // 🚀 外部ライブラリとコントラクトをデプロイ
+    libraries = await deployLibraries(hre);
+    const Web3Mint = await getLinkedFactory(hre, "Web3Mint", libraries);
     web3Mint = await Web3Mint.deploy();
     await web3Mint.waitForDeployment(); // Ethers.js v6の新しい構文
     // 【なぜ毎回デプロイ？】
@@ -55,9 +64,12 @@ describe("Web3Mint", function () {
 
   // 🏗️ デプロイメントテスト（初期設定の確認）
   describe("Deployment", function () {
-    // ✅ 所有者が正しく設定されているかテスト
-    it("Should set the right owner", async function () {
-      expect(await web3Mint.owner()).to.equal(owner.address);
+    // ✅ デプロイした人が管理者と全ての役割を持っているかテスト
+    it("Should grant the deployer the admin role and every operational role", async function () {
+      for (const role of ["DEFAULT_ADMIN_ROLE", "MINTER_ROLE", "PRICE_ADMIN_ROLE", "PAUSER_ROLE", "TREASURER_ROLE"]) {
+        expect(await web3Mint.hasRole(await web3Mint[role](), owner.address)).to.equal(true);
+        expect(await web3Mint.hasRole(await web3Mint[role](), user1.address)).to.equal(false);
+      }
     });
 
     // ✅ NFTコレクションの名前とシンボルが正しいかテスト
@@ -189,6 +201,1768 @@ describe("Web3Mint", function () {
     });
   });
 
+  // 📦 バッチミント機能テスト（複数NFTの一括作成）
+  describe("Batch Minting", function () {
+    const names = ["Batch #1", "Batch #2", "Batch #3"];
+    const descriptions = ["First batch NFT", "Second batch NFT", "Third batch NFT"];
+    const hashes = ["QmBatchHash1", "QmBatchHash2", "QmBatchHash3"];
+    const metadataURIs = ["ipfs://QmMeta1", "ipfs://QmMeta2", "ipfs://QmMeta3"];
+
+    it("Should mint every item in one transaction", async function () {
+      const mintPrice = await web3Mint.mintPrice();
+
+      await expect(
+        web3Mint.connect(user1).mintIpfsNFTBatch(names, descriptions, hashes, metadataURIs, 500, {
+          value: mintPrice * 3n
+        })
+      ).to.emit(web3Mint, "BatchMinted")
+        .withArgs(user1.address, 1, 3);
+
+      // 配列の順番通りにトークンIDが割り当てられているか確認
+      for (let i = 0; i < names.length; i++) {
+        const tokenId = i + 1;
+        expect(await web3Mint.ownerOf(tokenId)).to.equal(user1.address);
+        expect(await web3Mint.tokenURI(tokenId)).to.equal(metadataURIs[i]);
+        expect((await web3Mint.getNFTInfo(tokenId)).name).to.equal(names[i]);
+      }
+      expect(await web3Mint.totalSupply()).to.equal(3);
+      expect(await web3Mint.getCurrentTokenId()).to.equal(4);
+    });
+
+    it("Should require mint price for every item", async function () {
+      const mintPrice = await web3Mint.mintPrice();
+
+      await expect(
+        web3Mint.connect(user1).mintIpfsNFTBatch(names, descriptions, hashes, metadataURIs, 500, {
+          value: mintPrice * 2n
+        })
+      ).to.be.revertedWithCustomError(web3Mint, "InsufficientPayment");
+    });
+
+    it("Should fail when array lengths differ", async function () {
+      const mintPrice = await web3Mint.mintPrice();
+
+      await expect(
+        web3Mint.connect(user1).mintIpfsNFTBatch(names, descriptions.slice(0, 2), hashes, metadataURIs, 500, {
+          value: mintPrice * 3n
+        })
+      ).to.be.revertedWithCustomError(web3Mint, "ArrayLengthMismatch");
+    });
+
+    it("Should fail with an empty or oversized batch", async function () {
+      const mintPrice = await web3Mint.mintPrice();
+
+      await expect(
+        web3Mint.connect(user1).mintIpfsNFTBatch([], [], [], [], 500)
+      ).to.be.revertedWithCustomError(web3Mint, "InvalidBatchSize");
+
+      // 上限（MAX_BATCH_SIZE）を1件超えるバッチ
+      const size = Number(await web3Mint.MAX_BATCH_SIZE()) + 1;
+      const fill = (value) => Array(size).fill(value);
+      await expect(
+        web3Mint.connect(user1).mintIpfsNFTBatch(
+          fill("Too many"),
+          fill("Oversized batch"),
+          fill("QmTooMany"),
+          fill("ipfs://QmTooMany"),
+          500,
+          { value: mintPrice * BigInt(size) }
+        )
+      ).to.be.revertedWithCustomError(web3Mint, "InvalidBatchSize");
+    });
+
+    it("Should revert the whole batch when one item is invalid", async function () {
+      const mintPrice = await web3Mint.mintPrice();
+
+      await expect(
+        web3Mint.connect(user1).mintIpfsNFTBatch(names, descriptions, ["QmBatchHash1", "", "QmBatchHash3"], metadataURIs, 500, {
+          value: mintPrice * 3n
+        })
+      ).to.be.revertedWithCustomError(web3Mint, "InvalidIPFSHash");
+
+      // 1件もミントされていないことを確認
+      expect(await web3Mint.totalSupply()).to.equal(0);
+    });
+
+    it("Should fail when minting is disabled", async function () {
+      await web3Mint.toggleMinting(false);
+      const mintPrice = await web3Mint.mintPrice();
+
+      await expect(
+        web3Mint.connect(user1).mintIpfsNFTBatch(names, descriptions, hashes, metadataURIs, 500, {
+          value: mintPrice * 3n
+        })
+      ).to.be.revertedWithCustomError(web3Mint, "MintingDisabled");
+    });
+  });
+
+  describe("Owner enumeration", function () {
+    it("Should list tokens owned by each address", async function () {
+      const mintPrice = await web3Mint.mintPrice();
+
+      await web3Mint.connect(user1).makeAnEpicNFT("https://example.com/1.json", { value: mintPrice });
+      await web3Mint.connect(user2).makeAnEpicNFT("https://example.com/2.json", { value: mintPrice });
+      await web3Mint.connect(user1).makeAnEpicNFT("https://example.com/3.json", { value: mintPrice });
+
+      expect(await web3Mint.tokensOfOwner(user1.address)).to.deep.equal([1n, 3n]);
+      expect(await web3Mint.tokensOfOwner(user2.address)).to.deep.equal([2n]);
+      expect(await web3Mint.tokenOfOwnerByIndex(user1.address, 1)).to.equal(3);
+      expect(await web3Mint.tokensOfOwner(owner.address)).to.deep.equal([]);
+    });
+
+    it("Should update the list after a transfer", async function () {
+      const mintPrice = await web3Mint.mintPrice();
+      await web3Mint.connect(user1).makeAnEpicNFT("https://example.com/1.json", { value: mintPrice });
+
+      await web3Mint.connect(user1).transferFrom(user1.address, user2.address, 1);
+
+      expect(await web3Mint.tokensOfOwner(user1.address)).to.deep.equal([]);
+      expect(await web3Mint.tokensOfOwner(user2.address)).to.deep.equal([1n]);
+    });
+
+    // Web3MintEnumerable は独自の実装なので、一覧の付け替えが OpenZeppelin の ERC721Enumerable と同じ
+    // （削除する位置に末尾の要素を移して、末尾を取り除く）になることを番号ごとに確認する
+    const tokensByIndex = async () => {
+      const total = await web3Mint.totalSupply();
+      const tokenIds = [];
+      for (let i = 0n; i < total; i++) tokenIds.push(await web3Mint.tokenByIndex(i));
+      return tokenIds;
+    };
+
+    const tokensOfOwnerByIndex = async (account) => {
+      const balance = await web3Mint.balanceOf(account);
+      const tokenIds = [];
+      for (let i = 0n; i < balance; i++) tokenIds.push(await web3Mint.tokenOfOwnerByIndex(account, i));
+      return tokenIds;
+    };
+
+    it("Should move the last token into the gap after burning a token in the middle", async function () {
+      const mintPrice = await web3Mint.mintPrice();
+      for (let i = 1; i <= 4; i++) {
+        await web3Mint.connect(user1).makeAnEpicNFT(`https://example.com/${i}.json`, { value: mintPrice });
+      }
+      await web3Mint.connect(user2).makeAnEpicNFT("https://example.com/5.json", { value: mintPrice });
+
+      await web3Mint.connect(user1).burn(2);
+
+      expect(await tokensByIndex()).to.deep.equal([1n, 5n, 3n, 4n]);
+      expect(await tokensOfOwnerByIndex(user1.address)).to.deep.equal([1n, 4n, 3n]);
+      expect(await tokensOfOwnerByIndex(user2.address)).to.deep.equal([5n]);
+      await expect(web3Mint.tokenByIndex(4))
+        .to.be.revertedWithCustomError(web3Mint, "ERC721OutOfBoundsIndex")
+        .withArgs(ethers.ZeroAddress, 4);
+      await expect(web3Mint.tokenOfOwnerByIndex(user1.address, 3))
+        .to.be.revertedWithCustomError(web3Mint, "ERC721OutOfBoundsIndex")
+        .withArgs(user1.address, 3);
+    });
+
+    it("Should keep both lists consistent across transfers and burns", async function () {
+      const mintPrice = await web3Mint.mintPrice();
+      for (let i = 1; i <= 4; i++) {
+        await web3Mint.connect(user1).makeAnEpicNFT(`https://example.com/${i}.json`, { value: mintPrice });
+      }
+      await web3Mint.connect(user2).makeAnEpicNFT("https://example.com/5.json", { value: mintPrice });
+
+      // 途中のトークンを転送：送り主の一覧は末尾が詰められ、受け取り手の一覧は末尾に追加される
+      await web3Mint.connect(user1).transferFrom(user1.address, user2.address, 2);
+      expect(await tokensOfOwnerByIndex(user1.address)).to.deep.equal([1n, 4n, 3n]);
+      expect(await tokensOfOwnerByIndex(user2.address)).to.deep.equal([5n, 2n]);
+      // 転送では全NFTの一覧は変わらない
+      expect(await tokensByIndex()).to.deep.equal([1n, 2n, 3n, 4n, 5n]);
+
+      // 先頭のトークンを転送し、受け取り手の先頭のトークンをバーン
+      await web3Mint.connect(user1).transferFrom(user1.address, user2.address, 1);
+      await web3Mint.connect(user2).burn(5);
+
+      expect(await tokensOfOwnerByIndex(user1.address)).to.deep.equal([3n, 4n]);
+      expect(await tokensOfOwnerByIndex(user2.address)).to.deep.equal([1n, 2n]);
+      expect(await tokensByIndex()).to.deep.equal([1n, 2n, 3n, 4n]);
+
+      // 送り返して元の持ち主の一覧の末尾に戻る
+      await web3Mint.connect(user2).transferFrom(user2.address, user1.address, 2);
+      expect(await tokensOfOwnerByIndex(user1.address)).to.deep.equal([3n, 4n, 2n]);
+      expect(await tokensOfOwnerByIndex(user2.address)).to.deep.equal([1n]);
+      expect(await web3Mint.tokensOfOwner(user1.address)).to.deep.equal([3n, 4n, 2n]);
+    });
+
+    it("Should support the ERC721Enumerable interface", async function () {
+      expect(await web3Mint.supportsInterface("0x780e9d63")).to.equal(true);
+    });
+  });
+
+  describe("Royalties", function () {
+    const salePrice = ethers.parseEther("1");
+
+    it("Should support the ERC-2981 interface", async function () {
+      expect(await web3Mint.supportsInterface("0x2a55205a")).to.equal(true);
+    });
+
+    it("Should pay the contract default to the owner for tokens without an override", async function () {
+      const mintPrice = await web3Mint.mintPrice();
+      await web3Mint.connect(user1).makeAnEpicNFT("https://example.com/1.json", { value: mintPrice });
+
+      const [receiver, amount] = await web3Mint.royaltyInfo(1, salePrice);
+      expect(receiver).to.equal(owner.address);
+      expect(amount).to.equal(ethers.parseEther("0.05")); // デフォルト5%
+    });
+
+    it("Should default the receiver to the minter in mintIpfsNFTWithMetadata", async function () {
+      const mintPrice = await web3Mint.mintPrice();
+
+      await expect(
+        web3Mint.connect(user1).mintIpfsNFTWithMetadata("Art", "My art", "QmArt", "ipfs://QmMeta", { value: mintPrice })
+      ).to.emit(web3Mint, "TokenRoyaltySet")
+        .withArgs(1, user1.address, 500);
+
+      const [receiver, amount] = await web3Mint.royaltyInfo(1, salePrice);
+      expect(receiver).to.equal(user1.address);
+      expect(amount).to.equal(ethers.parseEther("0.05"));
+    });
+
+    it("Should store a per-token receiver and rate set at mint time", async function () {
+      const mintPrice = await web3Mint.mintPrice();
+
+      await web3Mint.connect(user1).mintIpfsNFTWithRoyalty(
+        "Art", "My art", "QmArt", "ipfs://QmMeta", user2.address, 250, { value: mintPrice }
+      );
+      // ゼロアドレスを渡すとミントした人が受取人になる
+      await web3Mint.connect(user1).mintIpfsNFTWithRoyalty(
+        "Art 2", "My art", "QmArt2", "ipfs://QmMeta2", ethers.ZeroAddress, 0, { value: mintPrice }
+      );
+
+      const [receiver1, amount1] = await web3Mint.royaltyInfo(1, salePrice);
+      expect(receiver1).to.equal(user2.address);
+      expect(amount1).to.equal(ethers.parseEther("0.025"));
+
+      const [receiver2, amount2] = await web3Mint.royaltyInfo(2, salePrice);
+      expect(receiver2).to.equal(user1.address);
+      expect(amount2).to.equal(0);
+    });
+
+    it("Should reject a royalty above the cap", async function () {
+      const mintPrice = await web3Mint.mintPrice();
+      const tooHigh = (await web3Mint.MAX_ROYALTY_BPS()) + 1n;
+
+      await expect(
+        web3Mint.connect(user1).mintIpfsNFTWithRoyalty(
+          "Art", "My art", "QmArt", "ipfs://QmMeta", user1.address, tooHigh, { value: mintPrice }
+        )
+      ).to.be.revertedWithCustomError(web3Mint, "RoyaltyTooHigh");
+
+      await expect(
+        web3Mint.setDefaultRoyalty(owner.address, tooHigh)
+      ).to.be.revertedWithCustomError(web3Mint, "RoyaltyTooHigh");
+    });
+
+    it("Should let only the owner change the default without touching per-token settings", async function () {
+      const mintPrice = await web3Mint.mintPrice();
+      await web3Mint.connect(user1).mintIpfsNFTWithMetadata("Art", "My art", "QmArt", "ipfs://QmMeta", { value: mintPrice });
+
+      await expect(
+        web3Mint.connect(user1).setDefaultRoyalty(user1.address, 100)
+      ).to.be.revertedWithCustomError(web3Mint, "AccessControlUnauthorizedAccount");
+
+      await expect(web3Mint.setDefaultRoyalty(user2.address, 750))
+        .to.emit(web3Mint, "DefaultRoyaltyUpdated")
+        .withArgs(user2.address, 750);
+      expect(await web3Mint.defaultRoyaltyBps()).to.equal(750);
+
+      // ミント済みトークンの設定はそのまま
+      const [receiver, amount] = await web3Mint.royaltyInfo(1, salePrice);
+      expect(receiver).to.equal(user1.address);
+      expect(amount).to.equal(ethers.parseEther("0.05"));
+
+      // トークンごとの設定がないトークンは新しいデフォルトを使用
+      const [defaultReceiver, defaultAmount] = await web3Mint.royaltyInfo(99, salePrice);
+      expect(defaultReceiver).to.equal(user2.address);
+      expect(defaultAmount).to.equal(ethers.parseEther("0.075"));
+    });
+
+    it("Should apply the batch royalty to every minted token", async function () {
+      const mintPrice = await web3Mint.mintPrice();
+
+      await web3Mint.connect(user1).mintIpfsNFTBatch(
+        ["A", "B"], ["a", "b"], ["QmA", "QmB"], ["ipfs://QmMA", "ipfs://QmMB"], 300,
+        { value: mintPrice * 2n }
+      );
+
+      for (const tokenId of [1, 2]) {
+        const [receiver, amount] = await web3Mint.royaltyInfo(tokenId, salePrice);
+        expect(receiver).to.equal(user1.address);
+        expect(amount).to.equal(ethers.parseEther("0.03"));
+      }
+    });
+  });
+
+  describe("Sale phases and presale", function () {
+    const Phase = { Closed: 0, Presale: 1, Public: 2 };
+    let allowlist;
+
+    // 🌳 user1 は2枚、user2 は1枚までプレセールでミントできる許可リスト
+    beforeEach(async function () {
+      allowlist = buildAllowlist(parseAllowlistCsv(
+        `address,allowance\n${user1.address},2\n${user2.address}\n`
+      ));
+      await web3Mint.setMerkleRoot(allowlist.merkleRoot);
+    });
+
+    const entryFor = (signer) => allowlist.proofs[signer.address.toLowerCase()];
+
+    const presaleMint = (signer, entry = entryFor(signer), value) => web3Mint.connect(signer).presaleMintIpfsNFT(
+      "Presale Art", "Allowlisted", "QmPresale", "ipfs://QmPresaleMeta",
+      entry.allowance, entry.proof,
+      { value: value ?? ethers.parseEther("0.0005") }
+    );
+
+    it("Should start in the public phase and map toggleMinting to public/closed", async function () {
+      expect(await web3Mint.salePhase()).to.equal(Phase.Public);
+
+      await expect(web3Mint.toggleMinting(false))
+        .to.emit(web3Mint, "SalePhaseChanged").withArgs(Phase.Closed);
+      expect(await web3Mint.mintingEnabled()).to.equal(false);
+
+      await web3Mint.toggleMinting(true);
+      expect(await web3Mint.salePhase()).to.equal(Phase.Public);
+    });
+
+    it("Should let allowlisted wallets mint at the presale price", async function () {
+      await web3Mint.setSalePhase(Phase.Presale);
+
+      await expect(presaleMint(user1))
+        .to.emit(web3Mint, "NFTMinted")
+        .withArgs(1, user1.address, "ipfs://QmPresale", "ipfs://QmPresaleMeta");
+
+      expect(await web3Mint.ownerOf(1)).to.equal(user1.address);
+      expect(await web3Mint.presaleMinted(user1.address)).to.equal(1);
+    });
+
+    it("Should block public mints during presale and presale mints outside it", async function () {
+      await web3Mint.setSalePhase(Phase.Presale);
+      const mintPrice = await web3Mint.mintPrice();
+
+      await expect(
+        web3Mint.connect(user1).makeAnEpicNFT("https://example.com/1.json", { value: mintPrice })
+      ).to.be.revertedWithCustomError(web3Mint, "MintingDisabled");
+
+      await web3Mint.setSalePhase(Phase.Public);
+      await expect(presaleMint(user1))
+        .to.be.revertedWithCustomError(web3Mint, "PresaleNotActive");
+    });
+
+    it("Should reject forged proofs and allowances", async function () {
+      await web3Mint.setSalePhase(Phase.Presale);
+
+      // 許可リストにないアドレスが他人の証明を使う
+      await expect(presaleMint(owner, entryFor(user1)))
+        .to.be.revertedWithCustomError(web3Mint, "InvalidMerkleProof");
+
+      // ミント可能数を書き換える
+      const forged = { ...entryFor(user2), allowance: "5" };
+      await expect(presaleMint(user2, forged))
+        .to.be.revertedWithCustomError(web3Mint, "InvalidMerkleProof");
+    });
+
+    it("Should enforce the per-wallet presale allowance and price", async function () {
+      await web3Mint.setSalePhase(Phase.Presale);
+
+      await expect(presaleMint(user2, entryFor(user2), ethers.parseEther("0.0001")))
+        .to.be.revertedWithCustomError(web3Mint, "InsufficientPayment");
+
+      await presaleMint(user2);
+      await expect(presaleMint(user2))
+        .to.be.revertedWithCustomError(web3Mint, "PresaleAllowanceExceeded");
+
+      await presaleMint(user1);
+      await presaleMint(user1);
+      await expect(presaleMint(user1))
+        .to.be.revertedWithCustomError(web3Mint, "PresaleAllowanceExceeded");
+    });
+
+    it("Should restrict phase, root and presale price setters to the owner", async function () {
+      await expect(web3Mint.connect(user1).setSalePhase(Phase.Presale))
+        .to.be.revertedWithCustomError(web3Mint, "AccessControlUnauthorizedAccount");
+      await expect(web3Mint.connect(user1).setMerkleRoot(ethers.ZeroHash))
+        .to.be.revertedWithCustomError(web3Mint, "AccessControlUnauthorizedAccount");
+      await expect(web3Mint.connect(user1).updatePresalePrice(0))
+        .to.be.revertedWithCustomError(web3Mint, "AccessControlUnauthorizedAccount");
+
+      await expect(web3Mint.updatePresalePrice(ethers.parseEther("0.0002")))
+        .to.emit(web3Mint, "PresalePriceUpdated").withArgs(ethers.parseEther("0.0002"));
+    });
+
+    it("Should reject malformed allowlist CSV rows", async function () {
+      expect(() => parseAllowlistCsv("0x1234,1")).to.throw("無効なアドレス");
+      expect(() => parseAllowlistCsv(`${user1.address},0`)).to.throw("ミント可能数");
+      expect(() => parseAllowlistCsv(`${user1.address}\n${user1.address}`)).to.throw("重複");
+    });
+  });
+
+  describe("Image base URI", function () {
+    const gateway = "https://gateway.example.com/ipfs/";
+
+    // 📄 data:application/json;base64,... をJSONに戻すヘルパー
+    const decodeMetadata = (uri) => {
+      const prefix = "data:application/json;base64,";
+      expect(uri.startsWith(prefix)).to.equal(true);
+      return JSON.parse(Buffer.from(uri.slice(prefix.length), "base64").toString("utf8"));
+    };
+
+    it("Should store the bare CID and build the image URI at read time", async function () {
+      const mintPrice = await web3Mint.mintPrice();
+      await web3Mint.connect(user1).mintIpfsNFT("Art", "My art", "QmArt", { value: mintPrice });
+
+      expect(await web3Mint.imageBaseURI()).to.equal("ipfs://");
+      expect((await web3Mint.nftInfo(1)).imageURI).to.equal("QmArt");
+      expect((await web3Mint.getNFTInfo(1)).imageURI).to.equal("ipfs://QmArt");
+      expect(decodeMetadata(await web3Mint.tokenURI(1)).image).to.equal("ipfs://QmArt");
+    });
+
+    it("Should switch existing tokens to a new gateway and notify indexers", async function () {
+      const mintPrice = await web3Mint.mintPrice();
+      await web3Mint.connect(user1).mintIpfsNFT("Art", "My art", "QmArt", { value: mintPrice });
+      await web3Mint.ownerMintIpfs(user2.address, "Gift", "Airdrop", "QmGift");
+
+      await expect(web3Mint.setImageBaseURI(gateway))
+        .to.emit(web3Mint, "BaseURIUpdated")
+        .withArgs(gateway)
+        .and.to.emit(web3Mint, "BatchMetadataUpdate")
+        .withArgs(1, 2);
+
+      expect((await web3Mint.getNFTInfo(1)).imageURI).to.equal(`${gateway}QmArt`);
+      expect(decodeMetadata(await web3Mint.tokenURI(2)).image).to.equal(`${gateway}QmGift`);
+    });
+
+    it("Should keep externally hosted metadata URIs unchanged", async function () {
+      const mintPrice = await web3Mint.mintPrice();
+      await web3Mint.connect(user1).mintIpfsNFTWithMetadata("Art", "My art", "QmArt", "ipfs://QmMeta", { value: mintPrice });
+
+      await web3Mint.setImageBaseURI(gateway);
+
+      expect(await web3Mint.tokenURI(1)).to.equal("ipfs://QmMeta");
+      expect((await web3Mint.getNFTInfo(1)).imageURI).to.equal(`${gateway}QmArt`);
+    });
+
+    it("Should not emit BatchMetadataUpdate before any mint", async function () {
+      await expect(web3Mint.setImageBaseURI(gateway))
+        .to.emit(web3Mint, "BaseURIUpdated")
+        .and.not.to.emit(web3Mint, "BatchMetadataUpdate");
+    });
+
+    it("Should only allow the owner to change the base URI", async function () {
+      await expect(
+        web3Mint.connect(user1).setImageBaseURI(gateway)
+      ).to.be.revertedWithCustomError(web3Mint, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  describe("On-chain SVG", function () {
+    const svg = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 10 10"><circle cx="5" cy="5" r="4" fill="red"/></svg>';
+
+    // 📄 data:application/json;base64,... をJSONに戻すヘルパー
+    const decodeDataURI = (uri, prefix) => {
+      expect(uri.startsWith(prefix)).to.equal(true);
+      return Buffer.from(uri.slice(prefix.length), "base64").toString("utf8");
+    };
+
+    it("Should return a fully on-chain tokenURI with an embedded SVG image", async function () {
+      const mintPrice = await web3Mint.mintPrice();
+
+      await expect(
+        web3Mint.connect(user1).mintOnChainSVG('Red "Dot"', "Line1\nLine2", ethers.toUtf8Bytes(svg), { value: mintPrice })
+      ).to.emit(web3Mint, "OnChainSVGMinted")
+        .withArgs(1, user1.address, ethers.toUtf8Bytes(svg).length);
+
+      expect(await web3Mint.isOnChainSVG(1)).to.equal(true);
+      expect(await web3Mint.getSVG(1)).to.equal(svg);
+
+      // 名前の " や説明の改行がエスケープされ、正しいJSONになっているか
+      const metadata = JSON.parse(decodeDataURI(await web3Mint.tokenURI(1), "data:application/json;base64,"));
+      expect(metadata.name).to.equal('Red "Dot"');
+      expect(metadata.description).to.equal("Line1\nLine2");
+      expect(decodeDataURI(metadata.image, "data:image/svg+xml;base64,")).to.equal(svg);
+    });
+
+    it("Should store SVGs larger than one SSTORE2 chunk", async function () {
+      const mintPrice = await web3Mint.mintPrice();
+      // 1チャンク（24,575バイト）を超えるSVG
+      const bigSvg = `<svg xmlns="http://www.w3.org/2000/svg"><!--${"x".repeat(30000)}--></svg>`;
+
+      await web3Mint.connect(user1).mintOnChainSVG("Big", "Two chunks", ethers.toUtf8Bytes(bigSvg), { value: mintPrice });
+
+      expect(await web3Mint.getSVG(1)).to.equal(bigSvg);
+    });
+
+    it("Should reject invalid or oversized SVGs", async function () {
+      const mintPrice = await web3Mint.mintPrice();
+      const maxSize = Number(await web3Mint.MAX_SVG_SIZE());
+
+      await expect(
+        web3Mint.connect(user1).mintOnChainSVG("PNG", "Not an SVG", ethers.toUtf8Bytes("<png>"), { value: mintPrice })
+      ).to.be.revertedWithCustomError(web3Mint, "InvalidSVG");
+
+      await expect(
+        web3Mint.connect(user1).mintOnChainSVG("Empty", "No bytes", "0x", { value: mintPrice })
+      ).to.be.revertedWithCustomError(web3Mint, "InvalidSVG");
+
+      const tooBig = `<svg>${"x".repeat(maxSize)}</svg>`;
+      await expect(
+        web3Mint.connect(user1).mintOnChainSVG("Huge", "Too big", ethers.toUtf8Bytes(tooBig), { value: mintPrice })
+      ).to.be.revertedWithCustomError(web3Mint, "SVGTooLarge");
+    });
+
+    it("Should keep IPFS tokens on their stored tokenURI", async function () {
+      const mintPrice = await web3Mint.mintPrice();
+      await web3Mint.connect(user1).makeAnEpicNFT("https://example.com/1.json", { value: mintPrice });
+
+      expect(await web3Mint.isOnChainSVG(1)).to.equal(false);
+      expect(await web3Mint.tokenURI(1)).to.equal("https://example.com/1.json");
+    });
+  });
+
+  describe("Wallet limits", function () {
+    const mintOne = (signer, value) => web3Mint.connect(signer).mintIpfsNFTWithMetadata(
+      "Limited", "Per-wallet limit", "QmLimited", "ipfs://QmLimitedMeta",
+      { value }
+    );
+
+    it("Should count mints per wallet and stop at maxPerWallet", async function () {
+      const mintPrice = await web3Mint.mintPrice();
+
+      await expect(web3Mint.setMaxPerWallet(2))
+        .to.emit(web3Mint, "MaxPerWalletUpdated").withArgs(2);
+
+      await mintOne(user1, mintPrice);
+      await mintOne(user1, mintPrice);
+      expect(await web3Mint.mintedBy(user1.address)).to.equal(2);
+
+      await expect(mintOne(user1, mintPrice))
+        .to.be.revertedWithCustomError(web3Mint, "WalletLimitExceeded");
+
+      // 他のウォレットは影響を受けない
+      await mintOne(user2, mintPrice);
+      expect(await web3Mint.mintedBy(user2.address)).to.equal(1);
+    });
+
+    it("Should reject a batch that would exceed the wallet limit", async function () {
+      const mintPrice = await web3Mint.mintPrice();
+      await web3Mint.setMaxPerWallet(2);
+      const fill = (value) => Array(3).fill(value);
+
+      await expect(
+        web3Mint.connect(user1).mintIpfsNFTBatch(
+          fill("Batch"), fill("Too many"), fill("QmBatch"), fill("ipfs://QmBatch"), 500,
+          { value: mintPrice * 3n }
+        )
+      ).to.be.revertedWithCustomError(web3Mint, "WalletLimitExceeded");
+      expect(await web3Mint.mintedBy(user1.address)).to.equal(0);
+    });
+
+    it("Should treat zero as unlimited and ignore owner mints", async function () {
+      const mintPrice = await web3Mint.mintPrice();
+      await web3Mint.setMaxPerWallet(1);
+
+      await web3Mint.ownerMint(user1.address, "https://example.com/airdrop.json");
+      expect(await web3Mint.mintedBy(user1.address)).to.equal(0);
+
+      await mintOne(user1, mintPrice);
+      await web3Mint.setMaxPerWallet(0);
+      await mintOne(user1, mintPrice);
+      expect(await web3Mint.mintedBy(user1.address)).to.equal(2);
+    });
+
+    it("Should only let the owner change the limit", async function () {
+      await expect(
+        web3Mint.connect(user1).setMaxPerWallet(100)
+      ).to.be.revertedWithCustomError(web3Mint, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  describe("Overpayment refunds", function () {
+    const overpayment = ethers.parseEther("0.004");
+
+    // 🎨 料金を受け取るミント関数（払いすぎた分が返金される）
+    const paidMints = {
+      makeAnEpicNFT: (signer, value) => web3Mint.connect(signer).makeAnEpicNFT(
+        "https://example.com/metadata/refund.json", { value }
+      ),
+      mintIpfsNFT: (signer, value) => web3Mint.connect(signer).mintIpfsNFT(
+        "Refund", "Overpaid mint", "QmRefund", { value }
+      ),
+      mintIpfsNFTWithMetadata: (signer, value) => web3Mint.connect(signer).mintIpfsNFTWithMetadata(
+        "Refund", "Overpaid mint", "QmRefund", "ipfs://QmRefundMeta", { value }
+      )
+    };
+
+    for (const [method, mint] of Object.entries(paidMints)) {
+      it(`Should refund the excess ETH paid to ${method}`, async function () {
+        const mintPrice = await web3Mint.mintPrice();
+        const tx = mint(user1, mintPrice + overpayment);
+
+        await expect(tx)
+          .to.emit(web3Mint, "PaymentRefunded").withArgs(user1.address, overpayment);
+        await expect(tx)
+          .to.changeEtherBalances([user1, web3Mint], [-mintPrice, mintPrice]);
+        expect(await web3Mint.ownerOf(1)).to.equal(user1.address);
+      });
+    }
+
+    it("Should refund against the total price of a batch and skip exact payments", async function () {
+      const mintPrice = await web3Mint.mintPrice();
+      const fill = (value) => Array(2).fill(value);
+      const batchMint = (value) => web3Mint.connect(user1).mintIpfsNFTBatch(
+        fill("Batch"), fill("Refund"), fill("QmBatch"), fill("ipfs://QmBatch"), 500, { value }
+      );
+
+      const tx = batchMint(mintPrice * 3n);
+      await expect(tx)
+        .to.emit(web3Mint, "PaymentRefunded").withArgs(user1.address, mintPrice);
+      await expect(tx)
+        .to.changeEtherBalance(web3Mint, mintPrice * 2n);
+
+      // 料金ちょうどなら返金のイベントは出ない
+      await expect(batchMint(mintPrice * 2n))
+        .to.not.emit(web3Mint, "PaymentRefunded");
+    });
+
+    it("Should reject any mismatch when exact payment is required", async function () {
+      const mintPrice = await web3Mint.mintPrice();
+      expect(await web3Mint.exactPaymentRequired()).to.equal(false);
+
+      await expect(web3Mint.connect(user1).setExactPaymentRequired(true))
+        .to.be.revertedWithCustomError(web3Mint, "AccessControlUnauthorizedAccount");
+      await expect(web3Mint.setExactPaymentRequired(true))
+        .to.emit(web3Mint, "ExactPaymentRequiredUpdated").withArgs(true);
+
+      await expect(paidMints.mintIpfsNFTWithMetadata(user1, mintPrice + 1n))
+        .to.be.revertedWithCustomError(web3Mint, "IncorrectPayment");
+      await expect(paidMints.mintIpfsNFTWithMetadata(user1, mintPrice - 1n))
+        .to.be.revertedWithCustomError(web3Mint, "InsufficientPayment");
+
+      await expect(paidMints.mintIpfsNFTWithMetadata(user1, mintPrice))
+        .to.not.emit(web3Mint, "PaymentRefunded");
+      expect(await web3Mint.getContractBalance()).to.equal(mintPrice);
+    });
+  });
+
+  describe("Sale window and Dutch auction", function () {
+    const mint = (signer, value) => web3Mint.connect(signer).mintIpfsNFTWithMetadata(
+      "Timed", "Timed sale", "QmTimed", "ipfs://QmTimedMeta", { value }
+    );
+
+    // ⏰ 最新ブロックの時刻と、次のブロックの時刻の指定
+    const latestTimestamp = async () => (await ethers.provider.getBlock("latest")).timestamp;
+    const setNextTimestamp = (timestamp) => ethers.provider.send("evm_setNextBlockTimestamp", [timestamp]);
+    const mineAt = async (timestamp) => {
+      await setNextTimestamp(timestamp);
+      await ethers.provider.send("evm_mine", []);
+    };
+
+    it("Should only accept mints between the sale start and end", async function () {
+      const mintPrice = await web3Mint.mintPrice();
+      const start = (await latestTimestamp()) + 100;
+      const end = start + 100;
+
+      await expect(web3Mint.connect(user1).setSaleWindow(start, end))
+        .to.be.revertedWithCustomError(web3Mint, "AccessControlUnauthorizedAccount");
+      await expect(web3Mint.setSaleWindow(end, start))
+        .to.be.revertedWithCustomError(web3Mint, "InvalidSaleWindow");
+      await expect(web3Mint.setSaleWindow(start, end))
+        .to.emit(web3Mint, "SaleWindowUpdated").withArgs(start, end);
+
+      await expect(mint(user1, mintPrice))
+        .to.be.revertedWithCustomError(web3Mint, "SaleNotStarted").withArgs(start);
+
+      await setNextTimestamp(start);
+      await expect(mint(user1, mintPrice)).to.emit(web3Mint, "NFTMinted");
+
+      await setNextTimestamp(end);
+      await expect(mint(user1, mintPrice))
+        .to.be.revertedWithCustomError(web3Mint, "SaleEnded").withArgs(end);
+
+      // 0 / 0 で期間の制限をなくす
+      await web3Mint.setSaleWindow(0, 0);
+      await expect(mint(user1, mintPrice)).to.emit(web3Mint, "NFTMinted");
+    });
+
+    it("Should apply the sale window to presale mints too", async function () {
+      const allowlist = buildAllowlist(parseAllowlistCsv(`address,allowance\n${user1.address},1\n`));
+      const entry = allowlist.proofs[user1.address.toLowerCase()];
+      await web3Mint.setMerkleRoot(allowlist.merkleRoot);
+      await web3Mint.setSalePhase(1);
+
+      const start = (await latestTimestamp()) + 1000;
+      await web3Mint.setSaleWindow(start, 0);
+
+      await expect(web3Mint.connect(user1).presaleMintIpfsNFT(
+        "Presale", "Too early", "QmEarly", "ipfs://QmEarlyMeta", entry.allowance, entry.proof,
+        { value: await web3Mint.presalePrice() }
+      )).to.be.revertedWithCustomError(web3Mint, "SaleNotStarted");
+    });
+
+    it("Should validate the Dutch auction settings", async function () {
+      const start = await latestTimestamp();
+
+      await expect(web3Mint.connect(user1).setDutchAuction(100, 10, 10, 60, start))
+        .to.be.revertedWithCustomError(web3Mint, "AccessControlUnauthorizedAccount");
+      await expect(web3Mint.setDutchAuction(100, 200, 10, 60, start))
+        .to.be.revertedWithCustomError(web3Mint, "InvalidAuctionConfig");
+      await expect(web3Mint.setDutchAuction(100, 10, 10, 0, start))
+        .to.be.revertedWithCustomError(web3Mint, "InvalidAuctionConfig");
+
+      await expect(web3Mint.setDutchAuction(100, 10, 10, 60, start))
+        .to.emit(web3Mint, "DutchAuctionUpdated").withArgs(100, 10, 10, 60, start);
+      const auction = await web3Mint.dutchAuction();
+      expect(auction.startPrice).to.equal(100);
+      expect(auction.dropInterval).to.equal(60);
+    });
+
+    it("Should lower the price every interval down to the floor", async function () {
+      const startPrice = ethers.parseEther("0.01");
+      const floorPrice = ethers.parseEther("0.004");
+      const priceDrop = ethers.parseEther("0.002");
+      const startTime = (await latestTimestamp()) + 100;
+      await web3Mint.setDutchAuction(startPrice, floorPrice, priceDrop, 600, startTime);
+
+      // 値下げ開始前は開始料金
+      expect(await web3Mint.currentPrice()).to.equal(startPrice);
+
+      await mineAt(startTime + 599);
+      expect(await web3Mint.currentPrice()).to.equal(startPrice);
+
+      await mineAt(startTime + 1200);
+      expect(await web3Mint.currentPrice()).to.equal(startPrice - priceDrop * 2n);
+
+      // 最低料金より下がらない
+      await mineAt(startTime + 60 * 60);
+      expect(await web3Mint.currentPrice()).to.equal(floorPrice);
+
+      // 無効にすると mintPrice に戻る
+      await web3Mint.setDutchAuction(0, 0, 0, 0, 0);
+      expect(await web3Mint.currentPrice()).to.equal(await web3Mint.mintPrice());
+    });
+
+    it("Should charge the auction price at mint time and refund the rest", async function () {
+      const startPrice = ethers.parseEther("0.01");
+      const priceDrop = ethers.parseEther("0.001");
+      const startTime = (await latestTimestamp()) + 10;
+      await web3Mint.setDutchAuction(startPrice, 0, priceDrop, 60, startTime);
+
+      // 開始料金を送っても、3回値下げされた後なら差額が返金される
+      await setNextTimestamp(startTime + 180);
+      const tx = mint(user1, startPrice);
+      await expect(tx)
+        .to.emit(web3Mint, "PaymentRefunded").withArgs(user1.address, priceDrop * 3n);
+      await expect(tx)
+        .to.changeEtherBalance(web3Mint, startPrice - priceDrop * 3n);
+
+      // 値下げ後の料金に足りなければ失敗
+      await setNextTimestamp(startTime + 240);
+      await expect(mint(user1, startPrice - priceDrop * 5n))
+        .to.be.revertedWithCustomError(web3Mint, "InsufficientPayment");
+    });
+  });
+
+  describe("ERC-20 payments", function () {
+    const usdcPrice = 5_000_000n; // 5 USDC（小数6桁）
+    let usdc;
+    let dai;
+
+    beforeEach(async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      usdc = await MockERC20.deploy("USD Coin", "USDC", 6);
+      dai = await MockERC20.deploy("Dai", "DAI", 18);
+      await usdc.mint(user1.address, usdcPrice * 10n);
+    });
+
+    const tokenMint = (signer, token, royaltyBps = 500) => web3Mint.connect(signer).mintIpfsNFTWithToken(
+      token, "Token Art", "Paid in tokens", "QmToken", "ipfs://QmTokenMeta", royaltyBps
+    );
+
+    it("Should let the price admin whitelist, reprice and remove payment tokens", async function () {
+      const usdcAddress = await usdc.getAddress();
+      const daiAddress = await dai.getAddress();
+
+      await expect(web3Mint.connect(user1).setPaymentToken(usdcAddress, usdcPrice))
+        .to.be.revertedWithCustomError(web3Mint, "AccessControlUnauthorizedAccount");
+      await expect(web3Mint.setPaymentToken(ethers.ZeroAddress, 1))
+        .to.be.revertedWithCustomError(web3Mint, "UnsupportedPaymentToken");
+
+      await expect(web3Mint.setPaymentToken(usdcAddress, usdcPrice))
+        .to.emit(web3Mint, "PaymentTokenUpdated").withArgs(usdcAddress, usdcPrice);
+      await web3Mint.setPaymentToken(daiAddress, ethers.parseEther("5"));
+      expect(await web3Mint.paymentTokens()).to.deep.equal([usdcAddress, daiAddress]);
+
+      // 料金の変更では一覧は増えない
+      await web3Mint.setPaymentToken(usdcAddress, usdcPrice * 2n);
+      expect(await web3Mint.tokenMintPrice(usdcAddress)).to.equal(usdcPrice * 2n);
+      expect(await web3Mint.paymentTokens()).to.deep.equal([usdcAddress, daiAddress]);
+
+      // 料金0で削除
+      await web3Mint.setPaymentToken(usdcAddress, 0);
+      expect(await web3Mint.paymentTokens()).to.deep.equal([daiAddress]);
+      expect(await web3Mint.tokenMintPrice(usdcAddress)).to.equal(0);
+    });
+
+    it("Should mint after approve and pull the token price with transferFrom", async function () {
+      const usdcAddress = await usdc.getAddress();
+      await web3Mint.setPaymentToken(usdcAddress, usdcPrice);
+      await usdc.connect(user1).approve(await web3Mint.getAddress(), usdcPrice);
+
+      const tx = tokenMint(user1, usdcAddress, 300);
+      await expect(tx)
+        .to.emit(web3Mint, "NFTMinted")
+        .withArgs(1, user1.address, "ipfs://QmToken", "ipfs://QmTokenMeta");
+      await expect(tx)
+        .to.changeTokenBalances(usdc, [user1, web3Mint], [-usdcPrice, usdcPrice]);
+
+      expect(await web3Mint.ownerOf(1)).to.equal(user1.address);
+      expect(await web3Mint.mintedBy(user1.address)).to.equal(1);
+      const [receiver, amount] = await web3Mint.royaltyInfo(1, 10_000);
+      expect(receiver).to.equal(user1.address);
+      expect(amount).to.equal(300);
+    });
+
+    it("Should reject unlisted tokens, missing approvals and closed sales", async function () {
+      const usdcAddress = await usdc.getAddress();
+
+      await expect(tokenMint(user1, await dai.getAddress()))
+        .to.be.revertedWithCustomError(web3Mint, "UnsupportedPaymentToken");
+
+      await web3Mint.setPaymentToken(usdcAddress, usdcPrice);
+      await expect(tokenMint(user1, usdcAddress))
+        .to.be.revertedWithCustomError(usdc, "ERC20InsufficientAllowance");
+
+      await usdc.connect(user1).approve(await web3Mint.getAddress(), usdcPrice);
+      await web3Mint.toggleMinting(false);
+      await expect(tokenMint(user1, usdcAddress))
+        .to.be.revertedWithCustomError(web3Mint, "MintingDisabled");
+    });
+
+    it("Should let the treasurer withdraw token balances", async function () {
+      const usdcAddress = await usdc.getAddress();
+      await web3Mint.setPaymentToken(usdcAddress, usdcPrice);
+      await usdc.connect(user1).approve(await web3Mint.getAddress(), usdcPrice * 2n);
+      await tokenMint(user1, usdcAddress);
+      await tokenMint(user1, usdcAddress);
+
+      await expect(web3Mint.connect(user1).withdrawToken(usdcAddress))
+        .to.be.revertedWithCustomError(web3Mint, "AccessControlUnauthorizedAccount");
+
+      // 支払いに使えなくなったトークンも引き出せる
+      await web3Mint.setPaymentToken(usdcAddress, 0);
+      const tx = web3Mint.withdrawToken(usdcAddress);
+      await expect(tx)
+        .to.emit(web3Mint, "TokenWithdrawn").withArgs(usdcAddress, owner.address, usdcPrice * 2n);
+      await expect(tx)
+        .to.changeTokenBalances(usdc, [owner, web3Mint], [usdcPrice * 2n, -usdcPrice * 2n]);
+
+      await expect(web3Mint.withdrawToken(usdcAddress)).to.be.revertedWith("No funds to withdraw");
+    });
+  });
+
+  describe("Lazy minting vouchers", function () {
+    const metadataURI = "ipfs://QmVoucherMeta";
+    const price = ethers.parseEther("0.01");
+
+    // 🔏 EIP-712の型（client/src/utils/voucher.js の VOUCHER_TYPES と同じ）
+    const types = {
+      MintVoucher: [
+        { name: "metadataURI", type: "string" },
+        { name: "price", type: "uint256" },
+        { name: "creator", type: "address" },
+        { name: "expiry", type: "uint64" },
+        { name: "nonce", type: "uint256" }
+      ]
+    };
+
+    // ✍️ 作成者として引換券に署名する（ドメインはデプロイしたコントラクトのもの）
+    const signVoucher = async (signer, overrides = {}) => {
+      const { chainId } = await ethers.provider.getNetwork();
+      const domain = { name: "Web3Mint", version: "1", chainId, verifyingContract: await web3Mint.getAddress() };
+      const latest = (await ethers.provider.getBlock("latest")).timestamp;
+      const voucher = {
+        metadataURI,
+        price,
+        creator: signer.address,
+        expiry: latest + 3600,
+        nonce: 1,
+        ...overrides
+      };
+      return { voucher, signature: await signer.signTypedData(domain, types, voucher) };
+    };
+
+    it("Should mint to the buyer, pay the creator and make the creator the royalty receiver", async function () {
+      const { voucher, signature } = await signVoucher(user1);
+
+      const tx = web3Mint.connect(user2).redeem(voucher, signature, { value: price });
+      await expect(tx)
+        .to.emit(web3Mint, "VoucherRedeemed").withArgs(1, user1.address, user2.address, 1, price);
+      await expect(tx)
+        .to.changeEtherBalances([user2, user1, web3Mint], [-price, price, 0]);
+
+      expect(await web3Mint.ownerOf(1)).to.equal(user2.address);
+      expect(await web3Mint.tokenURI(1)).to.equal(metadataURI);
+      expect(await web3Mint.voucherRedeemed(user1.address, 1)).to.equal(true);
+      const [receiver] = await web3Mint.royaltyInfo(1, price);
+      expect(receiver).to.equal(user1.address);
+    });
+
+    it("Should make the voucher creator, not the buyer, the metadata editor", async function () {
+      const { voucher, signature } = await signVoucher(user1);
+      await web3Mint.connect(user2).redeem(voucher, signature, { value: price });
+
+      expect(await web3Mint.metadataEditor(1)).to.equal(user1.address);
+      await expect(web3Mint.connect(user2).updateTokenURI(1, "ipfs://QmVoucherMetaV2"))
+        .to.be.revertedWithCustomError(web3Mint, "NotMetadataEditor")
+        .withArgs(1);
+      await web3Mint.connect(user1).updateTokenURI(1, "ipfs://QmVoucherMetaV2");
+      expect(await web3Mint.tokenURI(1)).to.equal("ipfs://QmVoucherMetaV2");
+    });
+
+    it("Should reject forged and tampered vouchers", async function () {
+      const { voucher, signature } = await signVoucher(user1);
+
+      // 作成者になりすまして別のアカウントが署名
+      const forged = await signVoucher(user2, { creator: user1.address });
+      await expect(web3Mint.connect(user2).redeem(forged.voucher, forged.signature, { value: price }))
+        .to.be.revertedWithCustomError(web3Mint, "InvalidVoucherSignature");
+
+      // 署名した後に料金やメタデータを書き換え
+      await expect(web3Mint.connect(user2).redeem({ ...voucher, price: 0n }, signature))
+        .to.be.revertedWithCustomError(web3Mint, "InvalidVoucherSignature");
+      await expect(web3Mint.connect(user2).redeem({ ...voucher, metadataURI: "ipfs://QmOther" }, signature, { value: price }))
+        .to.be.revertedWithCustomError(web3Mint, "InvalidVoucherSignature");
+
+      // 形式が正しくない署名
+      await expect(web3Mint.connect(user2).redeem(voucher, "0x1234", { value: price }))
+        .to.be.revertedWithCustomError(web3Mint, "InvalidVoucherSignature");
+    });
+
+    it("Should not accept a signature made for another contract", async function () {
+      const Web3Mint = await getLinkedFactory(hre, "Web3Mint", libraries);
+      const other = await Web3Mint.deploy();
+      const { voucher, signature } = await signVoucher(user1);
+
+      await expect(other.connect(user2).redeem(voucher, signature, { value: price }))
+        .to.be.revertedWithCustomError(other, "InvalidVoucherSignature");
+    });
+
+    it("Should reject expired vouchers", async function () {
+      const { voucher, signature } = await signVoucher(user1);
+
+      await ethers.provider.send("evm_setNextBlockTimestamp", [voucher.expiry + 1]);
+      await expect(web3Mint.connect(user2).redeem(voucher, signature, { value: price }))
+        .to.be.revertedWithCustomError(web3Mint, "VoucherExpired");
+    });
+
+    it("Should not let a voucher be redeemed twice, but accept a new nonce", async function () {
+      const { voucher, signature } = await signVoucher(user1);
+      await web3Mint.connect(user2).redeem(voucher, signature, { value: price });
+
+      await expect(web3Mint.connect(user2).redeem(voucher, signature, { value: price }))
+        .to.be.revertedWithCustomError(web3Mint, "VoucherAlreadyRedeemed");
+
+      const next = await signVoucher(user1, { nonce: 2 });
+      await web3Mint.connect(user2).redeem(next.voucher, next.signature, { value: price });
+      expect(await web3Mint.balanceOf(user2.address)).to.equal(2);
+    });
+
+    it("Should check the payment, refund overpayment and stop while minting is closed", async function () {
+      const { voucher, signature } = await signVoucher(user1);
+
+      await expect(web3Mint.connect(user2).redeem(voucher, signature, { value: price - 1n }))
+        .to.be.revertedWithCustomError(web3Mint, "InsufficientPayment");
+
+      await web3Mint.toggleMinting(false);
+      await expect(web3Mint.connect(user2).redeem(voucher, signature, { value: price }))
+        .to.be.revertedWithCustomError(web3Mint, "MintingDisabled");
+      await web3Mint.toggleMinting(true);
+
+      const tx = web3Mint.connect(user2).redeem(voucher, signature, { value: price * 2n });
+      await expect(tx)
+        .to.emit(web3Mint, "PaymentRefunded").withArgs(user2.address, price);
+      await expect(tx)
+        .to.changeEtherBalances([user2, user1], [-price, price]);
+    });
+
+    it("Should reject vouchers priced below the public mint price", async function () {
+      // 自分で署名した料金0の引換券で、ミント料金を払わずにミントしようとする
+      const free = await signVoucher(user2, { price: 0n });
+      await expect(web3Mint.connect(user2).redeem(free.voucher, free.signature))
+        .to.be.revertedWithCustomError(web3Mint, "VoucherPriceTooLow");
+
+      // 一般販売の料金ちょうどなら使える
+      const mintPrice = await web3Mint.mintPrice();
+      const cheap = await signVoucher(user1, { price: mintPrice });
+      await web3Mint.connect(user2).redeem(cheap.voucher, cheap.signature, { value: mintPrice });
+      expect(await web3Mint.ownerOf(1)).to.equal(user2.address);
+    });
+
+    it("Should count redeems toward the buyer's wallet limit", async function () {
+      await web3Mint.setMaxPerWallet(1);
+      const first = await signVoucher(user1);
+      await web3Mint.connect(user2).redeem(first.voucher, first.signature, { value: price });
+      expect(await web3Mint.mintedBy(user2.address)).to.equal(1);
+
+      const second = await signVoucher(user1, { nonce: 2 });
+      await expect(web3Mint.connect(user2).redeem(second.voucher, second.signature, { value: price }))
+        .to.be.revertedWithCustomError(web3Mint, "WalletLimitExceeded");
+    });
+
+    it("Should only redeem during the public sale window", async function () {
+      const { voucher, signature } = await signVoucher(user1);
+
+      // プレセール中（1 = Presale）は使えない
+      await web3Mint.setSalePhase(1);
+      await expect(web3Mint.connect(user2).redeem(voucher, signature, { value: price }))
+        .to.be.revertedWithCustomError(web3Mint, "MintingDisabled");
+      await web3Mint.setSalePhase(2);
+
+      // 販売開始前は使えない
+      const start = voucher.expiry - 60;
+      await web3Mint.setSaleWindow(start, 0);
+      await expect(web3Mint.connect(user2).redeem(voucher, signature, { value: price }))
+        .to.be.revertedWithCustomError(web3Mint, "SaleNotStarted").withArgs(start);
+    });
+  });
+
+  describe("Gasless minting (ERC-2771)", function () {
+    let forwarder;
+
+    // 🔏 EIP-712の型（OpenZeppelin ERC2771Forwarder の ForwardRequest と同じ）
+    const types = {
+      ForwardRequest: [
+        { name: "from", type: "address" },
+        { name: "to", type: "address" },
+        { name: "value", type: "uint256" },
+        { name: "gas", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint48" },
+        { name: "data", type: "bytes" }
+      ]
+    };
+
+    beforeEach(async function () {
+      const Forwarder = await ethers.getContractFactory("Web3MintForwarder");
+      forwarder = await Forwarder.deploy();
+      await web3Mint.setTrustedForwarder(await forwarder.getAddress());
+      await web3Mint.updateMintPrice(0); // リレイヤーはETHを立て替えない（無料ミントのみ）
+    });
+
+    // ✍️ ユーザーとして Web3Mint の呼び出しを依頼するリクエストに署名する
+    const signRequest = async (signer, data, overrides = {}) => {
+      const { chainId } = await ethers.provider.getNetwork();
+      const domain = { name: "Web3MintForwarder", version: "1", chainId, verifyingContract: await forwarder.getAddress() };
+      const latest = (await ethers.provider.getBlock("latest")).timestamp;
+      const request = {
+        from: signer.address,
+        to: await web3Mint.getAddress(),
+        value: 0n,
+        gas: 1_000_000n,
+        nonce: await forwarder.nonces(signer.address),
+        deadline: latest + 3600,
+        data,
+        ...overrides
+      };
+      const signature = await signer.signTypedData(domain, types, request);
+      return { ...request, signature };
+    };
+
+    const mintData = () => web3Mint.interface.encodeFunctionData(
+      "mintIpfsNFTWithMetadata",
+      ["Gasless", "Minted without gas", "QmGasless", "ipfs://QmGaslessMeta"]
+    );
+
+    it("Should let only the admin set the trusted forwarder", async function () {
+      const forwarderAddress = await forwarder.getAddress();
+      expect(await web3Mint.trustedForwarder()).to.equal(forwarderAddress);
+      expect(await web3Mint.isTrustedForwarder(forwarderAddress)).to.equal(true);
+      expect(await web3Mint.isTrustedForwarder(user1.address)).to.equal(false);
+
+      await expect(web3Mint.connect(user1).setTrustedForwarder(user1.address))
+        .to.be.revertedWithCustomError(web3Mint, "AccessControlUnauthorizedAccount");
+
+      await expect(web3Mint.setTrustedForwarder(ethers.ZeroAddress))
+        .to.emit(web3Mint, "TrustedForwarderUpdated").withArgs(ethers.ZeroAddress);
+      expect(await web3Mint.isTrustedForwarder(ethers.ZeroAddress)).to.equal(false);
+    });
+
+    it("Should mint to the signer while the relayer pays the gas", async function () {
+      const request = await signRequest(user1, mintData());
+      expect(await forwarder.verify(request)).to.equal(true);
+
+      const tx = forwarder.connect(user2).execute(request);
+      await expect(tx)
+        .to.emit(web3Mint, "IPFSNFTMinted").withArgs(1, user1.address, "QmGasless");
+      await expect(tx)
+        .to.changeEtherBalance(user1, 0);
+
+      expect(await web3Mint.ownerOf(1)).to.equal(user1.address);
+      expect(await web3Mint.mintedBy(user1.address)).to.equal(1);
+      expect(await web3Mint.mintedBy(user2.address)).to.equal(0);
+      expect((await web3Mint.nftInfo(1)).minter).to.equal(user1.address);
+      const [receiver] = await web3Mint.royaltyInfo(1, 10000);
+      expect(receiver).to.equal(user1.address);
+    });
+
+    it("Should check ownership and roles against the signer", async function () {
+      await forwarder.connect(user2).execute(await signRequest(user1, mintData()));
+
+      // 所有者（user1）の署名ならバーンできる
+      const burnData = web3Mint.interface.encodeFunctionData("burn", [1]);
+      await forwarder.connect(user2).execute(await signRequest(user1, burnData));
+      expect(await web3Mint.totalBurned()).to.equal(1);
+
+      // 役割のないユーザーの署名では管理者の関数は実行できない（フォワーダーは失敗した呼び出しを取り消す）
+      const adminData = web3Mint.interface.encodeFunctionData("updateMintPrice", [1]);
+      await expect(forwarder.connect(user2).execute(await signRequest(user1, adminData)))
+        .to.be.revertedWithCustomError(forwarder, "FailedCall");
+      expect(await web3Mint.mintPrice()).to.equal(0);
+    });
+
+    it("Should reject tampered, replayed and expired requests", async function () {
+      const request = await signRequest(user1, mintData());
+
+      await expect(forwarder.connect(user2).execute({ ...request, from: user2.address }))
+        .to.be.revertedWithCustomError(forwarder, "ERC2771ForwarderInvalidSigner");
+
+      await forwarder.connect(user2).execute(request);
+      await expect(forwarder.connect(user2).execute(request))
+        .to.be.revertedWithCustomError(forwarder, "ERC2771ForwarderInvalidSigner");
+
+      const latest = (await ethers.provider.getBlock("latest")).timestamp;
+      const expired = await signRequest(user1, mintData(), { deadline: latest });
+      await expect(forwarder.connect(user2).execute(expired))
+        .to.be.revertedWithCustomError(forwarder, "ERC2771ForwarderExpiredRequest");
+    });
+
+    it("Should ignore an appended address unless the caller is the trusted forwarder", async function () {
+      // user2 が呼び出しデータの末尾に user1 のアドレスを付けても、user2 自身のミントになる
+      const data = ethers.concat([mintData(), user1.address]);
+      await user2.sendTransaction({ to: await web3Mint.getAddress(), data });
+      expect(await web3Mint.ownerOf(1)).to.equal(user2.address);
+
+      // フォワーダーを無効にすると、フォワーダーは Web3Mint に転送できない
+      await web3Mint.setTrustedForwarder(ethers.ZeroAddress);
+      await expect(forwarder.connect(user2).execute(await signRequest(user1, mintData())))
+        .to.be.revertedWithCustomError(forwarder, "ERC2771UntrustfulTarget");
+    });
+  });
+
+  describe("Soulbound tokens (ERC-5192)", function () {
+    const mintSoulbound = async (signer) => {
+      const mintPrice = await web3Mint.mintPrice();
+      return web3Mint.connect(signer).mintSoulboundNFT("Certificate", "Course completed", "QmCert", "ipfs://QmCertMeta", { value: mintPrice });
+    };
+
+    it("Should support the ERC-5192 interface", async function () {
+      expect(await web3Mint.supportsInterface("0xb45a3c0e")).to.equal(true);
+    });
+
+    it("Should lock soulbound tokens at mint and leave normal mints transferable", async function () {
+      await expect(mintSoulbound(user1))
+        .to.emit(web3Mint, "Locked")
+        .withArgs(1);
+      const mintPrice = await web3Mint.mintPrice();
+      await web3Mint.connect(user1).mintIpfsNFTWithMetadata("Art", "My art", "QmArt", "ipfs://QmMeta", { value: mintPrice });
+
+      expect(await web3Mint.ownerOf(1)).to.equal(user1.address);
+      expect(await web3Mint.tokenURI(1)).to.equal("ipfs://QmCertMeta");
+      expect(await web3Mint.locked(1)).to.equal(true);
+      expect(await web3Mint.locked(2)).to.equal(false);
+      await expect(web3Mint.locked(3)).to.be.revertedWithCustomError(web3Mint, "ERC721NonexistentToken");
+
+      await web3Mint.connect(user1).transferFrom(user1.address, user2.address, 2);
+      expect(await web3Mint.ownerOf(2)).to.equal(user2.address);
+    });
+
+    it("Should block every transfer of a locked token, including by approved operators", async function () {
+      await mintSoulbound(user1);
+
+      await expect(web3Mint.connect(user1).transferFrom(user1.address, user2.address, 1))
+        .to.be.revertedWithCustomError(web3Mint, "TokenLocked")
+        .withArgs(1);
+      await expect(web3Mint.connect(user1)["safeTransferFrom(address,address,uint256)"](user1.address, user2.address, 1))
+        .to.be.revertedWithCustomError(web3Mint, "TokenLocked");
+
+      await web3Mint.connect(user1).setApprovalForAll(user2.address, true);
+      await expect(web3Mint.connect(user2).transferFrom(user1.address, user2.address, 1))
+        .to.be.revertedWithCustomError(web3Mint, "TokenLocked");
+
+      // 転送以外の確認（承認なし）は先に ERC721 が行う
+      await expect(web3Mint.connect(owner).transferFrom(user1.address, owner.address, 1))
+        .to.be.revertedWithCustomError(web3Mint, "ERC721InsufficientApproval");
+      expect(await web3Mint.ownerOf(1)).to.equal(user1.address);
+    });
+
+    it("Should lock the token before the receiver callback runs", async function () {
+      const SoulboundReceiver = await ethers.getContractFactory("SoulboundReceiver");
+      const receiver = await SoulboundReceiver.deploy(user2.address);
+      const mintPrice = await web3Mint.mintPrice();
+
+      // onERC721Received の中での転送は失敗し、ミント全体が取り消される
+      await expect(receiver.mint(await web3Mint.getAddress(), { value: mintPrice }))
+        .to.be.revertedWithCustomError(web3Mint, "TokenLocked")
+        .withArgs(1);
+      expect(await web3Mint.totalMinted()).to.equal(0);
+    });
+
+    it("Should let the holder burn a locked token and clear the lock", async function () {
+      await mintSoulbound(user1);
+
+      await expect(web3Mint.connect(user1).burn(1))
+        .to.emit(web3Mint, "Transfer")
+        .withArgs(user1.address, ethers.ZeroAddress, 1);
+      await expect(web3Mint.locked(1)).to.be.revertedWithCustomError(web3Mint, "ERC721NonexistentToken");
+      expect(await web3Mint.balanceOf(user1.address)).to.equal(0);
+    });
+
+    it("Should apply the public mint checks to soulbound mints", async function () {
+      await expect(web3Mint.connect(user1).mintSoulboundNFT("Certificate", "Course completed", "QmCert", "ipfs://QmCertMeta", { value: 0 }))
+        .to.be.revertedWithCustomError(web3Mint, "InsufficientPayment");
+
+      await web3Mint.setSalePhase(0);
+      await expect(mintSoulbound(user1)).to.be.revertedWithCustomError(web3Mint, "MintingDisabled");
+    });
+  });
+
+  describe("Editions", function () {
+    const copyURIs = (from, to) => Array.from({ length: to - from + 1 }, (_, i) => `ipfs://QmEdition${from + i}`);
+
+    it("Should create an edition, number each copy and track the remaining supply", async function () {
+      const mintPrice = await web3Mint.mintPrice();
+
+      await expect(web3Mint.connect(user1).createEdition(5, copyURIs(1, 3), { value: mintPrice * 3n }))
+        .to.emit(web3Mint, "EditionCreated")
+        .withArgs(1, user1.address, 5)
+        .and.to.emit(web3Mint, "EditionMinted")
+        .withArgs(1, 3, 3);
+
+      expect(await web3Mint.editionCount()).to.equal(1);
+      expect(await web3Mint.editionRemaining(1)).to.equal(2);
+      expect(await web3Mint.balanceOf(user1.address)).to.equal(3);
+      for (let k = 1; k <= 3; k++) {
+        expect(await web3Mint.editionOf(k)).to.deep.equal([1n, BigInt(k)]);
+        expect(await web3Mint.tokenURI(k)).to.equal(`ipfs://QmEdition${k}`);
+      }
+      // 作品の情報はメタデータにだけ入れ、ロイヤリティはデフォルトの率で作成者に設定
+      expect((await web3Mint.getNFTInfo(1)).name).to.equal("");
+      const [receiver] = await web3Mint.royaltyInfo(2, 10000);
+      expect(receiver).to.equal(user1.address);
+    });
+
+    it("Should let only the creator mint the remaining copies up to the edition size", async function () {
+      const mintPrice = await web3Mint.mintPrice();
+      await web3Mint.connect(user1).createEdition(3, copyURIs(1, 1), { value: mintPrice });
+      // 間に他のミントが入っても番号は続きから
+      await web3Mint.connect(user2).mintIpfsNFTWithMetadata("Art", "My art", "QmArt", "ipfs://QmMeta", { value: mintPrice });
+
+      await expect(web3Mint.connect(user2).mintEditionCopies(1, copyURIs(2, 2), { value: mintPrice }))
+        .to.be.revertedWithCustomError(web3Mint, "NotEditionCreator")
+        .withArgs(1);
+      await expect(web3Mint.connect(user1).mintEditionCopies(1, copyURIs(2, 4), { value: mintPrice * 3n }))
+        .to.be.revertedWithCustomError(web3Mint, "EditionSoldOut")
+        .withArgs(1);
+
+      await web3Mint.connect(user1).mintEditionCopies(1, copyURIs(2, 3), { value: mintPrice * 2n });
+      expect(await web3Mint.editionOf(3)).to.deep.equal([1n, 2n]);
+      expect(await web3Mint.editionOf(4)).to.deep.equal([1n, 3n]);
+      expect(await web3Mint.editionOf(2)).to.deep.equal([0n, 0n]);
+      expect(await web3Mint.editionRemaining(1)).to.equal(0);
+      await expect(web3Mint.connect(user1).mintEditionCopies(1, copyURIs(4, 4), { value: mintPrice }))
+        .to.be.revertedWithCustomError(web3Mint, "EditionSoldOut");
+    });
+
+    it("Should validate the edition size, the copies and the payment", async function () {
+      const mintPrice = await web3Mint.mintPrice();
+
+      await expect(web3Mint.connect(user1).createEdition(0, copyURIs(1, 1), { value: mintPrice }))
+        .to.be.revertedWithCustomError(web3Mint, "InvalidEditionSize");
+      await expect(web3Mint.connect(user1).createEdition(5, [], { value: 0 }))
+        .to.be.revertedWithCustomError(web3Mint, "InvalidBatchSize");
+      await expect(web3Mint.connect(user1).createEdition(5, ["ipfs://QmEdition1", ""], { value: mintPrice * 2n }))
+        .to.be.revertedWithCustomError(web3Mint, "InvalidTokenURI");
+      await expect(web3Mint.connect(user1).createEdition(5, copyURIs(1, 2), { value: mintPrice }))
+        .to.be.revertedWithCustomError(web3Mint, "InsufficientPayment");
+
+      await web3Mint.setSalePhase(0);
+      await expect(web3Mint.connect(user1).createEdition(5, copyURIs(1, 1), { value: mintPrice }))
+        .to.be.revertedWithCustomError(web3Mint, "MintingDisabled");
+      expect(await web3Mint.editionCount()).to.equal(0);
+    });
+
+    it("Should not count edition copies against the wallet limit", async function () {
+      const mintPrice = await web3Mint.mintPrice();
+      await web3Mint.setMaxPerWallet(2);
+      await web3Mint.connect(user1).makeAnEpicNFT("https://example.com/1.json", { value: mintPrice });
+
+      // 上限（2）より大きいエディションも、作成と追加のミントを通して発行できる
+      await web3Mint.connect(user1).createEdition(5, copyURIs(1, 3), { value: mintPrice * 3n });
+      await web3Mint.connect(user1).mintEditionCopies(1, copyURIs(4, 5), { value: mintPrice * 2n });
+
+      expect(await web3Mint.editionRemaining(1)).to.equal(0);
+      expect(await web3Mint.balanceOf(user1.address)).to.equal(6);
+      expect(await web3Mint.mintedBy(user1.address)).to.equal(1);
+
+      // 一般のミントは今まで通り上限まで
+      await web3Mint.connect(user1).makeAnEpicNFT("https://example.com/2.json", { value: mintPrice });
+      await expect(web3Mint.connect(user1).makeAnEpicNFT("https://example.com/3.json", { value: mintPrice }))
+        .to.be.revertedWithCustomError(web3Mint, "WalletLimitExceeded");
+    });
+
+    it("Should keep the number of a transferred copy and not restore supply on burn", async function () {
+      const mintPrice = await web3Mint.mintPrice();
+      await web3Mint.connect(user1).createEdition(2, copyURIs(1, 2), { value: mintPrice * 2n });
+
+      await web3Mint.connect(user1).transferFrom(user1.address, user2.address, 2);
+      expect(await web3Mint.editionOf(2)).to.deep.equal([1n, 2n]);
+
+      await web3Mint.connect(user2).burn(2);
+      await expect(web3Mint.editionOf(2)).to.be.revertedWithCustomError(web3Mint, "ERC721NonexistentToken");
+      expect(await web3Mint.editionRemaining(1)).to.equal(0);
+    });
+  });
+
+  describe("Metadata updates (ERC-4906)", function () {
+    const mintArt = async (signer) => {
+      const mintPrice = await web3Mint.mintPrice();
+      return web3Mint.connect(signer).mintIpfsNFTWithMetadata("Art", "Typo in descriptoin", "QmArt", "ipfs://QmMetaV1", { value: mintPrice });
+    };
+
+    it("Should let the minter update the token URI and emit MetadataUpdate", async function () {
+      await mintArt(user1);
+      expect(await web3Mint.supportsInterface("0x49064906")).to.equal(true);
+      expect(await web3Mint.metadataEditor(1)).to.equal(user1.address);
+
+      await expect(web3Mint.connect(user1).updateTokenURI(1, "ipfs://QmMetaV2"))
+        .to.emit(web3Mint, "MetadataUpdate")
+        .withArgs(1);
+      expect(await web3Mint.tokenURI(1)).to.equal("ipfs://QmMetaV2");
+
+      await expect(web3Mint.connect(user1).updateTokenURI(1, ""))
+        .to.be.revertedWithCustomError(web3Mint, "InvalidTokenURI");
+    });
+
+    it("Should keep the original minter as the editor after a transfer", async function () {
+      await mintArt(user1);
+      await web3Mint.connect(user1).transferFrom(user1.address, user2.address, 1);
+
+      await expect(web3Mint.connect(user2).updateTokenURI(1, "ipfs://QmMetaV2"))
+        .to.be.revertedWithCustomError(web3Mint, "NotMetadataEditor")
+        .withArgs(1);
+      await expect(web3Mint.connect(owner).freezeMetadata(1))
+        .to.be.revertedWithCustomError(web3Mint, "NotMetadataEditor");
+      await web3Mint.connect(user1).updateTokenURI(1, "ipfs://QmMetaV2");
+      expect(await web3Mint.tokenURI(1)).to.equal("ipfs://QmMetaV2");
+    });
+
+    it("Should freeze the metadata permanently and emit PermanentURI", async function () {
+      await mintArt(user1);
+      await web3Mint.connect(user1).updateTokenURI(1, "ipfs://QmMetaV2");
+
+      await expect(web3Mint.connect(user1).freezeMetadata(1))
+        .to.emit(web3Mint, "PermanentURI")
+        .withArgs("ipfs://QmMetaV2", 1);
+      expect(await web3Mint.metadataFrozen(1)).to.equal(true);
+
+      await expect(web3Mint.connect(user1).updateTokenURI(1, "ipfs://QmMetaV3"))
+        .to.be.revertedWithCustomError(web3Mint, "MetadataFrozen")
+        .withArgs(1);
+      await expect(web3Mint.connect(user1).freezeMetadata(1))
+        .to.be.revertedWithCustomError(web3Mint, "MetadataFrozen");
+      expect(await web3Mint.tokenURI(1)).to.equal("ipfs://QmMetaV2");
+    });
+
+    it("Should use the edition creator as the editor of edition copies", async function () {
+      const mintPrice = await web3Mint.mintPrice();
+      await web3Mint.connect(user1).createEdition(2, ["ipfs://QmEdition1", "ipfs://QmEdition2"], { value: mintPrice * 2n });
+      await web3Mint.connect(user1).transferFrom(user1.address, user2.address, 2);
+
+      expect(await web3Mint.metadataEditor(2)).to.equal(user1.address);
+      await web3Mint.connect(user1).updateTokenURI(2, "ipfs://QmEdition2Fixed");
+      expect(await web3Mint.tokenURI(2)).to.equal("ipfs://QmEdition2Fixed");
+    });
+
+    it("Should use the admin, not the recipient, as the editor of owner mints", async function () {
+      await web3Mint.ownerMint(user1.address, "ipfs://QmAirdrop");
+      await web3Mint.ownerMintIpfs(user2.address, "Gift", "Owner mint", "QmGift");
+
+      for (const tokenId of [1, 2]) {
+        expect(await web3Mint.metadataEditor(tokenId)).to.equal(owner.address);
+      }
+      await expect(web3Mint.connect(user1).updateTokenURI(1, "ipfs://QmAirdropV2"))
+        .to.be.revertedWithCustomError(web3Mint, "NotMetadataEditor")
+        .withArgs(1);
+      await web3Mint.updateTokenURI(1, "ipfs://QmAirdropV2");
+      expect(await web3Mint.tokenURI(1)).to.equal("ipfs://QmAirdropV2");
+    });
+
+    it("Should let the minter edit URI-only mints", async function () {
+      const mintPrice = await web3Mint.mintPrice();
+      await web3Mint.connect(user1).makeAnEpicNFT("ipfs://QmEpic", { value: mintPrice });
+
+      expect(await web3Mint.metadataEditor(1)).to.equal(user1.address);
+      await web3Mint.connect(user1).updateTokenURI(1, "ipfs://QmEpicV2");
+      expect(await web3Mint.tokenURI(1)).to.equal("ipfs://QmEpicV2");
+    });
+
+    it("Should not allow updates to on-chain SVG or burned tokens", async function () {
+      const mintPrice = await web3Mint.mintPrice();
+      await web3Mint.connect(user1).mintOnChainSVG("Dot", "On-chain", ethers.toUtf8Bytes("<svg></svg>"), { value: mintPrice });
+      await mintArt(user1);
+      await web3Mint.connect(user1).freezeMetadata(2);
+      await web3Mint.connect(user1).burn(2);
+
+      for (const tokenId of [1, 2]) {
+        expect(await web3Mint.metadataEditor(tokenId)).to.equal(ethers.ZeroAddress);
+      }
+      await expect(web3Mint.connect(user1).updateTokenURI(1, "ipfs://QmMetaV2"))
+        .to.be.revertedWithCustomError(web3Mint, "NotMetadataEditor");
+      await expect(web3Mint.connect(user1).updateTokenURI(2, "ipfs://QmMetaV2"))
+        .to.be.revertedWithCustomError(web3Mint, "NotMetadataEditor");
+      expect(await web3Mint.metadataFrozen(2)).to.equal(false);
+    });
+  });
+
+  describe("Payment splitter", function () {
+    const testURI = "https://example.com/metadata/split.json";
+    let splitter;
+    let splitterAddress;
+    let artist;
+    let platform;
+    let curator;
+
+    beforeEach(async function () {
+      [, , , artist, platform, curator] = await ethers.getSigners();
+
+      // 💸 分配用のコントラクトをデプロイし、Web3Mint の分配先に登録
+      const PaymentSplitter = await ethers.getContractFactory("PaymentSplitter");
+      splitter = await PaymentSplitter.deploy(await web3Mint.getAddress());
+      splitterAddress = await splitter.getAddress();
+      await web3Mint.setPaymentSplitter(splitterAddress);
+    });
+
+    // 💰 user1 が現在のミント料金でミントし、売上を分配先に送る
+    const earnOnce = async () => {
+      const mintPrice = await web3Mint.mintPrice();
+      await web3Mint.connect(user1).makeAnEpicNFT(testURI, { value: mintPrice });
+      await web3Mint.withdraw();
+      return mintPrice;
+    };
+
+    it("Should send withdrawals to the registered splitter until it is cleared", async function () {
+      await expect(web3Mint.connect(user1).setPaymentSplitter(user1.address))
+        .to.be.revertedWithCustomError(web3Mint, "AccessControlUnauthorizedAccount");
+      expect(await web3Mint.paymentSplitter()).to.equal(splitterAddress);
+      expect(await splitter.payees()).to.deep.equal([]);
+      expect(await splitter.totalShares()).to.equal(0);
+
+      const mintPrice = await web3Mint.mintPrice();
+      await web3Mint.connect(user1).makeAnEpicNFT(testURI, { value: mintPrice });
+      const withdrawTx = web3Mint.withdraw();
+      await expect(withdrawTx)
+        .to.emit(splitter, "PaymentReceived")
+        .withArgs(await web3Mint.getAddress(), mintPrice);
+      await expect(withdrawTx).to.changeEtherBalances([owner, splitter], [0, mintPrice]);
+
+      // ゼロアドレスで分配をやめると、再び資金管理担当に送金される
+      await expect(web3Mint.setPaymentSplitter(ethers.ZeroAddress))
+        .to.emit(web3Mint, "PaymentSplitterUpdated")
+        .withArgs(ethers.ZeroAddress);
+      await web3Mint.connect(user1).makeAnEpicNFT(testURI, { value: mintPrice });
+      await expect(web3Mint.withdraw()).to.changeEtherBalance(owner, mintPrice);
+    });
+
+    it("Should let only the Web3Mint admin configure payees and validate them", async function () {
+      await expect(splitter.connect(user1).setPayees([artist.address], [1]))
+        .to.be.revertedWithCustomError(splitter, "AccessControlUnauthorizedAccount")
+        .withArgs(user1.address, ethers.ZeroHash);
+      await expect(splitter.setPayees([artist.address], [1, 2]))
+        .to.be.revertedWithCustomError(splitter, "PayeesLengthMismatch");
+      await expect(splitter.setPayees([ethers.ZeroAddress], [1]))
+        .to.be.revertedWithCustomError(splitter, "InvalidPayee")
+        .withArgs(ethers.ZeroAddress);
+      await expect(splitter.setPayees([artist.address], [0]))
+        .to.be.revertedWithCustomError(splitter, "InvalidPayee")
+        .withArgs(artist.address);
+      await expect(splitter.setPayees([artist.address, artist.address], [1, 1]))
+        .to.be.revertedWithCustomError(splitter, "InvalidPayee")
+        .withArgs(artist.address);
+
+      await expect(splitter.setPayees([artist.address, platform.address], [70, 30]))
+        .to.emit(splitter, "PayeesUpdated")
+        .withArgs([artist.address, platform.address], [70, 30]);
+      expect(await splitter.payees()).to.deep.equal([artist.address, platform.address]);
+      expect(await splitter.shares(artist.address)).to.equal(70);
+      expect(await splitter.totalShares()).to.equal(100);
+
+      // 🔑 Web3Mint で管理者の役割を渡すと、その人も受取人を変更できる
+      await web3Mint.grantRole(await web3Mint.DEFAULT_ADMIN_ROLE(), user1.address);
+      await expect(splitter.connect(user1).setPayees([artist.address], [1])).to.not.be.reverted;
+    });
+
+    it("Should split proceeds by shares and release them to each payee", async function () {
+      await splitter.setPayees([artist.address, platform.address], [70, 30]);
+      const mintPrice = await earnOnce();
+      const artistShare = (mintPrice * 70n) / 100n;
+      const platformShare = (mintPrice * 30n) / 100n;
+
+      expect(await splitter.releasable(artist.address)).to.equal(artistShare);
+      expect(await splitter.releasable(platform.address)).to.equal(platformShare);
+
+      // 🔓 誰が呼び出しても、送金先は受取人本人
+      const releaseTx = splitter.connect(user2).release(artist.address);
+      await expect(releaseTx)
+        .to.emit(splitter, "PaymentReleased")
+        .withArgs(artist.address, artistShare);
+      await expect(releaseTx).to.changeEtherBalances([artist, splitter], [artistShare, -artistShare]);
+
+      // 受け取り済みの分は、次のミントの売上と合わせて計算される
+      await earnOnce();
+      expect(await splitter.releasable(artist.address)).to.equal(artistShare);
+      expect(await splitter.releasable(platform.address)).to.equal(platformShare * 2n);
+      await splitter.release(platform.address);
+
+      expect(await splitter.released(artist.address)).to.equal(artistShare);
+      expect(await splitter.released(platform.address)).to.equal(platformShare * 2n);
+      expect(await splitter.totalReleased()).to.equal(artistShare + platformShare * 2n);
+    });
+
+    it("Should reject releases for non-payees and empty releases", async function () {
+      await splitter.setPayees([artist.address], [1]);
+      await earnOnce();
+
+      await expect(splitter.release(user2.address))
+        .to.be.revertedWithCustomError(splitter, "NotPayee")
+        .withArgs(user2.address);
+
+      await splitter.release(artist.address);
+      await expect(splitter.release(artist.address))
+        .to.be.revertedWithCustomError(splitter, "NoPaymentDue")
+        .withArgs(artist.address);
+    });
+
+    it("Should round down each share and carry the remainder into later payouts", async function () {
+      // 10 wei を3人で等分 → 3 wei ずつ、1 wei は端数として残る
+      await web3Mint.updateMintPrice(10);
+      await splitter.setPayees([artist.address, platform.address, curator.address], [1, 1, 1]);
+      await earnOnce();
+
+      for (const payee of [artist, platform, curator]) {
+        expect(await splitter.releasable(payee.address)).to.equal(3);
+        await splitter.release(payee.address);
+      }
+      expect(await ethers.provider.getBalance(splitterAddress)).to.equal(1);
+
+      // 2回目：総受取額 20 wei → 1人 6 wei（受け取り済みの 3 wei を引いて 3 wei）、端数は 2 wei
+      await earnOnce();
+      for (const payee of [artist, platform, curator]) {
+        expect(await splitter.releasable(payee.address)).to.equal(3);
+        await splitter.release(payee.address);
+      }
+      expect(await ethers.provider.getBalance(splitterAddress)).to.equal(2);
+      expect(await splitter.totalReleased()).to.equal(18);
+
+      // 端数だけが残っている状態なら受取人を変更でき、端数は新しい受取人に回る
+      await splitter.setPayees([artist.address], [1]);
+      expect(await splitter.released(artist.address)).to.equal(0);
+      expect(await splitter.releasable(artist.address)).to.equal(2);
+    });
+
+    it("Should set aside unpaid amounts when payees change", async function () {
+      await splitter.setPayees([artist.address, platform.address], [1, 1]);
+      const mintPrice = await earnOnce();
+      const half = mintPrice / 2n;
+      await splitter.release(artist.address);
+
+      // まだ受け取っていない platform の分は取り置かれ、変更は止まらない
+      await expect(splitter.setPayees([curator.address], [1]))
+        .to.emit(splitter, "PaymentSettled")
+        .withArgs(platform.address, half);
+      expect(await splitter.owed(platform.address)).to.equal(half);
+      expect(await splitter.totalOwed()).to.equal(half);
+      expect(await splitter.releasable(platform.address)).to.equal(half);
+
+      // 取り置いた分は新しい受取人への分配に含まれない
+      await earnOnce();
+      expect(await splitter.releasable(curator.address)).to.equal(mintPrice);
+
+      // 元の受取人は持ち分がなくても、取り置き額を受け取れる
+      await expect(splitter.release(platform.address)).to.changeEtherBalance(platform, half);
+      expect(await splitter.owed(platform.address)).to.equal(0);
+      expect(await splitter.totalOwed()).to.equal(0);
+      await expect(splitter.release(platform.address))
+        .to.be.revertedWithCustomError(splitter, "NotPayee")
+        .withArgs(platform.address);
+      await expect(splitter.release(curator.address)).to.changeEtherBalance(curator, mintPrice);
+    });
+
+    it("Should not let a payee that rejects ETH block payee changes", async function () {
+      // ETHを受け取ると必ず失敗する受取人（swallowReentry = false）
+      const ReentrantPayee = await ethers.getContractFactory("ReentrantPayee");
+      const rejecting = await ReentrantPayee.deploy(splitterAddress);
+      const rejectingAddress = await rejecting.getAddress();
+      await splitter.setPayees([rejectingAddress, artist.address], [1, 1]);
+      const mintPrice = await earnOnce();
+      const half = mintPrice / 2n;
+
+      await expect(splitter.release(rejectingAddress)).to.be.reverted;
+      await splitter.setPayees([artist.address], [1]);
+
+      // 受け取れない受取人の分は取り置かれたまま、他の受取人は受け取れる
+      expect(await splitter.owed(rejectingAddress)).to.equal(half);
+      expect(await splitter.releasable(artist.address)).to.equal(half);
+      await earnOnce();
+      expect(await splitter.releasable(artist.address)).to.equal(half + mintPrice);
+      await expect(splitter.release(artist.address)).to.changeEtherBalance(artist, half + mintPrice);
+      expect(await ethers.provider.getBalance(splitterAddress)).to.equal(half);
+    });
+
+    it("Should block a payee from re-entering release while being paid", async function () {
+      const ReentrantPayee = await ethers.getContractFactory("ReentrantPayee");
+      const attacker = await ReentrantPayee.deploy(splitterAddress);
+      const attackerAddress = await attacker.getAddress();
+      await splitter.setPayees([attackerAddress, artist.address], [1, 1]);
+      const mintPrice = await earnOnce();
+      const due = mintPrice / 2n;
+
+      // 再呼び出しの失敗がそのまま伝わると、送金全体が取り消される
+      await expect(splitter.release(attackerAddress))
+        .to.be.revertedWithCustomError(splitter, "ReentrancyGuardReentrantCall");
+      expect(await splitter.releasable(attackerAddress)).to.equal(due);
+
+      // 失敗を握りつぶしても、受け取れるのは1回分だけ
+      await attacker.setSwallowReentry(true);
+      await splitter.release(attackerAddress);
+      expect(await attacker.reentryBlocked()).to.equal(true);
+      expect(await attacker.received()).to.equal(due);
+      expect(await splitter.releasable(attackerAddress)).to.equal(0);
+      expect(await splitter.releasable(artist.address)).to.equal(due);
+    });
+  });
+
+  describe("Upgradeable (UUPS proxy)", function () {
+    let proxy;
+    let implementation;
+
+    // 🔀 実装コントラクト + プロキシをデプロイし、プロキシ経由のインスタンスを返す
+    beforeEach(async function () {
+      const Web3MintUpgradeable = await getLinkedFactory(hre, "Web3MintUpgradeable", libraries);
+      implementation = await Web3MintUpgradeable.deploy();
+      const initData = Web3MintUpgradeable.interface.encodeFunctionData("initialize", [owner.address]);
+      const Web3MintProxy = await ethers.getContractFactory("Web3MintProxy");
+      const deployedProxy = await Web3MintProxy.deploy(await implementation.getAddress(), initData);
+      proxy = Web3MintUpgradeable.attach(await deployedProxy.getAddress());
+    });
+
+    // ⬆️ v2モックにアップグレードし、v2としてのインスタンスを返す
+    const upgradeToV2 = async () => {
+      const Web3MintV2Mock = await getLinkedFactory(hre, "Web3MintV2Mock", libraries);
+      const v2Implementation = await Web3MintV2Mock.deploy();
+      await proxy.upgradeToAndCall(await v2Implementation.getAddress(), "0x");
+      return Web3MintV2Mock.attach(await proxy.getAddress());
+    };
+
+    it("Should initialize the proxy with the same defaults as Web3Mint", async function () {
+      expect(await proxy.name()).to.equal("TanyaNFT");
+      expect(await proxy.symbol()).to.equal("TANYA");
+      expect(await proxy.hasRole(await proxy.DEFAULT_ADMIN_ROLE(), owner.address)).to.equal(true);
+      expect(await proxy.version()).to.equal("1.0.0");
+      expect(await proxy.mintPrice()).to.equal(ethers.parseEther("0.001"));
+      expect(await proxy.presalePrice()).to.equal(ethers.parseEther("0.0005"));
+      expect(await proxy.maxPerWallet()).to.equal(20);
+      expect(await proxy.salePhase()).to.equal(2); // Public
+      expect(await proxy.imageBaseURI()).to.equal("ipfs://");
+      expect(await proxy.getCurrentTokenId()).to.equal(1);
+
+      const [receiver, amount] = await proxy.royaltyInfo(1, 10000);
+      expect(receiver).to.equal(owner.address);
+      expect(amount).to.equal(500);
+    });
+
+    it("Should not allow initializing twice or initializing the implementation", async function () {
+      await expect(
+        proxy.initialize(user1.address)
+      ).to.be.revertedWithCustomError(proxy, "InvalidInitialization");
+      await expect(
+        implementation.initialize(user1.address)
+      ).to.be.revertedWithCustomError(implementation, "InvalidInitialization");
+    });
+
+    it("Should keep tokens, nftInfo, mintPrice and the token counter after upgrading", async function () {
+      const newPrice = ethers.parseEther("0.002");
+      await proxy.updateMintPrice(newPrice);
+      await proxy.connect(user1).mintIpfsNFT("Art", "My art", "QmArt", { value: newPrice });
+      await proxy.ownerMintIpfs(user2.address, "Gift", "Airdrop", "QmGift");
+      const tokenURIBefore = await proxy.tokenURI(1);
+
+      const v2 = await upgradeToV2();
+
+      expect(await v2.version()).to.equal("2.0.0");
+      expect(await v2.ownerOf(1)).to.equal(user1.address);
+      expect(await v2.ownerOf(2)).to.equal(user2.address);
+      expect(await v2.totalSupply()).to.equal(2);
+      expect(await v2.tokenURI(1)).to.equal(tokenURIBefore);
+      expect(await v2.mintPrice()).to.equal(newPrice);
+      expect(await v2.getCurrentTokenId()).to.equal(3);
+      expect(await v2.mintedBy(user1.address)).to.equal(1);
+
+      const info = await v2.nftInfo(1);
+      expect(info.name).to.equal("Art");
+      expect(info.description).to.equal("My art");
+      expect(info.imageURI).to.equal("QmArt");
+      expect(info.minter).to.equal(user1.address);
+
+      // 🆕 v2の機能が使え、ミントは続きのトークンIDから再開される
+      await v2.incrementV2Counter();
+      expect(await v2.v2Counter()).to.equal(1);
+      await v2.connect(user1).mintIpfsNFT("Art 2", "Second", "QmArt2", { value: newPrice });
+      expect(await v2.ownerOf(3)).to.equal(user1.address);
+    });
+
+    it("Should only allow the admin to upgrade", async function () {
+      const Web3MintV2Mock = await getLinkedFactory(hre, "Web3MintV2Mock", libraries);
+      const v2Implementation = await Web3MintV2Mock.deploy();
+
+      await expect(
+        proxy.connect(user1).upgradeToAndCall(await v2Implementation.getAddress(), "0x")
+      ).to.be.revertedWithCustomError(proxy, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should accept the v2 storage layout and reject a reordered one", async function () {
+      const v1Layout = await getStorageLayout(hre, "Web3MintUpgradeable");
+      const v2Layout = await getStorageLayout(hre, "Web3MintV2Mock");
+
+      // v2 は最後に変数を追加しているだけなので互換性がある
+      expect(v2Layout.length).to.equal(v1Layout.length + 1);
+      expect(v2Layout[v2Layout.length - 1].label).to.equal("v2Counter");
+      expect(() => assertStorageLayoutCompatible(v1Layout, v2Layout)).not.to.throw();
+
+      // mintPrice と salePhase の位置を入れ替えたレイアウトは拒否される
+      const mintPriceIndex = v1Layout.findIndex((item) => item.label === "mintPrice");
+      const reordered = v1Layout.map((item) => ({ ...item }));
+      [reordered[mintPriceIndex].label, reordered[mintPriceIndex + 1].label] =
+        [reordered[mintPriceIndex + 1].label, reordered[mintPriceIndex].label];
+      expect(() => assertStorageLayoutCompatible(v1Layout, reordered)).to.throw(/mintPrice/);
+
+      // 変数を削除したレイアウトも拒否される
+      expect(() => assertStorageLayoutCompatible(v1Layout, v1Layout.slice(0, -1))).to.throw(/削除/);
+    });
+
+    it("Should leave room under the contract size limit for a v2 implementation", async function () {
+      // 📏 EIP-170 のコードサイズの上限（これを超えるとデプロイできない）
+      const MAX_CODE_SIZE = 24576;
+      // v2 で機能を追加できるよう、実装コントラクトには少なくともこれだけの余裕を残す
+      const UPGRADE_HEADROOM = 768;
+
+      // 外部ライブラリのアドレスはまだ埋め込まれていない（__$...$__）ので、16進数の文字数から数える
+      const codeSize = async (name) => ((await hre.artifacts.readArtifact(name)).deployedBytecode.length - 2) / 2;
+      expect(await codeSize("Web3MintUpgradeable")).to.be.at.most(MAX_CODE_SIZE - UPGRADE_HEADROOM);
+      expect(await codeSize("Web3Mint")).to.be.at.most(MAX_CODE_SIZE - UPGRADE_HEADROOM);
+      expect(await codeSize("Web3MintV2Mock")).to.be.at.most(MAX_CODE_SIZE);
+    });
+  });
+
   describe("Owner functions", function () {
     const testURI = "https://example.com/metadata/owner.json";
     const testIPFSHash = "QmTestOwnerIPFSHash";
@@ -245,15 +2019,251 @@ describe("Web3Mint", function () {
     it("Should fail when non-owner tries to use owner functions", async function () {
       await expect(
         web3Mint.connect(user1).ownerMint(user2.address, testURI)
-      ).to.be.revertedWithCustomError(web3Mint, "OwnableUnauthorizedAccount");
+      ).to.be.revertedWithCustomError(web3Mint, "AccessControlUnauthorizedAccount");
 
       await expect(
         web3Mint.connect(user1).updateMintPrice(ethers.parseEther("0.002"))
-      ).to.be.revertedWithCustomError(web3Mint, "OwnableUnauthorizedAccount");
+      ).to.be.revertedWithCustomError(web3Mint, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  describe("Roles", function () {
+    const testURI = "https://example.com/metadata/role.json";
+    let roles;
+
+    beforeEach(async function () {
+      roles = {
+        admin: await web3Mint.DEFAULT_ADMIN_ROLE(),
+        minter: await web3Mint.MINTER_ROLE(),
+        priceAdmin: await web3Mint.PRICE_ADMIN_ROLE(),
+        pauser: await web3Mint.PAUSER_ROLE(),
+        treasurer: await web3Mint.TREASURER_ROLE()
+      };
+    });
+
+    it("Should emit RoleGranted and RoleRevoked when the admin changes roles", async function () {
+      await expect(web3Mint.grantRole(roles.minter, user1.address))
+        .to.emit(web3Mint, "RoleGranted")
+        .withArgs(roles.minter, user1.address, owner.address);
+      expect(await web3Mint.hasRole(roles.minter, user1.address)).to.equal(true);
+
+      await expect(web3Mint.revokeRole(roles.minter, user1.address))
+        .to.emit(web3Mint, "RoleRevoked")
+        .withArgs(roles.minter, user1.address, owner.address);
+      expect(await web3Mint.hasRole(roles.minter, user1.address)).to.equal(false);
+    });
+
+    it("Should only let the admin grant roles", async function () {
+      await expect(web3Mint.connect(user1).grantRole(roles.minter, user1.address))
+        .to.be.revertedWithCustomError(web3Mint, "AccessControlUnauthorizedAccount")
+        .withArgs(user1.address, roles.admin);
+    });
+
+    it("Should give each role only its own controls", async function () {
+      await web3Mint.grantRole(roles.minter, user1.address);
+      await web3Mint.grantRole(roles.priceAdmin, user2.address);
+
+      // ミント担当は無料ミントできるが、料金は変えられない
+      await web3Mint.connect(user1).ownerMint(user1.address, testURI);
+      await expect(web3Mint.connect(user1).updateMintPrice(0))
+        .to.be.revertedWithCustomError(web3Mint, "AccessControlUnauthorizedAccount")
+        .withArgs(user1.address, roles.priceAdmin);
+
+      // 価格管理は料金とウォレット上限を変えられるが、ミントは止められない
+      await web3Mint.connect(user2).updateMintPrice(ethers.parseEther("0.003"));
+      await web3Mint.connect(user2).setMaxPerWallet(5);
+      expect(await web3Mint.mintPrice()).to.equal(ethers.parseEther("0.003"));
+      await expect(web3Mint.connect(user2).toggleMinting(false))
+        .to.be.revertedWithCustomError(web3Mint, "AccessControlUnauthorizedAccount")
+        .withArgs(user2.address, roles.pauser);
+    });
+
+    it("Should let a pauser stop minting without other powers", async function () {
+      await web3Mint.grantRole(roles.pauser, user1.address);
+
+      await web3Mint.connect(user1).toggleMinting(false);
+      expect(await web3Mint.mintingEnabled()).to.equal(false);
+      await expect(web3Mint.connect(user1).withdraw())
+        .to.be.revertedWithCustomError(web3Mint, "AccessControlUnauthorizedAccount")
+        .withArgs(user1.address, roles.treasurer);
+    });
+
+    it("Should send withdrawals to the calling treasurer", async function () {
+      const mintPrice = await web3Mint.mintPrice();
+      await web3Mint.connect(user1).makeAnEpicNFT(testURI, { value: mintPrice });
+      await web3Mint.grantRole(roles.treasurer, user2.address);
+
+      await expect(web3Mint.connect(user2).withdraw())
+        .to.changeEtherBalances([user2, web3Mint], [mintPrice, -mintPrice]);
+    });
+
+    it("Should keep working after the deployer renounces the operational roles", async function () {
+      await web3Mint.grantRole(roles.minter, user1.address);
+      await web3Mint.renounceRole(roles.minter, owner.address);
+
+      await expect(web3Mint.ownerMint(user2.address, testURI))
+        .to.be.revertedWithCustomError(web3Mint, "AccessControlUnauthorizedAccount");
+      await web3Mint.connect(user1).ownerMint(user2.address, testURI);
+      expect(await web3Mint.ownerOf(1)).to.equal(user2.address);
+    });
+  });
+
+  describe("Burning", function () {
+    const salePrice = ethers.parseEther("1");
+
+    it("Should let the holder burn and clean up the token's stored data", async function () {
+      const mintPrice = await web3Mint.mintPrice();
+      await web3Mint.connect(user1).mintIpfsNFTWithRoyalty("Art", "My art", "QmArt", "ipfs://QmMeta", user2.address, 1000, { value: mintPrice });
+
+      await expect(web3Mint.connect(user1).burn(1))
+        .to.emit(web3Mint, "Transfer")
+        .withArgs(user1.address, ethers.ZeroAddress, 1);
+
+      await expect(web3Mint.ownerOf(1)).to.be.revertedWithCustomError(web3Mint, "ERC721NonexistentToken");
+      await expect(web3Mint.tokenURI(1)).to.be.revertedWithCustomError(web3Mint, "ERC721NonexistentToken");
+      expect(await web3Mint.tokensOfOwner(user1.address)).to.deep.equal([]);
+
+      // NFT情報は消え、ロイヤリティはトークンごとの設定からデフォルトに戻る
+      const info = await web3Mint.nftInfo(1);
+      expect(info.name).to.equal("");
+      expect(info.minter).to.equal(ethers.ZeroAddress);
+      const [receiver, amount] = await web3Mint.royaltyInfo(1, salePrice);
+      expect(receiver).to.equal(owner.address);
+      expect(amount).to.equal(ethers.parseEther("0.05"));
+    });
+
+    it("Should drop the SVG pointers of a burned on-chain SVG", async function () {
+      const mintPrice = await web3Mint.mintPrice();
+      const svg = '<svg xmlns="http://www.w3.org/2000/svg"><rect width="1" height="1"/></svg>';
+      await web3Mint.connect(user1).mintOnChainSVG("Dot", "On-chain", ethers.toUtf8Bytes(svg), { value: mintPrice });
+
+      await web3Mint.connect(user1).burn(1);
+
+      expect(await web3Mint.isOnChainSVG(1)).to.equal(false);
+      expect(await web3Mint.getSVG(1)).to.equal("");
+      await expect(web3Mint.tokenURI(1)).to.be.revertedWithCustomError(web3Mint, "ERC721NonexistentToken");
+    });
+
+    it("Should let approved addresses and operators burn, but nobody else", async function () {
+      const [, , , operator] = await ethers.getSigners();
+      const mintPrice = await web3Mint.mintPrice();
+      await web3Mint.connect(user1).makeAnEpicNFT("https://example.com/1.json", { value: mintPrice });
+      await web3Mint.connect(user1).makeAnEpicNFT("https://example.com/2.json", { value: mintPrice });
+
+      // 管理者でも他人のNFTはバーンできない
+      await expect(web3Mint.connect(owner).burn(1))
+        .to.be.revertedWithCustomError(web3Mint, "ERC721InsufficientApproval")
+        .withArgs(owner.address, 1);
+
+      // 1件だけ承認されたアドレス
+      await web3Mint.connect(user1).approve(user2.address, 1);
+      await web3Mint.connect(user2).burn(1);
+      await expect(web3Mint.connect(user2).burn(2))
+        .to.be.revertedWithCustomError(web3Mint, "ERC721InsufficientApproval");
+
+      // 全件の操作を任されたオペレーター
+      await web3Mint.connect(user1).setApprovalForAll(operator.address, true);
+      await web3Mint.connect(operator).burn(2);
+
+      expect(await web3Mint.balanceOf(user1.address)).to.equal(0);
+    });
+
+    it("Should reject burning a token that does not exist or is already burned", async function () {
+      const mintPrice = await web3Mint.mintPrice();
+      await web3Mint.connect(user1).makeAnEpicNFT("https://example.com/1.json", { value: mintPrice });
+
+      await expect(web3Mint.connect(user1).burn(2))
+        .to.be.revertedWithCustomError(web3Mint, "ERC721NonexistentToken")
+        .withArgs(2);
+
+      await web3Mint.connect(user1).burn(1);
+      await expect(web3Mint.connect(user1).burn(1))
+        .to.be.revertedWithCustomError(web3Mint, "ERC721NonexistentToken")
+        .withArgs(1);
+    });
+
+    it("Should count minted and burned tokens separately and never reuse token IDs", async function () {
+      const mintPrice = await web3Mint.mintPrice();
+      await web3Mint.connect(user1).makeAnEpicNFT("https://example.com/1.json", { value: mintPrice });
+      await web3Mint.connect(user1).makeAnEpicNFT("https://example.com/2.json", { value: mintPrice });
+      await web3Mint.connect(user1).burn(1);
+
+      expect(await web3Mint.totalMinted()).to.equal(2);
+      expect(await web3Mint.totalBurned()).to.equal(1);
+      expect(await web3Mint.totalSupply()).to.equal(1);
+
+      // バーンしたIDは再利用されず、次のミントは3番
+      await web3Mint.connect(user1).makeAnEpicNFT("https://example.com/3.json", { value: mintPrice });
+      expect(await web3Mint.ownerOf(3)).to.equal(user1.address);
+      expect(await web3Mint.totalMinted()).to.equal(3);
+      expect(await web3Mint.totalSupply()).to.equal(2);
     });
   });
 
   describe("Supply limits", function () {
+    // 🔧 テストのために「ミント済みの数」を直接書き換える（10,000件ミントすると時間がかかるため）
+    const setTotalMinted = async (count) => {
+      const layout = await getStorageLayout(hre, "Web3Mint");
+      const { slot } = layout.find((entry) => entry.label === "_tokenIdCounter");
+      await ethers.provider.send("hardhat_setStorageAt", [
+        await web3Mint.getAddress(),
+        ethers.toQuantity(BigInt(slot)),
+        ethers.zeroPadValue(ethers.toBeHex(count + 1), 32)
+      ]);
+      expect(await web3Mint.totalMinted()).to.equal(count);
+    };
+
+    it("Should allow exactly MAX_SUPPLY mints and reject the next one", async function () {
+      const mintPrice = await web3Mint.mintPrice();
+      const maxSupply = Number(await web3Mint.MAX_SUPPLY());
+      await setTotalMinted(maxSupply - 1);
+
+      await web3Mint.connect(user1).makeAnEpicNFT("https://example.com/last.json", { value: mintPrice });
+      expect(await web3Mint.ownerOf(maxSupply)).to.equal(user1.address);
+      expect(await web3Mint.totalMinted()).to.equal(maxSupply);
+
+      await expect(
+        web3Mint.connect(user1).makeAnEpicNFT("https://example.com/over.json", { value: mintPrice })
+      ).to.be.revertedWithCustomError(web3Mint, "MaxSupplyExceeded");
+      await expect(
+        web3Mint.ownerMint(user2.address, "https://example.com/over.json")
+      ).to.be.revertedWithCustomError(web3Mint, "MaxSupplyExceeded");
+    });
+
+    it("Should not free up supply when tokens are burned", async function () {
+      const mintPrice = await web3Mint.mintPrice();
+      const maxSupply = Number(await web3Mint.MAX_SUPPLY());
+      await setTotalMinted(maxSupply - 1);
+      await web3Mint.connect(user1).makeAnEpicNFT("https://example.com/last.json", { value: mintPrice });
+
+      await web3Mint.connect(user1).burn(maxSupply);
+      expect(await web3Mint.balanceOf(user1.address)).to.equal(0);
+
+      await expect(
+        web3Mint.connect(user1).makeAnEpicNFT("https://example.com/again.json", { value: mintPrice })
+      ).to.be.revertedWithCustomError(web3Mint, "MaxSupplyExceeded");
+    });
+
+    it("Should reject a whole batch that would cross MAX_SUPPLY and accept one that fits exactly", async function () {
+      const mintPrice = await web3Mint.mintPrice();
+      const maxSupply = Number(await web3Mint.MAX_SUPPLY());
+      await setTotalMinted(maxSupply - 2);
+      const batch = (count) => [
+        Array.from({ length: count }, (_, i) => `NFT ${i}`),
+        Array.from({ length: count }, () => "Batch"),
+        Array.from({ length: count }, (_, i) => `QmHash${i}`),
+        Array.from({ length: count }, (_, i) => `ipfs://QmMeta${i}`)
+      ];
+
+      await expect(
+        web3Mint.connect(user1).mintIpfsNFTBatch(...batch(3), 500, { value: mintPrice * 3n })
+      ).to.be.revertedWithCustomError(web3Mint, "MaxSupplyExceeded");
+      expect(await web3Mint.totalMinted()).to.equal(maxSupply - 2);
+
+      await web3Mint.connect(user1).mintIpfsNFTBatch(...batch(2), 500, { value: mintPrice * 2n });
+      expect(await web3Mint.totalMinted()).to.equal(maxSupply);
+    });
+
     it("Should track token IDs correctly", async function () {
       const testURI1 = "https://example.com/1.json";
       const testURI2 = "https://example.com/2.json";
@@ -1,5 +1,7 @@
 const { expect } = require("chai");
-const { ethers } = require("hardhat");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { deployLibraries, getLinkedFactory } = require("../scripts/libraries");
 
 /**
  * IPFS画像URLのログ出力関数
@@ -31,7 +33,8 @@ describe("Web3Mint", function () {
     [owner, user1] = await ethers.getSigners();
 
     // コントラクトをデプロイ
-    const Web3Mint = await ethers.getContractFactory("Web3Mint");
+    const libraries = await deployLibraries(hre);
+    const Web3Mint = await getLinkedFactory(hre, "Web3Mint", libraries);
     mintContract = await Web3Mint.deploy();
     await mintContract.waitForDeployment(); // v6の新しい構文
   });
@@ -56,8 +59,8 @@ describe("Web3Mint", function () {
     console.log('✅ NFT minted successfully with URI:', testURI);
   });
 
-  it("Should set the right owner", async function () {
-    expect(await mintContract.owner()).to.equal(owner.address);
+  it("Should grant the deployer the admin role", async function () {
+    expect(await mintContract.hasRole(await mintContract.DEFAULT_ADMIN_ROLE(), owner.address)).to.equal(true);
   });
 
   it("Should have correct initial settings", async function () {
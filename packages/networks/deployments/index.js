@@ -0,0 +1,3 @@
+// ⚠️ このファイルは packages/contract/scripts/deploy.js が自動生成します（手で編集しないでください）
+// 📦 ネットワークごとのデプロイ記録（マニフェスト）の一覧
+module.exports = {};
@@ -0,0 +1,209 @@
+/**
+ * 🌐 ETH-NFT-Maker ネットワーク一覧（コントラクトとフロントエンドで共有）
+ *
+ * 【このファイルの役割】
+ * このファイルは「対応しているブロックチェーンの名簿」のような役割を果たします。
+ * チェーンID・RPC・ブロックエクスプローラー・コントラクトアドレス・
+ * マーケットプレイスでの呼び名を1か所にまとめ、以下から読み込みます：
+ * - packages/contract/hardhat.config.js（デプロイ先のネットワーク設定）
+ * - packages/client（ネットワークの切り替え・チェック、マーケットプレイスのリンク）
+ *
+ * 【新しいネットワークを追加するには？】
+ * NETWORKS に1件追加するだけで、Hardhatの --network とフロントエンドの両方で使えるようになります
+ *
+ * 【デプロイ記録（マニフェスト）】
+ * deploy スクリプトが deployments/<ネットワーク>.json を書き出します。
+ * アドレス・ブロック番号・ABIのハッシュなどが入っており、フロントエンドはこれを直接読み込みます
+ *
+ * 【初心者向け解説】
+ * - チェーンID = ブロックチェーンごとに決まっている番号（Sepoliaは11155111）
+ * - RPC = ブロックチェーンと通信するための窓口のURL
+ * - ブロックエクスプローラー = 取引やコントラクトを確認できるWebサイト（Etherscanなど）
+ *
+ * 【注意】CommonJS形式で書いているのは、Hardhat（Node.js）とReactの両方から読み込むため
+ */
+
+// 📦 deploy スクリプトが書き出したデプロイ記録（ネットワークのキーごと）
+const DEPLOYMENTS = require('./deployments');
+
+/**
+ * @typedef {Object} NetworkConfig
+ * @property {string} key - ネットワークのキー（Hardhatの --network 名と同じ）
+ * @property {number} chainId - チェーンID（10進数）
+ * @property {string} name - 表示名
+ * @property {boolean} testnet - テストネットかどうか
+ * @property {string} envPrefix - 環境変数名の接頭辞（例：SEPOLIA → SEPOLIA_RPC_URL）
+ * @property {string} rpcUrl - 公開RPCのURL（環境変数で上書き可能）
+ * @property {string|null} alchemyNetwork - AlchemyのURLに使うネットワーク名（非対応ならnull）
+ * @property {string|null} explorerUrl - ブロックエクスプローラーのURL（ローカルはnull）
+ * @property {string|null} contractAddress - デプロイ済みのWeb3Mintのアドレス（デプロイ記録の作成前に決まっている場合のみ、使う前にデプロイ記録と照らし合わせる）
+ * @property {{name: string, symbol: string, decimals: number}} nativeCurrency - 基軸通貨
+ * @property {{opensea: {url: string, chain: string}|null, gemcase: string|null}} marketplaces
+ *   - マーケットプレイスでのURLとチェーンの呼び名（非対応ならnull）
+ */
+
+/**
+ * @typedef {Object} DeploymentManifest
+ * @property {string} network - ネットワークのキー
+ * @property {number} chainId - チェーンID
+ * @property {string} contractName - コントラクト名（Web3Mint）
+ * @property {string} address - デプロイされたコントラクトのアドレス
+ * @property {number} blockNumber - デプロイされたブロック番号
+ * @property {string} transactionHash - デプロイのトランザクションハッシュ
+ * @property {string} deployer - デプロイしたアドレス
+ * @property {string} deployedAt - デプロイ日時（ISO 8601）
+ * @property {Array} abi - デプロイしたコントラクトのABI（フロントエンドはネットワークごとにこれを使う）
+ * @property {string} abiHash - ABI（JSON文字列）のkeccak256ハッシュ
+ * @property {string} deployedBytecodeHash - ブロックチェーン上のバイトコードのkeccak256ハッシュ
+ * @property {{version: string, optimizer: Object, viaIR: boolean, evmVersion: (string|undefined)}} compiler
+ *   - コンパイラのバージョンと設定
+ */
+
+// 💰 Ethereum系チェーン共通の基軸通貨
+const ETH = { name: 'ETH', symbol: 'ETH', decimals: 18 };
+
+/** @type {Object<string, NetworkConfig>} */
+const NETWORKS = {
+  // 🏠 ローカル開発ネットワーク（yarn contract node で起動）
+  hardhat: {
+    key: 'hardhat',
+    chainId: 31337,
+    name: 'Hardhat (Local)',
+    testnet: true,
+    envPrefix: 'HARDHAT',
+    rpcUrl: 'http://127.0.0.1:8545',
+    alchemyNetwork: null,
+    explorerUrl: null,
+    contractAddress: null,
+    nativeCurrency: ETH,
+    marketplaces: { opensea: null, gemcase: null }
+  },
+
+  // 🧪 Sepoliaテストネット（このアプリのメインの動作環境）
+  sepolia: {
+    key: 'sepolia',
+    chainId: 11155111,
+    name: 'Sepolia Testnet',
+    testnet: true,
+    envPrefix: 'SEPOLIA',
+    rpcUrl: 'https://ethereum-sepolia-rpc.publicnode.com',
+    alchemyNetwork: 'eth-sepolia',
+    explorerUrl: 'https://sepolia.etherscan.io',
+    contractAddress: null,
+    nativeCurrency: ETH,
+    marketplaces: {
+      opensea: { url: 'https://testnets.opensea.io', chain: 'sepolia' },
+      gemcase: 'sepolia'
+    }
+  },
+
+  // 🧪 Holeskyテストネット
+  holesky: {
+    key: 'holesky',
+    chainId: 17000,
+    name: 'Holesky Testnet',
+    testnet: true,
+    envPrefix: 'HOLESKY',
+    rpcUrl: 'https://ethereum-holesky-rpc.publicnode.com',
+    alchemyNetwork: 'eth-holesky',
+    explorerUrl: 'https://holesky.etherscan.io',
+    contractAddress: null,
+    nativeCurrency: ETH,
+    marketplaces: { opensea: null, gemcase: null }
+  },
+
+  // 🔵 Base Sepoliaテストネット（L2）
+  baseSepolia: {
+    key: 'baseSepolia',
+    chainId: 84532,
+    name: 'Base Sepolia Testnet',
+    testnet: true,
+    envPrefix: 'BASE_SEPOLIA',
+    rpcUrl: 'https://sepolia.base.org',
+    alchemyNetwork: 'base-sepolia',
+    explorerUrl: 'https://sepolia.basescan.org',
+    contractAddress: null,
+    nativeCurrency: ETH,
+    marketplaces: {
+      opensea: { url: 'https://testnets.opensea.io', chain: 'base_sepolia' },
+      gemcase: null
+    }
+  },
+
+  // 💎 Ethereumメインネット（本物のETHを使うので注意）
+  mainnet: {
+    key: 'mainnet',
+    chainId: 1,
+    name: 'Ethereum Mainnet',
+    testnet: false,
+    envPrefix: 'MAINNET',
+    rpcUrl: 'https://ethereum-rpc.publicnode.com',
+    alchemyNetwork: 'eth-mainnet',
+    explorerUrl: 'https://etherscan.io',
+    contractAddress: null,
+    nativeCurrency: ETH,
+    marketplaces: {
+      opensea: { url: 'https://opensea.io', chain: 'ethereum' },
+      gemcase: 'mainnet'
+    }
+  }
+};
+
+// 🎯 ネットワークの指定がない場合に使うネットワーク
+const DEFAULT_NETWORK_KEY = 'sepolia';
+
+/**
+ * 🔍 キーからネットワークを取得する関数
+ * @param {string} key - ネットワークのキー（例：'sepolia'、'baseSepolia'）
+ * @returns {NetworkConfig|null} 見つからなければnull
+ */
+const getNetwork = (key) => NETWORKS[key] || null;
+
+/**
+ * 🔍 チェーンIDからネットワークを取得する関数
+ * @param {number|bigint|string} chainId - チェーンID（10進数、または "0xaa36a7" のような16進数文字列）
+ * @returns {NetworkConfig|null} 対応していないチェーンならnull
+ */
+const getNetworkByChainId = (chainId) => {
+  const id = Number(chainId);
+  return Object.values(NETWORKS).find((network) => network.chainId === id) || null;
+};
+
+/**
+ * 📦 ネットワークのデプロイ記録を取得する関数
+ * @param {string} key - ネットワークのキー
+ * @returns {DeploymentManifest|null} まだデプロイ記録がなければnull
+ */
+const getDeployment = (key) => DEPLOYMENTS[key] || null;
+
+/**
+ * 🔢 チェーンIDを16進数文字列に変換する関数（MetaMaskのAPIで使う形式）
+ * @param {number} chainId - チェーンID（例：11155111）
+ * @returns {string} 例："0xaa36a7"
+ */
+const toChainIdHex = (chainId) => `0x${Number(chainId).toString(16)}`;
+
+/**
+ * 🔗 ブロックエクスプローラーのURLを作る関数
+ * @param {NetworkConfig} network - ネットワーク
+ * @param {'tx'|'address'|'nft'} type - 取引・アドレス・NFTのどれを開くか
+ * @param {string} value - トランザクションハッシュ、またはアドレス
+ * @param {string|number} [tokenId] - type が 'nft' の場合のトークンID
+ * @returns {string|null} エクスプローラーがないネットワークではnull
+ */
+const getExplorerUrl = (network, type, value, tokenId) => {
+  if (!network || !network.explorerUrl) return null;
+  if (type === 'nft') return `${network.explorerUrl}/nft/${value}/${tokenId}`;
+  return `${network.explorerUrl}/${type}/${value}`;
+};
+
+module.exports = {
+  NETWORKS,
+  DEPLOYMENTS,
+  DEFAULT_NETWORK_KEY,
+  getNetwork,
+  getNetworkByChainId,
+  getDeployment,
+  toChainIdHex,
+  getExplorerUrl
+};
@@ -0,0 +1,76 @@
+// 🌐 対応ネットワークの一覧とデプロイ記録（コントラクト・フロントエンドと共有）
+const { DEFAULT_NETWORK_KEY, getNetwork, getDeployment } = require('networks');
+
+/**
+ * ⚙️ リレイヤーの設定（環境変数の読み込み）
+ *
+ * 【このファイルの役割】
+ * .env（または環境変数）から、接続するネットワーク・ガス代を払う秘密鍵・
+ * 中継してよいリクエストの条件を読み込み、1つの設定オブジェクトにまとめます。
+ *
+ * 【必要な環境変数】
+ * - RELAYER_PRIVATE_KEY: ガス代を払うウォレットの秘密鍵（必須、ETHを入れておく）
+ *
+ * 【オプションの環境変数】
+ * - RELAYER_NETWORK: ネットワークのキー（packages/networks と同じ、省略時 sepolia）
+ * - <ネットワークの envPrefix>_RPC_URL: RPC URL（例：SEPOLIA_RPC_URL、省略時は一覧の公開RPC）
+ * - WEB3MINT_ADDRESS: 中継先の Web3Mint（省略時はデプロイ記録 → 一覧のアドレス）
+ * - MAX_SPONSORED_VALUE: リクエスト1件で立て替えるETHの上限（wei単位、省略時 0 = 無料ミントのみ）
+ * - DAILY_SPONSORED_TOTAL: 24時間に立て替えるETHの合計の上限（wei単位、MAX_SPONSORED_VALUE を設定する場合は必須）
+ * - DAILY_SPONSORED_PER_SENDER: 1つのアドレスに24時間で立て替えるETHの上限（wei単位、省略時 MAX_SPONSORED_VALUE = 1件分）
+ * - MAX_GAS: リクエスト1件に使ってよいガスの上限（省略時 3,000,000）
+ * - PORT: 待ち受けるポート（省略時 8787）
+ * - ALLOWED_ORIGIN: リクエストを受け付けるフロントエンドのオリジン（CORS、省略時 *）
+ */
+
+// ⛽ リクエスト1件のガスの上限の初期値（オンチェーンSVGのミントも入る大きさ）
+const DEFAULT_MAX_GAS = 3_000_000n;
+
+// 🔌 待ち受けるポートの初期値
+const DEFAULT_PORT = 8787;
+
+/**
+ * 📖 環境変数からリレイヤーの設定を作る関数
+ * @param {Object<string, string|undefined>} env - 環境変数（通常は process.env）
+ * @returns {{network: Object, rpcUrl: string, privateKey: string, web3MintAddress: string, maxSponsoredValue: bigint, dailySponsoredTotal: bigint, dailySponsoredPerSender: bigint, maxGas: bigint, port: number, allowedOrigin: string}}
+ * @throws {Error} 必須の設定がない・値が正しくない場合
+ */
+function loadConfig(env) {
+  const networkKey = env.RELAYER_NETWORK || DEFAULT_NETWORK_KEY;
+  const network = getNetwork(networkKey);
+  if (!network) {
+    throw new Error(`RELAYER_NETWORK=${networkKey} は packages/networks に登録されていません`);
+  }
+
+  if (!env.RELAYER_PRIVATE_KEY) {
+    throw new Error('RELAYER_PRIVATE_KEY が設定されていません（ガス代を払うウォレットの秘密鍵）');
+  }
+
+  const web3MintAddress = env.WEB3MINT_ADDRESS
+    || getDeployment(network.key)?.address
+    || network.contractAddress;
+  if (!web3MintAddress) {
+    throw new Error(`${network.name} の Web3Mint のアドレスが分かりません（WEB3MINT_ADDRESS を設定してください）`);
+  }
+
+  // 💳 ミント料金を立て替えるなら、1日の予算も決めてもらう（決めないと誰でも残高を使い切れる）
+  const maxSponsoredValue = BigInt(env.MAX_SPONSORED_VALUE || 0);
+  if (maxSponsoredValue > 0n && !env.DAILY_SPONSORED_TOTAL) {
+    throw new Error('MAX_SPONSORED_VALUE を設定する場合は DAILY_SPONSORED_TOTAL（24時間に立て替えるETHの合計の上限）も設定してください');
+  }
+
+  return {
+    network,
+    rpcUrl: env[`${network.envPrefix}_RPC_URL`] || network.rpcUrl,
+    privateKey: env.RELAYER_PRIVATE_KEY,
+    web3MintAddress,
+    maxSponsoredValue,
+    dailySponsoredTotal: BigInt(env.DAILY_SPONSORED_TOTAL || 0),
+    dailySponsoredPerSender: env.DAILY_SPONSORED_PER_SENDER ? BigInt(env.DAILY_SPONSORED_PER_SENDER) : maxSponsoredValue,
+    maxGas: env.MAX_GAS ? BigInt(env.MAX_GAS) : DEFAULT_MAX_GAS,
+    port: Number(env.PORT || DEFAULT_PORT),
+    allowedOrigin: env.ALLOWED_ORIGIN || '*'
+  };
+}
+
+module.exports = { loadConfig };
@@ -0,0 +1,125 @@
+// 🌐 HTTPサーバー（Node.js標準モジュール）
+const http = require('http');
+// 📁 パス操作用のNode.js標準モジュール
+const path = require('path');
+// 🔐 環境変数を読み込む（packages/relayer/.env）
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+// 📦 Ethers.jsライブラリをインポート（ブロックチェーンとの通信用）
+const { ethers } = require('ethers');
+// ⚙️ 設定とリレイヤー本体
+const { loadConfig } = require('./config');
+const { RelayError, createRelayer } = require('./relayer');
+
+/**
+ * ⛽ ガスレスミント リレイヤーサーバー
+ *
+ * 【このファイルの役割】
+ * フロントエンドから署名付きのフォワードリクエストを受け取り、
+ * リレイヤー（src/relayer.js）に渡して送信する小さなHTTPサーバーです。
+ *
+ * 【エンドポイント】
+ * - GET  /config … チェーンID・Web3Mint・フォワーダーのアドレスと立て替えの上限（フロントエンドが表示の判断に使う）
+ * - POST /relay  … 署名付きリクエストを送信して { txHash } を返す（完了はフロントエンドが待つ）
+ *
+ * 【使用方法】
+ * yarn relayer start
+ */
+
+// 📏 受け付けるリクエストの大きさの上限（オンチェーンSVGの48KBが16進数で入る大きさ）
+const MAX_BODY_BYTES = 256 * 1024;
+
+/**
+ * 📤 JSONで返事をする関数
+ * @param {http.ServerResponse} res - レスポンス
+ * @param {number} status - HTTPのステータスコード
+ * @param {Object} body - 返すデータ
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * 📥 リクエストの本文をJSONとして読み込む関数
+ * @param {http.IncomingMessage} req - リクエスト
+ * @returns {Promise<Object>} 読み込んだJSON
+ * @throws {RelayError} 大きすぎる・JSONではない場合
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new RelayError(413, 'リクエストが大きすぎます'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      } catch {
+        reject(new RelayError(400, 'JSONの形式が正しくありません'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * 🚀 サーバーを起動する関数
+ */
+async function main() {
+  const config = loadConfig(process.env);
+  const provider = new ethers.JsonRpcProvider(config.rpcUrl, config.network.chainId);
+  // NonceManager = 続けて送信しても nonce が重ならないように、送信したトランザクションの数を数える
+  const signer = new ethers.NonceManager(new ethers.Wallet(config.privateKey, provider));
+  const relayer = createRelayer(config, signer);
+
+  const server = http.createServer(async (req, res) => {
+    // 🌐 ブラウザ（別のオリジンのフロントエンド）からの呼び出しを許可する
+    res.setHeader('Access-Control-Allow-Origin', config.allowedOrigin);
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+
+    try {
+      if (req.method === 'GET' && req.url === '/config') {
+        sendJson(res, 200, await relayer.getInfo());
+      } else if (req.method === 'POST' && req.url === '/relay') {
+        const { request } = await readJsonBody(req);
+        sendJson(res, 200, await relayer.relay(request || {}));
+      } else {
+        sendJson(res, 404, { error: '見つかりません' });
+      }
+    } catch (error) {
+      if (error instanceof RelayError) {
+        sendJson(res, error.status, { error: error.message, data: error.data });
+        return;
+      }
+      console.error('❌ 中継に失敗しました:', error);
+      sendJson(res, 500, { error: 'リレイヤーでエラーが発生しました' });
+    }
+  });
+
+  server.listen(config.port, () => {
+    console.log('⛽ ガスレスミント リレイヤーを起動しました');
+    console.log(`  ネットワーク: ${config.network.name}`);
+    console.log(`  Web3Mint: ${config.web3MintAddress}`);
+    console.log(`  リレイヤーのアドレス: ${signer.signer.address}`);
+    console.log(`  立て替えるETHの上限: ${ethers.formatEther(config.maxSponsoredValue)} ETH`);
+    console.log(`  URL: http://localhost:${config.port}`);
+  });
+}
+
+main().catch((error) => {
+  console.error('💥 リレイヤーを起動できませんでした:', error.message);
+  process.exitCode = 1;
+});
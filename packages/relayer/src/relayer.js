@@ -0,0 +1,307 @@
+// 📦 Ethers.jsライブラリをインポート（ブロックチェーンとの通信用）
+const { ethers } = require('ethers');
+
+/**
+ * ⛽ ガスレスミントのリレイヤー（署名付きリクエストの中継）
+ *
+ * 【このファイルの役割】
+ * このファイルは「代理で窓口に並ぶ係」の本体です。
+ * ユーザーが署名したフォワードリクエストを確認し、問題がなければ
+ * リレイヤーのウォレットでガス代を払って Web3MintForwarder の execute に送信します。
+ *
+ * 【中継する前のチェック（上から順番に）】
+ * 1. リクエストの形式が正しいか
+ * 2. 宛先が設定した Web3Mint か（他のコントラクトのためにガス代を払わない）
+ * 3. ミントの関数か（転送や管理者の関数は中継しない）
+ * 4. 立て替えるETHがミント料金ちょうどか（多く払った分はユーザーに返金されるため）
+ * 5. 立て替えるETH・ガスが上限以内か
+ * 6. 24時間に立て替えるETHの合計が、アドレスごと・全体の上限以内か
+ * 7. 署名・nonce・有効期限が正しいか（フォワーダーの verify）
+ * 8. 実際に送ったら成功するか（フォワーダーから呼び出した場合を事前に実行してみる）
+ *
+ * 【初心者向け解説】
+ * - フォワードリクエスト = 「このデータで Web3Mint を呼び出してほしい」というユーザーの署名付き依頼
+ * - リレイヤーが払うのはガス代だけ。NFTは署名したユーザーのものになる
+ */
+
+// 📋 Web3Mint の関数のうち、リレイヤーが使うもの（中継してよいミントの関数を含む）
+const WEB3MINT_ABI = [
+  'function trustedForwarder() view returns (address)',
+  'function currentPrice() view returns (uint256)',
+  'function presalePrice() view returns (uint256)',
+  'function mintIpfsNFTWithMetadata(string name, string description, string ipfsHash, string metadataURI)',
+  'function mintIpfsNFTWithRoyalty(string name, string description, string ipfsHash, string metadataURI, address royaltyReceiver, uint96 royaltyBps)',
+  'function mintIpfsNFTBatch(string[] names, string[] descriptions, string[] ipfsHashes, string[] metadataURIs, uint96 royaltyBps)',
+  'function presaleMintIpfsNFT(string name, string description, string ipfsHash, string metadataURI, uint256 allowance, bytes32[] proof)',
+  'function mintOnChainSVG(string name, string description, bytes svg)',
+  'function mintSoulboundNFT(string name, string description, string ipfsHash, string metadataURI)',
+  'function createEdition(uint64 size, string[] metadataURIs)',
+  'function mintEditionCopies(uint256 editionId, string[] metadataURIs)'
+];
+
+// ✅ 中継してよい関数（ガス代を立て替えるのはミントだけ）
+const SPONSORED_FUNCTIONS = [
+  'mintIpfsNFTWithMetadata',
+  'mintIpfsNFTWithRoyalty',
+  'mintIpfsNFTBatch',
+  'presaleMintIpfsNFT',
+  'mintOnChainSVG',
+  'mintSoulboundNFT',
+  'createEdition',
+  'mintEditionCopies'
+];
+
+// 🔢 1回で複数ミントする関数のミント数（料金 = 1枚あたりの料金 × ミント数、ここにない関数は1枚）
+const MINT_QUANTITY = {
+  mintIpfsNFTBatch: (args) => args.names.length,
+  createEdition: (args) => args.metadataURIs.length,
+  mintEditionCopies: (args) => args.metadataURIs.length
+};
+
+// 📋 Web3MintForwarder（OpenZeppelin ERC2771Forwarder）の関数
+const FORWARDER_ABI = [
+  'function verify((address from, address to, uint256 value, uint256 gas, uint48 deadline, bytes data, bytes signature) request) view returns (bool)',
+  'function execute((address from, address to, uint256 value, uint256 gas, uint48 deadline, bytes data, bytes signature) request) payable'
+];
+
+// 📅 立て替えたETHの合計を数える期間（24時間ごとに数え直す）
+const BUDGET_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * ⚠️ リレイヤーが中継を断った時のエラー
+ * @property {number} status - HTTPのステータスコード（400 = リクエストの問題、403 = 中継しない内容、429 = 立て替えの予算切れ）
+ * @property {string|undefined} data - Web3Mint のエラーデータ（事前実行で失敗した場合、フロントエンドで解読する）
+ */
+class RelayError extends Error {
+  constructor(status, message, data) {
+    super(message);
+    this.name = 'RelayError';
+    this.status = status;
+    this.data = data;
+  }
+}
+
+/**
+ * 🔍 受け取ったリクエストを検証して、コントラクトに渡す形にそろえる関数
+ * @param {Object} body - フロントエンドから受け取ったリクエスト
+ * @returns {{from: string, to: string, value: bigint, gas: bigint, deadline: number, data: string, signature: string}}
+ * @throws {RelayError} 形式が正しくない場合
+ */
+function parseForwardRequest(body) {
+  try {
+    return {
+      from: ethers.getAddress(body.from),
+      to: ethers.getAddress(body.to),
+      value: BigInt(body.value),
+      gas: BigInt(body.gas),
+      deadline: Number(body.deadline),
+      data: ethers.hexlify(body.data),
+      signature: ethers.hexlify(body.signature)
+    };
+  } catch {
+    throw new RelayError(400, 'リクエストの形式が正しくありません');
+  }
+}
+
+/**
+ * 💳 立て替えたETHの予算を管理する関数
+ *
+ * 【なぜ必要？】
+ * 1件ごとの上限（maxSponsoredValue）だけでは、誰でも何度でもミント料金を立て替えさせて
+ * リレイヤーのウォレットを空にできる（アドレスはいくらでも作れる）。
+ * 24時間ごとに、アドレスごとの合計と全体の合計の両方に上限を設ける
+ *
+ * @param {{dailySponsoredPerSender: bigint, dailySponsoredTotal: bigint}} config - 24時間の上限（wei単位）
+ * @param {function(): number} now - 現在時刻（ミリ秒）を返す関数
+ * @returns {{reserve: function(string, bigint): function(): void}} 予算を確保する関数（戻り値は確保を取り消す関数）
+ */
+function createSponsorBudget(config, now) {
+  let windowStart = now();
+  let total = 0n;
+  const spentBySender = new Map();
+
+  /**
+   * 🧾 予算を確保する（送信できなかった場合は、戻り値の関数で取り消す）
+   * @param {string} sender - リクエストに署名したアドレス
+   * @param {bigint} value - 立て替えるETH（wei単位）
+   * @returns {function(): void} 確保を取り消す関数
+   * @throws {RelayError} アドレスごと・全体の上限を超える場合
+   */
+  const reserve = (sender, value) => {
+    if (now() - windowStart >= BUDGET_WINDOW_MS) {
+      windowStart = now();
+      total = 0n;
+      spentBySender.clear();
+    }
+
+    const spent = spentBySender.get(sender) || 0n;
+    if (spent + value > config.dailySponsoredPerSender) {
+      throw new RelayError(429, `このアドレスに24時間で立て替えられるETHの上限（${ethers.formatEther(config.dailySponsoredPerSender)} ETH）に達しました`);
+    }
+    if (total + value > config.dailySponsoredTotal) {
+      throw new RelayError(429, 'リレイヤーが24時間で立て替えられるETHの上限に達しました。しばらくしてから試すか、通常のミントを使ってください');
+    }
+
+    spentBySender.set(sender, spent + value);
+    total += value;
+
+    const reservedWindow = windowStart;
+    return () => {
+      if (windowStart !== reservedWindow) return; // 数え直した後なら取り消すものはない
+      spentBySender.set(sender, spentBySender.get(sender) - value);
+      total -= value;
+    };
+  };
+
+  return { reserve };
+}
+
+/**
+ * 🏭 リレイヤーを作る関数
+ * @param {ReturnType<import('./config').loadConfig>} config - リレイヤーの設定
+ * @param {ethers.Signer} signer - ガス代を払うウォレット（プロバイダーに接続済み）
+ * @param {{now?: function(): number}} options - 現在時刻（ミリ秒）を返す関数（テストで時間を進めるため）
+ * @returns {{getInfo: function(): Promise<Object>, relay: function(Object): Promise<{txHash: string}>}}
+ */
+function createRelayer(config, signer, { now = Date.now } = {}) {
+  const { provider } = signer;
+  const budget = createSponsorBudget(config, now);
+  const web3Mint = new ethers.Contract(config.web3MintAddress, WEB3MINT_ABI, provider);
+  const sponsoredSelectors = new Set(
+    SPONSORED_FUNCTIONS.map((name) => web3Mint.interface.getFunction(name).selector)
+  );
+
+  /**
+   * 💰 リクエストのミントに必要な料金を計算する関数
+   *
+   * 【なぜ料金ちょうどでないといけない？】
+   * Web3Mint は多く払った分を呼び出した人（フォワーダー経由ではユーザー）に返金する。
+   * 料金より多い value を中継すると、立て替えたETHがユーザーに渡ってしまう
+   *
+   * @param {string} data - Web3Mint を呼び出すデータ（関数のセレクタと引数）
+   * @returns {Promise<bigint>} 料金（wei単位、プレセールはプレセール価格、それ以外は現在の料金 × ミント数）
+   * @throws {RelayError} 引数を読み取れない場合
+   */
+  const getMintPrice = async (data) => {
+    let call;
+    try {
+      call = web3Mint.interface.parseTransaction({ data });
+    } catch {
+      throw new RelayError(400, 'ミントの引数を読み取れません');
+    }
+
+    if (call.name === 'presaleMintIpfsNFT') {
+      return web3Mint.presalePrice();
+    }
+    const quantity = MINT_QUANTITY[call.name] ? MINT_QUANTITY[call.name](call.args) : 1;
+    return (await web3Mint.currentPrice()) * BigInt(quantity);
+  };
+
+  /**
+   * 🔗 Web3Mint が信頼しているフォワーダーを取得する関数
+   * @returns {Promise<ethers.Contract>} フォワーダー（リレイヤーのウォレットで送信する）
+   * @throws {RelayError} フォワーダーが設定されていない場合
+   */
+  const getForwarder = async () => {
+    const forwarderAddress = await web3Mint.trustedForwarder();
+    if (forwarderAddress === ethers.ZeroAddress) {
+      throw new RelayError(503, 'Web3Mint にフォワーダーが設定されていません（scripts/deployForwarder.js を実行してください）');
+    }
+    return new ethers.Contract(forwarderAddress, FORWARDER_ABI, signer);
+  };
+
+  /**
+   * 📖 フロントエンドに伝えるリレイヤーの情報
+   * @returns {Promise<{chainId: number, web3Mint: string, forwarder: string, relayer: string, maxSponsoredValue: string, maxGas: string}>}
+   */
+  const getInfo = async () => ({
+    chainId: config.network.chainId,
+    web3Mint: config.web3MintAddress,
+    forwarder: await (await getForwarder()).getAddress(),
+    relayer: await signer.getAddress(),
+    maxSponsoredValue: config.maxSponsoredValue.toString(),
+    maxGas: config.maxGas.toString()
+  });
+
+  /**
+   * 📤 確認済みのリクエストを送信する関数（署名と事前実行のチェックの後に送る）
+   * @param {{from: string, to: string, value: bigint, gas: bigint, deadline: number, data: string, signature: string}} request - 宛先・関数・金額を確認したリクエスト
+   * @returns {Promise<{txHash: string}>} 送信したトランザクションのハッシュ
+   * @throws {RelayError} 署名が正しくない・事前実行に失敗した場合
+   */
+  const send = async (request) => {
+    // 🔏 署名・nonce・有効期限のチェック
+    const forwarder = await getForwarder();
+    if (!(await forwarder.verify(request))) {
+      throw new RelayError(400, '署名が正しくないか、有効期限切れ・使用済みのリクエストです');
+    }
+
+    // 🧪 フォワーダーから呼び出した場合を事前に実行（失敗するリクエストでガス代を無駄にしない）
+    // フォワーダーは失敗の理由を返さないので、Web3Mint を直接呼び出して理由（エラーデータ）を取り出す
+    try {
+      await provider.call({
+        from: await forwarder.getAddress(),
+        to: request.to,
+        data: ethers.concat([request.data, request.from]), // フォワーダーと同じく末尾にユーザーのアドレスを付ける
+        value: request.value
+      });
+    } catch (callError) {
+      throw new RelayError(400, 'Web3Mint がミントを受け付けませんでした', callError.data || undefined);
+    }
+
+    // 📤 送信（ETHを立て替える場合はリクエストと同じ額を付ける）
+    const tx = await forwarder.execute(request, { value: request.value });
+    console.log(`⛽ 中継しました: ${request.from} → ${tx.hash}`);
+    return { txHash: tx.hash };
+  };
+
+  /**
+   * 🚀 署名付きリクエストを検証して送信する関数
+   * @param {Object} body - フロントエンドから受け取ったリクエスト
+   * @returns {Promise<{txHash: string}>} 送信したトランザクションのハッシュ（完了は待たない）
+   * @throws {RelayError} 中継できない場合
+   */
+  const relay = async (body) => {
+    const request = parseForwardRequest(body);
+
+    // 🎯 宛先と関数のチェック
+    if (request.to !== ethers.getAddress(config.web3MintAddress)) {
+      throw new RelayError(403, 'このリレイヤーが中継するのは Web3Mint への呼び出しだけです');
+    }
+    if (!sponsoredSelectors.has(ethers.dataSlice(request.data, 0, 4))) {
+      throw new RelayError(403, 'ガスレスで実行できるのはミントだけです');
+    }
+
+    // 💰 立て替えるETHのチェック（料金ちょうど・上限以内）
+    const price = await getMintPrice(request.data);
+    if (request.value !== price) {
+      throw new RelayError(403, `立て替えるETHはミント料金（${ethers.formatEther(price)} ETH）ちょうどにしてください`);
+    }
+    if (request.value > config.maxSponsoredValue) {
+      throw new RelayError(403, `立て替えられるETHの上限（${ethers.formatEther(config.maxSponsoredValue)} ETH）を超えています`);
+    }
+    if (request.gas > config.maxGas) {
+      throw new RelayError(403, `ガスの上限（${config.maxGas}）を超えています`);
+    }
+
+    // 💳 24時間の予算のチェック（ガス代だけのリクエストは数えない）
+    if (request.value === 0n) {
+      return send(request);
+    }
+    const release = budget.reserve(request.from, request.value);
+    try {
+      return await send(request);
+    } catch (error) {
+      release(); // 送信できなかった分は予算に戻す
+      throw error;
+    }
+  };
+
+  return { getInfo, relay };
+}
+
+module.exports = {
+  RelayError,
+  SPONSORED_FUNCTIONS,
+  createRelayer
+};
@@ -0,0 +1,274 @@
+// 🧪 Node.js 標準のテストランナーとアサーション（追加のパッケージは不要）
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+// 📦 Ethers.jsライブラリをインポート（データのエンコード用）
+const { ethers } = require('ethers');
+// ⛽ テストするリレイヤー本体
+const { RelayError, createRelayer } = require('../src/relayer');
+
+/**
+ * 🧪 リレイヤーのテスト
+ *
+ * 【テストの方法】
+ * ブロックチェーンには接続せず、Web3Mint・フォワーダーの呼び出しに決まった値を返す
+ * テスト用のプロバイダーとウォレットを使います（送信したトランザクションは記録するだけ）。
+ *
+ * 【実行方法】
+ * yarn relayer test
+ */
+
+const WEB3MINT = '0x1000000000000000000000000000000000000001';
+const FORWARDER = '0x2000000000000000000000000000000000000002';
+const USER = '0x3000000000000000000000000000000000000003';
+const OTHER_USER = '0x5000000000000000000000000000000000000005';
+const RELAYER = '0x4000000000000000000000000000000000000004';
+
+const MINT_PRICE = ethers.parseEther('0.001');
+const PRESALE_PRICE = ethers.parseEther('0.0005');
+
+const web3MintInterface = new ethers.Interface([
+  'function trustedForwarder() view returns (address)',
+  'function currentPrice() view returns (uint256)',
+  'function presalePrice() view returns (uint256)',
+  'function mintIpfsNFTWithMetadata(string name, string description, string ipfsHash, string metadataURI)',
+  'function mintIpfsNFTBatch(string[] names, string[] descriptions, string[] ipfsHashes, string[] metadataURIs, uint96 royaltyBps)',
+  'function presaleMintIpfsNFT(string name, string description, string ipfsHash, string metadataURI, uint256 allowance, bytes32[] proof)',
+  'function createEdition(uint64 size, string[] metadataURIs)',
+  'function transferFrom(address from, address to, uint256 tokenId)'
+]);
+const forwarderInterface = new ethers.Interface([
+  'function verify((address from, address to, uint256 value, uint256 gas, uint48 deadline, bytes data, bytes signature) request) view returns (bool)'
+]);
+
+/**
+ * 🔧 テスト用のプロバイダーとウォレットを作る関数
+ * @param {{verified?: boolean, mintReverts?: boolean}} options - 署名の確認結果・事前実行を失敗させるか
+ * @returns {{signer: Object, sent: Array<Object>}} ウォレットと送信したトランザクションの記録
+ */
+const createFakeSigner = ({ verified = true, mintReverts = false } = {}) => {
+  const sent = [];
+
+  // 📖 読み取りの呼び出しに決まった値を返す（ミントの事前実行は mintReverts で失敗させる）
+  const call = async (tx) => {
+    if (tx.to === FORWARDER) {
+      return forwarderInterface.encodeFunctionResult('verify', [verified]);
+    }
+    const fragment = web3MintInterface.getFunction(ethers.dataSlice(tx.data, 0, 4));
+    switch (fragment.name) {
+      case 'trustedForwarder':
+        return web3MintInterface.encodeFunctionResult(fragment, [FORWARDER]);
+      case 'currentPrice':
+        return web3MintInterface.encodeFunctionResult(fragment, [MINT_PRICE]);
+      case 'presalePrice':
+        return web3MintInterface.encodeFunctionResult(fragment, [PRESALE_PRICE]);
+      default:
+        if (mintReverts) {
+          throw Object.assign(new Error('execution reverted'), { data: '0x8a164f63' });
+        }
+        return '0x';
+    }
+  };
+
+  const provider = { call };
+  const signer = {
+    provider,
+    call,
+    getAddress: async () => RELAYER,
+    sendTransaction: async (tx) => {
+      sent.push(tx);
+      return { hash: ethers.id(`tx${sent.length}`), ...tx };
+    }
+  };
+  return { signer, sent };
+};
+
+const config = {
+  network: { chainId: 11155111 },
+  web3MintAddress: WEB3MINT,
+  maxSponsoredValue: ethers.parseEther('0.01'),
+  dailySponsoredTotal: ethers.parseEther('1'),
+  dailySponsoredPerSender: ethers.parseEther('0.1'),
+  maxGas: 3_000_000n
+};
+
+/**
+ * 📝 フロントエンドから届く形のリクエストを作る関数
+ * @param {string} data - Web3Mint を呼び出すデータ
+ * @param {Object} overrides - 上書きする項目
+ * @returns {Object} リクエスト（数値は文字列）
+ */
+const buildRequest = (data, overrides = {}) => ({
+  from: USER,
+  to: WEB3MINT,
+  value: MINT_PRICE.toString(),
+  gas: '500000',
+  deadline: Math.floor(Date.now() / 1000) + 3600,
+  data,
+  signature: '0x' + '11'.repeat(65),
+  ...overrides
+});
+
+const mintData = web3MintInterface.encodeFunctionData('mintIpfsNFTWithMetadata', ['Art', 'Desc', 'QmArt', 'ipfs://QmMeta']);
+
+/**
+ * 🔍 RelayError で断られることを確認する関数
+ * @param {Promise} promise - relay の結果
+ * @param {number} status - 期待するHTTPのステータスコード
+ * @param {RegExp} message - 期待するメッセージ
+ */
+const assertRejected = (promise, status, message) => assert.rejects(promise, (error) => {
+  assert.ok(error instanceof RelayError);
+  assert.equal(error.status, status);
+  assert.match(error.message, message);
+  return true;
+});
+
+describe('Relayer', () => {
+  let relayer;
+  let sent;
+
+  beforeEach(() => {
+    const fake = createFakeSigner();
+    sent = fake.sent;
+    relayer = createRelayer(config, fake.signer);
+  });
+
+  describe('Selector check', () => {
+    it('Should relay a sponsored mint to the forwarder with the same value', async () => {
+      const { txHash } = await relayer.relay(buildRequest(mintData));
+
+      assert.ok(ethers.isHexString(txHash, 32));
+      assert.equal(sent.length, 1);
+      assert.equal(sent[0].to, FORWARDER);
+      assert.equal(sent[0].value, MINT_PRICE);
+    });
+
+    it('Should reject calls to other contracts', async () => {
+      await assertRejected(relayer.relay(buildRequest(mintData, { to: USER })), 403, /Web3Mint/);
+      assert.equal(sent.length, 0);
+    });
+
+    it('Should reject functions that are not sponsored mints', async () => {
+      const data = web3MintInterface.encodeFunctionData('transferFrom', [USER, RELAYER, 1]);
+      await assertRejected(relayer.relay(buildRequest(data, { value: '0' })), 403, /ミントだけ/);
+      assert.equal(sent.length, 0);
+    });
+
+    it('Should reject mint calls whose arguments cannot be decoded', async () => {
+      const data = ethers.dataSlice(mintData, 0, 8);
+      await assertRejected(relayer.relay(buildRequest(data)), 400, /引数/);
+    });
+  });
+
+  describe('Value check', () => {
+    it('Should reject overpayment that would be refunded to the user', async () => {
+      const request = buildRequest(mintData, { value: (MINT_PRICE * 2n).toString() });
+      await assertRejected(relayer.relay(request), 403, /ちょうど/);
+      assert.equal(sent.length, 0);
+    });
+
+    it('Should reject underpayment', async () => {
+      await assertRejected(relayer.relay(buildRequest(mintData, { value: '0' })), 403, /ちょうど/);
+    });
+
+    it('Should multiply the price by the number of tokens minted', async () => {
+      const batch = web3MintInterface.encodeFunctionData('mintIpfsNFTBatch', [
+        ['A', 'B', 'C'], ['a', 'b', 'c'], ['QmA', 'QmB', 'QmC'], ['ipfs://A', 'ipfs://B', 'ipfs://C'], 500
+      ]);
+      await assertRejected(relayer.relay(buildRequest(batch)), 403, /ちょうど/);
+      await relayer.relay(buildRequest(batch, { value: (MINT_PRICE * 3n).toString() }));
+
+      const edition = web3MintInterface.encodeFunctionData('createEdition', [10, ['ipfs://E1', 'ipfs://E2']]);
+      await relayer.relay(buildRequest(edition, { value: (MINT_PRICE * 2n).toString() }));
+      assert.equal(sent.length, 2);
+    });
+
+    it('Should use the presale price for presale mints', async () => {
+      const presale = web3MintInterface.encodeFunctionData('presaleMintIpfsNFT', [
+        'Art', 'Desc', 'QmArt', 'ipfs://QmMeta', 1, [ethers.ZeroHash]
+      ]);
+      await assertRejected(relayer.relay(buildRequest(presale)), 403, /ちょうど/);
+      await relayer.relay(buildRequest(presale, { value: PRESALE_PRICE.toString() }));
+      assert.equal(sent[0].value, PRESALE_PRICE);
+    });
+
+    it('Should reject a price above the sponsored value limit', async () => {
+      const limited = createRelayer({ ...config, maxSponsoredValue: MINT_PRICE - 1n }, createFakeSigner().signer);
+      await assertRejected(limited.relay(buildRequest(mintData)), 403, /上限/);
+    });
+  });
+
+  describe('Gas check', () => {
+    it('Should reject requests above the gas limit', async () => {
+      const request = buildRequest(mintData, { gas: (config.maxGas + 1n).toString() });
+      await assertRejected(relayer.relay(request), 403, /ガスの上限/);
+      assert.equal(sent.length, 0);
+    });
+
+    it('Should accept requests at the gas limit', async () => {
+      await relayer.relay(buildRequest(mintData, { gas: config.maxGas.toString() }));
+      assert.equal(sent.length, 1);
+    });
+  });
+
+  describe('Daily budget', () => {
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    it('Should reject a sender who has used up their daily budget', async () => {
+      const limited = createRelayer(
+        { ...config, dailySponsoredPerSender: MINT_PRICE },
+        createFakeSigner().signer
+      );
+      await limited.relay(buildRequest(mintData));
+
+      await assertRejected(limited.relay(buildRequest(mintData)), 429, /このアドレス/);
+      await limited.relay(buildRequest(mintData, { from: OTHER_USER }));
+    });
+
+    it('Should reject every sender once the total daily budget is used up', async () => {
+      const fake = createFakeSigner();
+      const limited = createRelayer({ ...config, dailySponsoredTotal: MINT_PRICE }, fake.signer);
+      await limited.relay(buildRequest(mintData));
+
+      await assertRejected(limited.relay(buildRequest(mintData, { from: OTHER_USER })), 429, /リレイヤー/);
+      assert.equal(fake.sent.length, 1);
+    });
+
+    it('Should reset the budget after 24 hours', async () => {
+      let time = 0;
+      const limited = createRelayer(
+        { ...config, dailySponsoredTotal: MINT_PRICE },
+        createFakeSigner().signer,
+        { now: () => time }
+      );
+      await limited.relay(buildRequest(mintData));
+      await assertRejected(limited.relay(buildRequest(mintData)), 429, /上限/);
+
+      time += DAY_MS;
+      await limited.relay(buildRequest(mintData));
+    });
+
+    it('Should not count requests that were not sent', async () => {
+      const fake = createFakeSigner({ mintReverts: true });
+      const limited = createRelayer({ ...config, dailySponsoredPerSender: MINT_PRICE }, fake.signer);
+      await assertRejected(limited.relay(buildRequest(mintData)), 400, /受け付けません/);
+      await assertRejected(limited.relay(buildRequest(mintData)), 400, /受け付けません/);
+    });
+  });
+
+  describe('Signature and simulation', () => {
+    it('Should reject requests the forwarder does not verify', async () => {
+      const rejecting = createRelayer(config, createFakeSigner({ verified: false }).signer);
+      await assertRejected(rejecting.relay(buildRequest(mintData)), 400, /署名/);
+    });
+
+    it('Should return the Web3Mint error data when the mint would fail', async () => {
+      const failing = createRelayer(config, createFakeSigner({ mintReverts: true }).signer);
+      await assert.rejects(failing.relay(buildRequest(mintData)), (error) => {
+        assert.equal(error.status, 400);
+        assert.equal(error.data, '0x8a164f63');
+        return true;
+      });
+    });
+  });
+});